@@ -0,0 +1,179 @@
+const { getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+
+const CATEGORY_SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_CATEGORY_KEYWORDS = 20;
+const MAX_SORT_ORDER = 10000;
+const DEFAULT_CATEGORIES = [
+  {
+    slug: "romance",
+    label: "Romance",
+    icon: "R",
+    sortOrder: 10,
+    keywords: ["romantic", "love", "anniversary", "valentine"]
+  },
+  { slug: "birthday", label: "Birthday", icon: "B", sortOrder: 20, keywords: ["bday"] },
+  { slug: "wedding", label: "Wedding", icon: "W", sortOrder: 30, keywords: ["bridal", "bride"] },
+  {
+    slug: "thank-you",
+    label: "Thank You",
+    icon: "T",
+    sortOrder: 40,
+    keywords: ["thank", "gratitude", "appreciation"]
+  },
+  {
+    slug: "general",
+    label: "General",
+    icon: "G",
+    sortOrder: 50,
+    keywords: ["any occasion", "everyday"]
+  }
+];
+
+function toCategoryModel(row) {
+  return {
+    slug: String(row.slug || ""),
+    label: String(row.label || row.slug || ""),
+    icon: String(row.icon || ""),
+    sortOrder: Number(row.sort_order ?? row.sortOrder ?? 0),
+    visible: (row.visible ?? true) !== false,
+    keywords: Array.isArray(row.keywords) ? row.keywords : [],
+    createdAt: row.created_at || row.createdAt || null
+  };
+}
+
+function sortCategories(categories) {
+  return [...categories].sort(
+    (a, b) => a.sortOrder - b.sortOrder || a.label.localeCompare(b.label)
+  );
+}
+
+function getMemoryCategories() {
+  const store = getStore();
+  if (!Array.isArray(store.categories)) {
+    store.categories = DEFAULT_CATEGORIES.map((category) => ({
+      ...category,
+      visible: true,
+      createdAt: new Date().toISOString()
+    }));
+  }
+  return store.categories;
+}
+
+async function listCategories() {
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "categories",
+      method: "GET",
+      query: { select: "*", order: "sort_order.asc,label.asc" },
+      prefer: null
+    });
+    return rows.map(toCategoryModel);
+  }
+  return sortCategories(getMemoryCategories().map(toCategoryModel));
+}
+
+async function findCategory(slug) {
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "categories",
+      method: "GET",
+      query: { select: "*", slug: `eq.${slug}`, limit: 1 },
+      prefer: null
+    });
+    return Array.isArray(rows) && rows.length > 0 ? toCategoryModel(rows[0]) : null;
+  }
+  const category = getMemoryCategories().find((entry) => entry.slug === slug);
+  return category ? toCategoryModel(category) : null;
+}
+
+async function assertCategoryExists(slug) {
+  if (!(await findCategory(slug))) {
+    const error = new Error(`occasion ${slug} is not a known category`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+function normalizeKeywords(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : String(value).split(",");
+  const keywords = [
+    ...new Set(entries.map((entry) => String(entry || "").trim().toLowerCase()).filter(Boolean))
+  ];
+  if (keywords.length > MAX_CATEGORY_KEYWORDS) {
+    throw new Error(`keywords can list at most ${MAX_CATEGORY_KEYWORDS} entries`);
+  }
+  if (keywords.some((keyword) => keyword.length > 40)) {
+    throw new Error("each keyword must be at most 40 characters");
+  }
+  return keywords;
+}
+
+function validateCategoryPayload(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial) {
+    const slug = String(body?.slug || "").trim().toLowerCase();
+    if (slug.length > 40 || !CATEGORY_SLUG_REGEX.test(slug)) {
+      throw new Error("slug must be lowercase letters, numbers and single dashes (max 40)");
+    }
+    payload.slug = slug;
+  } else if (body?.slug !== undefined) {
+    throw new Error("slug cannot be changed; create a new category instead");
+  }
+
+  if (!partial || body?.label !== undefined) {
+    const label = String(body?.label || "").trim();
+    if (label.length < 1 || label.length > 40) {
+      throw new Error("label must be between 1 and 40 characters");
+    }
+    payload.label = label;
+  }
+
+  if (!partial || body?.icon !== undefined) {
+    const icon = String(body?.icon || "").trim() || String(payload.label || "").charAt(0);
+    if (!icon || [...icon].length > 4) {
+      throw new Error("icon must be between 1 and 4 characters");
+    }
+    payload.icon = icon;
+  }
+
+  if (!partial || body?.sortOrder !== undefined) {
+    const sortOrder = Number(body?.sortOrder ?? 0);
+    if (!Number.isInteger(sortOrder) || sortOrder < 0 || sortOrder > MAX_SORT_ORDER) {
+      throw new Error(`sortOrder must be an integer between 0 and ${MAX_SORT_ORDER}`);
+    }
+    payload.sortOrder = sortOrder;
+  }
+
+  if (!partial || body?.visible !== undefined) {
+    if (body?.visible !== undefined && typeof body.visible !== "boolean") {
+      throw new Error("visible must be true or false");
+    }
+    payload.visible = body?.visible !== false;
+  }
+
+  if (!partial || body?.keywords !== undefined) {
+    payload.keywords = normalizeKeywords(body?.keywords);
+  }
+
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
+  }
+
+  return payload;
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  assertCategoryExists,
+  findCategory,
+  getMemoryCategories,
+  listCategories,
+  sortCategories,
+  toCategoryModel,
+  validateCategoryPayload
+};
@@ -0,0 +1,193 @@
+const { getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+const { roundMoney } = require("./_orders");
+const { PAYMENT_CURRENCY } = require("./_payments");
+
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+const MAX_CURRENCIES = 20;
+// Prices are stored in the currency PayPal and card charge; other currencies are display rates.
+const BASE_CURRENCY = PAYMENT_CURRENCY;
+const DEFAULT_CURRENCY_SETTINGS = {
+  currencies: [
+    { code: "USD", label: "USD ($)", locale: "en-US", rate: 1 },
+    { code: "MAD", label: "MAD (DH)", locale: "fr-MA", rate: 10 }
+  ]
+};
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function toCurrencyModel(entry) {
+  return {
+    code: String(entry?.code || "").toUpperCase(),
+    label: String(entry?.label || entry?.code || ""),
+    locale: String(entry?.locale || "en-US"),
+    rate: Number(entry?.rate || 0)
+  };
+}
+
+function mapCurrencyRowToModel(row) {
+  return {
+    currencies: Array.isArray(row?.currencies)
+      ? row.currencies.map(toCurrencyModel)
+      : clone(DEFAULT_CURRENCY_SETTINGS.currencies),
+    updatedAt: row?.updated_at || null
+  };
+}
+
+function isMissingCurrencyTable(error) {
+  const message = String(error?.detail || error?.message || "").toLowerCase();
+  return (
+    message.includes("currency_settings") &&
+    (message.includes("does not exist") ||
+      message.includes("could not find") ||
+      message.includes("schema cache"))
+  );
+}
+
+function isValidLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+function validateCurrencySettings(body) {
+  if (!Array.isArray(body?.currencies) || body.currencies.length === 0) {
+    throw new Error("currencies must list at least one currency");
+  }
+  if (body.currencies.length > MAX_CURRENCIES) {
+    throw new Error(`currencies can list at most ${MAX_CURRENCIES} entries`);
+  }
+
+  const currencies = [];
+  for (const entry of body.currencies) {
+    const code = String(entry?.code || "").trim().toUpperCase();
+    if (!CURRENCY_CODE_REGEX.test(code)) {
+      throw new Error("each currency code must be 3 letters");
+    }
+    if (currencies.some((currency) => currency.code === code)) {
+      throw new Error(`${code} is listed more than once`);
+    }
+
+    const rate = Number(entry?.rate);
+    if (!Number.isFinite(rate) || rate <= 0 || rate > 1000000) {
+      throw new Error(`${code} rate must be a positive number`);
+    }
+
+    const locale = String(entry?.locale || "en-US").trim();
+    if (!isValidLocale(locale)) {
+      throw new Error(`${code} locale is not supported`);
+    }
+
+    const label = String(entry?.label || code).trim();
+    if (label.length > 40) {
+      throw new Error(`${code} label must be at most 40 characters`);
+    }
+
+    currencies.push({ code, label, locale, rate: Math.round(rate * 1000000) / 1000000 });
+  }
+
+  const base = currencies.find((currency) => currency.code === BASE_CURRENCY);
+  if (!base) {
+    throw new Error(`currencies must include ${BASE_CURRENCY}, the currency prices are stored in`);
+  }
+  if (base.rate !== 1) {
+    throw new Error(`the ${BASE_CURRENCY} rate must be 1`);
+  }
+
+  return { currencies };
+}
+
+function getMemoryCurrencySettings() {
+  const store = getStore();
+  if (!store.currencySettings) {
+    store.currencySettings = { ...clone(DEFAULT_CURRENCY_SETTINGS), updatedAt: null };
+  }
+  return clone(store.currencySettings);
+}
+
+async function getCurrencySettings() {
+  if (!isDatabaseConfigured()) {
+    return getMemoryCurrencySettings();
+  }
+
+  try {
+    const rows = await dbRequest({
+      table: "currency_settings",
+      method: "GET",
+      query: { select: "*", id: "eq.main", limit: 1 },
+      prefer: null
+    });
+    if (Array.isArray(rows) && rows.length > 0) {
+      return mapCurrencyRowToModel(rows[0]);
+    }
+    return { ...clone(DEFAULT_CURRENCY_SETTINGS), updatedAt: null };
+  } catch (error) {
+    if (isMissingCurrencyTable(error)) {
+      return getMemoryCurrencySettings();
+    }
+    throw error;
+  }
+}
+
+async function saveCurrencySettings(settings) {
+  const updatedAt = new Date().toISOString();
+  if (isDatabaseConfigured()) {
+    try {
+      const rows = await dbRequest({
+        table: "currency_settings",
+        method: "POST",
+        query: { on_conflict: "id" },
+        prefer: "resolution=merge-duplicates,return=representation",
+        body: {
+          id: "main",
+          currencies: settings.currencies,
+          updated_at: updatedAt
+        }
+      });
+      return mapCurrencyRowToModel(rows[0]);
+    } catch (error) {
+      if (!isMissingCurrencyTable(error)) {
+        throw error;
+      }
+    }
+  }
+
+  getStore().currencySettings = { ...clone(settings), updatedAt };
+  return getMemoryCurrencySettings();
+}
+
+async function resolveOrderCurrency(code) {
+  const settings = await getCurrencySettings();
+  const requested = String(code || BASE_CURRENCY).trim().toUpperCase();
+  const currency = settings.currencies.find((entry) => entry.code === requested);
+  if (!currency) {
+    const error = new Error(
+      `currency must be one of: ${settings.currencies.map((entry) => entry.code).join(", ")}`
+    );
+    error.status = 400;
+    throw error;
+  }
+  return { code: currency.code, rate: currency.code === BASE_CURRENCY ? 1 : currency.rate };
+}
+
+function convertOrderTotals(totals, rate) {
+  return {
+    subtotal: roundMoney(totals.subtotal * rate),
+    deliveryFee: roundMoney(totals.deliveryFee * rate),
+    discount: roundMoney(totals.discount * rate),
+    total: roundMoney(totals.total * rate)
+  };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY_SETTINGS,
+  convertOrderTotals,
+  getCurrencySettings,
+  resolveOrderCurrency,
+  saveCurrencySettings,
+  validateCurrencySettings
+};
@@ -1,4 +1,4 @@
-const { seedFlowers } = require("./_store");
+const { seedFlowers, toOpeningStockMovement } = require("./_store");
 
 function getSupabaseUrl() {
   return String(process.env.SUPABASE_URL || "").trim().replace(/\/$/, "");
@@ -17,7 +17,7 @@ function toInFilter(values) {
   return `in.(${safeValues.join(",")})`;
 }
 
-async function dbRequest({ table, method = "GET", query = {}, body, prefer = "return=representation" }) {
+async function sendDbRequest({ table, method, query, body, prefer }) {
   if (!isDatabaseConfigured()) {
     throw new Error("database is not configured");
   }
@@ -60,17 +60,51 @@ async function dbRequest({ table, method = "GET", query = {}, body, prefer = "re
   }
 
   if (!response.ok) {
-    const message =
+    const detail =
       data?.message ||
       data?.details ||
       data?.hint ||
       `database request failed (${response.status})`;
-    throw new Error(message);
+    // Only the PTxxx errors raised by our SQL functions are meant for the client; permission,
+    // outage and schema errors stay server-side behind a generic 500.
+    const code = String(data?.code || "");
+    const isFunctionError = /^PT\d{3}$/.test(code);
+    const error = new Error(isFunctionError ? detail : "database request failed");
+    error.status = isFunctionError ? Number(code.slice(2)) : 500;
+    error.code = code;
+    error.detail = detail;
+    throw error;
   }
 
+  return { data, headers: response.headers };
+}
+
+async function dbRequest({ table, method = "GET", query = {}, body, prefer = "return=representation" }) {
+  const { data } = await sendDbRequest({ table, method, query, body, prefer });
   return data;
 }
 
+async function dbRequestWithCount({ table, query = {} }) {
+  const { data, headers } = await sendDbRequest({
+    table,
+    method: "GET",
+    query,
+    prefer: "count=exact"
+  });
+  const total = Number(String(headers.get("content-range") || "").split("/")[1]);
+  const rows = Array.isArray(data) ? data : [];
+  return { rows, total: Number.isFinite(total) ? total : rows.length };
+}
+
+async function dbRpc(functionName, params = {}) {
+  return dbRequest({
+    table: `rpc/${functionName}`,
+    method: "POST",
+    body: params,
+    prefer: null
+  });
+}
+
 function mapSeedFlowerToRow(flower) {
   return {
     id: flower.id,
@@ -109,6 +143,18 @@ async function ensureSeedFlowers() {
       body: seedFlowers.map(mapSeedFlowerToRow),
       prefer: "return=minimal"
     });
+    await dbRequest({
+      table: "stock_movements",
+      method: "POST",
+      body: seedFlowers.map(toOpeningStockMovement).map((movement) => ({
+        flower_id: movement.flowerId,
+        delta: movement.delta,
+        reason: movement.reason,
+        note: movement.note,
+        created_at: movement.createdAt
+      })),
+      prefer: "return=minimal"
+    });
   }
 
   globalThis.__FLOWER_DB_SEEDED__ = true;
@@ -116,6 +162,8 @@ async function ensureSeedFlowers() {
 
 module.exports = {
   dbRequest,
+  dbRequestWithCount,
+  dbRpc,
   ensureSeedFlowers,
   isDatabaseConfigured,
   toInFilter
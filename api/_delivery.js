@@ -0,0 +1,377 @@
+const { getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SLOT_CAPACITY = 500;
+const MAX_DELIVERY_FEE = 1000;
+const MAX_ZONE_AREAS = 200;
+const POSTCODE_REGEX = /^[A-Z0-9-]{2,12}$/;
+
+function getDeliveryTimeZone() {
+  return String(process.env.DELIVERY_TIME_ZONE || "UTC").trim() || "UTC";
+}
+
+function getShopNow(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: getDeliveryTimeZone(),
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+function isValidDate(value) {
+  if (!DATE_REGEX.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+function normalizeDate(value, field = "date") {
+  const normalized = String(value || "").trim();
+  if (!isValidDate(normalized)) {
+    throw new Error(`${field} must be a YYYY-MM-DD date`);
+  }
+  return normalized;
+}
+
+function addDays(date, days) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+}
+
+function formatSlotWindow(slot) {
+  return `${slot.startTime}-${slot.endTime}`;
+}
+
+function isSlotPast(slot, now = getShopNow()) {
+  return `${slot.date}T${slot.startTime}` <= `${now.date}T${now.time}`;
+}
+
+function withAvailability(slot, now = getShopNow()) {
+  const remaining = Math.max(0, slot.capacity - slot.booked);
+  return {
+    ...slot,
+    remaining,
+    available: remaining > 0 && !isSlotPast(slot, now)
+  };
+}
+
+function toSlotModel(row) {
+  return withAvailability({
+    id: row.id,
+    date: String(row.delivery_date || "").slice(0, 10),
+    startTime: String(row.start_time || "").slice(0, 5),
+    endTime: String(row.end_time || "").slice(0, 5),
+    capacity: Number(row.capacity || 0),
+    booked: Number(row.booked || 0)
+  });
+}
+
+function normalizeMemorySlot(slot) {
+  return withAvailability({
+    id: slot.id,
+    date: slot.date,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    capacity: Number(slot.capacity || 0),
+    booked: Number(slot.booked || 0)
+  });
+}
+
+function validateSlotPayload(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial || body?.date !== undefined) {
+    payload.date = normalizeDate(body?.date);
+  }
+
+  for (const field of ["startTime", "endTime"]) {
+    if (!partial || body?.[field] !== undefined) {
+      const value = String(body?.[field] || "").trim();
+      if (!TIME_REGEX.test(value)) {
+        throw new Error(`${field} must be a HH:MM time`);
+      }
+      payload[field] = value;
+    }
+  }
+
+  if (!partial || body?.capacity !== undefined) {
+    const capacity = Number(body?.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SLOT_CAPACITY) {
+      throw new Error(`capacity must be an integer between 1 and ${MAX_SLOT_CAPACITY}`);
+    }
+    payload.capacity = capacity;
+  }
+
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
+  }
+
+  return payload;
+}
+
+function assertSlotWindow(slot) {
+  if (slot.startTime >= slot.endTime) {
+    throw new Error("startTime must be before endTime");
+  }
+}
+
+async function findDeliverySlotInDb(slotId) {
+  const rows = await dbRequest({
+    table: "delivery_slots",
+    method: "GET",
+    query: { select: "*", id: `eq.${slotId}`, limit: 1 },
+    prefer: null
+  });
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    const error = new Error("delivery slot not found");
+    error.status = 404;
+    throw error;
+  }
+  return toSlotModel(rows[0]);
+}
+
+function findDeliverySlotInMemory(slotId) {
+  const slot = (getStore().deliverySlots || []).find((entry) => entry.id === slotId);
+  if (!slot) {
+    const error = new Error("delivery slot not found");
+    error.status = 404;
+    throw error;
+  }
+  return normalizeMemorySlot(slot);
+}
+
+async function findDeliverySlot(slotId) {
+  return isDatabaseConfigured() ? findDeliverySlotInDb(slotId) : findDeliverySlotInMemory(slotId);
+}
+
+function assertSlotBookable(slot) {
+  if (isSlotPast(slot)) {
+    const error = new Error("delivery slot has already started, choose a later slot");
+    error.status = 409;
+    throw error;
+  }
+  if (slot.remaining <= 0) {
+    const error = new Error("delivery slot is full, choose another slot");
+    error.status = 409;
+    throw error;
+  }
+}
+
+function normalizeCity(value) {
+  return String(value || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+function normalizePostcode(value) {
+  return String(value || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+}
+
+function roundFee(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function toZoneModel(row) {
+  const threshold = row.free_delivery_threshold;
+  return {
+    id: row.id,
+    name: row.name,
+    cities: Array.isArray(row.cities) ? row.cities : [],
+    postcodes: Array.isArray(row.postcodes) ? row.postcodes : [],
+    fee: Number(row.fee || 0),
+    freeDeliveryThreshold: threshold === null || threshold === undefined ? null : Number(threshold),
+    available: row.available !== false
+  };
+}
+
+function normalizeMemoryZone(zone) {
+  return {
+    id: zone.id,
+    name: zone.name,
+    cities: Array.isArray(zone.cities) ? zone.cities : [],
+    postcodes: Array.isArray(zone.postcodes) ? zone.postcodes : [],
+    fee: Number(zone.fee || 0),
+    freeDeliveryThreshold:
+      zone.freeDeliveryThreshold === null || zone.freeDeliveryThreshold === undefined
+        ? null
+        : Number(zone.freeDeliveryThreshold),
+    available: zone.available !== false
+  };
+}
+
+function normalizeAreaList(value, field, normalize) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(",");
+  const normalized = [...new Set(entries.map(normalize).filter(Boolean))];
+  if (normalized.length > MAX_ZONE_AREAS) {
+    throw new Error(`${field} can list at most ${MAX_ZONE_AREAS} entries`);
+  }
+  return normalized;
+}
+
+function validateZonePayload(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (name.length < 2 || name.length > 80) {
+      throw new Error("name must be between 2 and 80 characters");
+    }
+    payload.name = name;
+  }
+
+  if (!partial || body?.cities !== undefined) {
+    payload.cities = normalizeAreaList(body?.cities, "cities", normalizeCity);
+  }
+
+  if (!partial || body?.postcodes !== undefined) {
+    payload.postcodes = normalizeAreaList(body?.postcodes, "postcodes", normalizePostcode);
+    if (payload.postcodes.some((postcode) => !POSTCODE_REGEX.test(postcode))) {
+      throw new Error("postcodes may only contain letters, digits and dashes");
+    }
+  }
+
+  if (!partial || body?.fee !== undefined) {
+    const fee = Number(body?.fee);
+    if (!Number.isFinite(fee) || fee < 0 || fee > MAX_DELIVERY_FEE || roundFee(fee) !== fee) {
+      throw new Error(`fee must be between 0 and ${MAX_DELIVERY_FEE} with at most 2 decimals`);
+    }
+    payload.fee = fee;
+  }
+
+  if (!partial || body?.freeDeliveryThreshold !== undefined) {
+    const raw = body?.freeDeliveryThreshold;
+    if (raw === undefined || raw === null || raw === "") {
+      payload.freeDeliveryThreshold = null;
+    } else {
+      const threshold = Number(raw);
+      if (!Number.isFinite(threshold) || threshold <= 0 || roundFee(threshold) !== threshold) {
+        throw new Error("freeDeliveryThreshold must be a positive amount or empty");
+      }
+      payload.freeDeliveryThreshold = threshold;
+    }
+  }
+
+  if (!partial || body?.available !== undefined) {
+    if (body?.available !== undefined && typeof body.available !== "boolean") {
+      throw new Error("available must be true or false");
+    }
+    payload.available = body?.available !== false;
+  }
+
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
+  }
+
+  return payload;
+}
+
+function assertZoneCoverage(zone, zones) {
+  if (zone.cities.length === 0 && zone.postcodes.length === 0) {
+    throw new Error("a zone needs at least one city or postcode");
+  }
+
+  for (const other of zones) {
+    if (other.id === zone.id) {
+      continue;
+    }
+    const city = zone.cities.find((entry) => other.cities.includes(entry));
+    const postcode = zone.postcodes.find((entry) => other.postcodes.includes(entry));
+    if (city || postcode) {
+      const error = new Error(`${city || postcode} is already covered by ${other.name}`);
+      error.status = 409;
+      throw error;
+    }
+  }
+}
+
+async function listDeliveryZones() {
+  if (!isDatabaseConfigured()) {
+    return (getStore().deliveryZones || []).map(normalizeMemoryZone);
+  }
+
+  const rows = await dbRequest({
+    table: "delivery_zones",
+    method: "GET",
+    query: { select: "*", order: "name.asc" },
+    prefer: null
+  });
+  return rows.map(toZoneModel);
+}
+
+function matchDeliveryZone(zones, { city, postcode }) {
+  const normalizedPostcode = normalizePostcode(postcode);
+  if (normalizedPostcode) {
+    const byPostcode = zones.find((zone) => zone.postcodes.includes(normalizedPostcode));
+    if (byPostcode) {
+      return byPostcode;
+    }
+  }
+
+  const normalizedCity = normalizeCity(city);
+  return zones.find((zone) => zone.cities.includes(normalizedCity)) || null;
+}
+
+async function resolveDeliveryZone(address) {
+  const zone = matchDeliveryZone(await listDeliveryZones(), address);
+  if (!zone) {
+    const error = new Error("we do not deliver to this address yet");
+    error.status = 422;
+    throw error;
+  }
+  if (!zone.available) {
+    const error = new Error(`delivery to ${zone.name} is currently unavailable`);
+    error.status = 422;
+    throw error;
+  }
+  return zone;
+}
+
+function calculateDeliveryFee(zone, subtotal) {
+  if (zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold) {
+    return 0;
+  }
+  return zone.fee;
+}
+
+module.exports = {
+  addDays,
+  assertSlotBookable,
+  assertSlotWindow,
+  assertZoneCoverage,
+  calculateDeliveryFee,
+  findDeliverySlot,
+  formatSlotWindow,
+  getShopNow,
+  isSlotPast,
+  listDeliveryZones,
+  normalizeDate,
+  normalizeMemorySlot,
+  normalizeMemoryZone,
+  normalizePostcode,
+  resolveDeliveryZone,
+  toSlotModel,
+  toZoneModel,
+  validateSlotPayload,
+  validateZonePayload
+};
@@ -0,0 +1,111 @@
+const { createHash } = require("node:crypto");
+
+const IMAGE_WIDTHS = [320, 480, 768, 1080];
+const CARD_ASPECT_RATIO = 4 / 3;
+const DERIVATIVE_FORMATS = {
+  avif: { contentType: "image/avif", options: { quality: 50 } },
+  webp: { contentType: "image/webp", options: { quality: 75 } }
+};
+
+function toImageModel(image) {
+  const focusX = Number(image?.focusX);
+  const focusY = Number(image?.focusY);
+  return {
+    url: String(image?.url || ""),
+    focusX: Number.isFinite(focusX) ? focusX : 50,
+    focusY: Number.isFinite(focusY) ? focusY : 50,
+    alt: String(image?.alt || "")
+  };
+}
+
+function resolveFlowerImages(images, primary) {
+  if (Array.isArray(images) && images.length > 0) {
+    return images.map(toImageModel);
+  }
+  return primary.url ? [toImageModel(primary)] : [];
+}
+
+function imageVersion(...parts) {
+  return createHash("sha1").update(parts.join("|")).digest("hex").slice(0, 10);
+}
+
+function buildSrcset(query) {
+  return Object.fromEntries(
+    Object.keys(DERIVATIVE_FORMATS).map((format) => [
+      format,
+      IMAGE_WIDTHS.map((width) => {
+        const params = new URLSearchParams({ ...query, w: String(width), format });
+        return `/api/images?${params} ${width}w`;
+      }).join(", ")
+    ])
+  );
+}
+
+function withImageSrcsets(flower) {
+  return {
+    ...flower,
+    images: flower.images.map((image, index) => ({
+      ...image,
+      srcset: buildSrcset({
+        flower: flower.id,
+        index: String(index),
+        v: imageVersion(image.url, image.focusX, image.focusY)
+      })
+    }))
+  };
+}
+
+function heroImageSrcset(heroImage) {
+  return buildSrcset({ hero: "1", v: imageVersion(heroImage) });
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function focalCrop({ width, height }, focusX, focusY, aspectRatio) {
+  let cropWidth = width;
+  let cropHeight = Math.round(width / aspectRatio);
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = Math.round(height * aspectRatio);
+  }
+
+  return {
+    left: clamp(Math.round((width * focusX) / 100 - cropWidth / 2), 0, width - cropWidth),
+    top: clamp(Math.round((height * focusY) / 100 - cropHeight / 2), 0, height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+async function renderDerivative(buffer, { width, format, focus }) {
+  const sharp = require("sharp");
+  let pipeline = sharp(buffer).autoOrient();
+
+  if (focus) {
+    const metadata = await sharp(buffer).metadata();
+    const rotated = Number(metadata.orientation || 1) >= 5;
+    const size = rotated
+      ? { width: metadata.height, height: metadata.width }
+      : { width: metadata.width, height: metadata.height };
+    pipeline = pipeline.extract(focalCrop(size, focus.x, focus.y, CARD_ASPECT_RATIO));
+  }
+
+  return pipeline
+    .resize({ width, withoutEnlargement: true })
+    [format](DERIVATIVE_FORMATS[format].options)
+    .toBuffer();
+}
+
+module.exports = {
+  DERIVATIVE_FORMATS,
+  IMAGE_WIDTHS,
+  focalCrop,
+  heroImageSrcset,
+  imageVersion,
+  renderDerivative,
+  resolveFlowerImages,
+  toImageModel,
+  withImageSrcsets
+};
@@ -0,0 +1,483 @@
+const { getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured, toInFilter } = require("./_db");
+const { getPaymentProvider } = require("./_payments");
+
+const ALLOWED_PAYMENT_STATUSES = new Set(["pending", "paid", "failed"]);
+const REFUNDED_PAYMENT_STATUSES = new Set(["refunded", "partially_refunded"]);
+const ALLOWED_REFUND_STATUSES = new Set(["pending", "completed", "failed"]);
+const FULFILMENT_TRANSITIONS = {
+  confirmed: ["preparing", "cancelled"],
+  preparing: ["out-for-delivery", "cancelled"],
+  "out-for-delivery": ["delivered", "cancelled"],
+  delivered: [],
+  cancelled: []
+};
+const ALLOWED_FULFILMENT_STATUSES = new Set(Object.keys(FULFILMENT_TRANSITIONS));
+
+function normalizePaymentMethod(value) {
+  const normalized = String(value || "cash")
+    .trim()
+    .toLowerCase();
+  return getPaymentProvider(normalized) ? normalized : null;
+}
+
+function normalizePaymentStatus(value) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return ALLOWED_PAYMENT_STATUSES.has(normalized) ? normalized : null;
+}
+
+function normalizeStoredPaymentStatus(value) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return REFUNDED_PAYMENT_STATUSES.has(normalized) ? "paid" : normalizePaymentStatus(normalized);
+}
+
+function isPaidPaymentStatus(status) {
+  return status === "paid" || REFUNDED_PAYMENT_STATUSES.has(status);
+}
+
+function normalizeFulfilmentStatus(value) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return ALLOWED_FULFILMENT_STATUSES.has(normalized) ? normalized : null;
+}
+
+function normalizeFulfilmentHistory(history, fallbackAt) {
+  const entries = Array.isArray(history)
+    ? history
+        .map((entry) => ({
+          status: normalizeFulfilmentStatus(entry?.status),
+          at: entry?.at || fallbackAt,
+          by: entry?.by || null
+        }))
+        .filter((entry) => entry.status)
+    : [];
+
+  if (entries.length === 0) {
+    return [{ status: "confirmed", at: fallbackAt, by: null }];
+  }
+  return entries;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function normalizeProviderRefundStatus(value) {
+  const normalized = String(value || "").trim().toLowerCase();
+  if (normalized === "completed" || normalized === "succeeded") {
+    return "completed";
+  }
+  if (normalized === "failed" || normalized === "canceled" || normalized === "cancelled") {
+    return "failed";
+  }
+  return "pending";
+}
+
+function normalizeRefunds(refunds) {
+  return (Array.isArray(refunds) ? refunds : []).map((refund) => ({
+    id: refund.id,
+    amount: roundMoney(refund.amount),
+    reason: String(refund.reason || ""),
+    issuedBy: refund.issuedBy || null,
+    provider: refund.provider || "cash",
+    providerReference: refund.providerReference || null,
+    status: ALLOWED_REFUND_STATUSES.has(refund.status) ? refund.status : "pending",
+    createdAt: refund.createdAt || new Date().toISOString()
+  }));
+}
+
+function toRefundModel(refundRow) {
+  return {
+    id: refundRow.id,
+    amount: refundRow.amount,
+    reason: refundRow.reason,
+    issuedBy: refundRow.issued_by,
+    provider: refundRow.provider,
+    providerReference: refundRow.provider_reference,
+    status: refundRow.status,
+    createdAt: refundRow.created_at
+  };
+}
+
+function withRefundSummary(order) {
+  const refunds = normalizeRefunds(order.refunds);
+  const refundedTotal = roundMoney(
+    refunds
+      .filter((refund) => refund.status === "completed")
+      .reduce((sum, refund) => sum + refund.amount, 0)
+  );
+
+  let paymentStatus = order.paymentStatus;
+  if (paymentStatus === "paid" && refundedTotal > 0) {
+    paymentStatus = refundedTotal >= roundMoney(order.total) ? "refunded" : "partially_refunded";
+  }
+
+  return { ...order, paymentStatus, refunds, refundedTotal };
+}
+
+function toOrderModel(orderRow, itemRows, refundRows = []) {
+  const items = itemRows
+    .filter((item) => item.order_id === orderRow.id)
+    .map((item) => ({
+      flowerId: item.flower_id,
+      name: item.name,
+      variantId: item.variant_id || null,
+      variantName: item.variant_name || null,
+      addOns: Array.isArray(item.add_ons) ? item.add_ons : [],
+      unitPrice: Number(item.unit_price),
+      quantity: Number(item.quantity),
+      lineTotal: Number(item.line_total)
+    }));
+
+  const paymentMethod = normalizePaymentMethod(orderRow.payment_method) || "cash";
+  const paymentStatus = normalizeStoredPaymentStatus(orderRow.payment_status) || "pending";
+  const createdAt = orderRow.created_at || new Date().toISOString();
+
+  return withRefundSummary({
+    id: orderRow.id,
+    userId: orderRow.user_id || null,
+    customer: {
+      name: orderRow.customer_name,
+      email: orderRow.customer_email,
+      phone: orderRow.customer_phone || "",
+      address: orderRow.customer_address,
+      city: orderRow.customer_city || "",
+      postcode: orderRow.customer_postcode || null
+    },
+    recipient: orderRow.recipient_name
+      ? {
+          name: orderRow.recipient_name,
+          phone: orderRow.recipient_phone || null,
+          address: orderRow.recipient_address || null
+        }
+      : null,
+    giftMessage: orderRow.gift_message || null,
+    sendAnonymously: Boolean(orderRow.send_anonymously),
+    paymentMethod,
+    paymentStatus,
+    paymentReference: orderRow.payment_reference || null,
+    deliverySlotId: orderRow.delivery_slot_id || null,
+    deliveryDate: orderRow.delivery_date ? String(orderRow.delivery_date).slice(0, 10) : null,
+    deliveryWindow: orderRow.delivery_window || null,
+    deliveryZoneId: orderRow.delivery_zone_id || null,
+    deliveryZoneName: orderRow.delivery_zone_name || null,
+    fulfilmentStatus: normalizeFulfilmentStatus(orderRow.fulfilment_status) || "confirmed",
+    fulfilmentHistory: normalizeFulfilmentHistory(orderRow.fulfilment_history, createdAt),
+    cancellationReason: orderRow.cancellation_reason || null,
+    cancelledAt: orderRow.cancelled_at || null,
+    items,
+    refunds: refundRows
+      .filter((refund) => refund.order_id === orderRow.id)
+      .map((refund) => toRefundModel(refund)),
+    subtotal: Number(orderRow.subtotal ?? orderRow.total),
+    deliveryFee: Number(orderRow.delivery_fee || 0),
+    promoCode: orderRow.promo_code || null,
+    discount: Number(orderRow.discount || 0),
+    total: Number(orderRow.total),
+    currency: orderRow.currency || "USD",
+    exchangeRate: Number(orderRow.exchange_rate || 1),
+    convertedTotals: {
+      subtotal: Number(orderRow.converted_subtotal ?? orderRow.subtotal ?? orderRow.total),
+      deliveryFee: Number(orderRow.converted_delivery_fee ?? orderRow.delivery_fee ?? 0),
+      discount: Number(orderRow.converted_discount ?? orderRow.discount ?? 0),
+      total: Number(orderRow.converted_total ?? orderRow.total)
+    },
+    createdAt
+  });
+}
+
+function normalizeLegacyOrder(order) {
+  return withRefundSummary({
+    ...order,
+    userId: order?.userId || null,
+    customer: {
+      name: String(order?.customer?.name || "").trim(),
+      email: String(order?.customer?.email || "").trim(),
+      phone: String(order?.customer?.phone || "").trim(),
+      address: String(order?.customer?.address || "").trim(),
+      city: String(order?.customer?.city || "").trim(),
+      postcode: order?.customer?.postcode || null
+    },
+    recipient: order?.recipient?.name ? order.recipient : null,
+    giftMessage: order?.giftMessage || null,
+    sendAnonymously: Boolean(order?.sendAnonymously),
+    paymentMethod: normalizePaymentMethod(order?.paymentMethod) || "cash",
+    paymentStatus: normalizeStoredPaymentStatus(order?.paymentStatus) || "pending",
+    paymentReference: order?.paymentReference || null,
+    deliverySlotId: order?.deliverySlotId || null,
+    deliveryDate: order?.deliveryDate || null,
+    deliveryWindow: order?.deliveryWindow || null,
+    deliveryZoneId: order?.deliveryZoneId || null,
+    deliveryZoneName: order?.deliveryZoneName || null,
+    subtotal: Number(order?.subtotal ?? order?.total ?? 0),
+    deliveryFee: Number(order?.deliveryFee || 0),
+    promoCode: order?.promoCode || null,
+    discount: Number(order?.discount || 0),
+    currency: order?.currency || "USD",
+    exchangeRate: Number(order?.exchangeRate || 1),
+    convertedTotals: order?.convertedTotals || {
+      subtotal: Number(order?.subtotal ?? order?.total ?? 0),
+      deliveryFee: Number(order?.deliveryFee || 0),
+      discount: Number(order?.discount || 0),
+      total: Number(order?.total || 0)
+    },
+    fulfilmentStatus: normalizeFulfilmentStatus(order?.fulfilmentStatus) || "confirmed",
+    fulfilmentHistory: normalizeFulfilmentHistory(order?.fulfilmentHistory, order?.createdAt),
+    cancellationReason: order?.cancellationReason || null,
+    cancelledAt: order?.cancelledAt || null,
+    items: (Array.isArray(order?.items) ? order.items : []).map((item) => ({
+      ...item,
+      variantId: item.variantId || null,
+      variantName: item.variantName || null,
+      addOns: Array.isArray(item.addOns) ? item.addOns : []
+    })),
+    refunds: order?.refunds
+  });
+}
+
+function normalizeCartItems(items) {
+  const lines = new Map();
+
+  for (const item of items) {
+    const flowerId = String(item?.flowerId || "").trim();
+    const quantity = Number(item?.quantity);
+    if (!flowerId || !Number.isInteger(quantity) || quantity <= 0 || quantity > 100) {
+      throw new Error("invalid cart item payload");
+    }
+
+    if (item.addOnIds !== undefined && !Array.isArray(item.addOnIds)) {
+      throw new Error("invalid cart item payload");
+    }
+    const variantId = String(item.variantId || "").trim() || null;
+    const addOnIds = [
+      ...new Set((item.addOnIds || []).map((id) => String(id || "").trim()).filter(Boolean))
+    ].sort();
+    if (addOnIds.length > 10) {
+      throw new Error("invalid cart item payload");
+    }
+
+    const key = [flowerId, variantId || "", addOnIds.join(",")].join("|");
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += quantity;
+    } else {
+      lines.set(key, { flowerId, variantId, addOnIds, quantity });
+    }
+  }
+
+  return [...lines.values()];
+}
+
+function toOrderView(order, user) {
+  if (user?.role === "admin") {
+    return order;
+  }
+  const { recipient, ...visible } = order;
+  return visible;
+}
+
+async function listOrderRefundRowsFromDb(orderIds) {
+  return dbRequest({
+    table: "order_refunds",
+    method: "GET",
+    query: {
+      select: "*",
+      order_id: toInFilter(orderIds),
+      order: "created_at.asc"
+    },
+    prefer: null
+  });
+}
+
+async function findOrderInDb(orderId) {
+  const rows = await dbRequest({
+    table: "orders",
+    method: "GET",
+    query: {
+      select: "*",
+      id: `eq.${orderId}`,
+      limit: 1
+    },
+    prefer: null
+  });
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const itemRows = await dbRequest({
+    table: "order_items",
+    method: "GET",
+    query: {
+      select: "*",
+      order_id: `eq.${orderId}`,
+      order: "id.asc"
+    },
+    prefer: null
+  });
+  const refundRows = await listOrderRefundRowsFromDb([orderId]);
+
+  return toOrderModel(rows[0], itemRows, refundRows);
+}
+
+function findOrderInMemory(orderId) {
+  const order = getStore().orders.find((entry) => entry.id === orderId);
+  if (!order) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+  return normalizeLegacyOrder(order);
+}
+
+async function findOrder(orderId) {
+  return isDatabaseConfigured() ? findOrderInDb(orderId) : findOrderInMemory(orderId);
+}
+
+async function findOrderForUser(orderId, user) {
+  const order = await findOrder(orderId);
+  if (user.role !== "admin" && order.userId !== user.id) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+  return order;
+}
+
+async function updateOrderPaymentInDb(orderId, { paymentStatus, paymentReference }) {
+  const patchPayload = {};
+  if (paymentStatus !== undefined) {
+    patchPayload.payment_status = paymentStatus;
+  }
+  if (paymentReference !== undefined) {
+    patchPayload.payment_reference = paymentReference;
+  }
+
+  const rows = await dbRequest({
+    table: "orders",
+    method: "PATCH",
+    query: {
+      id: `eq.${orderId}`,
+      select: "*"
+    },
+    body: patchPayload
+  });
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const itemRows = await dbRequest({
+    table: "order_items",
+    method: "GET",
+    query: {
+      select: "*",
+      order_id: `eq.${orderId}`,
+      order: "id.asc"
+    },
+    prefer: null
+  });
+  const refundRows = await listOrderRefundRowsFromDb([orderId]);
+
+  return toOrderModel(rows[0], itemRows, refundRows);
+}
+
+function updateOrderPaymentInMemory(orderId, { paymentStatus, paymentReference }) {
+  const store = getStore();
+  const index = store.orders.findIndex((order) => order.id === orderId);
+  if (index === -1) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const normalized = normalizeLegacyOrder(store.orders[index]);
+  const updatedOrder = {
+    ...normalized,
+    ...(paymentStatus !== undefined ? { paymentStatus } : {}),
+    ...(paymentReference !== undefined ? { paymentReference } : {})
+  };
+  store.orders[index] = updatedOrder;
+  return normalizeLegacyOrder(updatedOrder);
+}
+
+async function updateOrderPayment(orderId, changes) {
+  return isDatabaseConfigured()
+    ? updateOrderPaymentInDb(orderId, changes)
+    : updateOrderPaymentInMemory(orderId, changes);
+}
+
+async function settlePendingRefundInDb(providerId, providerReference, status) {
+  await dbRequest({
+    table: "order_refunds",
+    method: "PATCH",
+    query: {
+      provider: `eq.${providerId}`,
+      provider_reference: `eq.${providerReference}`,
+      status: "eq.pending"
+    },
+    body: { status },
+    prefer: null
+  });
+}
+
+function settlePendingRefundInMemory(providerId, providerReference, status) {
+  const store = getStore();
+  store.orders = store.orders.map((order) => {
+    const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+    const matches = (refund) =>
+      refund.provider === providerId &&
+      refund.providerReference === providerReference &&
+      refund.status === "pending";
+    if (!refunds.some(matches)) {
+      return order;
+    }
+    return normalizeLegacyOrder({
+      ...order,
+      refunds: refunds.map((refund) => (matches(refund) ? { ...refund, status } : refund))
+    });
+  });
+}
+
+// Providers may answer a refund with "pending" and report the outcome later by webhook.
+async function settlePendingRefund(providerId, providerReference, providerStatus) {
+  const status = normalizeProviderRefundStatus(providerStatus);
+  if (!providerReference || status === "pending") {
+    return;
+  }
+  if (isDatabaseConfigured()) {
+    await settlePendingRefundInDb(providerId, providerReference, status);
+  } else {
+    settlePendingRefundInMemory(providerId, providerReference, status);
+  }
+}
+
+module.exports = {
+  ALLOWED_FULFILMENT_STATUSES,
+  FULFILMENT_TRANSITIONS,
+  findOrder,
+  findOrderForUser,
+  findOrderInDb,
+  isPaidPaymentStatus,
+  listOrderRefundRowsFromDb,
+  normalizeCartItems,
+  normalizeFulfilmentStatus,
+  normalizeLegacyOrder,
+  normalizePaymentMethod,
+  normalizePaymentStatus,
+  normalizeProviderRefundStatus,
+  roundMoney,
+  settlePendingRefund,
+  toOrderModel,
+  toOrderView,
+  updateOrderPayment
+};
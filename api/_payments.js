@@ -0,0 +1,84 @@
+const { paypalProvider } = require("./_paypal");
+const { cardProvider } = require("./_stripe");
+
+const PAYMENT_CURRENCY = "USD";
+
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const cashProvider = {
+  id: "cash",
+  label: "Cash on Delivery",
+  flow: "offline",
+  isEnabled() {
+    return true;
+  },
+  async initiate() {
+    return { reference: null, redirectUrl: "" };
+  },
+  async confirm({ order }) {
+    return { paymentStatus: order.paymentStatus, amount: null };
+  },
+  async refund({ amount }) {
+    return { reference: null, status: "completed", amount };
+  },
+  async webhook() {
+    throw createStatusError("cash payments do not use webhooks", 404);
+  }
+};
+
+const PAYMENT_PROVIDERS = [cashProvider, paypalProvider, cardProvider];
+
+function getPaymentProvider(methodId) {
+  const normalized = String(methodId || "")
+    .trim()
+    .toLowerCase();
+  return PAYMENT_PROVIDERS.find((provider) => provider.id === normalized) || null;
+}
+
+function isPaymentMethodEnabled(methodId) {
+  const provider = getPaymentProvider(methodId);
+  return Boolean(provider && provider.isEnabled());
+}
+
+function listEnabledPaymentMethods() {
+  return PAYMENT_PROVIDERS.filter((provider) => provider.isEnabled()).map((provider) => ({
+    id: provider.id,
+    label: provider.label,
+    flow: provider.flow
+  }));
+}
+
+function getEnabledPaymentProvider(methodId) {
+  const provider = getPaymentProvider(methodId);
+  if (!provider) {
+    throw createStatusError(`unknown payment method: ${methodId}`, 404);
+  }
+  if (!provider.isEnabled()) {
+    throw createStatusError(`${provider.label} payments are not configured`, 503);
+  }
+  return provider;
+}
+
+function toCents(value) {
+  return Math.round(Number(value || 0) * 100);
+}
+
+function isMatchingAmount(amount, expectedTotal) {
+  return (
+    String(amount?.currency || "").toUpperCase() === PAYMENT_CURRENCY &&
+    toCents(amount?.value) === toCents(expectedTotal)
+  );
+}
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  getEnabledPaymentProvider,
+  getPaymentProvider,
+  isMatchingAmount,
+  isPaymentMethodEnabled,
+  listEnabledPaymentMethods
+};
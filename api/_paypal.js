@@ -0,0 +1,277 @@
+const DEFAULT_PAYPAL_API_BASE_URL = "https://api-m.sandbox.paypal.com";
+const PAYPAL_CURRENCY = "USD";
+const PAYMENT_STATUS_BY_EVENT = {
+  "PAYMENT.CAPTURE.COMPLETED": "paid",
+  "PAYMENT.CAPTURE.DENIED": "failed",
+  "PAYMENT.CAPTURE.DECLINED": "failed"
+};
+const REFUND_EVENT = "PAYMENT.CAPTURE.REFUNDED";
+
+function getPaypalBaseUrl() {
+  return String(process.env.PAYPAL_API_BASE_URL || DEFAULT_PAYPAL_API_BASE_URL)
+    .trim()
+    .replace(/\/$/, "");
+}
+
+function getPaypalCredentials() {
+  return {
+    clientId: String(process.env.PAYPAL_CLIENT_ID || "").trim(),
+    clientSecret: String(process.env.PAYPAL_CLIENT_SECRET || "").trim()
+  };
+}
+
+function getPaypalWebhookId() {
+  return String(process.env.PAYPAL_WEBHOOK_ID || "").trim();
+}
+
+function isPaypalConfigured() {
+  const { clientId, clientSecret } = getPaypalCredentials();
+  return Boolean(clientId && clientSecret);
+}
+
+async function paypalRequest(path, { method = "POST", headers = {}, body } = {}) {
+  const response = await fetch(`${getPaypalBaseUrl()}${path}`, {
+    method,
+    headers,
+    body
+  });
+
+  const text = await response.text();
+  let data = null;
+  if (text) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = null;
+    }
+  }
+
+  if (!response.ok) {
+    const detail = Array.isArray(data?.details) ? data.details[0]?.description : "";
+    const error = new Error(
+      detail || data?.message || data?.error_description || `PayPal request failed (${response.status})`
+    );
+    error.status = 502;
+    error.paypalIssue = data?.details?.[0]?.issue || data?.name || "";
+    throw error;
+  }
+
+  return data;
+}
+
+async function getAccessToken() {
+  if (!isPaypalConfigured()) {
+    const error = new Error("PayPal is not configured");
+    error.status = 503;
+    throw error;
+  }
+
+  const { clientId, clientSecret } = getPaypalCredentials();
+  const credentials = Buffer.from(`${clientId}:${clientSecret}`, "utf8").toString("base64");
+  const data = await paypalRequest("/v1/oauth2/token", {
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      "Content-Type": "application/x-www-form-urlencoded"
+    },
+    body: "grant_type=client_credentials"
+  });
+
+  return data.access_token;
+}
+
+async function paypalApiRequest(path, body, method = "POST") {
+  const accessToken = await getAccessToken();
+  return paypalRequest(path, {
+    method,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json"
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+function formatPaypalAmount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function toPaymentAmount(amount) {
+  if (!amount) {
+    return null;
+  }
+  return {
+    currency: String(amount.currency_code || "").toUpperCase(),
+    value: Number(amount.value || 0)
+  };
+}
+
+async function createPaypalOrder({ orderId, total, returnUrl, cancelUrl }) {
+  const data = await paypalApiRequest("/v2/checkout/orders", {
+    intent: "CAPTURE",
+    purchase_units: [
+      {
+        reference_id: orderId,
+        custom_id: orderId,
+        amount: {
+          currency_code: PAYPAL_CURRENCY,
+          value: formatPaypalAmount(total)
+        }
+      }
+    ],
+    application_context: {
+      return_url: returnUrl,
+      cancel_url: cancelUrl,
+      user_action: "PAY_NOW",
+      shipping_preference: "NO_SHIPPING"
+    }
+  });
+
+  const approveLink = (Array.isArray(data?.links) ? data.links : []).find(
+    (link) => link.rel === "approve" || link.rel === "payer-action"
+  );
+
+  return {
+    id: data.id,
+    status: data.status,
+    approveUrl: approveLink?.href || ""
+  };
+}
+
+async function capturePaypalOrder(paypalOrderId) {
+  const orderPath = `/v2/checkout/orders/${encodeURIComponent(paypalOrderId)}`;
+  let data;
+  try {
+    data = await paypalApiRequest(`${orderPath}/capture`, {});
+  } catch (error) {
+    // A retried confirm (lost reply, double submit) finds the order captured already;
+    // read the existing capture back instead of failing.
+    if (error.paypalIssue !== "ORDER_ALREADY_CAPTURED") {
+      throw error;
+    }
+    data = await paypalApiRequest(orderPath, undefined, "GET");
+  }
+
+  const capture = data?.purchase_units?.[0]?.payments?.captures?.[0] || null;
+  return {
+    id: data?.id || paypalOrderId,
+    status: data?.status || "",
+    captureId: capture?.id || "",
+    captureStatus: capture?.status || "",
+    amount: capture?.amount || null,
+    customId: capture?.custom_id || data?.purchase_units?.[0]?.custom_id || ""
+  };
+}
+
+async function refundPaypalOrder(paypalOrderId, { amount, note }) {
+  const data = await paypalApiRequest(
+    `/v2/checkout/orders/${encodeURIComponent(paypalOrderId)}`,
+    undefined,
+    "GET"
+  );
+  const captureId = data?.purchase_units?.[0]?.payments?.captures?.[0]?.id;
+  if (!captureId) {
+    const error = new Error("PayPal order has no capture to refund");
+    error.status = 409;
+    throw error;
+  }
+
+  return paypalApiRequest(`/v2/payments/captures/${encodeURIComponent(captureId)}/refund`, {
+    amount: {
+      currency_code: PAYPAL_CURRENCY,
+      value: formatPaypalAmount(amount)
+    },
+    note_to_payer: note || undefined
+  });
+}
+
+async function verifyWebhookEvent(headers, event) {
+  const webhookId = getPaypalWebhookId();
+  if (!webhookId) {
+    const error = new Error("PayPal webhook is not configured");
+    error.status = 503;
+    throw error;
+  }
+
+  const header = (name) => String(headers?.[name] || "");
+  const data = await paypalApiRequest("/v1/notifications/verify-webhook-signature", {
+    auth_algo: header("paypal-auth-algo"),
+    cert_url: header("paypal-cert-url"),
+    transmission_id: header("paypal-transmission-id"),
+    transmission_sig: header("paypal-transmission-sig"),
+    transmission_time: header("paypal-transmission-time"),
+    webhook_id: webhookId,
+    webhook_event: event
+  });
+
+  return data?.verification_status === "SUCCESS";
+}
+
+const paypalProvider = {
+  id: "paypal",
+  label: "PayPal",
+  flow: "redirect",
+  isEnabled() {
+    return isPaypalConfigured();
+  },
+  async initiate({ order, returnUrl, cancelUrl }) {
+    const paypalOrder = await createPaypalOrder({
+      orderId: order.id,
+      total: order.total,
+      returnUrl,
+      cancelUrl
+    });
+    return { reference: paypalOrder.id, redirectUrl: paypalOrder.approveUrl };
+  },
+  async confirm({ order }) {
+    const capture = await capturePaypalOrder(order.paymentReference);
+    const paymentStatus =
+      capture.captureStatus === "COMPLETED"
+        ? "paid"
+        : capture.captureStatus === "PENDING"
+          ? "pending"
+          : "failed";
+    return { paymentStatus, amount: toPaymentAmount(capture.amount) };
+  },
+  async refund({ order, amount, reason }) {
+    const refund = await refundPaypalOrder(order.paymentReference, { amount, note: reason });
+    return {
+      reference: refund?.id || null,
+      status: String(refund?.status || "").toLowerCase(),
+      amount
+    };
+  },
+  async webhook({ headers, rawBody }) {
+    let event;
+    try {
+      event = JSON.parse(rawBody || "{}");
+    } catch {
+      const error = new Error("invalid JSON body");
+      error.status = 400;
+      throw error;
+    }
+
+    const verified = await verifyWebhookEvent(headers, event);
+    if (!verified) {
+      const error = new Error("webhook signature verification failed");
+      error.status = 400;
+      throw error;
+    }
+
+    if (event?.event_type === REFUND_EVENT) {
+      const refund = event.resource;
+      return { refund: { reference: refund?.id || null, status: String(refund?.status || "") } };
+    }
+
+    const paymentStatus = PAYMENT_STATUS_BY_EVENT[event?.event_type];
+    const orderId = String(event?.resource?.custom_id || "").trim();
+    if (!paymentStatus || !orderId) {
+      return null;
+    }
+
+    return { orderId, paymentStatus, amount: toPaymentAmount(event.resource.amount) };
+  }
+};
+
+module.exports = {
+  paypalProvider
+};
@@ -0,0 +1,307 @@
+const { getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+const { roundMoney } = require("./_orders");
+
+const PROMO_TYPES = ["percentage", "fixed", "free_delivery"];
+const PROMO_CODE_REGEX = /^[A-Z0-9_-]{3,32}$/;
+const MAX_PROMO_RESTRICTIONS = 100;
+const MAX_FIXED_DISCOUNT = 10000;
+
+function normalizePromoCode(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function toNullableNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function toPromoModel(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    type: row.type,
+    value: Number(row.value || 0),
+    startsAt: row.starts_at || null,
+    endsAt: row.ends_at || null,
+    maxUses: toNullableNumber(row.max_uses),
+    perCustomerLimit: toNullableNumber(row.per_customer_limit),
+    occasions: Array.isArray(row.occasions) ? row.occasions : [],
+    flowerIds: Array.isArray(row.flower_ids) ? row.flower_ids : [],
+    usedCount: Number(row.used_count || 0),
+    active: row.active !== false,
+    createdAt: row.created_at || null
+  };
+}
+
+function normalizeMemoryPromo(promo) {
+  return {
+    id: promo.id,
+    code: promo.code,
+    type: promo.type,
+    value: Number(promo.value || 0),
+    startsAt: promo.startsAt || null,
+    endsAt: promo.endsAt || null,
+    maxUses: toNullableNumber(promo.maxUses),
+    perCustomerLimit: toNullableNumber(promo.perCustomerLimit),
+    occasions: Array.isArray(promo.occasions) ? promo.occasions : [],
+    flowerIds: Array.isArray(promo.flowerIds) ? promo.flowerIds : [],
+    usedCount: Number(promo.usedCount || 0),
+    active: promo.active !== false,
+    createdAt: promo.createdAt || null
+  };
+}
+
+function normalizeTimestamp(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = new Date(String(value));
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`${field} must be a valid date and time`);
+  }
+  return parsed.toISOString();
+}
+
+function normalizeLimit(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`${field} must be a positive integer or empty`);
+  }
+  return limit;
+}
+
+function normalizeRestrictionList(value, field) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(",");
+  const normalized = [
+    ...new Set(entries.map((entry) => String(entry || "").trim()).filter(Boolean))
+  ];
+  if (normalized.length > MAX_PROMO_RESTRICTIONS) {
+    throw new Error(`${field} can list at most ${MAX_PROMO_RESTRICTIONS} entries`);
+  }
+  return normalized;
+}
+
+function validatePromoValue(type, value) {
+  if (type === "free_delivery") {
+    return 0;
+  }
+
+  const amount = Number(value);
+  if (type === "percentage") {
+    if (!Number.isInteger(amount) || amount < 1 || amount > 100) {
+      throw new Error("value must be a whole percentage between 1 and 100");
+    }
+    return amount;
+  }
+
+  if (
+    !Number.isFinite(amount) ||
+    amount <= 0 ||
+    amount > MAX_FIXED_DISCOUNT ||
+    roundMoney(amount) !== amount
+  ) {
+    throw new Error(`value must be between 0 and ${MAX_FIXED_DISCOUNT} with at most 2 decimals`);
+  }
+  return amount;
+}
+
+function validatePromoPayload(body, { partial = false, current = null } = {}) {
+  const payload = {};
+
+  if (!partial || body?.code !== undefined) {
+    const code = normalizePromoCode(body?.code);
+    if (!PROMO_CODE_REGEX.test(code)) {
+      throw new Error("code must be 3 to 32 letters, digits, dashes or underscores");
+    }
+    payload.code = code;
+  }
+
+  if (!partial || body?.type !== undefined) {
+    const type = String(body?.type || "").trim();
+    if (!PROMO_TYPES.includes(type)) {
+      throw new Error(`type must be one of: ${PROMO_TYPES.join(", ")}`);
+    }
+    payload.type = type;
+  }
+
+  const type = payload.type || current?.type;
+  if (!partial || body?.value !== undefined || payload.type !== undefined) {
+    payload.value = validatePromoValue(type, body?.value ?? current?.value);
+  }
+
+  for (const field of ["startsAt", "endsAt"]) {
+    if (!partial || body?.[field] !== undefined) {
+      payload[field] = normalizeTimestamp(body?.[field], field);
+    }
+  }
+
+  const startsAt = payload.startsAt !== undefined ? payload.startsAt : current?.startsAt;
+  const endsAt = payload.endsAt !== undefined ? payload.endsAt : current?.endsAt;
+  if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+    throw new Error("startsAt must be before endsAt");
+  }
+
+  for (const field of ["maxUses", "perCustomerLimit"]) {
+    if (!partial || body?.[field] !== undefined) {
+      payload[field] = normalizeLimit(body?.[field], field);
+    }
+  }
+
+  for (const field of ["occasions", "flowerIds"]) {
+    if (!partial || body?.[field] !== undefined) {
+      payload[field] = normalizeRestrictionList(body?.[field], field);
+    }
+  }
+
+  if (!partial || body?.active !== undefined) {
+    if (body?.active !== undefined && typeof body.active !== "boolean") {
+      throw new Error("active must be true or false");
+    }
+    payload.active = body?.active !== false;
+  }
+
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
+  }
+
+  return payload;
+}
+
+function createPromoError(message, status = 422) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function getMemoryPromos() {
+  const store = getStore();
+  if (!Array.isArray(store.promoCodes)) {
+    store.promoCodes = [];
+  }
+  return store.promoCodes;
+}
+
+async function findPromoInDb(code) {
+  const rows = await dbRequest({
+    table: "promo_codes",
+    method: "GET",
+    query: { select: "*", code: `eq.${code}`, limit: 1 },
+    prefer: null
+  });
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw createPromoError("promo code is not valid");
+  }
+  return toPromoModel(rows[0]);
+}
+
+function findPromoInMemory(code) {
+  const promo = getMemoryPromos().find((entry) => entry.code === code);
+  if (!promo) {
+    throw createPromoError("promo code is not valid");
+  }
+  return normalizeMemoryPromo(promo);
+}
+
+async function countCustomerPromoUsesInDb(code, userId) {
+  const rows = await dbRequest({
+    table: "orders",
+    method: "GET",
+    query: {
+      select: "id",
+      promo_code: `eq.${code}`,
+      user_id: `eq.${userId}`,
+      fulfilment_status: "neq.cancelled"
+    },
+    prefer: null
+  });
+  return Array.isArray(rows) ? rows.length : 0;
+}
+
+function countCustomerPromoUsesInMemory(code, userId) {
+  return getStore().orders.filter(
+    (order) =>
+      order.promoCode === code &&
+      order.userId === userId &&
+      order.fulfilmentStatus !== "cancelled"
+  ).length;
+}
+
+function isLineEligible(promo, line) {
+  if (promo.flowerIds.length > 0 && promo.flowerIds.includes(line.flowerId)) {
+    return true;
+  }
+  if (promo.occasions.length > 0 && promo.occasions.includes(line.occasion)) {
+    return true;
+  }
+  return promo.flowerIds.length === 0 && promo.occasions.length === 0;
+}
+
+function calculatePromoDiscount(promo, { lines, deliveryFee = 0, customerUses = 0 }) {
+  const now = Date.now();
+  if (!promo.active) {
+    throw createPromoError("promo code is not active");
+  }
+  if (promo.startsAt && now < new Date(promo.startsAt).getTime()) {
+    throw createPromoError("promo code is not valid yet");
+  }
+  if (promo.endsAt && now >= new Date(promo.endsAt).getTime()) {
+    throw createPromoError("promo code has expired");
+  }
+  if (promo.maxUses !== null && promo.usedCount >= promo.maxUses) {
+    throw createPromoError("promo code has reached its usage limit", 409);
+  }
+  if (promo.perCustomerLimit !== null && customerUses >= promo.perCustomerLimit) {
+    throw createPromoError("you have already used this promo code", 409);
+  }
+
+  const eligibleLines = lines.filter((line) => isLineEligible(promo, line));
+  if (eligibleLines.length === 0) {
+    throw createPromoError("promo code does not apply to the items in your cart");
+  }
+
+  if (promo.type === "free_delivery") {
+    return roundMoney(deliveryFee);
+  }
+
+  const eligibleSubtotal = roundMoney(
+    eligibleLines.reduce((sum, line) => sum + Number(line.lineTotal), 0)
+  );
+  if (promo.type === "percentage") {
+    return roundMoney((eligibleSubtotal * promo.value) / 100);
+  }
+  return roundMoney(Math.min(promo.value, eligibleSubtotal));
+}
+
+async function applyPromoCode(code, { userId, lines, deliveryFee }) {
+  if (!isDatabaseConfigured()) {
+    return applyPromoCodeInMemory(code, { userId, lines, deliveryFee });
+  }
+
+  const promo = await findPromoInDb(normalizePromoCode(code));
+  const customerUses = userId ? await countCustomerPromoUsesInDb(promo.code, userId) : 0;
+  return { promo, discount: calculatePromoDiscount(promo, { lines, deliveryFee, customerUses }) };
+}
+
+function applyPromoCodeInMemory(code, { userId, lines, deliveryFee }) {
+  const promo = findPromoInMemory(normalizePromoCode(code));
+  const customerUses = userId ? countCustomerPromoUsesInMemory(promo.code, userId) : 0;
+  return { promo, discount: calculatePromoDiscount(promo, { lines, deliveryFee, customerUses }) };
+}
+
+module.exports = {
+  PROMO_CODE_REGEX,
+  PROMO_TYPES,
+  applyPromoCode,
+  applyPromoCodeInMemory,
+  calculatePromoDiscount,
+  getMemoryPromos,
+  normalizeMemoryPromo,
+  normalizePromoCode,
+  toPromoModel,
+  validatePromoPayload
+};
@@ -0,0 +1,74 @@
+const FLOWER_STATUSES = ["draft", "published"];
+
+function parsePublishDate(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+function normalizePublishing(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial || body.status !== undefined) {
+    const status = String(body.status ?? "published")
+      .trim()
+      .toLowerCase();
+    if (!FLOWER_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${FLOWER_STATUSES.join(", ")}`);
+    }
+    payload.status = status;
+  }
+
+  for (const field of ["publishAt", "unpublishAt"]) {
+    if (!partial || Object.prototype.hasOwnProperty.call(body, field)) {
+      payload[field] = parsePublishDate(body[field], field);
+    }
+  }
+
+  return payload;
+}
+
+function assertPublishWindow({ publishAt, unpublishAt }) {
+  if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+    throw new Error("unpublishAt must be after publishAt");
+  }
+}
+
+function getPublishState(flower, now = new Date()) {
+  if (flower.archivedAt) {
+    return "archived";
+  }
+  if ((flower.status || "published") === "draft") {
+    return "draft";
+  }
+  if (flower.publishAt && new Date(flower.publishAt) > now) {
+    return "scheduled";
+  }
+  if (flower.unpublishAt && new Date(flower.unpublishAt) <= now) {
+    return "ended";
+  }
+  return "live";
+}
+
+function liveFlowerConditions(now = new Date()) {
+  const timestamp = `"${now.toISOString()}"`;
+  return [
+    "archived_at.is.null",
+    "status.eq.published",
+    `or(publish_at.is.null,publish_at.lte.${timestamp})`,
+    `or(unpublish_at.is.null,unpublish_at.gt.${timestamp})`
+  ];
+}
+
+module.exports = {
+  FLOWER_STATUSES,
+  assertPublishWindow,
+  getPublishState,
+  liveFlowerConditions,
+  normalizePublishing
+};
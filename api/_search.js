@@ -0,0 +1,182 @@
+const { dbRpc } = require("./_db");
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "for",
+  "i",
+  "in",
+  "me",
+  "my",
+  "of",
+  "on",
+  "or",
+  "some",
+  "the",
+  "to",
+  "with"
+]);
+const PREFIX_MATCH_FACTOR = 0.75;
+const FUZZY_MATCH_FACTOR = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+
+function stem(token) {
+  if (token.length <= 3 || /(ss|us|is)$/.test(token)) {
+    return token;
+  }
+  if (token.endsWith("ies")) {
+    return `${token.slice(0, -3)}y`;
+  }
+  if (/(ches|shes|sses|xes|zes)$/.test(token)) {
+    return token.slice(0, -2);
+  }
+  if (token.endsWith("s")) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]s\b/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) {
+    return 2;
+  }
+  return term.length >= 4 ? 1 : 0;
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+function createSearchIndex(documents) {
+  const postings = new Map();
+  for (const document of documents) {
+    for (const field of document.fields) {
+      for (const term of tokenize(field.text)) {
+        const entries = postings.get(term) || new Map();
+        entries.set(document.id, Math.max(entries.get(document.id) || 0, field.weight));
+        postings.set(term, entries);
+      }
+    }
+  }
+  return { postings, vocabulary: [...postings.keys()] };
+}
+
+function matchTerm(index, term) {
+  const scores = new Map();
+  const add = (candidate, factor) => {
+    for (const [id, weight] of index.postings.get(candidate)) {
+      scores.set(id, Math.max(scores.get(id) || 0, weight * factor));
+    }
+  };
+
+  if (index.postings.has(term)) {
+    add(term, 1);
+  }
+  const typos = allowedTypos(term);
+  for (const candidate of index.vocabulary) {
+    if (candidate === term) {
+      continue;
+    }
+    if (term.length >= MIN_PREFIX_LENGTH && candidate.startsWith(term)) {
+      add(candidate, PREFIX_MATCH_FACTOR);
+    } else if (typos > 0 && editDistance(term, candidate, typos) <= typos) {
+      add(candidate, FUZZY_MATCH_FACTOR);
+    }
+  }
+  return scores;
+}
+
+function searchIndex(index, query) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) {
+    return [];
+  }
+
+  let totals = null;
+  for (const term of terms) {
+    const scores = matchTerm(index, term);
+    if (totals === null) {
+      totals = scores;
+      continue;
+    }
+    const next = new Map();
+    for (const [id, score] of totals) {
+      if (scores.has(id)) {
+        next.set(id, score + scores.get(id));
+      }
+    }
+    totals = next;
+  }
+
+  return [...totals.entries()]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function flowerSearchDocument(flower) {
+  return {
+    id: flower.id,
+    fields: [
+      { text: flower.name, weight: 3 },
+      { text: (flower.tags || []).map((tag) => tag.label).join(" "), weight: 2 },
+      { text: String(flower.occasion || "").replace(/-/g, " "), weight: 1.5 },
+      { text: flower.description, weight: 1 }
+    ]
+  };
+}
+
+function searchFlowers(flowers, query) {
+  const index = createSearchIndex(flowers.map(flowerSearchDocument));
+  return new Map(searchIndex(index, query).map((result) => [result.id, result.score]));
+}
+
+async function searchDatabaseFlowers(query, { prefix = false } = {}) {
+  const rows = await dbRpc("search_flowers", { p_query: query, p_prefix: prefix });
+  return new Map((rows || []).map((row) => [row.flower_id, Number(row.rank)]));
+}
+
+module.exports = {
+  createSearchIndex,
+  editDistance,
+  searchDatabaseFlowers,
+  searchFlowers,
+  searchIndex,
+  stem,
+  tokenize
+};
@@ -0,0 +1,181 @@
+const { createId, getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured, toInFilter } = require("./_db");
+
+const STOCK_MOVEMENT_REASONS = ["sale", "restock", "adjustment", "cancellation", "spoilage"];
+const MANUAL_STOCK_REASONS = ["restock", "adjustment", "spoilage"];
+const MAX_STOCK = 10000;
+const MAX_STOCK_NOTE_LENGTH = 200;
+const DEFAULT_MOVEMENT_LIMIT = 50;
+const MAX_MOVEMENT_LIMIT = 200;
+
+function toStockMovementModel(row) {
+  return {
+    id: String(row.id),
+    flowerId: String(row.flower_id ?? row.flowerId ?? ""),
+    delta: Number(row.delta || 0),
+    reason: String(row.reason || "adjustment"),
+    actor: row.actor || null,
+    orderId: row.order_id ?? row.orderId ?? null,
+    note: String(row.note || ""),
+    createdAt: row.created_at || row.createdAt || null
+  };
+}
+
+function normalizeStockChange(body) {
+  const reason = String(body?.stockReason ?? "adjustment")
+    .trim()
+    .toLowerCase();
+  if (!MANUAL_STOCK_REASONS.includes(reason)) {
+    throw new Error(`stockReason must be one of: ${MANUAL_STOCK_REASONS.join(", ")}`);
+  }
+
+  const note = String(body?.stockNote ?? "").trim();
+  if (note.length > MAX_STOCK_NOTE_LENGTH) {
+    throw new Error(`stockNote must be at most ${MAX_STOCK_NOTE_LENGTH} characters`);
+  }
+
+  return { reason, note };
+}
+
+function assertStockChangeDirection(reason, delta) {
+  if (reason === "restock" && delta < 0) {
+    throw new Error("a restock cannot lower stock");
+  }
+  if (reason === "spoilage" && delta > 0) {
+    throw new Error("spoilage can only lower stock");
+  }
+}
+
+function getMemoryStockMovements() {
+  const store = getStore();
+  if (!Array.isArray(store.stockMovements)) {
+    store.stockMovements = [];
+  }
+  return store.stockMovements;
+}
+
+async function recordStockMovements(movements) {
+  const entries = movements.filter((movement) => movement.delta !== 0);
+  if (entries.length === 0) {
+    return;
+  }
+  const unknown = entries.find((movement) => !STOCK_MOVEMENT_REASONS.includes(movement.reason));
+  if (unknown) {
+    throw new Error(`unknown stock movement reason: ${unknown.reason}`);
+  }
+
+  const createdAt = new Date().toISOString();
+  if (isDatabaseConfigured()) {
+    await dbRequest({
+      table: "stock_movements",
+      method: "POST",
+      body: entries.map((movement) => ({
+        flower_id: movement.flowerId,
+        delta: movement.delta,
+        reason: movement.reason,
+        actor: movement.actor || null,
+        order_id: movement.orderId || null,
+        note: movement.note || "",
+        created_at: createdAt
+      })),
+      prefer: "return=minimal"
+    });
+    return;
+  }
+
+  getMemoryStockMovements().push(
+    ...entries.map((movement) =>
+      toStockMovementModel({ id: createId(12), createdAt, ...movement })
+    )
+  );
+}
+
+async function listStockMovements(flowerId, limit = DEFAULT_MOVEMENT_LIMIT) {
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "stock_movements",
+      method: "GET",
+      query: {
+        select: "*",
+        flower_id: `eq.${flowerId}`,
+        order: "created_at.desc,id.desc",
+        limit
+      },
+      prefer: null
+    });
+    return (Array.isArray(rows) ? rows : []).map(toStockMovementModel);
+  }
+
+  return getMemoryStockMovements()
+    .filter((movement) => movement.flowerId === flowerId)
+    .reverse()
+    .slice(0, limit)
+    .map(toStockMovementModel);
+}
+
+function toReconciliationModel({ flowerId, name, stock, ledgerStock, movementCount }) {
+  return {
+    flowerId,
+    name,
+    stock,
+    ledgerStock,
+    movementCount,
+    difference: stock - ledgerStock
+  };
+}
+
+async function reconcileStock(flowerIds = null) {
+  let entries;
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "stock_reconciliation",
+      method: "GET",
+      query: {
+        select: "*",
+        ...(flowerIds ? { flower_id: toInFilter(flowerIds) } : {})
+      },
+      prefer: null
+    });
+    entries = (Array.isArray(rows) ? rows : []).map((row) => ({
+      flowerId: row.flower_id,
+      name: row.name,
+      stock: Number(row.stock || 0),
+      ledgerStock: Number(row.ledger_stock || 0),
+      movementCount: Number(row.movement_count || 0)
+    }));
+  } else {
+    const totals = new Map();
+    for (const movement of getMemoryStockMovements()) {
+      const total = totals.get(movement.flowerId) || { ledgerStock: 0, movementCount: 0 };
+      total.ledgerStock += movement.delta;
+      total.movementCount += 1;
+      totals.set(movement.flowerId, total);
+    }
+    entries = getStore()
+      .flowers.filter((flower) => !flowerIds || flowerIds.includes(flower.id))
+      .map((flower) => ({
+        flowerId: flower.id,
+        name: flower.name,
+        stock: Number(flower.stock || 0),
+        ...(totals.get(flower.id) || { ledgerStock: 0, movementCount: 0 })
+      }));
+  }
+
+  return entries
+    .map(toReconciliationModel)
+    .sort(
+      (a, b) => Math.abs(b.difference) - Math.abs(a.difference) || a.name.localeCompare(b.name)
+    );
+}
+
+module.exports = {
+  DEFAULT_MOVEMENT_LIMIT,
+  MAX_MOVEMENT_LIMIT,
+  MAX_STOCK,
+  assertStockChangeDirection,
+  getMemoryStockMovements,
+  listStockMovements,
+  normalizeStockChange,
+  recordStockMovements,
+  reconcileStock
+};
@@ -0,0 +1,114 @@
+const { createId, getStore } = require("./_store");
+const { isDatabaseConfigured } = require("./_db");
+
+const UPLOAD_MAX_BYTES = 4 * 1024 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const UPLOAD_NAME_REGEX = /^[a-z0-9]{16}\.(jpg|png|webp)$/;
+const IMAGE_FORMATS = {
+  "image/jpeg": {
+    label: "JPEG",
+    extension: "jpg",
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  "image/png": {
+    label: "PNG",
+    extension: "png",
+    matches: (buffer) => buffer.subarray(0, 8).equals(PNG_SIGNATURE)
+  },
+  "image/webp": {
+    label: "WebP",
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP"
+  }
+};
+
+function createUploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function validateImageUpload(buffer, contentType) {
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  const format = IMAGE_FORMATS[type];
+  if (!format) {
+    throw createUploadError("images must be JPEG, PNG or WebP", 415);
+  }
+  if (!buffer || buffer.length === 0) {
+    throw createUploadError("image file is empty", 400);
+  }
+  if (buffer.length > UPLOAD_MAX_BYTES) {
+    throw createUploadError(`images must be at most ${UPLOAD_MAX_BYTES / 1024 / 1024} MB`, 413);
+  }
+  if (!format.matches(buffer)) {
+    throw createUploadError(`file content is not a valid ${format.label} image`, 415);
+  }
+
+  return { contentType: type, name: `${createId(16)}.${format.extension}` };
+}
+
+function getStorageBucket() {
+  return String(process.env.SUPABASE_STORAGE_BUCKET || "flower-images").trim();
+}
+
+function getSupabaseUrl() {
+  return String(process.env.SUPABASE_URL || "").trim().replace(/\/$/, "");
+}
+
+const supabaseStorageDriver = {
+  async put({ name, buffer, contentType }) {
+    const key = String(process.env.SUPABASE_SERVICE_ROLE_KEY || "").trim();
+    const objectPath = `${getStorageBucket()}/${name}`;
+    const response = await fetch(`${getSupabaseUrl()}/storage/v1/object/${objectPath}`, {
+      method: "POST",
+      headers: {
+        apikey: key,
+        Authorization: `Bearer ${key}`,
+        "Content-Type": contentType,
+        "Cache-Control": "max-age=31536000",
+        "x-upsert": "false"
+      },
+      body: buffer
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw createUploadError(
+        data?.message || data?.error || `storage upload failed (${response.status})`,
+        502
+      );
+    }
+
+    return `${getSupabaseUrl()}/storage/v1/object/public/${objectPath}`;
+  }
+};
+
+const memoryStorageDriver = {
+  async put({ name, buffer, contentType, origin }) {
+    const store = getStore();
+    if (!store.uploads) {
+      store.uploads = {};
+    }
+    store.uploads[name] = { buffer, contentType };
+    return `${origin}/api/uploads?name=${name}`;
+  },
+
+  get(name) {
+    if (!UPLOAD_NAME_REGEX.test(String(name || ""))) {
+      return null;
+    }
+    return getStore().uploads?.[name] || null;
+  }
+};
+
+function getStorageDriver() {
+  return isDatabaseConfigured() ? supabaseStorageDriver : memoryStorageDriver;
+}
+
+module.exports = {
+  UPLOAD_MAX_BYTES,
+  getStorageDriver,
+  memoryStorageDriver,
+  validateImageUpload
+};
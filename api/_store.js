@@ -61,11 +61,28 @@ function clone(value) {
   return JSON.parse(JSON.stringify(value));
 }
 
+function toOpeningStockMovement(flower) {
+  return {
+    id: `opening-${flower.id}`,
+    flowerId: flower.id,
+    delta: flower.stock,
+    reason: "restock",
+    actor: null,
+    orderId: null,
+    note: "opening balance",
+    createdAt: flower.createdAt
+  };
+}
+
 function getStore() {
   if (!globalThis.__FLOWER_STORE__) {
     globalThis.__FLOWER_STORE__ = {
       flowers: clone(seedFlowers),
+      stockMovements: seedFlowers.map(toOpeningStockMovement),
       orders: [],
+      deliverySlots: [],
+      deliveryZones: [],
+      promoCodes: [],
       users: [],
       notifications: [],
       settings: {
@@ -85,5 +102,6 @@ module.exports = {
   DEFAULT_HERO_IMAGE,
   seedFlowers,
   getStore,
+  toOpeningStockMovement,
   createId
 };
@@ -0,0 +1,257 @@
+const crypto = require("node:crypto");
+
+const DEFAULT_STRIPE_API_BASE_URL = "https://api.stripe.com";
+const STRIPE_CURRENCY = "usd";
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+const PAYMENT_STATUS_BY_EVENT = {
+  "checkout.session.async_payment_succeeded": "paid",
+  "checkout.session.async_payment_failed": "failed",
+  "checkout.session.expired": "failed"
+};
+const REFUND_EVENTS = new Set(["refund.updated", "charge.refund.updated"]);
+
+function getStripeBaseUrl() {
+  return String(process.env.STRIPE_API_BASE_URL || DEFAULT_STRIPE_API_BASE_URL)
+    .trim()
+    .replace(/\/$/, "");
+}
+
+function getStripeSecretKey() {
+  return String(process.env.STRIPE_SECRET_KEY || "").trim();
+}
+
+function getStripeWebhookSecret() {
+  return String(process.env.STRIPE_WEBHOOK_SECRET || "").trim();
+}
+
+function isStripeConfigured() {
+  return Boolean(getStripeSecretKey());
+}
+
+function appendFormFields(params, value, prefix) {
+  if (value === undefined || value === null) {
+    return params;
+  }
+
+  if (Array.isArray(value)) {
+    value.forEach((entry, index) => appendFormFields(params, entry, `${prefix}[${index}]`));
+    return params;
+  }
+
+  if (typeof value === "object") {
+    Object.entries(value).forEach(([key, entry]) =>
+      appendFormFields(params, entry, prefix ? `${prefix}[${key}]` : key)
+    );
+    return params;
+  }
+
+  params.append(prefix, String(value));
+  return params;
+}
+
+async function stripeRequest(path, { method = "POST", body } = {}) {
+  if (!isStripeConfigured()) {
+    const error = new Error("card payments are not configured");
+    error.status = 503;
+    throw error;
+  }
+
+  const response = await fetch(`${getStripeBaseUrl()}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${getStripeSecretKey()}`,
+      "Content-Type": "application/x-www-form-urlencoded"
+    },
+    body: body ? appendFormFields(new URLSearchParams(), body, "").toString() : undefined
+  });
+
+  const text = await response.text();
+  let data = null;
+  if (text) {
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = null;
+    }
+  }
+
+  if (!response.ok) {
+    const error = new Error(data?.error?.message || `card request failed (${response.status})`);
+    error.status = 502;
+    throw error;
+  }
+
+  return data;
+}
+
+function toCents(value) {
+  return Math.round(Number(value || 0) * 100);
+}
+
+function toPaymentAmount(session) {
+  if (!Number.isFinite(Number(session?.amount_total))) {
+    return null;
+  }
+  return {
+    currency: String(session.currency || "").toUpperCase(),
+    value: Number(session.amount_total) / 100
+  };
+}
+
+function withSessionReference(url) {
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}reference={CHECKOUT_SESSION_ID}`;
+}
+
+function getSessionPaymentStatus(session) {
+  if (session?.payment_status === "paid" || session?.payment_status === "no_payment_required") {
+    return "paid";
+  }
+  if (session?.status === "expired") {
+    return "failed";
+  }
+  return "pending";
+}
+
+function parseSignatureHeader(value) {
+  return String(value || "")
+    .split(",")
+    .map((part) => part.trim().split("="))
+    .reduce(
+      (result, [key, entry]) => {
+        if (key === "t") {
+          result.timestamp = Number(entry);
+        } else if (key === "v1" && entry) {
+          result.signatures.push(entry);
+        }
+        return result;
+      },
+      { timestamp: NaN, signatures: [] }
+    );
+}
+
+function verifyWebhookSignature(rawBody, signatureHeader) {
+  const secret = getStripeWebhookSecret();
+  if (!secret) {
+    const error = new Error("card webhook is not configured");
+    error.status = 503;
+    throw error;
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(signatureHeader);
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`, "utf8")
+    .digest();
+
+  return signatures.some((signature) => {
+    const provided = Buffer.from(signature, "hex");
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+const cardProvider = {
+  id: "card",
+  label: "Card",
+  flow: "redirect",
+  isEnabled() {
+    return isStripeConfigured();
+  },
+  async initiate({ order, returnUrl, cancelUrl }) {
+    const session = await stripeRequest("/v1/checkout/sessions", {
+      body: {
+        mode: "payment",
+        client_reference_id: order.id,
+        customer_email: order.customer?.email || undefined,
+        success_url: withSessionReference(returnUrl),
+        cancel_url: cancelUrl,
+        metadata: { order_id: order.id },
+        payment_intent_data: { metadata: { order_id: order.id } },
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: STRIPE_CURRENCY,
+              unit_amount: toCents(order.total),
+              product_data: { name: `Flower order ${order.id}` }
+            }
+          }
+        ]
+      }
+    });
+
+    return { reference: session.id, redirectUrl: session.url || "" };
+  },
+  async confirm({ order }) {
+    const session = await stripeRequest(
+      `/v1/checkout/sessions/${encodeURIComponent(order.paymentReference)}`,
+      { method: "GET" }
+    );
+    return { paymentStatus: getSessionPaymentStatus(session), amount: toPaymentAmount(session) };
+  },
+  async refund({ order, amount, reason }) {
+    const session = await stripeRequest(
+      `/v1/checkout/sessions/${encodeURIComponent(order.paymentReference)}`,
+      { method: "GET" }
+    );
+    if (!session?.payment_intent) {
+      const error = new Error("card payment has nothing to refund");
+      error.status = 409;
+      throw error;
+    }
+
+    const refund = await stripeRequest("/v1/refunds", {
+      body: {
+        payment_intent: session.payment_intent,
+        amount: toCents(amount),
+        metadata: { order_id: order.id, reason: reason || undefined }
+      }
+    });
+    return { reference: refund?.id || null, status: String(refund?.status || ""), amount };
+  },
+  async webhook({ headers, rawBody }) {
+    if (!verifyWebhookSignature(rawBody, headers?.["stripe-signature"])) {
+      const error = new Error("webhook signature verification failed");
+      error.status = 400;
+      throw error;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody || "{}");
+    } catch {
+      const error = new Error("invalid JSON body");
+      error.status = 400;
+      throw error;
+    }
+
+    if (REFUND_EVENTS.has(event?.type)) {
+      const refund = event?.data?.object;
+      return { refund: { reference: refund?.id || null, status: String(refund?.status || "") } };
+    }
+
+    const session = event?.data?.object;
+    const orderId = String(session?.client_reference_id || "").trim();
+    const paymentStatus =
+      event?.type === "checkout.session.completed"
+        ? getSessionPaymentStatus(session)
+        : PAYMENT_STATUS_BY_EVENT[event?.type];
+    if (!orderId || !paymentStatus || paymentStatus === "pending") {
+      return null;
+    }
+
+    return { orderId, paymentStatus, amount: toPaymentAmount(session) };
+  }
+};
+
+module.exports = {
+  cardProvider
+};
@@ -0,0 +1,234 @@
+const { getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured, toInFilter } = require("./_db");
+
+const MAX_FLOWER_TAGS = 12;
+const MAX_TAG_LABEL_LENGTH = 40;
+
+function slugifyTag(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function toTagModel(row) {
+  return {
+    slug: String(row.slug || ""),
+    label: String(row.label || row.slug || ""),
+    curated: row.curated === true,
+    createdAt: row.created_at || row.createdAt || null
+  };
+}
+
+function normalizeTagLabel(value) {
+  const label = String(value || "").trim().replace(/\s+/g, " ");
+  const slug = slugifyTag(label);
+  if (!slug) {
+    throw new Error("tag label must contain letters or numbers");
+  }
+  if (label.length > MAX_TAG_LABEL_LENGTH || slug.length > MAX_TAG_LABEL_LENGTH) {
+    throw new Error(`tag label must be at most ${MAX_TAG_LABEL_LENGTH} characters`);
+  }
+  return { slug, label };
+}
+
+function normalizeTagInputs(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) && typeof value !== "string") {
+    throw new Error("tags must be a list");
+  }
+
+  const entries = Array.isArray(value) ? value : value.split(",");
+  const tags = [];
+  for (const entry of entries) {
+    const raw = entry && typeof entry === "object" ? entry.label || entry.slug : entry;
+    if (!String(raw || "").trim()) {
+      continue;
+    }
+    const tag = normalizeTagLabel(raw);
+    if (!tags.some((existing) => existing.slug === tag.slug)) {
+      tags.push(tag);
+    }
+  }
+
+  if (tags.length > MAX_FLOWER_TAGS) {
+    throw new Error(`tags can list at most ${MAX_FLOWER_TAGS} entries`);
+  }
+  return tags;
+}
+
+function parseTagFilter(value) {
+  return [
+    ...new Set(
+      String(value || "")
+        .split(",")
+        .map(slugifyTag)
+        .filter(Boolean)
+    )
+  ];
+}
+
+function getMemoryTags() {
+  const store = getStore();
+  if (!Array.isArray(store.tags)) {
+    store.tags = [];
+  }
+  return store.tags;
+}
+
+function getMemoryFlowerTags() {
+  const store = getStore();
+  if (!Array.isArray(store.flowerTags)) {
+    store.flowerTags = [];
+  }
+  return store.flowerTags;
+}
+
+async function listTags() {
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "tags",
+      method: "GET",
+      query: { select: "*", order: "label.asc" },
+      prefer: null
+    });
+    return rows.map(toTagModel);
+  }
+  return getMemoryTags()
+    .map(toTagModel)
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+async function loadFlowerTags(flowerIds) {
+  const tagsByFlower = new Map();
+  if (flowerIds.length === 0) {
+    return tagsByFlower;
+  }
+
+  let links;
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "flower_tags",
+      method: "GET",
+      query: {
+        select: "flower_id,tag_slug,tags(label)",
+        flower_id: toInFilter(flowerIds),
+        order: "position.asc"
+      },
+      prefer: null
+    });
+    links = rows.map((row) => ({
+      flowerId: row.flower_id,
+      slug: row.tag_slug,
+      label: row.tags?.label || row.tag_slug
+    }));
+  } else {
+    const labels = new Map(getMemoryTags().map((tag) => [tag.slug, tag.label]));
+    links = getMemoryFlowerTags()
+      .filter((link) => flowerIds.includes(link.flowerId))
+      .map((link) => ({
+        flowerId: link.flowerId,
+        slug: link.tagSlug,
+        label: labels.get(link.tagSlug) || link.tagSlug
+      }));
+  }
+
+  for (const link of links) {
+    const tags = tagsByFlower.get(link.flowerId) || [];
+    tags.push({ slug: link.slug, label: link.label });
+    tagsByFlower.set(link.flowerId, tags);
+  }
+  return tagsByFlower;
+}
+
+async function withFlowerTags(flowers) {
+  const tagsByFlower = await loadFlowerTags(flowers.map((flower) => flower.id));
+  return flowers.map((flower) => ({ ...flower, tags: tagsByFlower.get(flower.id) || [] }));
+}
+
+async function findFlowerIdsWithTags(slugs) {
+  let links;
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "flower_tags",
+      method: "GET",
+      query: { select: "flower_id,tag_slug", tag_slug: toInFilter(slugs) },
+      prefer: null
+    });
+    links = rows.map((row) => ({ flowerId: row.flower_id, tagSlug: row.tag_slug }));
+  } else {
+    links = getMemoryFlowerTags().filter((link) => slugs.includes(link.tagSlug));
+  }
+
+  const counts = new Map();
+  for (const link of links) {
+    counts.set(link.flowerId, (counts.get(link.flowerId) || 0) + 1);
+  }
+  return new Set(
+    [...counts.entries()].filter(([, count]) => count === slugs.length).map(([id]) => id)
+  );
+}
+
+async function setFlowerTags(flowerId, tags) {
+  if (isDatabaseConfigured()) {
+    if (tags.length > 0) {
+      await dbRequest({
+        table: "tags",
+        method: "POST",
+        body: tags.map((tag) => ({ slug: tag.slug, label: tag.label, curated: false })),
+        prefer: "resolution=ignore-duplicates,return=minimal"
+      });
+    }
+    await dbRequest({
+      table: "flower_tags",
+      method: "DELETE",
+      query: { flower_id: `eq.${flowerId}` },
+      prefer: "return=minimal"
+    });
+    if (tags.length > 0) {
+      await dbRequest({
+        table: "flower_tags",
+        method: "POST",
+        body: tags.map((tag, position) => ({ flower_id: flowerId, tag_slug: tag.slug, position })),
+        prefer: "return=minimal"
+      });
+    }
+  } else {
+    const knownTags = getMemoryTags();
+    for (const tag of tags) {
+      if (!knownTags.some((known) => known.slug === tag.slug)) {
+        knownTags.push({ ...tag, curated: false, createdAt: new Date().toISOString() });
+      }
+    }
+    const store = getStore();
+    store.flowerTags = getMemoryFlowerTags()
+      .filter((link) => link.flowerId !== flowerId)
+      .concat(tags.map((tag) => ({ flowerId, tagSlug: tag.slug })));
+  }
+
+  return (await loadFlowerTags([flowerId])).get(flowerId) || [];
+}
+
+function removeMemoryFlowerTags({ flowerId, tagSlug }) {
+  const store = getStore();
+  store.flowerTags = getMemoryFlowerTags().filter(
+    (link) => link.flowerId !== flowerId && link.tagSlug !== tagSlug
+  );
+}
+
+module.exports = {
+  findFlowerIdsWithTags,
+  getMemoryTags,
+  listTags,
+  normalizeTagInputs,
+  normalizeTagLabel,
+  parseTagFilter,
+  removeMemoryFlowerTags,
+  setFlowerTags,
+  slugifyTag,
+  toTagModel,
+  withFlowerTags
+};
@@ -9,8 +9,19 @@ function methodNotAllowed(res, allowed) {
   return json(res, 405, { message: "method not allowed" });
 }
 
+function readRequestStream(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
 async function readJsonBody(req) {
-  if (req.body && typeof req.body === "object") {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) {
     return req.body;
   }
 
@@ -18,14 +29,7 @@ async function readJsonBody(req) {
     return JSON.parse(req.body);
   }
 
-  const raw = await new Promise((resolve, reject) => {
-    let data = "";
-    req.on("data", (chunk) => {
-      data += chunk;
-    });
-    req.on("end", () => resolve(data));
-    req.on("error", reject);
-  });
+  const raw = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : await readRequestStream(req);
 
   if (!raw) {
     return {};
@@ -34,10 +38,75 @@ async function readJsonBody(req) {
   return JSON.parse(raw);
 }
 
+// Webhook signatures cover the exact bytes sent, so read the stream before touching `req.body`:
+// Vercel parses JSON lazily on first access, and re-serializing the object changes the bytes.
+async function readRawBody(req) {
+  if (typeof req.read === "function" && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.toString("utf8");
+  }
+
+  if (typeof req.body === "string") {
+    return req.body;
+  }
+
+  if (req.body && typeof req.body === "object") {
+    return JSON.stringify(req.body);
+  }
+
+  return readRequestStream(req);
+}
+
+function readBufferBody(req, maxBytes) {
+  if (Buffer.isBuffer(req.body)) {
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) {
+        chunks.push(Buffer.from(chunk));
+      }
+    });
+    req.on("end", () => {
+      if (size > maxBytes) {
+        const error = new Error(`request body must be at most ${maxBytes} bytes`);
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      resolve(Buffer.concat(chunks));
+    });
+    req.on("error", reject);
+  });
+}
+
 function parseUrl(req) {
   return new URL(req.url, "https://example.local");
 }
 
+function getRequestOrigin(req) {
+  const configured = String(process.env.SITE_URL || "").trim().replace(/\/$/, "");
+  if (configured) {
+    return configured;
+  }
+
+  const host = req.headers?.["x-forwarded-host"] || req.headers?.host || "localhost:5173";
+  const protocol =
+    req.headers?.["x-forwarded-proto"] || (String(host).startsWith("localhost") ? "http" : "https");
+  return `${protocol}://${host}`;
+}
+
 function parseCookies(req) {
   const header = req.headers?.cookie || "";
   const entries = header
@@ -58,9 +127,12 @@ function parseCookies(req) {
 }
 
 module.exports = {
+  getRequestOrigin,
   json,
   methodNotAllowed,
   parseCookies,
   parseUrl,
-  readJsonBody
+  readBufferBody,
+  readJsonBody,
+  readRawBody
 };
@@ -0,0 +1,175 @@
+const { createId } = require("./_store");
+const { roundMoney } = require("./_orders");
+const { getPublishState } = require("./_publishing");
+
+const MAX_FLOWER_OPTIONS = 10;
+const MAX_OPTION_STOCK = 10000;
+const OPTION_ID_REGEX = /^[A-Za-z0-9_-]{1,40}$/;
+const OPTION_LABELS = { variants: "variant", addOns: "add-on" };
+
+function toOptionModel(option) {
+  return {
+    id: String(option?.id || ""),
+    name: String(option?.name || ""),
+    price: Number(option?.price || 0),
+    stock: Number(option?.stock || 0)
+  };
+}
+
+function toOptionModels(options) {
+  return Array.isArray(options) ? options.map(toOptionModel) : [];
+}
+
+function normalizeFlowerOptions(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${field} must be a list`);
+  }
+  if (value.length > MAX_FLOWER_OPTIONS) {
+    throw new Error(`${field} can list at most ${MAX_FLOWER_OPTIONS} entries`);
+  }
+
+  const label = OPTION_LABELS[field];
+  const options = [];
+  for (const entry of value) {
+    const name = String(entry?.name || "").trim();
+    if (name.length < 1 || name.length > 60) {
+      throw new Error(`each ${label} name must be between 1 and 60 characters`);
+    }
+    if (options.some((option) => option.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`${label} ${name} is listed more than once`);
+    }
+
+    const id = String(entry?.id || "").trim() || createId(8);
+    if (!OPTION_ID_REGEX.test(id) || options.some((option) => option.id === id)) {
+      throw new Error(`${label} ${name} has an invalid id`);
+    }
+
+    const price = Number(entry?.price);
+    const minimum = field === "variants" ? 0.01 : 0;
+    if (!Number.isFinite(price) || price < minimum || roundMoney(price) !== price) {
+      throw new Error(`${label} ${name} price must be a valid amount with at most 2 decimals`);
+    }
+
+    const stock = Number(entry?.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0 || stock > MAX_OPTION_STOCK) {
+      throw new Error(
+        `${label} ${name} stock must be an integer between 0 and ${MAX_OPTION_STOCK}`
+      );
+    }
+
+    options.push({ id, name, price, stock });
+  }
+
+  return options;
+}
+
+function summarizeVariants(variants) {
+  return {
+    price: Math.min(...variants.map((variant) => variant.price)),
+    stock: variants.reduce((sum, variant) => sum + variant.stock, 0)
+  };
+}
+
+function createCartError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function priceCartItems(items, flowerMap) {
+  const demand = new Map();
+  const reserve = (key, quantity) => {
+    const total = (demand.get(key) || 0) + quantity;
+    demand.set(key, total);
+    return total;
+  };
+
+  return items.map((item) => {
+    const flower = flowerMap.get(item.flowerId);
+    if (!flower) {
+      throw createCartError(`flower not found: ${item.flowerId}`, 404);
+    }
+    const publishState = getPublishState(flower);
+    if (publishState === "draft" || publishState === "scheduled") {
+      throw createCartError(`${flower.name} is not available yet`, 409);
+    }
+    if (publishState !== "live") {
+      throw createCartError(`${flower.name} is no longer available`, 409);
+    }
+
+    const variants = toOptionModels(flower.variants);
+    const variant = item.variantId
+      ? variants.find((entry) => entry.id === item.variantId)
+      : null;
+    if (item.variantId && !variant) {
+      throw createCartError(`variant not found: ${item.variantId}`, 404);
+    }
+    if (!variant && variants.length > 0) {
+      throw createCartError(`choose a size for ${flower.name}`, 400);
+    }
+
+    if (Number(flower.stock || 0) < reserve(flower.id, item.quantity)) {
+      throw createCartError(`insufficient stock for ${flower.name}`, 409);
+    }
+    if (variant && variant.stock < reserve(`${flower.id}:${variant.id}`, item.quantity)) {
+      throw createCartError(`insufficient stock for ${flower.name} (${variant.name})`, 409);
+    }
+
+    const addOns = toOptionModels(flower.addOns);
+    const chosenAddOns = item.addOnIds.map((addOnId) => {
+      const addOn = addOns.find((entry) => entry.id === addOnId);
+      if (!addOn) {
+        throw createCartError(`add-on not found: ${addOnId}`, 404);
+      }
+      if (addOn.stock < reserve(`${flower.id}:add-on:${addOn.id}`, item.quantity)) {
+        throw createCartError(`insufficient stock for ${addOn.name}`, 409);
+      }
+      return { id: addOn.id, name: addOn.name, price: addOn.price };
+    });
+
+    const unitPrice = roundMoney(
+      (variant ? variant.price : Number(flower.price)) +
+        chosenAddOns.reduce((sum, addOn) => sum + addOn.price, 0)
+    );
+    return {
+      flowerId: flower.id,
+      name: flower.name,
+      variantId: variant ? variant.id : null,
+      variantName: variant ? variant.name : null,
+      addOns: chosenAddOns,
+      unitPrice,
+      quantity: item.quantity,
+      lineTotal: roundMoney(unitPrice * item.quantity)
+    };
+  });
+}
+
+function adjustOptionStock(options, optionId, delta) {
+  const option = (Array.isArray(options) ? options : []).find((entry) => entry.id === optionId);
+  if (option) {
+    option.stock = Math.max(0, Number(option.stock || 0) + delta);
+  }
+}
+
+function adjustItemStock(flower, item, direction) {
+  const delta = direction * Number(item.quantity || 0);
+  flower.stock = Math.max(0, Number(flower.stock || 0) + delta);
+  if (item.variantId) {
+    adjustOptionStock(flower.variants, item.variantId, delta);
+  }
+  for (const addOn of item.addOns || []) {
+    adjustOptionStock(flower.addOns, addOn.id, delta);
+  }
+}
+
+module.exports = {
+  MAX_FLOWER_OPTIONS,
+  adjustItemStock,
+  normalizeFlowerOptions,
+  priceCartItems,
+  summarizeVariants,
+  toOptionModels
+};
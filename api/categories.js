@@ -0,0 +1,204 @@
+const { getSessionUser, requireRole } = require("./_auth");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+const {
+  findCategory,
+  getMemoryCategories,
+  listCategories,
+  toCategoryModel,
+  validateCategoryPayload
+} = require("./_categories");
+const { getStore } = require("./_store");
+const { json, methodNotAllowed, parseUrl, readJsonBody } = require("./_utils");
+
+function mapCategoryModelToRow(category) {
+  const row = {};
+  const fields = {
+    slug: "slug",
+    label: "label",
+    icon: "icon",
+    sortOrder: "sort_order",
+    visible: "visible",
+    keywords: "keywords"
+  };
+  for (const [key, column] of Object.entries(fields)) {
+    if (category[key] !== undefined) {
+      row[column] = category[key];
+    }
+  }
+  return row;
+}
+
+function readSlug(req) {
+  return String(parseUrl(req).searchParams.get("slug") || "")
+    .trim()
+    .toLowerCase();
+}
+
+async function countFlowersInCategory(slug) {
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "flowers",
+      method: "GET",
+      query: { select: "id", occasion: `eq.${slug}`, archived_at: "is.null" },
+      prefer: null
+    });
+    return Array.isArray(rows) ? rows.length : 0;
+  }
+  return getStore().flowers.filter(
+    (flower) => flower.occasion === slug && !flower.archivedAt
+  ).length;
+}
+
+async function listCategoriesForUser(req, res) {
+  const user = getSessionUser(req);
+  const includeHidden = user?.role === "admin" && parseUrl(req).searchParams.get("all") === "1";
+  const categories = await listCategories();
+  return json(
+    res,
+    200,
+    includeHidden ? categories : categories.filter((category) => category.visible)
+  );
+}
+
+async function createCategory(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let category;
+  try {
+    category = validateCategoryPayload(body);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (await findCategory(category.slug)) {
+    return json(res, 409, { message: `category ${category.slug} already exists` });
+  }
+
+  if (isDatabaseConfigured()) {
+    try {
+      const rows = await dbRequest({
+        table: "categories",
+        method: "POST",
+        body: mapCategoryModelToRow(category)
+      });
+      return json(res, 201, toCategoryModel(rows[0]));
+    } catch (error) {
+      if (error?.code === "23505") {
+        return json(res, 409, { message: `category ${category.slug} already exists` });
+      }
+      throw error;
+    }
+  }
+
+  const created = { ...category, createdAt: new Date().toISOString() };
+  getMemoryCategories().push(created);
+  return json(res, 201, toCategoryModel(created));
+}
+
+async function updateCategory(req, res) {
+  const slug = readSlug(req);
+  if (!slug) {
+    return json(res, 400, { message: "slug query param is required" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let updates;
+  try {
+    updates = validateCategoryPayload(body, { partial: true });
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "categories",
+      method: "PATCH",
+      query: { slug: `eq.${slug}`, select: "*" },
+      body: mapCategoryModelToRow(updates)
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 404, { message: "category not found" });
+    }
+    return json(res, 200, toCategoryModel(rows[0]));
+  }
+
+  const categories = getMemoryCategories();
+  const index = categories.findIndex((category) => category.slug === slug);
+  if (index === -1) {
+    return json(res, 404, { message: "category not found" });
+  }
+  categories[index] = { ...categories[index], ...updates };
+  return json(res, 200, toCategoryModel(categories[index]));
+}
+
+async function deleteCategory(req, res) {
+  const slug = readSlug(req);
+  if (!slug) {
+    return json(res, 400, { message: "slug query param is required" });
+  }
+
+  const flowerCount = await countFlowersInCategory(slug);
+  if (flowerCount > 0) {
+    return json(res, 409, {
+      message: `category ${slug} is used by ${flowerCount} flower(s); move them first or hide it`
+    });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "categories",
+      method: "DELETE",
+      query: { slug: `eq.${slug}`, select: "*" }
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 404, { message: "category not found" });
+    }
+    return json(res, 200, { ok: true, removed: toCategoryModel(rows[0]) });
+  }
+
+  const categories = getMemoryCategories();
+  const index = categories.findIndex((category) => category.slug === slug);
+  if (index === -1) {
+    return json(res, 404, { message: "category not found" });
+  }
+  const [removed] = categories.splice(index, 1);
+  return json(res, 200, { ok: true, removed: toCategoryModel(removed) });
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      return await listCategoriesForUser(req, res);
+    }
+
+    if (req.method === "POST" || req.method === "PATCH" || req.method === "DELETE") {
+      const user = requireRole(req, res, ["admin"]);
+      if (!user) {
+        return;
+      }
+
+      if (req.method === "POST") {
+        return await createCategory(req, res);
+      }
+      if (req.method === "PATCH") {
+        return await updateCategory(req, res);
+      }
+      return await deleteCategory(req, res);
+    }
+
+    return methodNotAllowed(res, ["GET", "POST", "PATCH", "DELETE"]);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
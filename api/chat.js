@@ -1,5 +1,8 @@
 const { getStore } = require("./_store");
 const { dbRequest, ensureSeedFlowers, isDatabaseConfigured } = require("./_db");
+const { listCategories } = require("./_categories");
+const { getPublishState, liveFlowerConditions } = require("./_publishing");
+const { withFlowerTags } = require("./_tags");
 const { json, methodNotAllowed, readJsonBody } = require("./_utils");
 
 const CHAT_MAX_MESSAGE_LENGTH = 500;
@@ -66,14 +69,20 @@ function formatCatalog(flowers, limit = 4) {
   return inStock
     .map(
       (flower) =>
-        `${flower.name} ($${Number(flower.price || 0).toFixed(2)}, ${flower.occasion}, stock ${
-          flower.stock
-        })`
+        `${flower.name} ($${Number(flower.price || 0).toFixed(2)}, ${flower.occasion}${
+          flower.tags?.length ? `, tags ${flower.tags.map((tag) => tag.label).join("/")}` : ""
+        }, stock ${flower.stock})`
     )
     .join("; ");
 }
 
-function buildLocalChatReply(message, flowers) {
+function categoryTerms(category) {
+  return [category.label, category.slug.replace(/-/g, " "), ...category.keywords]
+    .map((term) => String(term || "").trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function buildLocalChatReply(message, flowers, categories) {
   const normalized = String(message || "").toLowerCase();
   const inStock = flowers.filter((flower) => Number(flower?.stock || 0) > 0);
   const cheapestFlower = [...inStock].sort((a, b) => Number(a.price) - Number(b.price))[0];
@@ -88,7 +97,7 @@ function buildLocalChatReply(message, flowers) {
   }
 
   if (/(payment|paypal|cash|card|pay)/i.test(normalized)) {
-    return "You can checkout with Cash on Delivery or PayPal. Orders are created as Pending, then payment status can be updated by admin.";
+    return "You can checkout with Cash on Delivery or any online method shown at checkout. Online payments are marked Paid as soon as the provider confirms them; cash orders are updated by admin.";
   }
 
   if (/(price|cost|cheap|budget|afford)/i.test(normalized)) {
@@ -100,22 +109,41 @@ function buildLocalChatReply(message, flowers) {
     return "I can help with pricing, but I do not see in-stock items right now.";
   }
 
-  const occasionMatch = [
-    ["romance", /(romance|romantic|love|anniversary|valentine)/i],
-    ["birthday", /(birthday|bday)/i],
-    ["wedding", /(wedding|bridal|bride)/i],
-    ["thank-you", /(thank|gratitude|appreciation)/i],
-    ["general", /(general|any occasion|everyday)/i]
-  ].find(([, pattern]) => pattern.test(normalized));
+  const occasionMatch = categories.find((category) =>
+    categoryTerms(category).some((term) => normalized.includes(term))
+  );
 
   if (occasionMatch) {
-    const matching = inStock.filter((flower) => flower.occasion === occasionMatch[0]).slice(0, 3);
+    const label = occasionMatch.label.toLowerCase();
+    const matching = inStock
+      .filter(
+        (flower) =>
+          flower.occasion === occasionMatch.slug ||
+          (flower.tags || []).some((tag) => tag.slug === occasionMatch.slug)
+      )
+      .slice(0, 3);
     if (matching.length > 0) {
-      return `Great choice. For ${occasionMatch[0]} I recommend ${matching
+      return `Great choice. For ${label} I recommend ${matching
         .map((flower) => `${flower.name} ($${Number(flower.price).toFixed(2)})`)
         .join(", ")}.`;
     }
-    return `We currently have limited stock for ${occasionMatch[0]} bouquets. I can suggest alternatives from other categories.`;
+    return `We currently have limited stock for ${label} bouquets. I can suggest alternatives from other categories.`;
+  }
+
+  const taggedMatch = inStock.flatMap((flower) =>
+    (flower.tags || [])
+      .filter((tag) => normalized.includes(tag.label.toLowerCase()))
+      .map((tag) => ({ flower, tag }))
+  );
+  if (taggedMatch.length > 0) {
+    const label = taggedMatch[0].tag.label;
+    const matching = taggedMatch
+      .filter((entry) => entry.tag.slug === taggedMatch[0].tag.slug)
+      .slice(0, 3)
+      .map((entry) => entry.flower);
+    return `For ${label} I recommend ${matching
+      .map((flower) => `${flower.name} ($${Number(flower.price).toFixed(2)})`)
+      .join(", ")}.`;
   }
 
   if (/(contact|phone|whatsapp|support|agent|human)/i.test(normalized)) {
@@ -194,7 +222,7 @@ async function requestOpenAiChatReply({ message, history, flowers }) {
   }
 }
 
-async function generateChatReply({ message, history, flowers }) {
+async function generateChatReply({ message, history, flowers, categories }) {
   try {
     const openAiReply = await requestOpenAiChatReply({
       message,
@@ -212,7 +240,7 @@ async function generateChatReply({ message, history, flowers }) {
   }
 
   return {
-    reply: buildLocalChatReply(message, flowers),
+    reply: buildLocalChatReply(message, flowers, categories),
     source: "local"
   };
 }
@@ -223,21 +251,28 @@ async function getFlowerSnapshot() {
     const rows = await dbRequest({
       table: "flowers",
       method: "GET",
-      query: { select: "id,name,price,occasion,stock", order: "created_at.desc" },
+      query: {
+        select: "id,name,price,occasion,stock",
+        and: `(${liveFlowerConditions().join(",")})`,
+        order: "created_at.desc"
+      },
       prefer: null
     });
 
-    return rows.map((row) => ({
-      id: row.id,
-      name: row.name,
-      price: Number(row.price),
-      occasion: row.occasion,
-      stock: Number(row.stock || 0)
-    }));
+    return withFlowerTags(
+      rows.map((row) => ({
+        id: row.id,
+        name: row.name,
+        price: Number(row.price),
+        occasion: row.occasion,
+        stock: Number(row.stock || 0)
+      }))
+    );
   }
 
   const store = getStore();
-  return Array.isArray(store.flowers) ? store.flowers : [];
+  const flowers = Array.isArray(store.flowers) ? store.flowers : [];
+  return withFlowerTags(flowers.filter((flower) => getPublishState(flower) === "live"));
 }
 
 module.exports = async function handler(req, res) {
@@ -261,10 +296,12 @@ module.exports = async function handler(req, res) {
 
   try {
     const flowers = await getFlowerSnapshot();
+    const categories = (await listCategories()).filter((category) => category.visible);
     const result = await generateChatReply({
       message: payload.message,
       history: payload.history,
-      flowers
+      flowers,
+      categories
     });
 
     return json(res, 200, {
@@ -0,0 +1,293 @@
+const { getSessionUser, requireRole } = require("./_auth");
+const { createId, getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+const {
+  addDays,
+  assertSlotWindow,
+  findDeliverySlot,
+  getShopNow,
+  isSlotPast,
+  normalizeDate,
+  normalizeMemorySlot,
+  toSlotModel,
+  validateSlotPayload
+} = require("./_delivery");
+const { json, methodNotAllowed, parseUrl, readJsonBody } = require("./_utils");
+
+const DEFAULT_RANGE_DAYS = 14;
+const MAX_RANGE_DAYS = 62;
+
+function getMemorySlots() {
+  const store = getStore();
+  if (!Array.isArray(store.deliverySlots)) {
+    store.deliverySlots = [];
+  }
+  return store.deliverySlots;
+}
+
+function mapSlotModelToRow(slot) {
+  const row = {};
+  if (slot.id !== undefined) {
+    row.id = slot.id;
+  }
+  if (slot.date !== undefined) {
+    row.delivery_date = slot.date;
+  }
+  if (slot.startTime !== undefined) {
+    row.start_time = slot.startTime;
+  }
+  if (slot.endTime !== undefined) {
+    row.end_time = slot.endTime;
+  }
+  if (slot.capacity !== undefined) {
+    row.capacity = slot.capacity;
+  }
+  return row;
+}
+
+function sortSlots(slots) {
+  return slots.sort(
+    (a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime)
+  );
+}
+
+function isDuplicateSlotError(error) {
+  return error?.code === "23505" || /duplicate key/i.test(String(error?.message || ""));
+}
+
+function parseRange(url) {
+  const today = getShopNow().date;
+  const from = url.searchParams.get("from")
+    ? normalizeDate(url.searchParams.get("from"), "from")
+    : today;
+  const to = url.searchParams.get("to")
+    ? normalizeDate(url.searchParams.get("to"), "to")
+    : addDays(from, DEFAULT_RANGE_DAYS - 1);
+
+  if (to < from) {
+    throw new Error("to must not be before from");
+  }
+  if (to > addDays(from, MAX_RANGE_DAYS)) {
+    throw new Error(`date range must be ${MAX_RANGE_DAYS} days or less`);
+  }
+  return { from, to };
+}
+
+async function listSlots(req, res) {
+  const url = parseUrl(req);
+  let range;
+  try {
+    range = parseRange(url);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  const user = getSessionUser(req);
+  const includePast = user?.role === "admin" && url.searchParams.get("all") === "1";
+
+  let slots;
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "delivery_slots",
+      method: "GET",
+      query: {
+        select: "*",
+        and: `(delivery_date.gte.${range.from},delivery_date.lte.${range.to})`,
+        order: "delivery_date.asc,start_time.asc"
+      },
+      prefer: null
+    });
+    slots = rows.map(toSlotModel);
+  } else {
+    slots = sortSlots(
+      getMemorySlots()
+        .map(normalizeMemorySlot)
+        .filter((slot) => slot.date >= range.from && slot.date <= range.to)
+    );
+  }
+
+  const now = getShopNow();
+  const visible = includePast ? slots : slots.filter((slot) => !isSlotPast(slot, now));
+  return json(res, 200, visible);
+}
+
+async function createSlot(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let slot;
+  try {
+    slot = { id: createId(10), ...validateSlotPayload(body) };
+    assertSlotWindow(slot);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    try {
+      const rows = await dbRequest({
+        table: "delivery_slots",
+        method: "POST",
+        body: { ...mapSlotModelToRow(slot), booked: 0 }
+      });
+      return json(res, 201, toSlotModel(rows[0]));
+    } catch (error) {
+      if (isDuplicateSlotError(error)) {
+        return json(res, 409, { message: "a slot with this date and start time already exists" });
+      }
+      throw error;
+    }
+  }
+
+  const slots = getMemorySlots();
+  if (slots.some((entry) => entry.date === slot.date && entry.startTime === slot.startTime)) {
+    return json(res, 409, { message: "a slot with this date and start time already exists" });
+  }
+
+  const created = { ...slot, booked: 0 };
+  slots.push(created);
+  return json(res, 201, normalizeMemorySlot(created));
+}
+
+async function updateSlot(req, res) {
+  const slotId = String(parseUrl(req).searchParams.get("id") || "").trim();
+  if (!slotId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let updates;
+  try {
+    updates = validateSlotPayload(body, { partial: true });
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  let current;
+  try {
+    current = await findDeliverySlot(slotId);
+  } catch (error) {
+    return json(res, Number(error.status || 400), { message: error.message });
+  }
+
+  const next = { ...current, ...updates };
+  try {
+    assertSlotWindow(next);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (next.capacity < current.booked) {
+    return json(res, 409, {
+      message: `capacity cannot be lower than the ${current.booked} orders already booked`
+    });
+  }
+
+  if (isDatabaseConfigured()) {
+    try {
+      const rows = await dbRequest({
+        table: "delivery_slots",
+        method: "PATCH",
+        query: {
+          id: `eq.${slotId}`,
+          booked: `lte.${next.capacity}`,
+          select: "*"
+        },
+        body: mapSlotModelToRow(updates)
+      });
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return json(res, 409, { message: "slot bookings changed, reload and try again" });
+      }
+      return json(res, 200, toSlotModel(rows[0]));
+    } catch (error) {
+      if (isDuplicateSlotError(error)) {
+        return json(res, 409, { message: "a slot with this date and start time already exists" });
+      }
+      throw error;
+    }
+  }
+
+  const slots = getMemorySlots();
+  const clash = slots.some(
+    (entry) => entry.id !== slotId && entry.date === next.date && entry.startTime === next.startTime
+  );
+  if (clash) {
+    return json(res, 409, { message: "a slot with this date and start time already exists" });
+  }
+
+  const index = slots.findIndex((entry) => entry.id === slotId);
+  slots[index] = { ...slots[index], ...updates };
+  return json(res, 200, normalizeMemorySlot(slots[index]));
+}
+
+async function deleteSlot(req, res) {
+  const slotId = String(parseUrl(req).searchParams.get("id") || "").trim();
+  if (!slotId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  let current;
+  try {
+    current = await findDeliverySlot(slotId);
+  } catch (error) {
+    return json(res, Number(error.status || 400), { message: error.message });
+  }
+
+  if (current.booked > 0) {
+    return json(res, 409, { message: "slot has booked orders and cannot be removed" });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "delivery_slots",
+      method: "DELETE",
+      query: { id: `eq.${slotId}`, booked: "eq.0", select: "*" }
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 409, { message: "slot has booked orders and cannot be removed" });
+    }
+    return json(res, 200, { ok: true, removed: toSlotModel(rows[0]) });
+  }
+
+  const slots = getMemorySlots();
+  const index = slots.findIndex((entry) => entry.id === slotId);
+  const [removed] = slots.splice(index, 1);
+  return json(res, 200, { ok: true, removed: normalizeMemorySlot(removed) });
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      return await listSlots(req, res);
+    }
+
+    if (req.method === "POST" || req.method === "PATCH" || req.method === "DELETE") {
+      const user = requireRole(req, res, ["admin"]);
+      if (!user) {
+        return;
+      }
+
+      if (req.method === "POST") {
+        return await createSlot(req, res);
+      }
+      if (req.method === "PATCH") {
+        return await updateSlot(req, res);
+      }
+      return await deleteSlot(req, res);
+    }
+
+    return methodNotAllowed(res, ["GET", "POST", "PATCH", "DELETE"]);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
@@ -0,0 +1,187 @@
+const { getSessionUser, requireRole } = require("./_auth");
+const { createId, getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+const {
+  assertZoneCoverage,
+  listDeliveryZones,
+  normalizeMemoryZone,
+  toZoneModel,
+  validateZonePayload
+} = require("./_delivery");
+const { json, methodNotAllowed, parseUrl, readJsonBody } = require("./_utils");
+
+function getMemoryZones() {
+  const store = getStore();
+  if (!Array.isArray(store.deliveryZones)) {
+    store.deliveryZones = [];
+  }
+  return store.deliveryZones;
+}
+
+function mapZoneModelToRow(zone) {
+  const row = {};
+  if (zone.id !== undefined) {
+    row.id = zone.id;
+  }
+  if (zone.name !== undefined) {
+    row.name = zone.name;
+  }
+  if (zone.cities !== undefined) {
+    row.cities = zone.cities;
+  }
+  if (zone.postcodes !== undefined) {
+    row.postcodes = zone.postcodes;
+  }
+  if (zone.fee !== undefined) {
+    row.fee = zone.fee;
+  }
+  if (zone.freeDeliveryThreshold !== undefined) {
+    row.free_delivery_threshold = zone.freeDeliveryThreshold;
+  }
+  if (zone.available !== undefined) {
+    row.available = zone.available;
+  }
+  return row;
+}
+
+async function listZones(req, res) {
+  const user = getSessionUser(req);
+  const includeUnavailable =
+    user?.role === "admin" && parseUrl(req).searchParams.get("all") === "1";
+  const zones = await listDeliveryZones();
+  return json(res, 200, includeUnavailable ? zones : zones.filter((zone) => zone.available));
+}
+
+async function createZone(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let zone;
+  try {
+    zone = { id: createId(10), ...validateZonePayload(body) };
+    assertZoneCoverage(zone, await listDeliveryZones());
+  } catch (error) {
+    return json(res, Number(error.status || 400), { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "delivery_zones",
+      method: "POST",
+      body: mapZoneModelToRow(zone)
+    });
+    return json(res, 201, toZoneModel(rows[0]));
+  }
+
+  getMemoryZones().push(zone);
+  return json(res, 201, normalizeMemoryZone(zone));
+}
+
+async function updateZone(req, res) {
+  const zoneId = String(parseUrl(req).searchParams.get("id") || "").trim();
+  if (!zoneId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let updates;
+  try {
+    updates = validateZonePayload(body, { partial: true });
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  const zones = await listDeliveryZones();
+  const current = zones.find((zone) => zone.id === zoneId);
+  if (!current) {
+    return json(res, 404, { message: "delivery zone not found" });
+  }
+
+  try {
+    assertZoneCoverage({ ...current, ...updates }, zones);
+  } catch (error) {
+    return json(res, Number(error.status || 400), { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "delivery_zones",
+      method: "PATCH",
+      query: { id: `eq.${zoneId}`, select: "*" },
+      body: mapZoneModelToRow(updates)
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 404, { message: "delivery zone not found" });
+    }
+    return json(res, 200, toZoneModel(rows[0]));
+  }
+
+  const memoryZones = getMemoryZones();
+  const index = memoryZones.findIndex((zone) => zone.id === zoneId);
+  memoryZones[index] = { ...memoryZones[index], ...updates };
+  return json(res, 200, normalizeMemoryZone(memoryZones[index]));
+}
+
+async function deleteZone(req, res) {
+  const zoneId = String(parseUrl(req).searchParams.get("id") || "").trim();
+  if (!zoneId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "delivery_zones",
+      method: "DELETE",
+      query: { id: `eq.${zoneId}`, select: "*" }
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 404, { message: "delivery zone not found" });
+    }
+    return json(res, 200, { ok: true, removed: toZoneModel(rows[0]) });
+  }
+
+  const zones = getMemoryZones();
+  const index = zones.findIndex((zone) => zone.id === zoneId);
+  if (index === -1) {
+    return json(res, 404, { message: "delivery zone not found" });
+  }
+  const [removed] = zones.splice(index, 1);
+  return json(res, 200, { ok: true, removed: normalizeMemoryZone(removed) });
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      return await listZones(req, res);
+    }
+
+    if (req.method === "POST" || req.method === "PATCH" || req.method === "DELETE") {
+      const user = requireRole(req, res, ["admin"]);
+      if (!user) {
+        return;
+      }
+
+      if (req.method === "POST") {
+        return await createZone(req, res);
+      }
+      if (req.method === "PATCH") {
+        return await updateZone(req, res);
+      }
+      return await deleteZone(req, res);
+    }
+
+    return methodNotAllowed(res, ["GET", "POST", "PATCH", "DELETE"]);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
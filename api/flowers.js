@@ -1,17 +1,88 @@
-const { requireRole } = require("./_auth");
+const { getSessionUser, requireRole } = require("./_auth");
 const { createId, getStore } = require("./_store");
-const { dbRequest, ensureSeedFlowers, isDatabaseConfigured } = require("./_db");
+const {
+  dbRequest,
+  dbRequestWithCount,
+  dbRpc,
+  ensureSeedFlowers,
+  isDatabaseConfigured,
+  toInFilter
+} = require("./_db");
+const { assertCategoryExists } = require("./_categories");
+const { resolveFlowerImages, withImageSrcsets } = require("./_images");
+const {
+  assertPublishWindow,
+  getPublishState,
+  liveFlowerConditions,
+  normalizePublishing
+} = require("./_publishing");
+const { searchDatabaseFlowers, searchFlowers } = require("./_search");
+const {
+  MAX_STOCK,
+  assertStockChangeDirection,
+  normalizeStockChange,
+  recordStockMovements
+} = require("./_stock");
+const {
+  findFlowerIdsWithTags,
+  normalizeTagInputs,
+  parseTagFilter,
+  setFlowerTags,
+  withFlowerTags
+} = require("./_tags");
+const { normalizeFlowerOptions, summarizeVariants, toOptionModels } = require("./_variants");
 const { json, methodNotAllowed, parseUrl, readJsonBody } = require("./_utils");
 
-const ALLOWED_OCCASIONS = new Set([
-  "general",
-  "romance",
-  "birthday",
-  "wedding",
-  "thank-you"
-]);
+const OCCASION_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
 const IMAGE_PROTOCOLS = new Set(["http:", "https:"]);
-const MAX_STOCK = 10000;
+const MAX_FLOWER_IMAGES = 8;
+const IMAGE_ALT_MAX_LENGTH = 160;
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 48;
+const VARIANT_TOTALS_MESSAGE = "price and stock are managed per variant for this flower";
+
+function primaryImageFields(images) {
+  const [primary] = images;
+  return {
+    image: primary ? primary.url : "",
+    imageFocusX: primary ? primary.focusX : 50,
+    imageFocusY: primary ? primary.focusY : 50
+  };
+}
+
+function withPrimaryImage(images, updates) {
+  const [primary, ...rest] = images;
+  const url = updates.image !== undefined ? updates.image : primary?.url || "";
+  if (!url) {
+    return rest;
+  }
+  return [
+    {
+      url,
+      focusX: updates.imageFocusX ?? primary?.focusX ?? 50,
+      focusY: updates.imageFocusY ?? primary?.focusY ?? 50,
+      alt: primary && primary.url === url ? primary.alt : ""
+    },
+    ...rest
+  ];
+}
+
+function withFlowerDefaults(flower) {
+  return {
+    ...flower,
+    images: resolveFlowerImages(flower.images, {
+      url: flower.image,
+      focusX: flower.imageFocusX,
+      focusY: flower.imageFocusY
+    }),
+    variants: toOptionModels(flower.variants),
+    addOns: toOptionModels(flower.addOns),
+    status: flower.status || "published",
+    publishAt: flower.publishAt || null,
+    unpublishAt: flower.unpublishAt || null,
+    archivedAt: flower.archivedAt || null
+  };
+}
 
 function mapFlowerRowToModel(row) {
   const imageFocusX = Number(row.image_focus_x);
@@ -26,6 +97,17 @@ function mapFlowerRowToModel(row) {
     imageFocusX: Number.isFinite(imageFocusX) ? imageFocusX : 50,
     imageFocusY: Number.isFinite(imageFocusY) ? imageFocusY : 50,
     stock: Number(row.stock || 0),
+    images: resolveFlowerImages(row.images, {
+      url: row.image,
+      focusX: row.image_focus_x,
+      focusY: row.image_focus_y
+    }),
+    variants: toOptionModels(row.variants),
+    addOns: toOptionModels(row.add_ons),
+    status: row.status || "published",
+    publishAt: row.publish_at || null,
+    unpublishAt: row.unpublish_at || null,
+    archivedAt: row.archived_at || null,
     createdAt: row.created_at || new Date().toISOString()
   };
 }
@@ -43,6 +125,13 @@ function mapFlowerModelToRow(flower) {
     image_focus_x: Number.isFinite(imageFocusX) ? imageFocusX : 50,
     image_focus_y: Number.isFinite(imageFocusY) ? imageFocusY : 50,
     stock: flower.stock,
+    images: flower.images || [],
+    variants: flower.variants || [],
+    add_ons: flower.addOns || [],
+    status: flower.status || "published",
+    publish_at: flower.publishAt || null,
+    unpublish_at: flower.unpublishAt || null,
+    archived_at: flower.archivedAt || null,
     created_at: flower.createdAt
   };
 }
@@ -65,7 +154,7 @@ function normalizeOccasion(value) {
     .trim()
     .toLowerCase();
 
-  if (!ALLOWED_OCCASIONS.has(normalized)) {
+  if (!OCCASION_REGEX.test(normalized)) {
     return null;
   }
 
@@ -83,6 +172,41 @@ function normalizeFlowerFocus(value, fallback = 50) {
   return Number(number.toFixed(2));
 }
 
+function normalizeFlowerImages(value) {
+  if (!Array.isArray(value)) {
+    throw new Error("images must be a list");
+  }
+  if (value.length > MAX_FLOWER_IMAGES) {
+    throw new Error(`images can list at most ${MAX_FLOWER_IMAGES} entries`);
+  }
+
+  const images = [];
+  value.forEach((entry, index) => {
+    const url = String(entry?.url || "").trim();
+    if (!url || !isValidImageUrl(url)) {
+      throw new Error(`images[${index}].url must be a valid http/https URL`);
+    }
+    if (images.some((image) => image.url === url)) {
+      throw new Error(`images[${index}].url is already in the gallery`);
+    }
+
+    const focusX = normalizeFlowerFocus(entry?.focusX);
+    const focusY = normalizeFlowerFocus(entry?.focusY);
+    if (focusX === null || focusY === null) {
+      throw new Error(`images[${index}] focus values must be between 0 and 100`);
+    }
+
+    const alt = String(entry?.alt || "").trim();
+    if (alt.length > IMAGE_ALT_MAX_LENGTH) {
+      throw new Error(`images[${index}].alt must be at most ${IMAGE_ALT_MAX_LENGTH} characters`);
+    }
+
+    images.push({ url, focusX, focusY, alt });
+  });
+
+  return images;
+}
+
 function normalizeCreateFlowerPayload(body) {
   const {
     name,
@@ -92,7 +216,11 @@ function normalizeCreateFlowerPayload(body) {
     image = "",
     imageFocusX = 50,
     imageFocusY = 50,
-    stock = 0
+    stock = 0,
+    images,
+    variants,
+    addOns,
+    tags
   } = body || {};
 
   const normalizedName = String(name || "").trim();
@@ -100,17 +228,28 @@ function normalizeCreateFlowerPayload(body) {
     throw new Error("name must be at least 2 characters");
   }
 
+  const normalizedImages = images === undefined ? null : normalizeFlowerImages(images);
+  const normalizedVariants = normalizeFlowerOptions(variants, "variants");
+  const normalizedAddOns = normalizeFlowerOptions(addOns, "addOns");
+  const normalizedTags = normalizeTagInputs(tags);
+  const publishing = normalizePublishing(body || {});
+  assertPublishWindow(publishing);
+  const hasVariants = normalizedVariants.length > 0;
+
   const parsedPrice = Number(price);
-  if (!Number.isFinite(parsedPrice) || parsedPrice <= 0) {
+  if (!hasVariants && (!Number.isFinite(parsedPrice) || parsedPrice <= 0)) {
     throw new Error("price must be greater than 0");
   }
 
   const parsedStock = Number(stock);
-  if (!Number.isFinite(parsedStock) || parsedStock < 0 || parsedStock > MAX_STOCK) {
+  if (
+    !hasVariants &&
+    (!Number.isFinite(parsedStock) || parsedStock < 0 || parsedStock > MAX_STOCK)
+  ) {
     throw new Error(`stock must be an integer between 0 and ${MAX_STOCK}`);
   }
 
-  if (!Number.isInteger(parsedStock)) {
+  if (!hasVariants && !Number.isInteger(parsedStock)) {
     throw new Error("stock must be a whole number");
   }
 
@@ -130,6 +269,14 @@ function normalizeCreateFlowerPayload(body) {
     throw new Error("image focus values must be between 0 and 100");
   }
 
+  const flowerImages =
+    normalizedImages ||
+    resolveFlowerImages(null, {
+      url: normalizedImage,
+      focusX: normalizedFocusX,
+      focusY: normalizedFocusY
+    });
+
   return {
     id: createId(10),
     name: normalizedName,
@@ -140,6 +287,13 @@ function normalizeCreateFlowerPayload(body) {
     imageFocusX: normalizedFocusX,
     imageFocusY: normalizedFocusY,
     stock: parsedStock,
+    images: flowerImages,
+    ...primaryImageFields(flowerImages),
+    ...(hasVariants ? summarizeVariants(normalizedVariants) : {}),
+    variants: normalizedVariants,
+    addOns: normalizedAddOns,
+    tags: normalizedTags,
+    ...publishing,
     createdAt: new Date().toISOString()
   };
 }
@@ -214,6 +368,35 @@ function normalizeFlowerUpdatePayload(body) {
     payload.stock = parsedStock;
   }
 
+  if (Object.prototype.hasOwnProperty.call(body, "variants")) {
+    payload.variants = normalizeFlowerOptions(body.variants, "variants");
+    if (payload.variants.length > 0) {
+      Object.assign(payload, summarizeVariants(payload.variants));
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "addOns")) {
+    payload.addOns = normalizeFlowerOptions(body.addOns, "addOns");
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "images")) {
+    payload.images = normalizeFlowerImages(body.images);
+    Object.assign(payload, primaryImageFields(payload.images));
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "tags")) {
+    payload.tags = normalizeTagInputs(body.tags);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "archived")) {
+    if (typeof body.archived !== "boolean") {
+      throw new Error("archived must be true or false");
+    }
+    payload.archivedAt = body.archived ? new Date().toISOString() : null;
+  }
+
+  Object.assign(payload, normalizePublishing(body, { partial: true }));
+
   if (Object.keys(payload).length === 0) {
     throw new Error("at least one flower field is required");
   }
@@ -221,56 +404,295 @@ function normalizeFlowerUpdatePayload(body) {
   return payload;
 }
 
-function filterFlowers(flowers, { search, occasion, maxPrice }) {
-  return flowers
-    .filter((flower) => {
-      const searchMatch =
-        !search ||
-        flower.name.toLowerCase().includes(search) ||
-        flower.description.toLowerCase().includes(search);
-      const occasionMatch = occasion === "all" || flower.occasion.toLowerCase() === occasion;
-      const priceMatch = maxPrice === null || Number.isNaN(maxPrice) || flower.price <= maxPrice;
-      return searchMatch && occasionMatch && priceMatch;
-    })
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+function byCreatedAtDesc(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+const FLOWER_SORTS = {
+  relevance: {
+    order: "created_at.desc",
+    compare: (a, b) => (b.searchScore || 0) - (a.searchScore || 0) || byCreatedAtDesc(a, b)
+  },
+  newest: { order: "created_at.desc", compare: byCreatedAtDesc },
+  "price-asc": {
+    order: "price.asc,created_at.desc",
+    compare: (a, b) => a.price - b.price || byCreatedAtDesc(a, b)
+  },
+  "price-desc": {
+    order: "price.desc,created_at.desc",
+    compare: (a, b) => b.price - a.price || byCreatedAtDesc(a, b)
+  },
+  name: {
+    order: "name.asc,created_at.desc",
+    compare: (a, b) => a.name.localeCompare(b.name) || byCreatedAtDesc(a, b)
+  },
+  popular: {
+    order: "sold_count.desc,created_at.desc",
+    compare: (a, b) => b.soldCount - a.soldCount || byCreatedAtDesc(a, b)
+  }
+};
+
+function parsePriceParam(value) {
+  if (value === null || value === "") {
+    return null;
+  }
+  const price = Number(value);
+  return Number.isFinite(price) ? price : null;
+}
+
+function parseFlowerQuery(url) {
+  const params = url.searchParams;
+  const search = String(params.get("search") || "").trim();
+  const sort = String(params.get("sort") || (search ? "relevance" : "newest")).trim();
+  if (!FLOWER_SORTS[sort]) {
+    throw new Error(`sort must be one of: ${Object.keys(FLOWER_SORTS).join(", ")}`);
+  }
+
+  const paginated = params.has("page") || params.has("limit");
+  const page = Number(params.get("page") || 1);
+  const limit = Number(params.get("limit") || DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new Error("page must be a whole number from 1");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const minPrice = parsePriceParam(params.get("minPrice"));
+  const maxPrice = parsePriceParam(params.get("maxPrice"));
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw new Error("minPrice cannot be greater than maxPrice");
+  }
+
+  return {
+    search,
+    occasion: String(params.get("occasion") || "all")
+      .trim()
+      .toLowerCase(),
+    minPrice,
+    maxPrice,
+    inStock: params.get("inStock") === "1",
+    archived: params.get("archived") === "1",
+    preview: params.get("preview") === "1",
+    tagSlugs: parseTagFilter(params.get("tags")),
+    sort,
+    paginated,
+    page,
+    limit
+  };
+}
+
+function matchesPublishFilter(flower, { archived, preview }, now) {
+  const publishState = getPublishState(flower, now);
+  if (archived) {
+    return publishState === "archived";
+  }
+  return preview ? publishState !== "archived" : publishState === "live";
+}
+
+function filterFlowers(flowers, query) {
+  const { occasion, minPrice, maxPrice, inStock, tagSlugs } = query;
+  const now = new Date();
+  return flowers.filter((flower) => {
+    const publishMatch = matchesPublishFilter(flower, query, now);
+    const occasionMatch =
+      occasion === "all" ||
+      flower.occasion.toLowerCase() === occasion ||
+      flower.tags.some((tag) => tag.slug === occasion);
+    const priceMatch =
+      (minPrice === null || flower.price >= minPrice) &&
+      (maxPrice === null || flower.price <= maxPrice);
+    const stockMatch = !inStock || flower.stock > 0;
+    const tagMatch = tagSlugs.every((slug) => flower.tags.some((tag) => tag.slug === slug));
+    return publishMatch && occasionMatch && priceMatch && stockMatch && tagMatch;
+  });
+}
+
+function getMemorySoldCounts() {
+  const soldCounts = new Map();
+  for (const order of getStore().orders) {
+    if (order.fulfilmentStatus === "cancelled") {
+      continue;
+    }
+    for (const item of order.items || []) {
+      soldCounts.set(item.flowerId, (soldCounts.get(item.flowerId) || 0) + Number(item.quantity));
+    }
+  }
+  return soldCounts;
+}
+
+async function queryMemoryFlowers(query) {
+  const soldCounts = getMemorySoldCounts();
+  const flowers = await withFlowerTags(getStore().flowers.map(withFlowerDefaults));
+  const searchScores = query.search ? searchFlowers(flowers, query.search) : null;
+  const matching = filterFlowers(flowers, query)
+    .filter((flower) => !searchScores || searchScores.has(flower.id))
+    .map((flower) => ({
+      ...flower,
+      soldCount: soldCounts.get(flower.id) || 0,
+      searchScore: searchScores?.get(flower.id) || 0
+    }))
+    .sort(FLOWER_SORTS[query.sort].compare)
+    .map(({ soldCount, searchScore, ...flower }) => flower);
+
+  if (!query.paginated) {
+    return { flowers: matching, total: matching.length };
+  }
+  const offset = (query.page - 1) * query.limit;
+  return { flowers: matching.slice(offset, offset + query.limit), total: matching.length };
+}
+
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, "")}"`;
+}
+
+async function queryDatabaseFlowers(query) {
+  let conditions;
+  if (query.archived) {
+    conditions = ["archived_at.not.is.null"];
+  } else {
+    conditions = query.preview ? ["archived_at.is.null"] : liveFlowerConditions();
+  }
+
+  const searchRanks = query.search ? await searchDatabaseFlowers(query.search) : null;
+  if (searchRanks) {
+    if (searchRanks.size === 0) {
+      return { flowers: [], total: 0 };
+    }
+    conditions.push(`id.${toInFilter([...searchRanks.keys()])}`);
+  }
+
+  if (query.occasion !== "all") {
+    const taggedIds = await findFlowerIdsWithTags([query.occasion]);
+    const occasionFilter = `occasion.eq.${quoteFilterValue(query.occasion)}`;
+    conditions.push(
+      taggedIds.size > 0
+        ? `or(${occasionFilter},id.${toInFilter([...taggedIds])})`
+        : occasionFilter
+    );
+  }
+
+  if (query.tagSlugs.length > 0) {
+    const taggedIds = await findFlowerIdsWithTags(query.tagSlugs);
+    if (taggedIds.size === 0) {
+      return { flowers: [], total: 0 };
+    }
+    conditions.push(`id.${toInFilter([...taggedIds])}`);
+  }
+
+  if (query.minPrice !== null) {
+    conditions.push(`price.gte.${query.minPrice}`);
+  }
+  if (query.maxPrice !== null) {
+    conditions.push(`price.lte.${query.maxPrice}`);
+  }
+  if (query.inStock) {
+    conditions.push("stock.gt.0");
+  }
+
+  const dbQuery = {
+    select: "*",
+    order: FLOWER_SORTS[query.sort].order,
+    and: `(${conditions.join(",")})`
+  };
+
+  let rows;
+  let total;
+  if (searchRanks && query.sort === "relevance") {
+    rows = await dbRequest({ table: "flowers", method: "GET", query: dbQuery, prefer: null });
+    rows.sort((a, b) => searchRanks.get(b.id) - searchRanks.get(a.id));
+    total = rows.length;
+    if (query.paginated) {
+      const offset = (query.page - 1) * query.limit;
+      rows = rows.slice(offset, offset + query.limit);
+    }
+  } else if (query.paginated) {
+    ({ rows, total } = await dbRequestWithCount({
+      table: "flowers",
+      query: { ...dbQuery, limit: query.limit, offset: (query.page - 1) * query.limit }
+    }));
+  } else {
+    rows = await dbRequest({ table: "flowers", method: "GET", query: dbQuery, prefer: null });
+    total = rows.length;
+  }
+
+  return { flowers: await withFlowerTags(rows.map(mapFlowerRowToModel)), total };
 }
 
 async function listFlowers(req, res) {
-  const url = parseUrl(req);
-  const search = String(url.searchParams.get("search") || "")
-    .trim()
-    .toLowerCase();
-  const occasion = String(url.searchParams.get("occasion") || "all")
-    .trim()
-    .toLowerCase();
-  const maxPriceValue = url.searchParams.get("maxPrice");
-  const maxPrice = maxPriceValue !== null ? Number(maxPriceValue) : null;
+  let query;
+  try {
+    query = parseFlowerQuery(parseUrl(req));
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+  if ((query.archived || query.preview) && !requireRole(req, res, ["admin"])) {
+    return;
+  }
+
+  let result;
+  if (isDatabaseConfigured()) {
+    await ensureSeedFlowers();
+    result = await queryDatabaseFlowers(query);
+  } else {
+    result = await queryMemoryFlowers(query);
+  }
+
+  const items = result.flowers.map(withImageSrcsets);
+  if (!query.paginated) {
+    return json(res, 200, items);
+  }
+  return json(res, 200, {
+    items,
+    total: result.total,
+    page: query.page,
+    limit: query.limit,
+    hasMore: query.page * query.limit < result.total
+  });
+}
 
+async function getFlower(req, res, flowerId) {
+  let flower = null;
   if (isDatabaseConfigured()) {
     await ensureSeedFlowers();
     const rows = await dbRequest({
       table: "flowers",
       method: "GET",
-      query: { select: "*", order: "created_at.desc" },
+      query: { select: "*", id: `eq.${flowerId}`, limit: 1 },
       prefer: null
     });
-    const flowers = rows.map(mapFlowerRowToModel);
-    return json(res, 200, filterFlowers(flowers, { search, occasion, maxPrice }));
+    if (Array.isArray(rows) && rows.length > 0) {
+      flower = mapFlowerRowToModel(rows[0]);
+    }
+  } else {
+    const stored = getStore().flowers.find((entry) => entry.id === flowerId);
+    flower = stored ? withFlowerDefaults(stored) : null;
   }
 
-  const store = getStore();
-  return json(
-    res,
-    200,
-    filterFlowers(store.flowers, {
-      search,
-      occasion,
-      maxPrice
-    })
-  );
+  if (!flower || (getPublishState(flower) !== "live" && getSessionUser(req)?.role !== "admin")) {
+    return json(res, 404, { message: "flower not found" });
+  }
+  const [found] = await withFlowerTags([flower]);
+  return json(res, 200, withImageSrcsets(found));
 }
 
-async function createFlower(req, res) {
+function recordInitialStock(flower, user) {
+  return recordStockMovements([
+    {
+      flowerId: flower.id,
+      delta: Number(flower.stock || 0),
+      reason: "restock",
+      actor: user.email,
+      note: "initial stock"
+    }
+  ]);
+}
+
+function stockMovementFor(flowerId, delta, stockChange, user) {
+  return { flowerId, delta, ...stockChange, actor: user.email };
+}
+
+async function createFlower(req, res, user) {
   let body;
 
   try {
@@ -280,10 +702,12 @@ async function createFlower(req, res) {
   }
 
   let flower;
+  let tags;
   try {
-    flower = normalizeCreateFlowerPayload(body);
+    ({ tags, ...flower } = normalizeCreateFlowerPayload(body));
+    await assertCategoryExists(flower.occasion);
   } catch (error) {
-    return json(res, 400, { message: error.message });
+    return json(res, Number(error.status || 400), { message: error.message });
   }
 
   if (isDatabaseConfigured()) {
@@ -292,15 +716,20 @@ async function createFlower(req, res) {
       method: "POST",
       body: mapFlowerModelToRow(flower)
     });
-    return json(res, 201, mapFlowerRowToModel(rows[0]));
+    const created = mapFlowerRowToModel(rows[0]);
+    await recordInitialStock(created, user);
+    created.tags = await setFlowerTags(created.id, tags);
+    return json(res, 201, withImageSrcsets(created));
   }
 
   const store = getStore();
   store.flowers.push(flower);
-  return json(res, 201, flower);
+  await recordInitialStock(flower, user);
+  const savedTags = await setFlowerTags(flower.id, tags);
+  return json(res, 201, withImageSrcsets({ ...flower, tags: savedTags }));
 }
 
-async function updateFlower(req, res) {
+async function updateFlower(req, res, user) {
   const url = parseUrl(req);
   const flowerId = String(url.searchParams.get("id") || "").trim();
 
@@ -316,13 +745,72 @@ async function updateFlower(req, res) {
   }
 
   let updates;
+  let tags;
+  let stockChange;
   try {
-    updates = normalizeFlowerUpdatePayload(body);
+    ({ tags, ...updates } = normalizeFlowerUpdatePayload(body));
+    stockChange = normalizeStockChange(body);
+    if (updates.occasion !== undefined) {
+      await assertCategoryExists(updates.occasion);
+    }
   } catch (error) {
-    return json(res, 400, { message: error.message });
+    return json(res, Number(error.status || 400), { message: error.message });
   }
 
+  const setsVariantTotals =
+    !updates.variants && (updates.price !== undefined || updates.stock !== undefined);
+  const setsPrimaryImage =
+    !updates.images &&
+    ["image", "imageFocusX", "imageFocusY"].some((field) => updates[field] !== undefined);
+  const restoresWithCurrentOccasion = updates.archivedAt === null && !updates.occasion;
+  const setsPublishWindow = updates.publishAt !== undefined || updates.unpublishAt !== undefined;
+  const changesStock = updates.stock !== undefined;
+
   if (isDatabaseConfigured()) {
+    let currentStock = null;
+    if (
+      setsVariantTotals ||
+      setsPrimaryImage ||
+      restoresWithCurrentOccasion ||
+      setsPublishWindow ||
+      changesStock
+    ) {
+      const currentRows = await dbRequest({
+        table: "flowers",
+        method: "GET",
+        query: { select: "*", id: `eq.${flowerId}`, limit: 1 },
+        prefer: null
+      });
+      if (!Array.isArray(currentRows) || currentRows.length === 0) {
+        return json(res, 404, { message: "flower not found" });
+      }
+
+      const current = mapFlowerRowToModel(currentRows[0]);
+      if (setsVariantTotals && current.variants.length > 0) {
+        return json(res, 409, { message: VARIANT_TOTALS_MESSAGE });
+      }
+      if (restoresWithCurrentOccasion) {
+        try {
+          await assertCategoryExists(current.occasion);
+        } catch (error) {
+          return json(res, error.status, { message: error.message });
+        }
+      }
+      try {
+        assertPublishWindow({ ...current, ...updates });
+        if (changesStock) {
+          assertStockChangeDirection(stockChange.reason, updates.stock - current.stock);
+        }
+      } catch (error) {
+        return json(res, 400, { message: error.message });
+      }
+      currentStock = current.stock;
+      if (setsPrimaryImage) {
+        updates.images = withPrimaryImage(current.images, updates);
+        Object.assign(updates, primaryImageFields(updates.images));
+      }
+    }
+
     const patchPayload = {};
 
     if (Object.prototype.hasOwnProperty.call(updates, "name")) {
@@ -346,22 +834,70 @@ async function updateFlower(req, res) {
     if (Object.prototype.hasOwnProperty.call(updates, "imageFocusY")) {
       patchPayload.image_focus_y = updates.imageFocusY;
     }
-    if (Object.prototype.hasOwnProperty.call(updates, "stock")) {
-      patchPayload.stock = updates.stock;
+    if (Object.prototype.hasOwnProperty.call(updates, "variants")) {
+      patchPayload.variants = updates.variants;
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "addOns")) {
+      patchPayload.add_ons = updates.addOns;
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "images")) {
+      patchPayload.images = updates.images;
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "archivedAt")) {
+      patchPayload.archived_at = updates.archivedAt;
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "status")) {
+      patchPayload.status = updates.status;
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "publishAt")) {
+      patchPayload.publish_at = updates.publishAt;
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "unpublishAt")) {
+      patchPayload.unpublish_at = updates.unpublishAt;
     }
 
-    const rows = await dbRequest({
-      table: "flowers",
-      method: "PATCH",
-      query: { id: `eq.${flowerId}`, select: "*" },
-      body: patchPayload
-    });
+    // Stock goes through the RPC so a sale committed since the read cannot be overwritten.
+    if (changesStock && updates.stock !== currentStock) {
+      try {
+        await dbRpc("apply_stock_levels", {
+          p_changes: [{ flower_id: flowerId, previous_stock: currentStock, stock: updates.stock }],
+          p_reason: stockChange.reason,
+          p_note: stockChange.note,
+          p_actor: user.email
+        });
+      } catch (error) {
+        if (error.status === 404 || error.status === 409) {
+          return json(res, error.status, { message: error.message });
+        }
+        throw error;
+      }
+    }
+
+    const rows =
+      Object.keys(patchPayload).length > 0
+        ? await dbRequest({
+            table: "flowers",
+            method: "PATCH",
+            query: { id: `eq.${flowerId}`, select: "*" },
+            body: patchPayload
+          })
+        : await dbRequest({
+            table: "flowers",
+            method: "GET",
+            query: { select: "*", id: `eq.${flowerId}`, limit: 1 },
+            prefer: null
+          });
 
     if (!Array.isArray(rows) || rows.length === 0) {
       return json(res, 404, { message: "flower not found" });
     }
 
-    return json(res, 200, mapFlowerRowToModel(rows[0]));
+    const saved = mapFlowerRowToModel(rows[0]);
+    if (tags) {
+      await setFlowerTags(flowerId, tags);
+    }
+    const [updated] = await withFlowerTags([saved]);
+    return json(res, 200, withImageSrcsets(updated));
   }
 
   const store = getStore();
@@ -370,17 +906,49 @@ async function updateFlower(req, res) {
     return json(res, 404, { message: "flower not found" });
   }
 
-  const currentFlower = store.flowers[index];
+  const currentFlower = withFlowerDefaults(store.flowers[index]);
+  if (setsVariantTotals && currentFlower.variants.length > 0) {
+    return json(res, 409, { message: VARIANT_TOTALS_MESSAGE });
+  }
+  if (restoresWithCurrentOccasion) {
+    try {
+      await assertCategoryExists(currentFlower.occasion);
+    } catch (error) {
+      return json(res, error.status, { message: error.message });
+    }
+  }
+  try {
+    assertPublishWindow({ ...currentFlower, ...updates });
+    if (changesStock) {
+      assertStockChangeDirection(stockChange.reason, updates.stock - currentFlower.stock);
+    }
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+  if (setsPrimaryImage) {
+    updates.images = withPrimaryImage(currentFlower.images, updates);
+    Object.assign(updates, primaryImageFields(updates.images));
+  }
+
   const nextFlower = {
     ...currentFlower,
     ...updates
   };
 
   store.flowers[index] = nextFlower;
-  return json(res, 200, nextFlower);
+  if (changesStock) {
+    await recordStockMovements([
+      stockMovementFor(flowerId, nextFlower.stock - currentFlower.stock, stockChange, user)
+    ]);
+  }
+  if (tags) {
+    await setFlowerTags(flowerId, tags);
+  }
+  const [updated] = await withFlowerTags([nextFlower]);
+  return json(res, 200, withImageSrcsets(updated));
 }
 
-async function deleteFlower(req, res) {
+async function archiveFlower(req, res) {
   const url = parseUrl(req);
   const flowerId = String(url.searchParams.get("id") || "").trim();
 
@@ -388,32 +956,34 @@ async function deleteFlower(req, res) {
     return json(res, 400, { message: "id query param is required" });
   }
 
+  const archivedAt = new Date().toISOString();
   if (isDatabaseConfigured()) {
     const rows = await dbRequest({
       table: "flowers",
-      method: "DELETE",
-      query: { id: `eq.${flowerId}`, select: "*" }
+      method: "PATCH",
+      query: { id: `eq.${flowerId}`, select: "*" },
+      body: { archived_at: archivedAt }
     });
     if (!Array.isArray(rows) || rows.length === 0) {
       return json(res, 404, { message: "flower not found" });
     }
-    return json(res, 200, { ok: true, removed: mapFlowerRowToModel(rows[0]) });
+    return json(res, 200, { ok: true, archived: mapFlowerRowToModel(rows[0]) });
   }
 
-  const store = getStore();
-  const flowerIndex = store.flowers.findIndex((flower) => flower.id === flowerId);
-  if (flowerIndex === -1) {
+  const flower = getStore().flowers.find((entry) => entry.id === flowerId);
+  if (!flower) {
     return json(res, 404, { message: "flower not found" });
   }
 
-  const [removedFlower] = store.flowers.splice(flowerIndex, 1);
-  return json(res, 200, { ok: true, removed: removedFlower });
+  flower.archivedAt = archivedAt;
+  return json(res, 200, { ok: true, archived: withFlowerDefaults(flower) });
 }
 
 module.exports = async function handler(req, res) {
   try {
     if (req.method === "GET") {
-      return await listFlowers(req, res);
+      const flowerId = String(parseUrl(req).searchParams.get("id") || "").trim();
+      return flowerId ? await getFlower(req, res, flowerId) : await listFlowers(req, res);
     }
 
     if (req.method === "POST") {
@@ -421,7 +991,7 @@ module.exports = async function handler(req, res) {
       if (!user) {
         return;
       }
-      return await createFlower(req, res);
+      return await createFlower(req, res, user);
     }
 
     if (req.method === "DELETE") {
@@ -429,7 +999,7 @@ module.exports = async function handler(req, res) {
       if (!user) {
         return;
       }
-      return await deleteFlower(req, res);
+      return await archiveFlower(req, res);
     }
 
     if (req.method === "PATCH") {
@@ -437,7 +1007,7 @@ module.exports = async function handler(req, res) {
       if (!user) {
         return;
       }
-      return await updateFlower(req, res);
+      return await updateFlower(req, res, user);
     }
 
     return methodNotAllowed(res, ["GET", "POST", "PATCH", "DELETE"]);
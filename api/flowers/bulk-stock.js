@@ -0,0 +1,212 @@
+const { requireRole } = require("../_auth");
+const { getStore } = require("../_store");
+const {
+  dbRequest,
+  dbRpc,
+  ensureSeedFlowers,
+  isDatabaseConfigured,
+  toInFilter
+} = require("../_db");
+const {
+  MAX_STOCK,
+  assertStockChangeDirection,
+  normalizeStockChange,
+  recordStockMovements
+} = require("../_stock");
+const { findFlowerIdsWithTags, slugifyTag } = require("../_tags");
+const { json, methodNotAllowed, readJsonBody } = require("../_utils");
+
+const BULK_STOCK_MODES = ["delta", "set"];
+const MAX_BULK_IDS = 200;
+
+function normalizeBulkStockPayload(body) {
+  if (!body || typeof body !== "object") {
+    throw new Error("invalid request body");
+  }
+
+  const mode = String(body.mode || "delta").trim().toLowerCase();
+  if (!BULK_STOCK_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${BULK_STOCK_MODES.join(", ")}`);
+  }
+
+  const value = Number(body.value);
+  if (!Number.isInteger(value)) {
+    throw new Error("value must be a whole number");
+  }
+  if (mode === "delta" && (value === 0 || Math.abs(value) > MAX_STOCK)) {
+    throw new Error(`delta must be a non-zero whole number up to ${MAX_STOCK}`);
+  }
+  if (mode === "set" && (value < 0 || value > MAX_STOCK)) {
+    throw new Error(`stock must be an integer between 0 and ${MAX_STOCK}`);
+  }
+
+  const occasion = String(body.occasion || "").trim().toLowerCase();
+  const tag = slugifyTag(body.tag);
+  let ids = null;
+  if (body.ids !== undefined) {
+    if (!Array.isArray(body.ids) || body.ids.length === 0 || body.ids.length > MAX_BULK_IDS) {
+      throw new Error(`ids must list between 1 and ${MAX_BULK_IDS} flower ids`);
+    }
+    ids = [...new Set(body.ids.map((id) => String(id || "").trim()).filter(Boolean))];
+  }
+  if (!occasion && !tag && !ids) {
+    throw new Error("choose flowers by occasion, tag or ids");
+  }
+
+  const defaultReason = mode === "delta" && value > 0 ? "restock" : "adjustment";
+  const stockChange = normalizeStockChange({
+    stockReason: body.stockReason ?? defaultReason,
+    stockNote: body.stockNote
+  });
+
+  return {
+    mode,
+    value,
+    occasion: occasion === "all" ? "" : occasion,
+    tag,
+    ids,
+    dryRun: body.dryRun === true,
+    ...stockChange
+  };
+}
+
+function planStockChange(flower, change) {
+  const previousStock = Number(flower.stock || 0);
+  const result = { flowerId: flower.id, name: flower.name, previousStock, stock: previousStock };
+
+  if (Array.isArray(flower.variants) && flower.variants.length > 0) {
+    return { ...result, status: "skipped", message: "stock is managed per variant" };
+  }
+
+  const stock =
+    change.mode === "set"
+      ? change.value
+      : Math.min(MAX_STOCK, Math.max(0, previousStock + change.value));
+  try {
+    assertStockChangeDirection(change.reason, stock - previousStock);
+  } catch (error) {
+    return { ...result, status: "skipped", message: error.message };
+  }
+
+  return { ...result, stock, status: stock === previousStock ? "unchanged" : "updated" };
+}
+
+async function findTargetFlowers(change) {
+  const taggedIds = change.tag ? await findFlowerIdsWithTags([change.tag]) : null;
+  const matches = (flower) =>
+    (!change.occasion || flower.occasion === change.occasion) &&
+    (!taggedIds || taggedIds.has(flower.id)) &&
+    (!change.ids || change.ids.includes(flower.id));
+
+  if (!isDatabaseConfigured()) {
+    return getStore()
+      .flowers.filter((flower) => !flower.archivedAt && matches(flower))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  await ensureSeedFlowers();
+  const query = {
+    select: "id,name,occasion,stock,variants",
+    archived_at: "is.null",
+    order: "name.asc"
+  };
+  if (change.occasion) {
+    query.occasion = `eq.${change.occasion}`;
+  }
+  const ids = change.ids || (taggedIds ? [...taggedIds] : null);
+  if (ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    query.id = toInFilter(ids);
+  }
+
+  const rows = await dbRequest({ table: "flowers", method: "GET", query, prefer: null });
+  return (Array.isArray(rows) ? rows : []).filter(matches);
+}
+
+async function applyStockChanges(results, change, user) {
+  const updates = results.filter((result) => result.status === "updated");
+  if (updates.length === 0) {
+    return;
+  }
+
+  if (isDatabaseConfigured()) {
+    await dbRpc("apply_stock_levels", {
+      p_changes: updates.map((result) => ({
+        flower_id: result.flowerId,
+        previous_stock: result.previousStock,
+        stock: result.stock
+      })),
+      p_reason: change.reason,
+      p_note: change.note,
+      p_actor: user.email
+    });
+    return;
+  }
+
+  const flowers = getStore().flowers;
+  for (const result of updates) {
+    flowers.find((flower) => flower.id === result.flowerId).stock = result.stock;
+  }
+  await recordStockMovements(
+    updates.map((result) => ({
+      flowerId: result.flowerId,
+      delta: result.stock - result.previousStock,
+      reason: change.reason,
+      actor: user.email,
+      note: change.note
+    }))
+  );
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return methodNotAllowed(res, ["POST"]);
+  }
+
+  const user = requireRole(req, res, ["admin"]);
+  if (!user) {
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let change;
+  try {
+    change = normalizeBulkStockPayload(body);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  try {
+    const flowers = await findTargetFlowers(change);
+    if (change.ids && !change.occasion && !change.tag) {
+      const found = new Set(flowers.map((flower) => flower.id));
+      const missing = change.ids.find((id) => !found.has(id));
+      if (missing) {
+        return json(res, 404, { message: `flower not found: ${missing}` });
+      }
+    }
+
+    const results = flowers.map((flower) => planStockChange(flower, change));
+    if (!change.dryRun) {
+      await applyStockChanges(results, change, user);
+    }
+
+    return json(res, 200, {
+      dryRun: change.dryRun,
+      updated: results.filter((result) => result.status === "updated").length,
+      results
+    });
+  } catch (error) {
+    return json(res, Number(error.status || 500), {
+      message: error.message || "internal server error"
+    });
+  }
+};
@@ -0,0 +1,79 @@
+const { getStore } = require("../_store");
+const { dbRequest, ensureSeedFlowers, isDatabaseConfigured, toInFilter } = require("../_db");
+const { getPublishState, liveFlowerConditions } = require("../_publishing");
+const { searchDatabaseFlowers, searchFlowers } = require("../_search");
+const { withFlowerTags } = require("../_tags");
+const { json, methodNotAllowed, parseUrl } = require("../_utils");
+
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_SUGGESTIONS = 6;
+const MAX_SUGGESTIONS = 10;
+
+function toSuggestion(flower) {
+  return {
+    id: flower.id,
+    name: flower.name,
+    occasion: flower.occasion,
+    price: Number(flower.price)
+  };
+}
+
+async function suggestFromDatabase(query, limit) {
+  await ensureSeedFlowers();
+  const ranks = await searchDatabaseFlowers(query, { prefix: true });
+  if (ranks.size === 0) {
+    return [];
+  }
+
+  // search_flowers ranks every flower, so hidden ones are dropped here before the limit applies.
+  const rows = await dbRequest({
+    table: "flowers",
+    method: "GET",
+    query: {
+      select: "id,name,occasion,price",
+      and: `(${[...liveFlowerConditions(), `id.${toInFilter([...ranks.keys()])}`].join(",")})`
+    },
+    prefer: null
+  });
+  return rows
+    .sort((a, b) => ranks.get(b.id) - ranks.get(a.id))
+    .slice(0, limit)
+    .map(toSuggestion);
+}
+
+async function suggestFromMemory(query, limit) {
+  const flowers = await withFlowerTags(
+    getStore().flowers.filter((flower) => getPublishState(flower) === "live")
+  );
+  const scores = searchFlowers(flowers, query);
+  return flowers
+    .filter((flower) => scores.has(flower.id))
+    .sort((a, b) => scores.get(b.id) - scores.get(a.id) || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(toSuggestion);
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") {
+    return methodNotAllowed(res, ["GET"]);
+  }
+
+  const params = parseUrl(req).searchParams;
+  const query = String(params.get("q") || "").trim();
+  const limit = Number(params.get("limit") || DEFAULT_SUGGESTIONS);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+    return json(res, 400, { message: `limit must be between 1 and ${MAX_SUGGESTIONS}` });
+  }
+  if (query.length < MIN_QUERY_LENGTH) {
+    return json(res, 200, []);
+  }
+
+  try {
+    const suggestions = isDatabaseConfigured()
+      ? await suggestFromDatabase(query, limit)
+      : await suggestFromMemory(query, limit);
+    return json(res, 200, suggestions);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
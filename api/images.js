@@ -0,0 +1,165 @@
+const { DEFAULT_HERO_IMAGE, getStore } = require("./_store");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+const {
+  DERIVATIVE_FORMATS,
+  IMAGE_WIDTHS,
+  imageVersion,
+  renderDerivative,
+  resolveFlowerImages
+} = require("./_images");
+const { memoryStorageDriver } = require("./_storage");
+const { json, methodNotAllowed, parseUrl } = require("./_utils");
+
+const SOURCE_MAX_BYTES = 15 * 1024 * 1024;
+const SOURCE_TIMEOUT_MS = 10000;
+
+function createImageError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function loadHeroSource() {
+  let heroImage = getStore().settings?.heroImage || DEFAULT_HERO_IMAGE;
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "site_settings",
+      method: "GET",
+      query: { select: "hero_image", id: "eq.main", limit: 1 },
+      prefer: null
+    });
+    heroImage = (Array.isArray(rows) && rows[0]?.hero_image) || DEFAULT_HERO_IMAGE;
+  }
+  return { url: heroImage, focus: null, version: imageVersion(heroImage) };
+}
+
+async function loadFlowerSource(flowerId, index) {
+  let flower;
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "flowers",
+      method: "GET",
+      query: {
+        select: "id,image,image_focus_x,image_focus_y,images",
+        id: `eq.${flowerId}`,
+        limit: 1
+      },
+      prefer: null
+    });
+    const row = Array.isArray(rows) ? rows[0] : null;
+    flower = row && {
+      images: row.images,
+      image: row.image,
+      imageFocusX: row.image_focus_x,
+      imageFocusY: row.image_focus_y
+    };
+  } else {
+    flower = getStore().flowers.find((entry) => entry.id === flowerId);
+  }
+
+  const image = flower
+    ? resolveFlowerImages(flower.images, {
+        url: flower.image,
+        focusX: flower.imageFocusX,
+        focusY: flower.imageFocusY
+      })[index]
+    : null;
+  if (!image) {
+    throw createImageError("image not found", 404);
+  }
+
+  return {
+    url: image.url,
+    focus: { x: image.focusX, y: image.focusY },
+    version: imageVersion(image.url, image.focusX, image.focusY)
+  };
+}
+
+async function fetchSourceImage(url) {
+  const parsed = new URL(url);
+  if (parsed.pathname === "/api/uploads") {
+    const upload = memoryStorageDriver.get(parsed.searchParams.get("name"));
+    if (upload) {
+      return upload.buffer;
+    }
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS) }).catch(
+    () => null
+  );
+  if (!response || !response.ok) {
+    throw createImageError("source image could not be loaded", 502);
+  }
+
+  const tooLarge = () => createImageError("source image is too large to resize", 502);
+  if (Number(response.headers.get("content-length")) > SOURCE_MAX_BYTES) {
+    await response.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > SOURCE_MAX_BYTES) {
+      // Leaving the loop cancels the stream, so the rest is never downloaded.
+      throw tooLarge();
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+async function serveDerivative(req, res) {
+  const params = parseUrl(req).searchParams;
+  const width = Number(params.get("w"));
+  if (!IMAGE_WIDTHS.includes(width)) {
+    return json(res, 400, { message: `w must be one of: ${IMAGE_WIDTHS.join(", ")}` });
+  }
+
+  const format = String(params.get("format") || "webp");
+  if (!DERIVATIVE_FORMATS[format]) {
+    return json(res, 400, {
+      message: `format must be one of: ${Object.keys(DERIVATIVE_FORMATS).join(", ")}`
+    });
+  }
+
+  const flowerId = String(params.get("flower") || "").trim();
+  const index = Number(params.get("index") || 0);
+  if (params.get("hero") !== "1" && (!flowerId || !Number.isInteger(index) || index < 0)) {
+    return json(res, 400, { message: "flower and index, or hero=1, are required" });
+  }
+
+  try {
+    const source =
+      params.get("hero") === "1" ? await loadHeroSource() : await loadFlowerSource(flowerId, index);
+    const buffer = await fetchSourceImage(source.url);
+    const output = await renderDerivative(buffer, { width, format, focus: source.focus });
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", DERIVATIVE_FORMATS[format].contentType);
+    res.setHeader(
+      "Cache-Control",
+      params.get("v") === source.version
+        ? "public, max-age=31536000, immutable"
+        : "public, max-age=300"
+    );
+    res.end(output);
+  } catch (error) {
+    if (error.status) {
+      return json(res, error.status, { message: error.message });
+    }
+    return json(res, 422, { message: "source image could not be processed" });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return methodNotAllowed(res, ["GET"]);
+    }
+    return await serveDerivative(req, res);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
@@ -38,7 +38,7 @@ function withNotificationsHint(message) {
 }
 
 function shouldUseMemoryFallback(error) {
-  const message = String(error?.message || "").toLowerCase();
+  const message = String(error?.detail || error?.message || "").toLowerCase();
   if (!message.includes("notifications")) {
     return false;
   }
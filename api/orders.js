@@ -1,25 +1,140 @@
 const { requireRole } = require("./_auth");
 const { createId, getStore } = require("./_store");
-const { dbRequest, ensureSeedFlowers, isDatabaseConfigured, toInFilter } = require("./_db");
+const {
+  dbRequest,
+  dbRpc,
+  ensureSeedFlowers,
+  isDatabaseConfigured,
+  toInFilter
+} = require("./_db");
+const {
+  ALLOWED_FULFILMENT_STATUSES,
+  FULFILMENT_TRANSITIONS,
+  findOrder,
+  findOrderInDb,
+  isPaidPaymentStatus,
+  listOrderRefundRowsFromDb,
+  normalizeFulfilmentStatus,
+  normalizeCartItems,
+  normalizeLegacyOrder,
+  normalizePaymentMethod,
+  normalizePaymentStatus,
+  normalizeProviderRefundStatus,
+  roundMoney,
+  toOrderModel,
+  toOrderView,
+  updateOrderPayment
+} = require("./_orders");
+const {
+  assertSlotBookable,
+  calculateDeliveryFee,
+  findDeliverySlot,
+  formatSlotWindow,
+  normalizeDate,
+  normalizePostcode,
+  resolveDeliveryZone
+} = require("./_delivery");
+const { convertOrderTotals, resolveOrderCurrency } = require("./_currency");
+const { recordStockMovements } = require("./_stock");
+const { adjustItemStock, priceCartItems, toOptionModels } = require("./_variants");
+const {
+  PROMO_CODE_REGEX,
+  applyPromoCode,
+  applyPromoCodeInMemory,
+  getMemoryPromos,
+  normalizePromoCode
+} = require("./_promotions");
+const {
+  getEnabledPaymentProvider,
+  isPaymentMethodEnabled,
+  listEnabledPaymentMethods
+} = require("./_payments");
 const { json, methodNotAllowed, parseUrl, readJsonBody } = require("./_utils");
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const PHONE_REGEX = /^[0-9+\-\s()]{7,24}$/;
-const ALLOWED_PAYMENT_METHODS = new Set(["cash", "paypal"]);
-const ALLOWED_PAYMENT_STATUSES = new Set(["pending", "paid", "failed"]);
+const ADMIN_CANCELLABLE_STATUSES = ["confirmed", "preparing", "out-for-delivery"];
+const CUSTOMER_CANCELLABLE_STATUSES = ["confirmed"];
+const REASON_MAX_LENGTH = 240;
+const GIFT_MESSAGE_MAX_LENGTH = 250;
+
+function assertFulfilmentTransition(currentStatus, nextStatus) {
+  if (currentStatus === nextStatus) {
+    const error = new Error(`order is already ${nextStatus}`);
+    error.status = 409;
+    throw error;
+  }
 
-function normalizePaymentMethod(value) {
-  const normalized = String(value || "cash")
-    .trim()
-    .toLowerCase();
-  return ALLOWED_PAYMENT_METHODS.has(normalized) ? normalized : null;
+  if (!FULFILMENT_TRANSITIONS[currentStatus].includes(nextStatus)) {
+    const error = new Error(`cannot move order from ${currentStatus} to ${nextStatus}`);
+    error.status = 409;
+    throw error;
+  }
 }
 
-function normalizePaymentStatus(value) {
-  const normalized = String(value || "")
-    .trim()
-    .toLowerCase();
-  return ALLOWED_PAYMENT_STATUSES.has(normalized) ? normalized : null;
+function normalizeReason(value) {
+  const normalized = String(value || "").trim();
+  if (normalized.length < 3 || normalized.length > REASON_MAX_LENGTH) {
+    throw new Error(
+      `reason must be between 3 and ${REASON_MAX_LENGTH} characters`
+    );
+  }
+  return normalized;
+}
+
+function getRefundableAmount(order) {
+  const reserved = order.refunds
+    .filter((refund) => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return roundMoney(order.total - reserved);
+}
+
+function normalizeRefundAmount(value, order) {
+  const refundable = getRefundableAmount(order);
+  if (refundable <= 0) {
+    const error = new Error("order is already fully refunded");
+    error.status = 409;
+    throw error;
+  }
+
+  if (value === undefined || value === null || value === "") {
+    return refundable;
+  }
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0 || roundMoney(amount) !== amount) {
+    const error = new Error("amount must be a positive number with at most 2 decimals");
+    error.status = 400;
+    throw error;
+  }
+
+  if (amount > refundable) {
+    const error = new Error(`refund exceeds the refundable amount of ${refundable.toFixed(2)}`);
+    error.status = 409;
+    throw error;
+  }
+
+  return amount;
+}
+
+function getCancellableStatuses(order, user) {
+  if (user.role === "admin") {
+    return ADMIN_CANCELLABLE_STATUSES;
+  }
+
+  if (!order.userId || order.userId !== user.id) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  if (order.fulfilmentStatus !== "cancelled" && order.paymentStatus !== "pending") {
+    const error = new Error("only pending orders can be cancelled");
+    error.status = 409;
+    throw error;
+  }
+
+  return CUSTOMER_CANCELLABLE_STATUSES;
 }
 
 function isValidPhoneNumber(value) {
@@ -32,55 +147,24 @@ function isValidPhoneNumber(value) {
   return digitCount >= 7 && digitCount <= 15;
 }
 
-function toOrderModel(orderRow, itemRows) {
-  const items = itemRows
-    .filter((item) => item.order_id === orderRow.id)
-    .map((item) => ({
-      flowerId: item.flower_id,
-      name: item.name,
-      unitPrice: Number(item.unit_price),
-      quantity: Number(item.quantity),
-      lineTotal: Number(item.line_total)
-    }));
-
-  const paymentMethod = normalizePaymentMethod(orderRow.payment_method) || "cash";
-  const paymentStatus = normalizePaymentStatus(orderRow.payment_status) || "pending";
-
-  return {
-    id: orderRow.id,
-    customer: {
-      name: orderRow.customer_name,
-      email: orderRow.customer_email,
-      phone: orderRow.customer_phone || "",
-      address: orderRow.customer_address
-    },
-    paymentMethod,
-    paymentStatus,
-    items,
-    total: Number(orderRow.total),
-    createdAt: orderRow.created_at || new Date().toISOString()
-  };
-}
-
-function normalizeLegacyOrder(order) {
-  return {
-    ...order,
-    customer: {
-      name: String(order?.customer?.name || "").trim(),
-      email: String(order?.customer?.email || "").trim(),
-      phone: String(order?.customer?.phone || "").trim(),
-      address: String(order?.customer?.address || "").trim()
-    },
-    paymentMethod: normalizePaymentMethod(order?.paymentMethod) || "cash",
-    paymentStatus: normalizePaymentStatus(order?.paymentStatus) || "pending"
-  };
+function withOrderFunctionHint(error) {
+  const message = String(error?.detail || error?.message || "").toLowerCase();
+  if (message.includes("could not find the function")) {
+    error.message = `${error.message}. Run supabase/schema.sql to add the order functions.`;
+  }
+  return error;
 }
 
-async function listOrdersFromDb() {
+async function listOrdersFromDb({ userId, deliveryDate } = {}) {
   const orderRows = await dbRequest({
     table: "orders",
     method: "GET",
-    query: { select: "*", order: "created_at.desc" },
+    query: {
+      select: "*",
+      user_id: userId ? `eq.${userId}` : undefined,
+      delivery_date: deliveryDate ? `eq.${deliveryDate}` : undefined,
+      order: "created_at.desc"
+    },
     prefer: null
   });
 
@@ -100,43 +184,109 @@ async function listOrdersFromDb() {
     prefer: null
   });
 
-  return orderRows.map((orderRow) => toOrderModel(orderRow, itemRows));
+  const refundRows = await listOrderRefundRowsFromDb(orderIds);
+
+  return orderRows.map((orderRow) => toOrderModel(orderRow, itemRows, refundRows));
 }
 
-function listOrdersFromMemory() {
+function listOrdersFromMemory({ userId, deliveryDate } = {}) {
   const store = getStore();
   return [...store.orders]
     .map((order) => normalizeLegacyOrder(order))
+    .filter((order) => !userId || order.userId === userId)
+    .filter((order) => !deliveryDate || order.deliveryDate === deliveryDate)
     .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 }
 
-async function listOrders(_req, res) {
+function isMineQuery(req) {
+  const value = String(parseUrl(req).searchParams.get("mine") || "")
+    .trim()
+    .toLowerCase();
+  return value === "1" || value === "true";
+}
+
+async function listOrders(req, res, { userId, viewer } = {}) {
+  const rawDeliveryDate = parseUrl(req).searchParams.get("deliveryDate");
+  let deliveryDate;
+  try {
+    deliveryDate = rawDeliveryDate ? normalizeDate(rawDeliveryDate, "deliveryDate") : undefined;
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
   if (isDatabaseConfigured()) {
-    const orders = await listOrdersFromDb();
-    return json(res, 200, orders);
+    const orders = await listOrdersFromDb({ userId, deliveryDate });
+    return json(res, 200, orders.map((order) => toOrderView(order, viewer)));
   }
 
-  return json(res, 200, listOrdersFromMemory());
+  const orders = listOrdersFromMemory({ userId, deliveryDate });
+  return json(res, 200, orders.map((order) => toOrderView(order, viewer)));
 }
 
-function normalizeCartItems(items) {
-  const quantities = new Map();
+function normalizeGiftDetails(body) {
+  const { recipient, giftMessage, sendAnonymously = false } = body || {};
 
-  for (const item of items) {
-    const flowerId = String(item?.flowerId || "").trim();
-    const quantity = Number(item?.quantity);
-    if (!flowerId || !Number.isInteger(quantity) || quantity <= 0 || quantity > 100) {
-      throw new Error("invalid cart item payload");
-    }
+  if (typeof sendAnonymously !== "boolean") {
+    throw new Error("sendAnonymously must be true or false");
+  }
+
+  const message = String(giftMessage || "").trim();
+  if (message.length > GIFT_MESSAGE_MAX_LENGTH) {
+    throw new Error(`giftMessage must be at most ${GIFT_MESSAGE_MAX_LENGTH} characters`);
+  }
+
+  const details = {
+    recipientName: null,
+    recipientPhone: null,
+    recipientAddress: null,
+    giftMessage: message || null,
+    sendAnonymously
+  };
+
+  if (recipient === undefined || recipient === null) {
+    return details;
+  }
+
+  if (typeof recipient !== "object") {
+    throw new Error("recipient must be an object");
+  }
+
+  const name = String(recipient.name || "").trim();
+  const phone = String(recipient.phone || "").trim();
+  const address = String(recipient.address || "").trim();
+  if (!name && !phone && !address) {
+    return details;
+  }
+
+  if (name.length < 2 || name.length > 120) {
+    throw new Error("recipient.name must be between 2 and 120 characters");
+  }
+
+  if (phone && !isValidPhoneNumber(phone)) {
+    throw new Error("recipient.phone is invalid");
+  }
 
-    quantities.set(flowerId, (quantities.get(flowerId) || 0) + quantity);
+  if (address && (address.length < 6 || address.length > 240)) {
+    throw new Error("recipient.address must be between 6 and 240 characters");
   }
 
-  return [...quantities.entries()].map(([flowerId, quantity]) => ({ flowerId, quantity }));
+  return {
+    ...details,
+    recipientName: name,
+    recipientPhone: phone || null,
+    recipientAddress: address || null
+  };
 }
 
-function validateOrderPayload(body) {
-  const { customer, items, paymentMethod = "cash" } = body || {};
+function validateOrderPayload(body, user) {
+  const {
+    customer,
+    items,
+    paymentMethod = "cash",
+    deliverySlotId,
+    promoCode,
+    currency
+  } = body || {};
 
   if (!customer || typeof customer !== "object") {
     throw new Error("customer details are required");
@@ -146,6 +296,8 @@ function validateOrderPayload(body) {
   const customerEmail = String(customer.email || "").trim().toLowerCase();
   const customerPhone = String(customer.phone || "").trim();
   const customerAddress = String(customer.address || "").trim();
+  const customerCity = String(customer.city || "").trim().replace(/\s+/g, " ");
+  const customerPostcode = normalizePostcode(customer.postcode);
 
   if (customerName.length < 2 || customerName.length > 120) {
     throw new Error("customer.name must be between 2 and 120 characters");
@@ -163,43 +315,106 @@ function validateOrderPayload(body) {
     throw new Error("customer.address must be between 6 and 240 characters");
   }
 
+  if (customerCity.length < 2 || customerCity.length > 80) {
+    throw new Error("customer.city must be between 2 and 80 characters");
+  }
+
+  if (customerPostcode.length > 12) {
+    throw new Error("customer.postcode must be at most 12 characters");
+  }
+
   if (!Array.isArray(items) || items.length === 0) {
     throw new Error("at least one cart item is required");
   }
 
+  const normalizedDeliverySlotId = String(deliverySlotId || "").trim();
+  if (!normalizedDeliverySlotId) {
+    throw new Error("deliverySlotId is required");
+  }
+
   const normalizedPaymentMethod = normalizePaymentMethod(paymentMethod);
-  if (!normalizedPaymentMethod) {
-    throw new Error("paymentMethod must be cash or paypal");
+  if (!normalizedPaymentMethod || !isPaymentMethodEnabled(normalizedPaymentMethod)) {
+    const enabled = listEnabledPaymentMethods().map((method) => method.id);
+    throw new Error(`paymentMethod must be one of: ${enabled.join(", ")}`);
+  }
+
+  const normalizedPromoCode = normalizePromoCode(promoCode);
+  if (normalizedPromoCode && !PROMO_CODE_REGEX.test(normalizedPromoCode)) {
+    throw new Error("promoCode is invalid");
+  }
+
+  const normalizedCurrency = String(currency || "").trim().toUpperCase();
+  if (normalizedCurrency && !/^[A-Z]{3}$/.test(normalizedCurrency)) {
+    throw new Error("currency must be a 3-letter currency code");
   }
 
   return {
+    userId: user?.id || null,
+    placedBy: user?.email || null,
     customerName,
     customerEmail,
     customerPhone,
     customerAddress,
+    customerCity,
+    customerPostcode,
     paymentMethod: normalizedPaymentMethod,
     paymentStatus: "pending",
+    deliverySlotId: normalizedDeliverySlotId,
+    promoCode: normalizedPromoCode || null,
+    currency: normalizedCurrency || null,
+    ...normalizeGiftDetails(body),
     items: normalizeCartItems(items)
   };
 }
 
+function toPromoLines(items, flowerMap) {
+  return items.map((item) => ({
+    flowerId: item.flowerId,
+    occasion: flowerMap.get(item.flowerId).occasion,
+    lineTotal: item.lineTotal
+  }));
+}
+
 async function createOrderInDb(payload) {
   const {
+    userId,
+    placedBy,
     customerName,
     customerEmail,
     customerPhone,
     customerAddress,
+    customerCity,
+    customerPostcode,
     paymentMethod,
     paymentStatus,
+    deliverySlotId,
+    recipientName,
+    recipientPhone,
+    recipientAddress,
+    giftMessage,
+    sendAnonymously,
+    promoCode,
+    currency,
     items
   } = payload;
 
   await ensureSeedFlowers();
 
+  const orderCurrency = await resolveOrderCurrency(currency);
+  const zone = await resolveDeliveryZone({ city: customerCity, postcode: customerPostcode });
+  const slot = await findDeliverySlot(deliverySlotId);
+  assertSlotBookable(slot);
+
   const flowerRows = await dbRequest({
     table: "flowers",
     method: "GET",
-    query: { select: "*", order: "created_at.desc" },
+    query: {
+      select: [
+        "id,name,price,occasion,stock,variants,add_ons",
+        "status,publish_at,unpublish_at,archived_at"
+      ].join(","),
+      id: toInFilter(items.map((item) => item.flowerId))
+    },
     prefer: null
   });
 
@@ -210,181 +425,250 @@ async function createOrderInDb(payload) {
         id: flower.id,
         name: flower.name,
         price: Number(flower.price),
-        stock: Number(flower.stock || 0)
+        occasion: flower.occasion,
+        stock: Number(flower.stock || 0),
+        variants: toOptionModels(flower.variants),
+        addOns: toOptionModels(flower.add_ons),
+        status: flower.status,
+        publishAt: flower.publish_at || null,
+        unpublishAt: flower.unpublish_at || null,
+        archivedAt: flower.archived_at || null
       }
     ])
   );
 
-  const normalizedItems = [];
+  const normalizedItems = priceCartItems(items, flowerMap);
 
-  for (const item of items) {
-    const flower = flowerMap.get(item.flowerId);
-    if (!flower) {
-      const error = new Error(`flower not found: ${item.flowerId}`);
-      error.status = 404;
-      throw error;
-    }
-
-    if (flower.stock < item.quantity) {
-      const error = new Error(`insufficient stock for ${flower.name}`);
-      error.status = 409;
-      throw error;
-    }
-
-    normalizedItems.push({
-      flowerId: flower.id,
-      name: flower.name,
-      unitPrice: flower.price,
-      quantity: item.quantity,
-      lineTotal: Number((flower.price * item.quantity).toFixed(2))
-    });
-  }
-
-  for (const item of normalizedItems) {
-    const flower = flowerMap.get(item.flowerId);
-    flower.stock -= item.quantity;
-
-    await dbRequest({
-      table: "flowers",
-      method: "PATCH",
-      query: { id: `eq.${item.flowerId}` },
-      body: { stock: flower.stock },
-      prefer: "return=minimal"
-    });
-  }
-
-  const total = Number(
+  const subtotal = Number(
     normalizedItems.reduce((sum, item) => sum + Number(item.lineTotal), 0).toFixed(2)
   );
+  const deliveryFee = calculateDeliveryFee(zone, subtotal);
+  const promotion = promoCode
+    ? await applyPromoCode(promoCode, {
+        userId,
+        lines: toPromoLines(normalizedItems, flowerMap),
+        deliveryFee
+      })
+    : null;
+  const discount = promotion ? promotion.discount : 0;
+  const total = roundMoney(subtotal + deliveryFee - discount);
+  const converted = convertOrderTotals(
+    { subtotal, deliveryFee, discount, total },
+    orderCurrency.rate
+  );
 
-  const orderId = createId(12);
-  const orderRows = await dbRequest({
-    table: "orders",
-    method: "POST",
-    body: {
-      id: orderId,
-      customer_name: customerName,
-      customer_email: customerEmail,
-      customer_phone: customerPhone,
-      customer_address: customerAddress,
-      payment_method: paymentMethod,
-      payment_status: paymentStatus,
-      total,
-      created_at: new Date().toISOString()
-    }
-  });
-
-  await dbRequest({
-    table: "order_items",
-    method: "POST",
-    body: normalizedItems.map((item) => ({
-      order_id: orderId,
-      flower_id: item.flowerId,
-      name: item.name,
-      unit_price: item.unitPrice,
-      quantity: item.quantity,
-      line_total: item.lineTotal
-    })),
-    prefer: "return=minimal"
-  });
+  const createdAt = new Date().toISOString();
+  let result;
+  try {
+    result = await dbRpc("create_order", {
+      p_order: {
+        id: createId(12),
+        user_id: userId,
+        customer_name: customerName,
+        customer_email: customerEmail,
+        customer_phone: customerPhone,
+        customer_address: customerAddress,
+        customer_city: customerCity,
+        customer_postcode: customerPostcode || null,
+        recipient_name: recipientName,
+        recipient_phone: recipientPhone,
+        recipient_address: recipientAddress,
+        gift_message: giftMessage,
+        send_anonymously: sendAnonymously,
+        payment_method: paymentMethod,
+        payment_status: paymentStatus,
+        delivery_slot_id: slot.id,
+        delivery_date: slot.date,
+        delivery_window: formatSlotWindow(slot),
+        delivery_zone_id: zone.id,
+        delivery_zone_name: zone.name,
+        fulfilment_status: "confirmed",
+        fulfilment_history: [{ status: "confirmed", at: createdAt, by: placedBy }],
+        subtotal,
+        delivery_fee: deliveryFee,
+        promo_code: promotion ? promotion.promo.code : null,
+        discount,
+        total,
+        currency: orderCurrency.code,
+        exchange_rate: orderCurrency.rate,
+        converted_subtotal: converted.subtotal,
+        converted_delivery_fee: converted.deliveryFee,
+        converted_discount: converted.discount,
+        converted_total: converted.total,
+        created_at: createdAt
+      },
+      p_items: normalizedItems.map((item) => ({
+        flower_id: item.flowerId,
+        name: item.name,
+        variant_id: item.variantId,
+        variant_name: item.variantName,
+        add_ons: item.addOns,
+        unit_price: item.unitPrice,
+        quantity: item.quantity,
+        line_total: item.lineTotal
+      }))
+    });
+  } catch (error) {
+    throw withOrderFunctionHint(error);
+  }
 
-  return {
-    id: orderRows[0].id,
-    customer: {
-      name: customerName,
-      email: customerEmail,
-      phone: customerPhone,
-      address: customerAddress
-    },
-    paymentMethod,
-    paymentStatus,
-    items: normalizedItems,
-    total,
-    createdAt: orderRows[0].created_at || new Date().toISOString()
-  };
+  return toOrderModel(result.order, result.items);
 }
 
-function createOrderInMemory(payload) {
+async function createOrderInMemory(payload) {
   const {
+    userId,
+    placedBy,
     customerName,
     customerEmail,
     customerPhone,
     customerAddress,
+    customerCity,
+    customerPostcode,
     paymentMethod,
     paymentStatus,
+    deliverySlotId,
+    recipientName,
+    recipientPhone,
+    recipientAddress,
+    giftMessage,
+    sendAnonymously,
+    promoCode,
+    currency,
     items
   } = payload;
   const store = getStore();
+  const orderCurrency = await resolveOrderCurrency(currency);
+  const zone = await resolveDeliveryZone({ city: customerCity, postcode: customerPostcode });
+  const slot = await findDeliverySlot(deliverySlotId);
+  assertSlotBookable(slot);
   const flowerMap = new Map(store.flowers.map((flower) => [flower.id, flower]));
-  const normalizedItems = [];
+  const normalizedItems = priceCartItems(items, flowerMap);
 
-  for (const item of items) {
-    const flower = flowerMap.get(item.flowerId);
-    if (!flower) {
-      const error = new Error(`flower not found: ${item.flowerId}`);
-      error.status = 404;
-      throw error;
-    }
-
-    if (flower.stock < item.quantity) {
-      const error = new Error(`insufficient stock for ${flower.name}`);
-      error.status = 409;
-      throw error;
-    }
+  const subtotal = Number(
+    normalizedItems.reduce((sum, item) => sum + item.lineTotal, 0).toFixed(2)
+  );
+  const deliveryFee = calculateDeliveryFee(zone, subtotal);
+  const promotion = promoCode
+    ? applyPromoCodeInMemory(promoCode, {
+        userId,
+        lines: toPromoLines(normalizedItems, flowerMap),
+        deliveryFee
+      })
+    : null;
+  const discount = promotion ? promotion.discount : 0;
+  const total = roundMoney(subtotal + deliveryFee - discount);
+  const convertedTotals = convertOrderTotals(
+    { subtotal, deliveryFee, discount, total },
+    orderCurrency.rate
+  );
 
-    normalizedItems.push({
+  const orderId = createId(12);
+  const movements = normalizedItems.map((item) => {
+    const flower = flowerMap.get(item.flowerId);
+    const before = Number(flower.stock || 0);
+    adjustItemStock(flower, item, -1);
+    return {
       flowerId: flower.id,
-      name: flower.name,
-      unitPrice: flower.price,
-      quantity: item.quantity,
-      lineTotal: Number((flower.price * item.quantity).toFixed(2))
-    });
-  }
+      delta: flower.stock - before,
+      reason: "sale",
+      actor: placedBy,
+      orderId
+    };
+  });
 
-  for (const item of normalizedItems) {
-    const flower = flowerMap.get(item.flowerId);
-    flower.stock -= item.quantity;
-  }
+  const storedSlot = store.deliverySlots.find((entry) => entry.id === slot.id);
+  storedSlot.booked = Number(storedSlot.booked || 0) + 1;
 
-  const total = Number(
-    normalizedItems.reduce((sum, item) => sum + item.lineTotal, 0).toFixed(2)
-  );
+  if (promotion) {
+    const storedPromo = getMemoryPromos().find((entry) => entry.id === promotion.promo.id);
+    storedPromo.usedCount = Number(storedPromo.usedCount || 0) + 1;
+  }
 
+  const createdAt = new Date().toISOString();
   const order = {
-    id: createId(12),
+    id: orderId,
+    userId,
     customer: {
       name: customerName,
       email: customerEmail,
       phone: customerPhone,
-      address: customerAddress
+      address: customerAddress,
+      city: customerCity,
+      postcode: customerPostcode || null
     },
+    recipient: recipientName
+      ? { name: recipientName, phone: recipientPhone, address: recipientAddress }
+      : null,
+    giftMessage,
+    sendAnonymously,
     paymentMethod,
     paymentStatus,
+    deliverySlotId: slot.id,
+    deliveryDate: slot.date,
+    deliveryWindow: formatSlotWindow(slot),
+    deliveryZoneId: zone.id,
+    deliveryZoneName: zone.name,
+    fulfilmentStatus: "confirmed",
+    fulfilmentHistory: [{ status: "confirmed", at: createdAt, by: placedBy }],
     items: normalizedItems,
+    subtotal,
+    deliveryFee,
+    promoCode: promotion ? promotion.promo.code : null,
+    discount,
     total,
-    createdAt: new Date().toISOString()
+    currency: orderCurrency.code,
+    exchangeRate: orderCurrency.rate,
+    convertedTotals,
+    createdAt
   };
 
   store.orders.push(order);
+  await recordStockMovements(movements);
   return order;
 }
 
-async function updateOrderStatusInDb(orderId, paymentStatus) {
+async function updateOrderFulfilmentInDb(orderId, fulfilmentStatus, actor) {
+  const currentRows = await dbRequest({
+    table: "orders",
+    method: "GET",
+    query: {
+      select: "*",
+      id: `eq.${orderId}`,
+      limit: 1
+    },
+    prefer: null
+  });
+
+  if (!Array.isArray(currentRows) || currentRows.length === 0) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const current = toOrderModel(currentRows[0], []);
+  assertFulfilmentTransition(current.fulfilmentStatus, fulfilmentStatus);
+
   const rows = await dbRequest({
     table: "orders",
     method: "PATCH",
     query: {
       id: `eq.${orderId}`,
+      fulfilment_status: `eq.${current.fulfilmentStatus}`,
       select: "*"
     },
     body: {
-      payment_status: paymentStatus
+      fulfilment_status: fulfilmentStatus,
+      fulfilment_history: [
+        ...current.fulfilmentHistory,
+        { status: fulfilmentStatus, at: new Date().toISOString(), by: actor }
+      ]
     }
   });
 
   if (!Array.isArray(rows) || rows.length === 0) {
-    const error = new Error("order not found");
-    error.status = 404;
+    const error = new Error("order status changed, reload and try again");
+    error.status = 409;
     throw error;
   }
 
@@ -398,11 +682,12 @@ async function updateOrderStatusInDb(orderId, paymentStatus) {
     },
     prefer: null
   });
+  const refundRows = await listOrderRefundRowsFromDb([orderId]);
 
-  return toOrderModel(rows[0], itemRows);
+  return toOrderModel(rows[0], itemRows, refundRows);
 }
 
-function updateOrderStatusInMemory(orderId, paymentStatus) {
+function updateOrderFulfilmentInMemory(orderId, fulfilmentStatus, actor) {
   const store = getStore();
   const index = store.orders.findIndex((order) => order.id === orderId);
   if (index === -1) {
@@ -412,15 +697,279 @@ function updateOrderStatusInMemory(orderId, paymentStatus) {
   }
 
   const normalized = normalizeLegacyOrder(store.orders[index]);
+  assertFulfilmentTransition(normalized.fulfilmentStatus, fulfilmentStatus);
+
+  const updatedOrder = {
+    ...normalized,
+    fulfilmentStatus,
+    fulfilmentHistory: [
+      ...normalized.fulfilmentHistory,
+      { status: fulfilmentStatus, at: new Date().toISOString(), by: actor }
+    ]
+  };
+  store.orders[index] = updatedOrder;
+  return updatedOrder;
+}
+
+async function cancelOrderInDb(orderId, reason, user) {
+  const current = await findOrderInDb(orderId);
+  const fromStatuses = getCancellableStatuses(current, user);
+  if (current.fulfilmentStatus === "cancelled") {
+    return current;
+  }
+
+  let result;
+  try {
+    result = await dbRpc("cancel_order", {
+      p_order_id: orderId,
+      p_reason: reason,
+      p_actor: user.email,
+      p_from_statuses: fromStatuses
+    });
+  } catch (error) {
+    throw withOrderFunctionHint(error);
+  }
+
+  return toOrderModel(result.order, result.items, result.refunds || []);
+}
+
+async function cancelOrderInMemory(orderId, reason, user) {
+  const store = getStore();
+  const index = store.orders.findIndex((order) => order.id === orderId);
+  if (index === -1) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const normalized = normalizeLegacyOrder(store.orders[index]);
+  const fromStatuses = getCancellableStatuses(normalized, user);
+  if (normalized.fulfilmentStatus === "cancelled") {
+    return normalized;
+  }
+
+  if (!fromStatuses.includes(normalized.fulfilmentStatus)) {
+    const error = new Error(`order can no longer be cancelled (${normalized.fulfilmentStatus})`);
+    error.status = 409;
+    throw error;
+  }
+
+  const movements = [];
+  for (const item of normalized.items || []) {
+    const flower = store.flowers.find((entry) => entry.id === item.flowerId);
+    if (flower) {
+      const before = Number(flower.stock || 0);
+      adjustItemStock(flower, item, 1);
+      movements.push({
+        flowerId: flower.id,
+        delta: flower.stock - before,
+        reason: "cancellation",
+        actor: user.email,
+        orderId
+      });
+    }
+  }
+
+  const slot = (store.deliverySlots || []).find((entry) => entry.id === normalized.deliverySlotId);
+  if (slot) {
+    slot.booked = Math.max(0, Number(slot.booked || 0) - 1);
+  }
+
+  const promo = getMemoryPromos().find((entry) => entry.code === normalized.promoCode);
+  if (promo) {
+    promo.usedCount = Math.max(0, Number(promo.usedCount || 0) - 1);
+  }
+
+  const cancelledAt = new Date().toISOString();
   const updatedOrder = {
     ...normalized,
-    paymentStatus
+    fulfilmentStatus: "cancelled",
+    fulfilmentHistory: [
+      ...normalized.fulfilmentHistory,
+      { status: "cancelled", at: cancelledAt, by: user.email }
+    ],
+    cancellationReason: reason,
+    cancelledAt
+  };
+  store.orders[index] = updatedOrder;
+  await recordStockMovements(movements);
+  return updatedOrder;
+}
+
+async function cancelOrder(req, res, user, body) {
+  const url = parseUrl(req);
+  const orderId = String(url.searchParams.get("id") || "").trim();
+  if (!orderId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  if (body === undefined) {
+    try {
+      body = await readJsonBody(req);
+    } catch {
+      return json(res, 400, { message: "invalid JSON body" });
+    }
+  }
+
+  let reason;
+  try {
+    reason = normalizeReason(body?.reason);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  try {
+    const order = isDatabaseConfigured()
+      ? await cancelOrderInDb(orderId, reason, user)
+      : await cancelOrderInMemory(orderId, reason, user);
+    return json(res, 200, toOrderView(order, user));
+  } catch (error) {
+    const status = Number(error.status || 400);
+    return json(res, status, { message: error.message || "failed to cancel order" });
+  }
+}
+
+async function reserveRefundInDb(refund) {
+  try {
+    await dbRpc("reserve_order_refund", {
+      p_refund: {
+        id: refund.id,
+        order_id: refund.orderId,
+        amount: refund.amount,
+        reason: refund.reason,
+        issued_by: refund.issuedBy,
+        provider: refund.provider,
+        provider_reference: null,
+        status: "pending",
+        created_at: refund.createdAt
+      }
+    });
+  } catch (error) {
+    throw withOrderFunctionHint(error);
+  }
+}
+
+async function settleRefundInDb(orderId, refundId, { status, providerReference }) {
+  await dbRequest({
+    table: "order_refunds",
+    method: "PATCH",
+    query: { id: `eq.${refundId}` },
+    body: {
+      status,
+      provider_reference: providerReference || null
+    },
+    prefer: null
+  });
+  return findOrderInDb(orderId);
+}
+
+function reserveRefundInMemory(refund) {
+  const store = getStore();
+  const index = store.orders.findIndex((order) => order.id === refund.orderId);
+  if (index === -1) {
+    const error = new Error("order not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const normalized = normalizeLegacyOrder(store.orders[index]);
+  if (!isPaidPaymentStatus(normalized.paymentStatus)) {
+    const error = new Error("only paid orders can be refunded");
+    error.status = 409;
+    throw error;
+  }
+  normalizeRefundAmount(refund.amount, normalized);
+
+  const { orderId, ...entry } = refund;
+  store.orders[index] = {
+    ...normalized,
+    refunds: [...normalized.refunds, { ...entry, status: "pending" }]
   };
+}
+
+function settleRefundInMemory(orderId, refundId, { status, providerReference }) {
+  const store = getStore();
+  const index = store.orders.findIndex((order) => order.id === orderId);
+  const normalized = normalizeLegacyOrder(store.orders[index]);
+  const updatedOrder = normalizeLegacyOrder({
+    ...normalized,
+    refunds: normalized.refunds.map((refund) =>
+      refund.id === refundId
+        ? { ...refund, status, providerReference: providerReference || null }
+        : refund
+    )
+  });
   store.orders[index] = updatedOrder;
   return updatedOrder;
 }
 
-async function createOrder(req, res) {
+async function refundOrder(req, res, user) {
+  const url = parseUrl(req);
+  const orderId = String(url.searchParams.get("id") || "").trim();
+  if (!orderId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let reason;
+  try {
+    reason = normalizeReason(body?.reason);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  try {
+    const order = await findOrder(orderId);
+    if (!isPaidPaymentStatus(order.paymentStatus)) {
+      return json(res, 409, { message: "only paid orders can be refunded" });
+    }
+
+    const amount = normalizeRefundAmount(body?.amount, order);
+    const provider = getEnabledPaymentProvider(order.paymentMethod);
+    const refund = {
+      id: createId(12),
+      orderId,
+      amount,
+      reason,
+      issuedBy: user.email,
+      provider: provider.id,
+      createdAt: new Date().toISOString()
+    };
+
+    const useDatabase = isDatabaseConfigured();
+    const settleRefund = useDatabase ? settleRefundInDb : settleRefundInMemory;
+    if (useDatabase) {
+      await reserveRefundInDb(refund);
+    } else {
+      reserveRefundInMemory(refund);
+    }
+
+    let result;
+    try {
+      result = await provider.refund({ order, amount, reason });
+    } catch (error) {
+      await settleRefund(orderId, refund.id, { status: "failed" });
+      throw error;
+    }
+
+    const updatedOrder = await settleRefund(orderId, refund.id, {
+      status: normalizeProviderRefundStatus(result.status),
+      providerReference: result.reference
+    });
+    return json(res, 201, updatedOrder);
+  } catch (error) {
+    const status = Number(error.status || 400);
+    return json(res, status, { message: error.message || "failed to refund order" });
+  }
+}
+
+async function createOrder(req, res, user) {
   let body;
 
   try {
@@ -431,7 +980,7 @@ async function createOrder(req, res) {
 
   let payload;
   try {
-    payload = validateOrderPayload(body);
+    payload = validateOrderPayload(body, user);
   } catch (error) {
     return json(res, 400, { message: error.message });
   }
@@ -439,15 +988,15 @@ async function createOrder(req, res) {
   try {
     const order = isDatabaseConfigured()
       ? await createOrderInDb(payload)
-      : createOrderInMemory(payload);
-    return json(res, 201, order);
+      : await createOrderInMemory(payload);
+    return json(res, 201, toOrderView(order, user));
   } catch (error) {
     const status = Number(error.status || 400);
     return json(res, status, { message: error.message || "failed to create order" });
   }
 }
 
-async function updateOrderStatus(req, res) {
+async function updateOrderStatus(req, res, user) {
   const url = parseUrl(req);
   const orderId = String(url.searchParams.get("id") || "").trim();
   if (!orderId) {
@@ -461,15 +1010,39 @@ async function updateOrderStatus(req, res) {
     return json(res, 400, { message: "invalid JSON body" });
   }
 
+  if (Object.prototype.hasOwnProperty.call(body || {}, "fulfilmentStatus")) {
+    if (normalizeFulfilmentStatus(body.fulfilmentStatus) === "cancelled") {
+      return cancelOrder(req, res, user, body);
+    }
+    return updateOrderFulfilment(res, orderId, body.fulfilmentStatus, user);
+  }
+
   const paymentStatus = normalizePaymentStatus(body?.paymentStatus);
   if (!paymentStatus) {
     return json(res, 400, { message: "paymentStatus must be pending, paid, or failed" });
   }
 
+  try {
+    const order = await updateOrderPayment(orderId, { paymentStatus });
+    return json(res, 200, order);
+  } catch (error) {
+    const status = Number(error.status || 400);
+    return json(res, status, { message: error.message || "failed to update order status" });
+  }
+}
+
+async function updateOrderFulfilment(res, orderId, value, user) {
+  const fulfilmentStatus = normalizeFulfilmentStatus(value);
+  if (!fulfilmentStatus) {
+    return json(res, 400, {
+      message: `fulfilmentStatus must be one of: ${[...ALLOWED_FULFILMENT_STATUSES].join(", ")}`
+    });
+  }
+
   try {
     const order = isDatabaseConfigured()
-      ? await updateOrderStatusInDb(orderId, paymentStatus)
-      : updateOrderStatusInMemory(orderId, paymentStatus);
+      ? await updateOrderFulfilmentInDb(orderId, fulfilmentStatus, user.email)
+      : updateOrderFulfilmentInMemory(orderId, fulfilmentStatus, user.email);
     return json(res, 200, order);
   } catch (error) {
     const status = Number(error.status || 400);
@@ -480,11 +1053,19 @@ async function updateOrderStatus(req, res) {
 module.exports = async function handler(req, res) {
   try {
     if (req.method === "GET") {
+      if (isMineQuery(req)) {
+        const user = requireRole(req, res, ["admin", "customer"]);
+        if (!user) {
+          return;
+        }
+        return await listOrders(req, res, { userId: user.id, viewer: user });
+      }
+
       const user = requireRole(req, res, ["admin"]);
       if (!user) {
         return;
       }
-      return await listOrders(req, res);
+      return await listOrders(req, res, { viewer: user });
     }
 
     if (req.method === "POST") {
@@ -492,15 +1073,32 @@ module.exports = async function handler(req, res) {
       if (!user) {
         return;
       }
-      return await createOrder(req, res);
+      return await createOrder(req, res, user);
     }
 
     if (req.method === "PATCH") {
+      const action = parseUrl(req).searchParams.get("action");
+      if (action === "refund") {
+        const user = requireRole(req, res, ["admin"]);
+        if (!user) {
+          return;
+        }
+        return await refundOrder(req, res, user);
+      }
+
+      if (action === "cancel") {
+        const user = requireRole(req, res, ["admin", "customer"]);
+        if (!user) {
+          return;
+        }
+        return await cancelOrder(req, res, user);
+      }
+
       const user = requireRole(req, res, ["admin"]);
       if (!user) {
         return;
       }
-      return await updateOrderStatus(req, res);
+      return await updateOrderStatus(req, res, user);
     }
 
     return methodNotAllowed(res, ["GET", "POST", "PATCH"]);
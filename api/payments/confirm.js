@@ -0,0 +1,68 @@
+const { requireRole } = require("../_auth");
+const {
+  findOrderForUser,
+  isPaidPaymentStatus,
+  toOrderView,
+  updateOrderPayment
+} = require("../_orders");
+const { getEnabledPaymentProvider, isMatchingAmount } = require("../_payments");
+const { json, methodNotAllowed, readJsonBody } = require("../_utils");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return methodNotAllowed(res, ["POST"]);
+  }
+
+  const user = requireRole(req, res, ["admin", "customer"]);
+  if (!user) {
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  const orderId = String(body?.orderId || "").trim();
+  if (!orderId) {
+    return json(res, 400, { message: "orderId is required" });
+  }
+
+  try {
+    const order = await findOrderForUser(orderId, user);
+    if (isPaidPaymentStatus(order.paymentStatus)) {
+      return json(res, 200, toOrderView(order, user));
+    }
+
+    const provider = getEnabledPaymentProvider(order.paymentMethod);
+    if (provider.flow !== "offline" && !order.paymentReference) {
+      return json(res, 409, { message: "payment has not been started for this order" });
+    }
+
+    const requestedReference = String(body?.reference || "").trim();
+    if (requestedReference && requestedReference !== order.paymentReference) {
+      return json(res, 409, { message: "payment reference does not match this order" });
+    }
+
+    const result = await provider.confirm({ order });
+    if (result.paymentStatus === "paid") {
+      if (!isMatchingAmount(result.amount, order.total)) {
+        return json(res, 409, { message: "paid amount does not match order total" });
+      }
+      const paid = await updateOrderPayment(order.id, { paymentStatus: "paid" });
+      return json(res, 200, toOrderView(paid, user));
+    }
+
+    if (result.paymentStatus === "failed") {
+      const failed = await updateOrderPayment(order.id, { paymentStatus: "failed" });
+      return json(res, 402, { message: "payment was not completed", order: toOrderView(failed, user) });
+    }
+
+    return json(res, 202, toOrderView(order, user));
+  } catch (error) {
+    const status = Number(error.status || 500);
+    return json(res, status, { message: error.message || "failed to confirm payment" });
+  }
+};
@@ -0,0 +1,57 @@
+const { requireRole } = require("../_auth");
+const { findOrderForUser, updateOrderPayment } = require("../_orders");
+const { getEnabledPaymentProvider } = require("../_payments");
+const { getRequestOrigin, json, methodNotAllowed, readJsonBody } = require("../_utils");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return methodNotAllowed(res, ["POST"]);
+  }
+
+  const user = requireRole(req, res, ["admin", "customer"]);
+  if (!user) {
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  const orderId = String(body?.orderId || "").trim();
+  if (!orderId) {
+    return json(res, 400, { message: "orderId is required" });
+  }
+
+  try {
+    const order = await findOrderForUser(orderId, user);
+    if (order.paymentStatus !== "pending" || order.fulfilmentStatus === "cancelled") {
+      return json(res, 409, { message: "order is not awaiting payment" });
+    }
+
+    const provider = getEnabledPaymentProvider(order.paymentMethod);
+    const origin = getRequestOrigin(req);
+    const query = `method=${encodeURIComponent(provider.id)}&orderId=${encodeURIComponent(order.id)}`;
+    const payment = await provider.initiate({
+      order,
+      returnUrl: `${origin}/?payment=return&${query}`,
+      cancelUrl: `${origin}/?payment=cancel&${query}`
+    });
+
+    if (payment.reference) {
+      await updateOrderPayment(order.id, { paymentReference: payment.reference });
+    }
+
+    return json(res, 201, {
+      orderId: order.id,
+      method: provider.id,
+      reference: payment.reference,
+      redirectUrl: payment.redirectUrl
+    });
+  } catch (error) {
+    const status = Number(error.status || 500);
+    return json(res, status, { message: error.message || "failed to start payment" });
+  }
+};
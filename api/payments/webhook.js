@@ -0,0 +1,56 @@
+const {
+  findOrder,
+  isPaidPaymentStatus,
+  settlePendingRefund,
+  updateOrderPayment
+} = require("../_orders");
+const { getEnabledPaymentProvider, isMatchingAmount } = require("../_payments");
+const { json, methodNotAllowed, parseUrl, readRawBody } = require("../_utils");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return methodNotAllowed(res, ["POST"]);
+  }
+
+  const providerId = parseUrl(req).searchParams.get("provider");
+  if (!providerId) {
+    return json(res, 400, { message: "provider query parameter is required" });
+  }
+
+  try {
+    const provider = getEnabledPaymentProvider(providerId);
+    const rawBody = await readRawBody(req);
+    const update = await provider.webhook({ headers: req.headers || {}, rawBody });
+    if (!update) {
+      return json(res, 200, { received: true });
+    }
+    if (update.refund) {
+      await settlePendingRefund(provider.id, update.refund.reference, update.refund.status);
+      return json(res, 200, { received: true });
+    }
+
+    let order;
+    try {
+      order = await findOrder(update.orderId);
+    } catch (error) {
+      if (error.status === 404) {
+        return json(res, 200, { received: true });
+      }
+      throw error;
+    }
+
+    if (order.paymentMethod !== provider.id || isPaidPaymentStatus(order.paymentStatus)) {
+      return json(res, 200, { received: true });
+    }
+
+    if (update.paymentStatus === "paid" && !isMatchingAmount(update.amount, order.total)) {
+      return json(res, 200, { received: true, ignored: "amount mismatch" });
+    }
+
+    await updateOrderPayment(order.id, { paymentStatus: update.paymentStatus });
+    return json(res, 200, { received: true });
+  } catch (error) {
+    const status = Number(error.status || 500);
+    return json(res, status, { message: error.message || "failed to process webhook" });
+  }
+};
@@ -0,0 +1,294 @@
+const { requireRole } = require("./_auth");
+const { createId, getStore } = require("./_store");
+const { dbRequest, ensureSeedFlowers, isDatabaseConfigured, toInFilter } = require("./_db");
+const { normalizeCartItems } = require("./_orders");
+const {
+  applyPromoCode,
+  getMemoryPromos,
+  normalizeMemoryPromo,
+  toPromoModel,
+  validatePromoPayload
+} = require("./_promotions");
+const { priceCartItems, toOptionModels } = require("./_variants");
+const { json, methodNotAllowed, parseUrl, readJsonBody } = require("./_utils");
+
+function mapPromoModelToRow(promo) {
+  const row = {};
+  const fields = {
+    id: "id",
+    code: "code",
+    type: "type",
+    value: "value",
+    startsAt: "starts_at",
+    endsAt: "ends_at",
+    maxUses: "max_uses",
+    perCustomerLimit: "per_customer_limit",
+    occasions: "occasions",
+    flowerIds: "flower_ids",
+    active: "active"
+  };
+  for (const [key, column] of Object.entries(fields)) {
+    if (promo[key] !== undefined) {
+      row[column] = promo[key];
+    }
+  }
+  return row;
+}
+
+function isDuplicateCodeError(error) {
+  return error?.code === "23505" || /duplicate key/i.test(String(error?.message || ""));
+}
+
+async function findPromoById(promoId) {
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "promo_codes",
+      method: "GET",
+      query: { select: "*", id: `eq.${promoId}`, limit: 1 },
+      prefer: null
+    });
+    return Array.isArray(rows) && rows.length > 0 ? toPromoModel(rows[0]) : null;
+  }
+
+  const promo = getMemoryPromos().find((entry) => entry.id === promoId);
+  return promo ? normalizeMemoryPromo(promo) : null;
+}
+
+async function listPromos(req, res) {
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "promo_codes",
+      method: "GET",
+      query: { select: "*", order: "created_at.desc" },
+      prefer: null
+    });
+    return json(res, 200, rows.map(toPromoModel));
+  }
+
+  const promos = getMemoryPromos()
+    .map(normalizeMemoryPromo)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return json(res, 200, promos);
+}
+
+async function createPromo(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let promo;
+  try {
+    promo = { id: createId(10), ...validatePromoPayload(body) };
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    try {
+      const rows = await dbRequest({
+        table: "promo_codes",
+        method: "POST",
+        body: mapPromoModelToRow(promo)
+      });
+      return json(res, 201, toPromoModel(rows[0]));
+    } catch (error) {
+      if (isDuplicateCodeError(error)) {
+        return json(res, 409, { message: `promo code ${promo.code} already exists` });
+      }
+      throw error;
+    }
+  }
+
+  const promos = getMemoryPromos();
+  if (promos.some((entry) => entry.code === promo.code)) {
+    return json(res, 409, { message: `promo code ${promo.code} already exists` });
+  }
+
+  const created = { ...promo, usedCount: 0, createdAt: new Date().toISOString() };
+  promos.push(created);
+  return json(res, 201, normalizeMemoryPromo(created));
+}
+
+async function updatePromo(req, res) {
+  const promoId = String(parseUrl(req).searchParams.get("id") || "").trim();
+  if (!promoId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  const current = await findPromoById(promoId);
+  if (!current) {
+    return json(res, 404, { message: "promo code not found" });
+  }
+
+  let updates;
+  try {
+    updates = validatePromoPayload(body, { partial: true, current });
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    try {
+      const rows = await dbRequest({
+        table: "promo_codes",
+        method: "PATCH",
+        query: { id: `eq.${promoId}`, select: "*" },
+        body: mapPromoModelToRow(updates)
+      });
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return json(res, 404, { message: "promo code not found" });
+      }
+      return json(res, 200, toPromoModel(rows[0]));
+    } catch (error) {
+      if (isDuplicateCodeError(error)) {
+        return json(res, 409, { message: `promo code ${updates.code} already exists` });
+      }
+      throw error;
+    }
+  }
+
+  const promos = getMemoryPromos();
+  if (updates.code && promos.some((entry) => entry.id !== promoId && entry.code === updates.code)) {
+    return json(res, 409, { message: `promo code ${updates.code} already exists` });
+  }
+
+  const index = promos.findIndex((entry) => entry.id === promoId);
+  promos[index] = { ...promos[index], ...updates };
+  return json(res, 200, normalizeMemoryPromo(promos[index]));
+}
+
+async function deletePromo(req, res) {
+  const promoId = String(parseUrl(req).searchParams.get("id") || "").trim();
+  if (!promoId) {
+    return json(res, 400, { message: "id query param is required" });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "promo_codes",
+      method: "DELETE",
+      query: { id: `eq.${promoId}`, select: "*" }
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 404, { message: "promo code not found" });
+    }
+    return json(res, 200, { ok: true, removed: toPromoModel(rows[0]) });
+  }
+
+  const promos = getMemoryPromos();
+  const index = promos.findIndex((entry) => entry.id === promoId);
+  if (index === -1) {
+    return json(res, 404, { message: "promo code not found" });
+  }
+  const [removed] = promos.splice(index, 1);
+  return json(res, 200, { ok: true, removed: normalizeMemoryPromo(removed) });
+}
+
+async function loadCartLines(items) {
+  let flowers;
+  if (isDatabaseConfigured()) {
+    await ensureSeedFlowers();
+    const rows = await dbRequest({
+      table: "flowers",
+      method: "GET",
+      query: {
+        select: "id,name,price,occasion,stock,variants,add_ons",
+        id: toInFilter(items.map((item) => item.flowerId))
+      },
+      prefer: null
+    });
+    flowers = rows.map((row) => ({
+      ...row,
+      price: Number(row.price),
+      variants: toOptionModels(row.variants),
+      addOns: toOptionModels(row.add_ons)
+    }));
+  } else {
+    flowers = getStore().flowers;
+  }
+
+  const flowerMap = new Map(flowers.map((flower) => [flower.id, flower]));
+  return priceCartItems(items, flowerMap).map((item) => ({
+    flowerId: item.flowerId,
+    occasion: flowerMap.get(item.flowerId).occasion,
+    lineTotal: item.lineTotal
+  }));
+}
+
+async function previewPromo(req, res, user) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  if (!String(body?.code || "").trim()) {
+    return json(res, 400, { message: "code is required" });
+  }
+  if (!Array.isArray(body?.items) || body.items.length === 0) {
+    return json(res, 400, { message: "at least one cart item is required" });
+  }
+
+  try {
+    const lines = await loadCartLines(normalizeCartItems(body.items));
+    const { promo, discount } = await applyPromoCode(body.code, {
+      userId: user.id,
+      lines,
+      deliveryFee: 0
+    });
+    return json(res, 200, {
+      code: promo.code,
+      type: promo.type,
+      discount,
+      freeDelivery: promo.type === "free_delivery"
+    });
+  } catch (error) {
+    return json(res, Number(error.status || 400), { message: error.message });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    const action = parseUrl(req).searchParams.get("action");
+    if (req.method === "POST" && action === "preview") {
+      const user = requireRole(req, res, ["admin", "customer"]);
+      if (!user) {
+        return;
+      }
+      return await previewPromo(req, res, user);
+    }
+
+    if (!["GET", "POST", "PATCH", "DELETE"].includes(req.method)) {
+      return methodNotAllowed(res, ["GET", "POST", "PATCH", "DELETE"]);
+    }
+
+    const user = requireRole(req, res, ["admin"]);
+    if (!user) {
+      return;
+    }
+
+    if (req.method === "GET") {
+      return await listPromos(req, res);
+    }
+    if (req.method === "POST") {
+      return await createPromo(req, res);
+    }
+    if (req.method === "PATCH") {
+      return await updatePromo(req, res);
+    }
+    return await deletePromo(req, res);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
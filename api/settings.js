@@ -1,13 +1,22 @@
 const { requireRole } = require("./_auth");
 const { DEFAULT_HERO_IMAGE, getStore } = require("./_store");
+const { heroImageSrcset } = require("./_images");
 const { dbRequest, isDatabaseConfigured } = require("./_db");
+const {
+  getCurrencySettings,
+  saveCurrencySettings,
+  validateCurrencySettings
+} = require("./_currency");
+const { listEnabledPaymentMethods } = require("./_payments");
 const { json, methodNotAllowed, readJsonBody } = require("./_utils");
 
 const IMAGE_PROTOCOLS = new Set(["http:", "https:"]);
 
 function mapSettingsRowToModel(row) {
+  const heroImage = String(row?.hero_image || DEFAULT_HERO_IMAGE);
   return {
-    heroImage: String(row?.hero_image || DEFAULT_HERO_IMAGE),
+    heroImage,
+    heroImageSrcset: heroImageSrcset(heroImage),
     updatedAt: row?.updated_at || new Date().toISOString()
   };
 }
@@ -21,7 +30,7 @@ function mapSettingsModelToRow(model) {
 }
 
 function shouldUseMemoryFallback(error) {
-  const message = String(error?.message || "").toLowerCase();
+  const message = String(error?.detail || error?.message || "").toLowerCase();
   if (!message.includes("site_settings")) {
     return false;
   }
@@ -70,8 +79,10 @@ function getMemorySettings() {
     store.settings.updatedAt = new Date().toISOString();
   }
 
+  const heroImage = String(store.settings.heroImage || DEFAULT_HERO_IMAGE);
   return {
-    heroImage: String(store.settings.heroImage || DEFAULT_HERO_IMAGE),
+    heroImage,
+    heroImageSrcset: heroImageSrcset(heroImage),
     updatedAt: store.settings.updatedAt
   };
 }
@@ -103,10 +114,15 @@ async function getDbSettings() {
 }
 
 async function listSettings(_req, res) {
+  const shared = {
+    paymentMethods: listEnabledPaymentMethods(),
+    currency: await getCurrencySettings()
+  };
+
   if (isDatabaseConfigured()) {
     try {
       const settings = await getDbSettings();
-      return json(res, 200, settings);
+      return json(res, 200, { ...settings, ...shared });
     } catch (error) {
       if (!shouldUseMemoryFallback(error)) {
         throw error;
@@ -114,7 +130,18 @@ async function listSettings(_req, res) {
     }
   }
 
-  return json(res, 200, getMemorySettings());
+  return json(res, 200, { ...getMemorySettings(), ...shared });
+}
+
+async function updateCurrency(res, value) {
+  let currency;
+  try {
+    currency = validateCurrencySettings(value);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  return json(res, 200, { currency: await saveCurrencySettings(currency) });
 }
 
 async function updateSettings(req, res) {
@@ -126,6 +153,10 @@ async function updateSettings(req, res) {
     return json(res, 400, { message: "invalid JSON body" });
   }
 
+  if (body?.currency !== undefined) {
+    return updateCurrency(res, body.currency);
+  }
+
   let heroImage;
   try {
     heroImage = normalizeHeroImage(body?.heroImage);
@@ -169,7 +200,7 @@ async function updateSettings(req, res) {
 
   const store = getStore();
   store.settings = payload;
-  return json(res, 200, payload);
+  return json(res, 200, getMemorySettings());
 }
 
 module.exports = async function handler(req, res) {
@@ -0,0 +1,54 @@
+const { requireRole } = require("./_auth");
+const { ensureSeedFlowers } = require("./_db");
+const {
+  DEFAULT_MOVEMENT_LIMIT,
+  MAX_MOVEMENT_LIMIT,
+  listStockMovements,
+  reconcileStock
+} = require("./_stock");
+const { json, methodNotAllowed, parseUrl } = require("./_utils");
+
+async function getFlowerHistory(res, flowerId, params) {
+  const limit = Number(params.get("limit") || DEFAULT_MOVEMENT_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MOVEMENT_LIMIT) {
+    return json(res, 400, { message: `limit must be between 1 and ${MAX_MOVEMENT_LIMIT}` });
+  }
+
+  const [reconciliation] = await reconcileStock([flowerId]);
+  if (!reconciliation) {
+    return json(res, 404, { message: "flower not found" });
+  }
+
+  const movements = await listStockMovements(flowerId, limit);
+  return json(res, 200, { ...reconciliation, movements });
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return methodNotAllowed(res, ["GET"]);
+    }
+
+    const user = requireRole(req, res, ["admin"]);
+    if (!user) {
+      return;
+    }
+
+    await ensureSeedFlowers();
+    const params = parseUrl(req).searchParams;
+    const flowerId = String(params.get("flowerId") || "").trim();
+    if (flowerId) {
+      return await getFlowerHistory(res, flowerId, params);
+    }
+
+    const reconciliation = await reconcileStock();
+    const mismatchedOnly = params.get("mismatched") === "1";
+    return json(
+      res,
+      200,
+      mismatchedOnly ? reconciliation.filter((entry) => entry.difference !== 0) : reconciliation
+    );
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
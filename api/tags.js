@@ -0,0 +1,171 @@
+const { requireRole } = require("./_auth");
+const { dbRequest, isDatabaseConfigured } = require("./_db");
+const {
+  getMemoryTags,
+  listTags,
+  normalizeTagLabel,
+  removeMemoryFlowerTags,
+  slugifyTag,
+  toTagModel
+} = require("./_tags");
+const { json, methodNotAllowed, parseUrl, readJsonBody } = require("./_utils");
+
+function readSlug(req) {
+  return slugifyTag(parseUrl(req).searchParams.get("slug"));
+}
+
+function normalizeTagPatch(body) {
+  const updates = {};
+  if (body?.label !== undefined) {
+    updates.label = normalizeTagLabel(body.label).label;
+  }
+  if (body?.curated !== undefined) {
+    if (typeof body.curated !== "boolean") {
+      throw new Error("curated must be true or false");
+    }
+    updates.curated = body.curated;
+  }
+  if (Object.keys(updates).length === 0) {
+    throw new Error("no valid fields to update");
+  }
+  return updates;
+}
+
+async function listTagsForRequest(req, res) {
+  const tags = await listTags();
+  const curatedOnly = parseUrl(req).searchParams.get("curated") === "1";
+  return json(res, 200, curatedOnly ? tags.filter((tag) => tag.curated) : tags);
+}
+
+async function createCuratedTag(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let tag;
+  try {
+    tag = normalizeTagLabel(body?.label);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "tags",
+      method: "POST",
+      query: { on_conflict: "slug" },
+      body: { slug: tag.slug, label: tag.label, curated: true },
+      prefer: "resolution=merge-duplicates,return=representation"
+    });
+    return json(res, 201, toTagModel(rows[0]));
+  }
+
+  const tags = getMemoryTags();
+  const existing = tags.find((entry) => entry.slug === tag.slug);
+  if (existing) {
+    Object.assign(existing, { label: tag.label, curated: true });
+    return json(res, 201, toTagModel(existing));
+  }
+  const created = { ...tag, curated: true, createdAt: new Date().toISOString() };
+  tags.push(created);
+  return json(res, 201, toTagModel(created));
+}
+
+async function updateTag(req, res) {
+  const slug = readSlug(req);
+  if (!slug) {
+    return json(res, 400, { message: "slug query param is required" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch {
+    return json(res, 400, { message: "invalid JSON body" });
+  }
+
+  let updates;
+  try {
+    updates = normalizeTagPatch(body);
+  } catch (error) {
+    return json(res, 400, { message: error.message });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "tags",
+      method: "PATCH",
+      query: { slug: `eq.${slug}`, select: "*" },
+      body: updates
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 404, { message: "tag not found" });
+    }
+    return json(res, 200, toTagModel(rows[0]));
+  }
+
+  const tag = getMemoryTags().find((entry) => entry.slug === slug);
+  if (!tag) {
+    return json(res, 404, { message: "tag not found" });
+  }
+  Object.assign(tag, updates);
+  return json(res, 200, toTagModel(tag));
+}
+
+async function deleteTag(req, res) {
+  const slug = readSlug(req);
+  if (!slug) {
+    return json(res, 400, { message: "slug query param is required" });
+  }
+
+  if (isDatabaseConfigured()) {
+    const rows = await dbRequest({
+      table: "tags",
+      method: "DELETE",
+      query: { slug: `eq.${slug}`, select: "*" }
+    });
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return json(res, 404, { message: "tag not found" });
+    }
+    return json(res, 200, { ok: true, removed: toTagModel(rows[0]) });
+  }
+
+  const tags = getMemoryTags();
+  const index = tags.findIndex((entry) => entry.slug === slug);
+  if (index === -1) {
+    return json(res, 404, { message: "tag not found" });
+  }
+  const [removed] = tags.splice(index, 1);
+  removeMemoryFlowerTags({ tagSlug: slug });
+  return json(res, 200, { ok: true, removed: toTagModel(removed) });
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      return await listTagsForRequest(req, res);
+    }
+
+    if (req.method === "POST" || req.method === "PATCH" || req.method === "DELETE") {
+      const user = requireRole(req, res, ["admin"]);
+      if (!user) {
+        return;
+      }
+
+      if (req.method === "POST") {
+        return await createCuratedTag(req, res);
+      }
+      if (req.method === "PATCH") {
+        return await updateTag(req, res);
+      }
+      return await deleteTag(req, res);
+    }
+
+    return methodNotAllowed(res, ["GET", "POST", "PATCH", "DELETE"]);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
@@ -0,0 +1,63 @@
+const { requireRole } = require("./_auth");
+const {
+  UPLOAD_MAX_BYTES,
+  getStorageDriver,
+  memoryStorageDriver,
+  validateImageUpload
+} = require("./_storage");
+const {
+  getRequestOrigin,
+  json,
+  methodNotAllowed,
+  parseUrl,
+  readBufferBody
+} = require("./_utils");
+
+function serveUpload(req, res) {
+  const upload = memoryStorageDriver.get(parseUrl(req).searchParams.get("name"));
+  if (!upload) {
+    return json(res, 404, { message: "image not found" });
+  }
+
+  res.statusCode = 200;
+  res.setHeader("Content-Type", upload.contentType);
+  res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+  res.end(upload.buffer);
+}
+
+async function uploadImage(req, res) {
+  try {
+    const buffer = await readBufferBody(req, UPLOAD_MAX_BYTES);
+    const { contentType, name } = validateImageUpload(buffer, req.headers?.["content-type"]);
+    const url = await getStorageDriver().put({
+      name,
+      buffer,
+      contentType,
+      origin: getRequestOrigin(req)
+    });
+    return json(res, 201, { url, contentType, size: buffer.length });
+  } catch (error) {
+    return json(res, Number(error.status || 400), { message: error.message });
+  }
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      return serveUpload(req, res);
+    }
+
+    if (req.method !== "POST") {
+      return methodNotAllowed(res, ["GET", "POST"]);
+    }
+
+    const user = requireRole(req, res, ["admin"]);
+    if (!user) {
+      return;
+    }
+
+    return await uploadImage(req, res);
+  } catch (error) {
+    return json(res, 500, { message: error.message || "internal server error" });
+  }
+};
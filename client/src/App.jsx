@@ -3,23 +3,54 @@ import { gsap } from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
 import Lenis from "lenis";
 import {
+  archiveFlower,
+  bulkUpdateStock,
+  cancelOrder,
+  confirmPayment,
+  createCategory,
+  createDeliverySlot,
+  createDeliveryZone,
+  createPromoCode,
   createFlower,
   createChatReply,
   createNotification,
   createOrder,
+  deleteCategory,
+  deleteDeliverySlot,
+  deleteDeliveryZone,
+  deletePromoCode,
   deleteNotification,
-  deleteFlower,
+  getCategories,
+  getDeliverySlots,
+  getDeliveryZones,
+  getPromoCodes,
+  getFlower,
   getFlowers,
+  getFlowerSuggestions,
+  getMyOrders,
   getNotifications,
   getOrders,
   getSiteSettings,
   getSession,
+  getStockHistory,
+  getStockReconciliation,
+  getTags,
+  initiatePayment,
   login,
   signup,
   logout,
+  refundOrder,
+  restoreFlower,
+  updateCategory,
+  updateDeliverySlot,
+  updateDeliveryZone,
+  updatePromoCode,
+  previewPromoCode,
   updateFlower,
+  updateOrderFulfilment,
   updateOrderStatus,
-  updateSiteSettings
+  updateSiteSettings,
+  uploadImage
 } from "./api";
 
 const initialFlowerForm = {
@@ -27,17 +58,66 @@ const initialFlowerForm = {
   description: "",
   price: "",
   occasion: "general",
-  image: "",
-  imageFocusX: 50,
-  imageFocusY: 50,
-  stock: 0
+  images: [],
+  stock: 0,
+  variants: [],
+  addOns: [],
+  tags: [],
+  stockReason: "adjustment",
+  status: "published",
+  publishAt: "",
+  unpublishAt: ""
 };
 
+const MAX_FLOWER_TAGS = 12;
+const SHOP_PAGE_SIZE = 12;
+const FEATURED_FLOWER_LIMIT = 6;
+const SHOP_SORT_OPTIONS = [
+  { value: "relevance", label: "Best match" },
+  { value: "newest", label: "Newest" },
+  { value: "popular", label: "Most popular" },
+  { value: "price-asc", label: "Price: low to high" },
+  { value: "price-desc", label: "Price: high to low" },
+  { value: "name", label: "Name" }
+];
+const IMAGE_UPLOAD_TYPES = "image/jpeg,image/png,image/webp";
+const FLOWER_CARD_IMAGE_SIZES = "(max-width: 680px) 100vw, (max-width: 980px) 50vw, 25vw";
+const FLOWER_PAGE_IMAGE_SIZES = "(max-width: 980px) 100vw, 55vw";
+const RELATED_FLOWER_LIMIT = 4;
+const RELATED_CANDIDATE_LIMIT = 12;
+const STOCK_REASON_LABELS = {
+  sale: "Sale",
+  restock: "Restock",
+  adjustment: "Adjustment",
+  cancellation: "Cancellation",
+  spoilage: "Spoilage"
+};
+const PUBLISH_STATE_LABELS = {
+  draft: "Draft",
+  scheduled: "Scheduled",
+  live: "Live",
+  ended: "Ended",
+  archived: "Archived"
+};
+
+const FLOWER_OPTION_GROUPS = [
+  { field: "variants", title: "Sizes", addLabel: "Add Size" },
+  { field: "addOns", title: "Add-ons", addLabel: "Add Add-on" }
+];
+
 const initialCheckoutForm = {
   name: "",
   email: "",
   phone: "",
-  address: ""
+  address: "",
+  city: "",
+  postcode: "",
+  isGift: false,
+  recipientName: "",
+  recipientPhone: "",
+  recipientAddress: "",
+  giftMessage: "",
+  sendAnonymously: false
 };
 
 const initialLoginForm = {
@@ -56,16 +136,48 @@ const initialNotificationForm = {
   message: ""
 };
 
-const occasionTabs = [
-  { label: "All", value: "all" },
-  { label: "Romance", value: "romance" },
-  { label: "Birthday", value: "birthday" },
-  { label: "Wedding", value: "wedding" },
-  { label: "Thank You", value: "thank-you" },
-  { label: "General", value: "general" }
-];
-const PAYPAL_ME_URL = "https://paypal.me/AnasZaami";
+const initialZoneForm = {
+  name: "",
+  cities: "",
+  postcodes: "",
+  fee: "",
+  freeDeliveryThreshold: ""
+};
+
+const initialCategoryForm = {
+  slug: "",
+  label: "",
+  icon: "",
+  sortOrder: "",
+  keywords: ""
+};
+
+const initialPromoForm = {
+  code: "",
+  type: "percentage",
+  value: "",
+  startsAt: "",
+  endsAt: "",
+  maxUses: "",
+  perCustomerLimit: "",
+  occasions: "",
+  flowerIds: []
+};
+
+const initialSlotForm = {
+  date: "",
+  startTime: "09:00",
+  endTime: "12:00",
+  capacity: "10"
+};
+
 const WHATSAPP_CHAT_URL = "https://wa.me/212775094615";
+const initialRefundForm = {
+  orderId: "",
+  amount: "",
+  reason: ""
+};
+const DEFAULT_PAYMENT_METHODS = [{ id: "cash", label: "Cash on Delivery", flow: "offline" }];
 const DEFAULT_HERO_IMAGE =
   "https://images.unsplash.com/photo-1490750967868-88aa4486c946?auto=format&fit=crop&w=1200&q=80";
 const marqueeHighlights = [
@@ -75,7 +187,13 @@ const marqueeHighlights = [
   "Custom arrangements",
   "Secure checkout"
 ];
-const USD_TO_MAD_RATE = 10;
+const fulfilmentSteps = {
+  confirmed: { label: "Confirmed", next: ["preparing", "cancelled"] },
+  preparing: { label: "Preparing", next: ["out-for-delivery", "cancelled"] },
+  "out-for-delivery": { label: "Out for delivery", next: ["delivered", "cancelled"] },
+  delivered: { label: "Delivered", next: [] },
+  cancelled: { label: "Cancelled", next: [] }
+};
 const NOTIFICATION_SEEN_STORAGE_KEY = "flyethr_notifications_seen_at";
 const HERO_IMAGE_STORAGE_KEY = "flyethr_hero_image";
 const CHATBOT_WELCOME_MESSAGE =
@@ -84,19 +202,14 @@ const MAX_CHAT_HISTORY = 8;
 const CHAT_DESKTOP_MIN_WIDTH = 981;
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const PHONE_REGEX = /^[0-9+\-\s()]{7,24}$/;
-const currencyOptions = {
-  USD: {
-    label: "USD ($)",
-    locale: "en-US",
-    currency: "USD",
-    rate: 1
-  },
-  MAD: {
-    label: "MAD (DH)",
-    locale: "fr-MA",
-    currency: "MAD",
-    rate: USD_TO_MAD_RATE
-  }
+const GIFT_MESSAGE_MAX_LENGTH = 250;
+// Prices are stored and charged in USD; other currencies are display rates.
+const BASE_CURRENCY = "USD";
+const DEFAULT_CURRENCY_SETTINGS = {
+  currencies: [
+    { code: "USD", label: "USD ($)", locale: "en-US", rate: 1 },
+    { code: "MAD", label: "MAD (DH)", locale: "fr-MA", rate: 10 }
+  ]
 };
 gsap.registerPlugin(ScrollTrigger);
 
@@ -114,15 +227,9 @@ function toTimestamp(value) {
   return Number.isFinite(timestamp) ? timestamp : 0;
 }
 
-function iconForOccasion(occasion) {
-  const map = {
-    romance: "R",
-    birthday: "B",
-    wedding: "W",
-    "thank-you": "T",
-    general: "G"
-  };
-  return map[occasion] || "F";
+function iconForOccasion(occasion, categories) {
+  const category = categories.find((entry) => entry.slug === occasion);
+  return category?.icon || "F";
 }
 
 function flowerObjectPosition(flower) {
@@ -133,23 +240,34 @@ function flowerObjectPosition(flower) {
   return `${safeX}% ${safeY}%`;
 }
 
+function imageObjectPosition(image) {
+  return flowerObjectPosition({ imageFocusX: image?.focusX, imageFocusY: image?.focusY });
+}
+
+const paymentStatusLabels = {
+  pending: "Pending",
+  paid: "Paid",
+  failed: "Failed",
+  partially_refunded: "Partially Refunded",
+  refunded: "Refunded"
+};
+
 function normalizePaymentStatus(status) {
   const normalized = String(status || "").trim().toLowerCase();
-  if (normalized === "paid" || normalized === "failed") {
-    return normalized;
-  }
-  return "pending";
+  return paymentStatusLabels[normalized] ? normalized : "pending";
 }
 
 function paymentStatusLabel(status) {
-  const normalized = normalizePaymentStatus(status);
-  if (normalized === "paid") {
-    return "Paid";
-  }
-  if (normalized === "failed") {
-    return "Failed";
-  }
-  return "Pending";
+  return paymentStatusLabels[normalizePaymentStatus(status)];
+}
+
+function normalizeFulfilmentStatus(status) {
+  const normalized = String(status || "").trim().toLowerCase();
+  return fulfilmentSteps[normalized] ? normalized : "confirmed";
+}
+
+function fulfilmentStatusLabel(status) {
+  return fulfilmentSteps[normalizeFulfilmentStatus(status)].label;
 }
 
 function isValidPhone(value) {
@@ -197,55 +315,362 @@ function prefersReducedMotion() {
   return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
 }
 
+function formatSlotDate(value) {
+  if (!value) {
+    return "";
+  }
+  return new Date(`${value}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric"
+  });
+}
+
+function formatSlotWindow(value) {
+  return String(value || "").replace("-", " – ");
+}
+
+function matchDeliveryZone(zones, { city, postcode }) {
+  const normalizedPostcode = String(postcode || "").replace(/\s+/g, "").toUpperCase();
+  const byPostcode =
+    normalizedPostcode && zones.find((zone) => zone.postcodes.includes(normalizedPostcode));
+  if (byPostcode) {
+    return byPostcode;
+  }
+  const normalizedCity = normalizedText(city).replace(/\s+/g, " ");
+  return zones.find((zone) => zone.cities.includes(normalizedCity)) || null;
+}
+
+function deliveryFeeFor(zone, subtotal) {
+  if (zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold) {
+    return 0;
+  }
+  return float(zone.fee);
+}
+
+function toIsoDateTime(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function describePromoWindow(promo) {
+  const format = (value) =>
+    new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  if (promo.startsAt && promo.endsAt) {
+    return `${format(promo.startsAt)} - ${format(promo.endsAt)}`;
+  }
+  if (promo.startsAt) {
+    return `from ${format(promo.startsAt)}`;
+  }
+  return promo.endsAt ? `until ${format(promo.endsAt)}` : "no end date";
+}
+
+function createMoneyFormatter(currency) {
+  try {
+    return new Intl.NumberFormat(currency.locale, { style: "currency", currency: currency.code });
+  } catch {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" });
+  }
+}
+
+function formatOrderMoney(order, amount, currencies) {
+  const currency = currencies.find((entry) => entry.code === order.currency) || {
+    code: order.currency || "USD",
+    locale: "en-US"
+  };
+  return createMoneyFormatter(currency).format(float(amount));
+}
+
+function groupSlotsByDate(slots) {
+  const groups = new Map();
+  for (const slot of slots) {
+    if (!groups.has(slot.date)) {
+      groups.set(slot.date, []);
+    }
+    groups.get(slot.date).push(slot);
+  }
+  return [...groups.entries()].map(([date, entries]) => ({ date, slots: entries }));
+}
+
+function flowerPath(flowerId) {
+  return `/flowers/${encodeURIComponent(flowerId)}`;
+}
+
+function parseRoute(pathname) {
+  const match = /^\/flowers\/([^/]+)\/?$/.exec(pathname);
+  return match ? { page: "flower", flowerId: decodeURIComponent(match[1]) } : { page: "home" };
+}
+
+function stockLabel(available) {
+  if (available <= 0) {
+    return "Sold out";
+  }
+  return available < 5 ? `Only ${available} left` : "In stock";
+}
+
 function normalizeFlowerModel(flower) {
   return {
     ...flower,
     imageFocusX: Number.isFinite(Number(flower?.imageFocusX)) ? Number(flower.imageFocusX) : 50,
-    imageFocusY: Number.isFinite(Number(flower?.imageFocusY)) ? Number(flower.imageFocusY) : 50
+    imageFocusY: Number.isFinite(Number(flower?.imageFocusY)) ? Number(flower.imageFocusY) : 50,
+    images: Array.isArray(flower?.images)
+      ? flower.images
+      : flower?.image
+        ? [{ url: flower.image, focusX: flower.imageFocusX, focusY: flower.imageFocusY, alt: "" }]
+        : [],
+    variants: Array.isArray(flower?.variants) ? flower.variants : [],
+    addOns: Array.isArray(flower?.addOns) ? flower.addOns : [],
+    tags: Array.isArray(flower?.tags) ? flower.tags : []
   };
 }
 
+function getPublishState(flower, now = new Date()) {
+  if (flower.archivedAt) {
+    return "archived";
+  }
+  if ((flower.status || "published") === "draft") {
+    return "draft";
+  }
+  if (flower.publishAt && new Date(flower.publishAt) > now) {
+    return "scheduled";
+  }
+  if (flower.unpublishAt && new Date(flower.unpublishAt) <= now) {
+    return "ended";
+  }
+  return "live";
+}
+
+function toDateTimeInput(value) {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+function fromDateTimeInput(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function cartLineKey(flowerId, variantId, addOnIds) {
+  return [flowerId, variantId || "", [...addOnIds].sort().join(",")].join("|");
+}
+
+function describeItemOptions(item) {
+  return [item.variantName, ...(item.addOns || []).map((addOn) => addOn.name)]
+    .filter(Boolean)
+    .join(", ");
+}
+
 function normalizeOrderModel(order) {
   return {
     ...order,
-    paymentMethod: order?.paymentMethod === "paypal" ? "paypal" : "cash",
+    paymentMethod: String(order?.paymentMethod || "cash"),
     paymentStatus: normalizePaymentStatus(order?.paymentStatus),
+    fulfilmentStatus: normalizeFulfilmentStatus(order?.fulfilmentStatus),
+    fulfilmentHistory: Array.isArray(order?.fulfilmentHistory) ? order.fulfilmentHistory : [],
+    items: Array.isArray(order?.items) ? order.items : [],
+    refunds: Array.isArray(order?.refunds) ? order.refunds : [],
+    refundedTotal: float(order?.refundedTotal),
+    deliveryDate: order?.deliveryDate || "",
+    deliveryWindow: order?.deliveryWindow || "",
+    deliveryZoneName: order?.deliveryZoneName || "",
+    subtotal: float(order?.subtotal ?? order?.total),
+    deliveryFee: float(order?.deliveryFee),
+    promoCode: order?.promoCode || "",
+    discount: float(order?.discount),
+    currency: String(order?.currency || "USD"),
+    exchangeRate: float(order?.exchangeRate) || 1,
+    convertedTotals: {
+      subtotal: float(order?.convertedTotals?.subtotal ?? order?.subtotal ?? order?.total),
+      deliveryFee: float(order?.convertedTotals?.deliveryFee ?? order?.deliveryFee),
+      discount: float(order?.convertedTotals?.discount ?? order?.discount),
+      total: float(order?.convertedTotals?.total ?? order?.total)
+    },
+    recipient: order?.recipient?.name ? order.recipient : null,
+    giftMessage: String(order?.giftMessage || "").trim(),
+    sendAnonymously: Boolean(order?.sendAnonymously),
     customer: {
       name: String(order?.customer?.name || "").trim(),
       email: String(order?.customer?.email || "").trim(),
       phone: String(order?.customer?.phone || "").trim(),
-      address: String(order?.customer?.address || "").trim()
+      address: String(order?.customer?.address || "").trim(),
+      city: String(order?.customer?.city || "").trim(),
+      postcode: String(order?.customer?.postcode || "").trim()
+    }
+  };
+}
+
+function useFlowerSelection(flower) {
+  const [variantId, setVariantId] = useState(
+    () => (flower.variants.find((variant) => variant.stock > 0) || flower.variants[0])?.id || ""
+  );
+  const [addOnIds, setAddOnIds] = useState([]);
+  const variant = flower.variants.find((entry) => entry.id === variantId) || null;
+  const price =
+    float(variant ? variant.price : flower.price) +
+    flower.addOns
+      .filter((addOn) => addOnIds.includes(addOn.id))
+      .reduce((sum, addOn) => sum + float(addOn.price), 0);
+
+  const toggleAddOn = (addOnId) =>
+    setAddOnIds((previous) =>
+      previous.includes(addOnId)
+        ? previous.filter((entry) => entry !== addOnId)
+        : [...previous, addOnId]
+    );
+
+  return {
+    variantId,
+    setVariantId,
+    addOnIds,
+    toggleAddOn,
+    price,
+    available: variant ? variant.stock : flower.stock,
+    choice: { variantId: variant?.id || null, addOnIds }
+  };
+}
+
+function FlowerOptions({ flower, selection, formatCurrency }) {
+  return (
+    <>
+      {flower.variants.length > 0 ? (
+        <select
+          className="product-variant-select"
+          aria-label={`${flower.name} size`}
+          value={selection.variantId}
+          onChange={(event) => selection.setVariantId(event.target.value)}
+        >
+          {flower.variants.map((entry) => (
+            <option key={entry.id} value={entry.id} disabled={entry.stock <= 0}>
+              {entry.name} · {formatCurrency(entry.price)}
+              {entry.stock <= 0 ? " (sold out)" : ""}
+            </option>
+          ))}
+        </select>
+      ) : null}
+      {flower.addOns.length > 0 ? (
+        <div className="product-add-ons">
+          {flower.addOns.map((addOn) => (
+            <label key={addOn.id} className="product-add-on">
+              <input
+                type="checkbox"
+                checked={selection.addOnIds.includes(addOn.id)}
+                disabled={addOn.stock <= 0}
+                onChange={() => selection.toggleAddOn(addOn.id)}
+              />
+              {addOn.name}
+              <span>{addOn.price > 0 ? `+${formatCurrency(addOn.price)}` : "Free"}</span>
+            </label>
+          ))}
+        </div>
+      ) : null}
+    </>
+  );
+}
+
+function ResponsiveImage({ srcset, sizes, ...imageProps }) {
+  if (!srcset) {
+    return <img {...imageProps} />;
+  }
+
+  return (
+    <picture className="responsive-picture">
+      <source type="image/avif" srcSet={srcset.avif} sizes={sizes} />
+      <source type="image/webp" srcSet={srcset.webp} sizes={sizes} />
+      <img {...imageProps} />
+    </picture>
+  );
+}
+
+function FlowerGallery({ flower, icon, sizes, onSelect }) {
+  const trackRef = useRef(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  if (flower.images.length === 0) {
+    return <span className="product-letter">{icon}</span>;
+  }
+
+  const scrollToImage = (index) => {
+    const track = trackRef.current;
+    if (track) {
+      track.scrollTo({ left: index * track.clientWidth, behavior: "smooth" });
     }
   };
+
+  return (
+    <>
+      <div
+        ref={trackRef}
+        className="gallery-track"
+        onScroll={(event) => {
+          const track = event.currentTarget;
+          setActiveIndex(Math.round(track.scrollLeft / Math.max(1, track.clientWidth)));
+        }}
+      >
+        {flower.images.map((image, index) => (
+          <ResponsiveImage
+            key={image.url}
+            srcset={sizes ? image.srcset : null}
+            sizes={sizes}
+            className="gallery-slide product-image-media"
+            src={image.url}
+            alt={image.alt || flower.name}
+            style={{ objectPosition: imageObjectPosition(image) }}
+            loading={index === 0 ? "eager" : "lazy"}
+            onClick={onSelect}
+          />
+        ))}
+      </div>
+      {flower.images.length > 1 ? (
+        <div className="gallery-dots">
+          {flower.images.map((image, index) => (
+            <button
+              key={image.url}
+              type="button"
+              className={index === activeIndex ? "active" : ""}
+              aria-label={`Show image ${index + 1} of ${flower.images.length}`}
+              onClick={() => scrollToImage(index)}
+            />
+          ))}
+        </div>
+      ) : null}
+    </>
+  );
 }
 
-function FlowerCard({ flower, onAdd, formatCurrency }) {
-  const hasImage = Boolean(flower.image);
+function FlowerCard({ flower, icon, onAdd, onOpen, formatCurrency }) {
+  const selection = useFlowerSelection(flower);
+
   return (
     <article className="product-card">
       <div className="product-image">
-        {hasImage ? (
-          <img
-            className="product-image-media"
-            src={flower.image}
-            alt={flower.name}
-            style={{ objectPosition: flowerObjectPosition(flower) }}
-            loading="lazy"
-          />
-        ) : null}
-        {!hasImage ? <span className="product-letter">{iconForOccasion(flower.occasion)}</span> : null}
+        <FlowerGallery
+          flower={flower}
+          icon={icon}
+          sizes={FLOWER_CARD_IMAGE_SIZES}
+          onSelect={() => onOpen(flower)}
+        />
         {flower.stock < 5 ? <div className="product-badge sale">Low Stock</div> : null}
       </div>
       <div className="product-info">
-        <h3 className="product-name">{flower.name}</h3>
+        <h3 className="product-name">
+          <button type="button" className="product-name-link" onClick={() => onOpen(flower)}>
+            {flower.name}
+          </button>
+        </h3>
         <p className="product-desc">{flower.description || "Seasonal fresh floral arrangement."}</p>
+        <FlowerOptions flower={flower} selection={selection} formatCurrency={formatCurrency} />
         <div className="product-footer">
-          <div className="product-price">{formatCurrency(flower.price)}</div>
+          <div className="product-price">{formatCurrency(selection.price)}</div>
           <button
             className="add-btn"
             type="button"
-            disabled={flower.stock <= 0}
-            onClick={() => onAdd(flower)}
+            disabled={selection.available <= 0}
+            onClick={() => onAdd(flower, selection.choice)}
           >
             +
           </button>
@@ -255,6 +680,50 @@ function FlowerCard({ flower, onAdd, formatCurrency }) {
   );
 }
 
+function FlowerPage({ flower, icon, categoryLabel, onAdd, onShare, formatCurrency }) {
+  const selection = useFlowerSelection(flower);
+
+  return (
+    <article className="flower-page-detail">
+      <div className="flower-detail-gallery product-image">
+        <FlowerGallery flower={flower} icon={icon} sizes={FLOWER_PAGE_IMAGE_SIZES} />
+      </div>
+      <div className="flower-detail-info">
+        {categoryLabel ? <p className="flower-page-category">{categoryLabel}</p> : null}
+        <h1>{flower.name}</h1>
+        <p>{flower.description || "Seasonal fresh floral arrangement."}</p>
+        {flower.tags.length > 0 ? (
+          <div className="tag-list">
+            {flower.tags.map((tag) => (
+              <span key={tag.slug} className="tag-chip">
+                {tag.label}
+              </span>
+            ))}
+          </div>
+        ) : null}
+        <FlowerOptions flower={flower} selection={selection} formatCurrency={formatCurrency} />
+        <p className={`flower-stock${selection.available < 5 ? " low" : ""}`}>
+          {stockLabel(selection.available)}
+        </p>
+        <div className="product-footer">
+          <div className="product-price">{formatCurrency(selection.price)}</div>
+          <button
+            className="btn-primary"
+            type="button"
+            disabled={selection.available <= 0}
+            onClick={() => onAdd(flower, selection.choice)}
+          >
+            {selection.available > 0 ? "Add to Cart" : "Sold Out"}
+          </button>
+        </div>
+        <button className="btn-ghost small" type="button" onClick={() => onShare(flower)}>
+          Share
+        </button>
+      </div>
+    </article>
+  );
+}
+
 function ProductCardSkeleton({ index }) {
   return (
     <article className="product-card product-card-skeleton" aria-hidden="true">
@@ -273,10 +742,14 @@ export default function App() {
   const homeRef = useRef(null);
   const shopRef = useRef(null);
   const aboutRef = useRef(null);
+  const myOrdersRef = useRef(null);
   const adminRef = useRef(null);
   const heroRef = useRef(null);
   const featuredGridRef = useRef(null);
   const shopGridRef = useRef(null);
+  const shopSentinelRef = useRef(null);
+  const pendingSectionRef = useRef(null);
+  const shopRequestRef = useRef(0);
   const lenisRef = useRef(null);
   const cartSidebarRef = useRef(null);
   const authModalRef = useRef(null);
@@ -284,18 +757,47 @@ export default function App() {
   const chatToggleRef = useRef(null);
   const chatMessagesRef = useRef(null);
 
-  const [flowers, setFlowers] = useState([]);
+  const [featuredFlowers, setFeaturedFlowers] = useState([]);
+  const [catalogTotal, setCatalogTotal] = useState(0);
+  const [catalogVersion, setCatalogVersion] = useState(0);
+  const [cartFlowers, setCartFlowers] = useState({});
+  const [adminFlowers, setAdminFlowers] = useState([]);
   const [orders, setOrders] = useState([]);
+  const [myOrders, setMyOrders] = useState([]);
+  const [myOrdersLoading, setMyOrdersLoading] = useState(false);
   const [cart, setCart] = useState({});
   const [search, setSearch] = useState("");
+  const [searchSuggestions, setSearchSuggestions] = useState([]);
+  const [searchFocused, setSearchFocused] = useState(false);
   const [occasionFilter, setOccasionFilter] = useState("all");
   const [loadingFlowers, setLoadingFlowers] = useState(true);
+  const [shopFlowers, setShopFlowers] = useState([]);
+  const [shopTotal, setShopTotal] = useState(0);
+  const [shopPage, setShopPage] = useState(1);
+  const [shopHasMore, setShopHasMore] = useState(false);
+  const [loadingShop, setLoadingShop] = useState(true);
+  const [loadingMoreShop, setLoadingMoreShop] = useState(false);
+  const [shopSort, setShopSort] = useState("relevance");
+  const [shopInStockOnly, setShopInStockOnly] = useState(false);
+  const [shopPriceRange, setShopPriceRange] = useState({ min: "", max: "" });
   const [submittingOrder, setSubmittingOrder] = useState(false);
-  const [deletingFlowerId, setDeletingFlowerId] = useState("");
+  const [archivingFlowerId, setArchivingFlowerId] = useState("");
+  const [restoringFlowerId, setRestoringFlowerId] = useState("");
+  const [inventoryView, setInventoryView] = useState("active");
+  const [archivedFlowers, setArchivedFlowers] = useState([]);
   const [editingFlowerId, setEditingFlowerId] = useState("");
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+  const [pageFlower, setPageFlower] = useState(null);
+  const [pageFlowerStatus, setPageFlowerStatus] = useState("loading");
+  const [relatedCandidates, setRelatedCandidates] = useState([]);
   const [savingFlower, setSavingFlower] = useState(false);
+  const [stockLedger, setStockLedger] = useState([]);
+  const [stockHistory, setStockHistory] = useState(null);
+  const [loadingStockHistoryId, setLoadingStockHistoryId] = useState("");
   const [bulkStockDelta, setBulkStockDelta] = useState("");
   const [bulkStockOccasion, setBulkStockOccasion] = useState("all");
+  const [bulkStockMode, setBulkStockMode] = useState("delta");
+  const [bulkStockPreview, setBulkStockPreview] = useState(null);
   const [applyingBulkStock, setApplyingBulkStock] = useState(false);
   const [updatingOrderId, setUpdatingOrderId] = useState("");
   const [cartOpen, setCartOpen] = useState(false);
@@ -309,15 +811,48 @@ export default function App() {
   const [flowerForm, setFlowerForm] = useState(initialFlowerForm);
   const [siteSettings, setSiteSettings] = useState(() => ({
     heroImage: getCachedHeroImage(),
+    heroImageSrcset: null,
     updatedAt: ""
   }));
   const [heroImageForm, setHeroImageForm] = useState(() => getCachedHeroImage() || DEFAULT_HERO_IMAGE);
   const [siteSettingsLoaded, setSiteSettingsLoaded] = useState(() => Boolean(getCachedHeroImage()));
   const [savingHeroImage, setSavingHeroImage] = useState(false);
+  const [uploadingImage, setUploadingImage] = useState(false);
   const [notificationForm, setNotificationForm] = useState(initialNotificationForm);
   const [checkoutForm, setCheckoutForm] = useState(initialCheckoutForm);
   const [paymentMethod, setPaymentMethod] = useState("cash");
+  const [paymentMethods, setPaymentMethods] = useState(DEFAULT_PAYMENT_METHODS);
+  const [refundForm, setRefundForm] = useState(initialRefundForm);
+  const [deliverySlots, setDeliverySlots] = useState([]);
+  const [deliverySlotId, setDeliverySlotId] = useState("");
+  const [adminSlots, setAdminSlots] = useState([]);
+  const [slotForm, setSlotForm] = useState(initialSlotForm);
+  const [savingSlot, setSavingSlot] = useState(false);
+  const [updatingSlotId, setUpdatingSlotId] = useState("");
+  const [orderDeliveryDate, setOrderDeliveryDate] = useState("");
+  const [deliveryZones, setDeliveryZones] = useState([]);
+  const [adminZones, setAdminZones] = useState([]);
+  const [zoneForm, setZoneForm] = useState(initialZoneForm);
+  const [savingZone, setSavingZone] = useState(false);
+  const [updatingZoneId, setUpdatingZoneId] = useState("");
+  const [knownTags, setKnownTags] = useState([]);
+  const [tagInput, setTagInput] = useState("");
+  const [categories, setCategories] = useState([]);
+  const [adminCategories, setAdminCategories] = useState([]);
+  const [categoryForm, setCategoryForm] = useState(initialCategoryForm);
+  const [savingCategory, setSavingCategory] = useState(false);
+  const [updatingCategorySlug, setUpdatingCategorySlug] = useState("");
+  const [promoInput, setPromoInput] = useState("");
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [applyingPromo, setApplyingPromo] = useState(false);
+  const [adminPromos, setAdminPromos] = useState([]);
+  const [promoForm, setPromoForm] = useState(initialPromoForm);
+  const [savingPromo, setSavingPromo] = useState(false);
+  const [updatingPromoId, setUpdatingPromoId] = useState("");
   const [currencyCode, setCurrencyCode] = useState("USD");
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [currencyForm, setCurrencyForm] = useState(DEFAULT_CURRENCY_SETTINGS.currencies);
+  const [savingCurrency, setSavingCurrency] = useState(false);
   const [notifications, setNotifications] = useState([]);
   const [notificationsLoading, setNotificationsLoading] = useState(true);
   const [notificationsError, setNotificationsError] = useState("");
@@ -350,67 +885,90 @@ export default function App() {
   const isAdmin = user?.role === "admin";
   const canCheckout = user?.role === "admin" || user?.role === "customer";
 
-  const featuredFlowers = useMemo(() => flowers.slice(0, 6), [flowers]);
-
-  const visibleFlowers = useMemo(() => {
-    const searchQuery = normalizedText(search);
-    const selectedOccasion = normalizedText(occasionFilter);
+  const occasionTabs = useMemo(
+    () => [
+      { label: "All", value: "all" },
+      ...categories.map((category) => ({ label: category.label, value: category.slug }))
+    ],
+    [categories]
+  );
 
-    return flowers.filter((flower) => {
-      const nameMatch = normalizedText(flower.name).includes(searchQuery);
-      const descMatch = normalizedText(flower.description).includes(searchQuery);
-      const searchMatch = !searchQuery || nameMatch || descMatch;
-      const occasionMatch =
-        selectedOccasion === "all" || normalizedText(flower.occasion) === selectedOccasion;
-      return searchMatch && occasionMatch;
-    });
-  }, [flowers, search, occasionFilter]);
+  const flowerCategoryOptions = adminCategories.length > 0 ? adminCategories : categories;
 
   const cartItems = useMemo(
     () =>
       Object.entries(cart)
-        .map(([flowerId, quantity]) => {
-          const flower = flowers.find((item) => item.id === flowerId);
-          if (!flower) {
+        .map(([key, line]) => {
+          const flower = cartFlowers[line.flowerId];
+          const variant = line.variantId
+            ? flower?.variants.find((entry) => entry.id === line.variantId)
+            : null;
+          if (!flower || (line.variantId && !variant)) {
             return null;
           }
+          const addOns = flower.addOns.filter((addOn) => line.addOnIds.includes(addOn.id));
+          const unitPrice =
+            float(variant ? variant.price : flower.price) +
+            addOns.reduce((sum, addOn) => sum + float(addOn.price), 0);
           return {
-            flowerId,
-            quantity,
+            ...line,
+            key,
             flower,
-            lineTotal: float(flower.price) * quantity
+            variantName: variant?.name || "",
+            addOns,
+            unitPrice,
+            stockLimit: Math.min(
+              Number(variant ? variant.stock : flower.stock),
+              ...addOns.map((addOn) => Number(addOn.stock || 0))
+            ),
+            lineTotal: unitPrice * line.quantity
           };
         })
         .filter(Boolean),
-    [cart, flowers]
+    [cart, cartFlowers]
   );
 
   const cartCount = cartItems.reduce((sum, item) => sum + item.quantity, 0);
   const cartTotal = cartItems.reduce((sum, item) => sum + item.lineTotal, 0);
+  const checkoutZone = matchDeliveryZone(deliveryZones, checkoutForm);
+  const checkoutDeliveryFee = checkoutZone ? deliveryFeeFor(checkoutZone, cartTotal) : 0;
+  const checkoutDiscount = appliedPromo
+    ? appliedPromo.freeDelivery
+      ? checkoutDeliveryFee
+      : appliedPromo.discount
+    : 0;
+  const checkoutTotal = cartTotal + checkoutDeliveryFee - checkoutDiscount;
+  const freeDeliveryShortfall =
+    checkoutZone && checkoutDeliveryFee > 0 && checkoutZone.freeDeliveryThreshold !== null
+      ? checkoutZone.freeDeliveryThreshold - cartTotal
+      : 0;
+  const getPaymentMethodOption = (methodId) =>
+    paymentMethods.find((method) => method.id === methodId) || null;
+  const paymentMethodLabel = (methodId) => getPaymentMethodOption(methodId)?.label || methodId;
+  const selectedPaymentMethod = getPaymentMethodOption(paymentMethod);
+  const displayCurrency = useMemo(() => {
+    const { currencies } = currencySettings;
+    const selected =
+      currencies.find((currency) => currency.code === currencyCode) ||
+      currencies.find((currency) => currency.code === BASE_CURRENCY) ||
+      currencies[0];
+    return { ...selected, rate: selected.code === BASE_CURRENCY ? 1 : float(selected.rate) };
+  }, [currencyCode, currencySettings]);
   const formatCurrency = useMemo(() => {
-    const selected = currencyOptions[currencyCode] || currencyOptions.USD;
-    const formatter = new Intl.NumberFormat(selected.locale, {
-      style: "currency",
-      currency: selected.currency
-    });
-
-    return (value) => formatter.format(float(value) * selected.rate);
-  }, [currencyCode]);
-  const paypalCheckoutUrl = useMemo(() => {
-    const normalizedBase = PAYPAL_ME_URL.replace(/\/+$/, "");
-    const amount = Number(cartTotal.toFixed(2));
-    return amount > 0 ? `${normalizedBase}/${amount.toFixed(2)}` : normalizedBase;
-  }, [cartTotal]);
-
+    const formatter = createMoneyFormatter(displayCurrency);
+    return (value) => formatter.format(float(value) * displayCurrency.rate);
+  }, [displayCurrency]);
+  const formatOrderAmount = (order, amount) =>
+    formatOrderMoney(order, amount, currencySettings.currencies);
   const dashboardStats = useMemo(() => {
     const revenue = orders.reduce((sum, order) => sum + float(order.total), 0);
-    const lowStock = flowers.filter((flower) => Number(flower.stock || 0) < 5).length;
+    const lowStock = adminFlowers.filter((flower) => Number(flower.stock || 0) < 5).length;
     return {
       revenue,
       orderCount: orders.length,
       lowStock
     };
-  }, [orders, flowers]);
+  }, [orders, adminFlowers]);
 
   const latestNotificationAt = useMemo(
     () => notifications.reduce((max, item) => Math.max(max, toTimestamp(item.createdAt)), 0),
@@ -458,8 +1016,25 @@ export default function App() {
     });
   };
 
+  const navigate = (path) => {
+    if (path !== window.location.pathname) {
+      window.history.pushState(null, "", path);
+    }
+    setRoute(parseRoute(path));
+  };
+
+  const openFlowerPage = (flowerId) => {
+    setSearchFocused(false);
+    navigate(flowerPath(flowerId));
+  };
+
   const navigateToSection = (ref) => {
-    scrollToSection(ref);
+    if (route.page === "home") {
+      scrollToSection(ref);
+    } else {
+      pendingSectionRef.current = ref;
+      navigate("/");
+    }
     setMenuOpen(false);
     setNotificationsOpen(false);
     setChatOpen(false);
@@ -481,6 +1056,66 @@ export default function App() {
     return () => clearTimeout(timeout);
   }, [toast]);
 
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  useEffect(() => {
+    if (route.page === "flower") {
+      if (lenisRef.current) {
+        lenisRef.current.scrollTo(0, { immediate: true });
+      } else {
+        window.scrollTo(0, 0);
+      }
+      return;
+    }
+
+    ScrollTrigger.refresh();
+    const ref = pendingSectionRef.current;
+    pendingSectionRef.current = null;
+    if (ref) {
+      requestAnimationFrame(() => scrollToSection(ref));
+    }
+  }, [route]);
+
+  useEffect(() => {
+    if (route.page !== "flower") {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setPageFlowerStatus("loading");
+    const loadRelated = (occasion) =>
+      getFlowers({ occasion, page: 1, limit: RELATED_CANDIDATE_LIMIT })
+        .then((response) => (response?.items || []).map((entry) => normalizeFlowerModel(entry)))
+        .catch(() => [])
+        .then((candidates) => {
+          if (!cancelled) {
+            setRelatedCandidates(candidates);
+          }
+        });
+
+    getFlower(route.flowerId)
+      .then((flower) => {
+        if (!cancelled) {
+          setPageFlower(normalizeFlowerModel(flower));
+          setPageFlowerStatus("ready");
+          loadRelated(flower.occasion);
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setPageFlower(null);
+          setPageFlowerStatus(error.status === 404 ? "missing" : "error");
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [route, catalogVersion]);
+
   useEffect(() => {
     const lenis = new Lenis({
       duration: 1.05,
@@ -548,7 +1183,7 @@ export default function App() {
     });
 
     return () => ctx.revert();
-  }, [featuredFlowers.length, visibleFlowers.length, occasionFilter, search]);
+  }, [featuredFlowers.length, shopFlowers.length, occasionFilter, search]);
 
   useEffect(() => {
     const ctx = gsap.context(() => {
@@ -634,7 +1269,7 @@ export default function App() {
 
     ScrollTrigger.refresh();
     return () => ctx.revert();
-  }, [isAdmin, orders.length, flowers.length]);
+  }, [isAdmin, orders.length, featuredFlowers.length]);
 
   useEffect(() => {
     if (!cartOpen || !cartSidebarRef.current) {
@@ -762,11 +1397,12 @@ export default function App() {
     }
   };
 
-  const refreshFlowers = async () => {
+  const refreshFeaturedFlowers = async () => {
     setLoadingFlowers(true);
     try {
-      const response = await getFlowers();
-      setFlowers(Array.isArray(response) ? response.map((flower) => normalizeFlowerModel(flower)) : []);
+      const response = await getFlowers({ page: 1, limit: FEATURED_FLOWER_LIMIT });
+      setFeaturedFlowers((response?.items || []).map((flower) => normalizeFlowerModel(flower)));
+      setCatalogTotal(Number(response?.total || 0));
     } catch (error) {
       showToast(error.message);
     } finally {
@@ -774,6 +1410,90 @@ export default function App() {
     }
   };
 
+  const refreshCartFlowers = async () => {
+    const flowerIds = [...new Set(Object.values(cart).map((line) => line.flowerId))];
+    const entries = await Promise.all(
+      flowerIds.map((flowerId) =>
+        getFlower(flowerId)
+          .then((flower) => [flowerId, normalizeFlowerModel(flower)])
+          .catch(() => [flowerId, null])
+      )
+    );
+    setCartFlowers(Object.fromEntries(entries.filter(([, flower]) => flower)));
+  };
+
+  // Reloads what the storefront shows after stock or catalog changes; the shop grid, product
+  // page and admin lists follow catalogVersion.
+  const refreshFlowers = () => {
+    refreshFeaturedFlowers();
+    refreshCartFlowers();
+    setCatalogVersion((previous) => previous + 1);
+  };
+
+  const refreshAdminFlowers = async () => {
+    try {
+      const response = await getFlowers({ preview: true });
+      setAdminFlowers(
+        Array.isArray(response) ? response.map((flower) => normalizeFlowerModel(flower)) : []
+      );
+    } catch (error) {
+      showToast(error.message);
+    }
+  };
+
+  const refreshArchivedFlowers = async () => {
+    try {
+      const response = await getFlowers({ archived: true });
+      setArchivedFlowers(
+        Array.isArray(response) ? response.map((flower) => normalizeFlowerModel(flower)) : []
+      );
+    } catch (error) {
+      showToast(error.message);
+    }
+  };
+
+  const loadShopPage = async (page) => {
+    const requestId = ++shopRequestRef.current;
+    const toBasePrice = (value) =>
+      String(value).trim() ? float(value) / (displayCurrency.rate || 1) : undefined;
+
+    if (page === 1) {
+      setLoadingShop(true);
+    } else {
+      setLoadingMoreShop(true);
+    }
+    try {
+      const response = await getFlowers({
+        search: search.trim(),
+        occasion: occasionFilter,
+        sort: shopSort,
+        inStock: shopInStockOnly,
+        minPrice: toBasePrice(shopPriceRange.min),
+        maxPrice: toBasePrice(shopPriceRange.max),
+        page,
+        limit: SHOP_PAGE_SIZE
+      });
+      if (requestId !== shopRequestRef.current) {
+        return;
+      }
+      const items = (response?.items || []).map((flower) => normalizeFlowerModel(flower));
+      setShopFlowers((previous) => (page === 1 ? items : [...previous, ...items]));
+      setShopTotal(Number(response?.total || 0));
+      setShopPage(page);
+      setShopHasMore(Boolean(response?.hasMore));
+    } catch (error) {
+      if (requestId === shopRequestRef.current) {
+        showToast(error.message);
+        setShopHasMore(false);
+      }
+    } finally {
+      if (requestId === shopRequestRef.current) {
+        setLoadingShop(false);
+        setLoadingMoreShop(false);
+      }
+    }
+  };
+
   const refreshOrders = async () => {
     if (!isAdmin) {
       setOrders([]);
@@ -781,7 +1501,7 @@ export default function App() {
     }
 
     try {
-      const response = await getOrders();
+      const response = await getOrders({ deliveryDate: orderDeliveryDate });
       setOrders(Array.isArray(response) ? response.map((order) => normalizeOrderModel(order)) : []);
     } catch (error) {
       showToast(error.message);
@@ -789,35 +1509,244 @@ export default function App() {
     }
   };
 
-  const refreshNotifications = async () => {
-    setNotificationsLoading(true);
-    setNotificationsError("");
+  const refreshDeliverySlots = async () => {
     try {
-      const response = await getNotifications(30);
-      setNotifications(Array.isArray(response) ? response : []);
+      const response = await getDeliverySlots();
+      const slots = Array.isArray(response) ? response : [];
+      setDeliverySlots(slots);
+      setDeliverySlotId((previous) =>
+        slots.some((slot) => slot.id === previous && slot.available) ? previous : ""
+      );
+    } catch {
+      setDeliverySlots([]);
+    }
+  };
+
+  const refreshAdminSlots = async () => {
+    if (!isAdmin) {
+      setAdminSlots([]);
+      return;
+    }
+
+    try {
+      const response = await getDeliverySlots({ all: true });
+      setAdminSlots(Array.isArray(response) ? response : []);
     } catch (error) {
-      setNotifications([]);
-      setNotificationsError(error.message || "Failed to load notifications.");
-    } finally {
-      setNotificationsLoading(false);
+      showToast(error.message);
+      setAdminSlots([]);
     }
   };
 
-  const refreshSiteSettings = async () => {
+  const refreshDeliveryZones = async () => {
     try {
-      const response = await getSiteSettings();
-      const heroImage = isValidHttpImageUrl(response?.heroImage)
-        ? String(response.heroImage).trim()
-        : DEFAULT_HERO_IMAGE;
-      setSiteSettings({
-        heroImage,
-        updatedAt: response?.updatedAt || ""
-      });
-      setHeroImageForm(heroImage);
-      cacheHeroImage(heroImage);
+      const response = await getDeliveryZones();
+      setDeliveryZones(Array.isArray(response) ? response : []);
     } catch {
-      setSiteSettings((previous) => ({
-        ...previous,
+      setDeliveryZones([]);
+    }
+  };
+
+  const refreshAdminZones = async () => {
+    if (!isAdmin) {
+      setAdminZones([]);
+      return;
+    }
+
+    try {
+      const response = await getDeliveryZones({ all: true });
+      setAdminZones(Array.isArray(response) ? response : []);
+    } catch (error) {
+      showToast(error.message);
+      setAdminZones([]);
+    }
+  };
+
+  const refreshCategories = async () => {
+    try {
+      const response = await getCategories();
+      setCategories(Array.isArray(response) ? response : []);
+    } catch {
+      setCategories([]);
+    }
+  };
+
+  const refreshAdminCategories = async () => {
+    if (!isAdmin) {
+      setAdminCategories([]);
+      return;
+    }
+
+    try {
+      const response = await getCategories({ all: true });
+      setAdminCategories(Array.isArray(response) ? response : []);
+    } catch (error) {
+      showToast(error.message);
+      setAdminCategories([]);
+    }
+  };
+
+  const refreshKnownTags = async () => {
+    if (!isAdmin) {
+      setKnownTags([]);
+      return;
+    }
+
+    try {
+      const response = await getTags();
+      setKnownTags(Array.isArray(response) ? response : []);
+    } catch {
+      setKnownTags([]);
+    }
+  };
+
+  const refreshStockLedger = async () => {
+    try {
+      const response = await getStockReconciliation();
+      setStockLedger(Array.isArray(response) ? response : []);
+    } catch (error) {
+      showToast(error.message);
+    }
+  };
+
+  const openStockHistory = async (flowerId) => {
+    setLoadingStockHistoryId(flowerId);
+    try {
+      setStockHistory(await getStockHistory(flowerId));
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setLoadingStockHistoryId("");
+    }
+  };
+
+  const refreshAdminPromos = async () => {
+    if (!isAdmin) {
+      setAdminPromos([]);
+      return;
+    }
+
+    try {
+      const response = await getPromoCodes();
+      setAdminPromos(Array.isArray(response) ? response : []);
+    } catch (error) {
+      showToast(error.message);
+      setAdminPromos([]);
+    }
+  };
+
+  const applyPromo = async (code, { quiet = false } = {}) => {
+    setApplyingPromo(true);
+    try {
+      const preview = await previewPromoCode({
+        code,
+        items: cartItems.map((item) => ({
+          flowerId: item.flowerId,
+          variantId: item.variantId,
+          addOnIds: item.addOnIds,
+          quantity: item.quantity
+        }))
+      });
+      setAppliedPromo(preview);
+      setPromoInput(preview.code);
+      if (!quiet) {
+        showToast(`Promo ${preview.code} applied.`);
+      }
+    } catch (error) {
+      setAppliedPromo(null);
+      showToast(error.message);
+    } finally {
+      setApplyingPromo(false);
+    }
+  };
+
+  const handleApplyPromo = async (event) => {
+    event.preventDefault();
+    const code = promoInput.trim();
+    if (!code) {
+      showToast("Enter a promo code.");
+      return;
+    }
+    if (!canCheckout) {
+      openAuth("login");
+      return;
+    }
+    if (cartItems.length === 0) {
+      showToast("Your cart is empty.");
+      return;
+    }
+    await applyPromo(code);
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput("");
+  };
+
+  const refreshMyOrders = async () => {
+    if (!canCheckout) {
+      setMyOrders([]);
+      return;
+    }
+
+    setMyOrdersLoading(true);
+    try {
+      const response = await getMyOrders();
+      setMyOrders(Array.isArray(response) ? response.map((order) => normalizeOrderModel(order)) : []);
+    } catch (error) {
+      showToast(error.message);
+      setMyOrders([]);
+    } finally {
+      setMyOrdersLoading(false);
+    }
+  };
+
+  const refreshNotifications = async () => {
+    setNotificationsLoading(true);
+    setNotificationsError("");
+    try {
+      const response = await getNotifications(30);
+      setNotifications(Array.isArray(response) ? response : []);
+    } catch (error) {
+      setNotifications([]);
+      setNotificationsError(error.message || "Failed to load notifications.");
+    } finally {
+      setNotificationsLoading(false);
+    }
+  };
+
+  const refreshSiteSettings = async () => {
+    try {
+      const response = await getSiteSettings();
+      const heroImage = isValidHttpImageUrl(response?.heroImage)
+        ? String(response.heroImage).trim()
+        : DEFAULT_HERO_IMAGE;
+      setSiteSettings({
+        heroImage,
+        heroImageSrcset: heroImage === response?.heroImage ? response.heroImageSrcset : null,
+        updatedAt: response?.updatedAt || ""
+      });
+      setHeroImageForm(heroImage);
+      cacheHeroImage(heroImage);
+      const currency =
+        Array.isArray(response?.currency?.currencies) && response.currency.currencies.length > 0
+          ? response.currency
+          : DEFAULT_CURRENCY_SETTINGS;
+      setCurrencySettings(currency);
+      setCurrencyForm(currency.currencies);
+      setCurrencyCode((previous) =>
+        currency.currencies.some((entry) => entry.code === previous)
+          ? previous
+          : BASE_CURRENCY
+      );
+      const methods = Array.isArray(response?.paymentMethods) ? response.paymentMethods : [];
+      const nextMethods = methods.length > 0 ? methods : DEFAULT_PAYMENT_METHODS;
+      setPaymentMethods(nextMethods);
+      setPaymentMethod((previous) =>
+        nextMethods.some((method) => method.id === previous) ? previous : nextMethods[0].id
+      );
+    } catch {
+      setSiteSettings((previous) => ({
+        ...previous,
         heroImage: previous.heroImage || ""
       }));
     } finally {
@@ -827,11 +1756,72 @@ export default function App() {
 
   useEffect(() => {
     refreshSession();
-    refreshFlowers();
+    refreshFeaturedFlowers();
     refreshNotifications();
     refreshSiteSettings();
+    refreshDeliverySlots();
+    refreshDeliveryZones();
+    refreshCategories();
   }, []);
 
+  useEffect(() => {
+    const timer = setTimeout(() => loadShopPage(1), 250);
+    return () => clearTimeout(timer);
+  }, [
+    search,
+    occasionFilter,
+    shopSort,
+    shopInStockOnly,
+    shopPriceRange,
+    displayCurrency,
+    catalogVersion
+  ]);
+
+  useEffect(() => {
+    const query = search.trim();
+    if (query.length < 2) {
+      setSearchSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getFlowerSuggestions(query)
+        .then((suggestions) => {
+          if (!cancelled) {
+            setSearchSuggestions(Array.isArray(suggestions) ? suggestions : []);
+          }
+        })
+        .catch(() => {
+          if (!cancelled) {
+            setSearchSuggestions([]);
+          }
+        });
+    }, 150);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search]);
+
+  useEffect(() => {
+    const sentinel = shopSentinelRef.current;
+    if (!sentinel || !shopHasMore || loadingShop || loadingMoreShop) {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadShopPage(shopPage + 1);
+        }
+      },
+      { rootMargin: "400px 0px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [shopHasMore, loadingShop, loadingMoreShop, shopPage]);
+
   useEffect(() => {
     const poll = setInterval(() => {
       refreshNotifications();
@@ -842,8 +1832,82 @@ export default function App() {
 
   useEffect(() => {
     refreshOrders();
+  }, [isAdmin, orderDeliveryDate]);
+
+  useEffect(() => {
+    refreshAdminSlots();
+    refreshAdminZones();
+    refreshAdminCategories();
+    refreshKnownTags();
+    refreshAdminPromos();
   }, [isAdmin]);
 
+  useEffect(() => {
+    if (isAdmin) {
+      refreshAdminFlowers();
+    }
+  }, [isAdmin, catalogVersion]);
+
+  useEffect(() => {
+    if (isAdmin && inventoryView === "archived") {
+      refreshArchivedFlowers();
+    }
+  }, [isAdmin, inventoryView, catalogVersion]);
+
+  useEffect(() => {
+    if (!isAdmin) {
+      setStockLedger([]);
+      setStockHistory(null);
+      return;
+    }
+    refreshStockLedger();
+    if (stockHistory) {
+      openStockHistory(stockHistory.flowerId);
+    }
+  }, [isAdmin, catalogVersion]);
+
+  useEffect(() => {
+    if (!appliedPromo) {
+      return;
+    }
+    if (cartItems.length === 0) {
+      setAppliedPromo(null);
+      return;
+    }
+    applyPromo(appliedPromo.code, { quiet: true });
+  }, [cart]);
+
+  useEffect(() => {
+    refreshMyOrders();
+  }, [user?.id]);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const paymentResult = params.get("payment");
+    const orderId = params.get("orderId");
+    if (!paymentResult || !orderId) {
+      return;
+    }
+
+    window.history.replaceState(null, "", window.location.pathname);
+    if (paymentResult !== "return") {
+      showToast("Payment was cancelled. You can retry from My Orders.");
+      return;
+    }
+
+    confirmPayment(orderId, params.get("reference") || params.get("token") || "")
+      .then((order) => {
+        showToast(
+          order?.paymentStatus === "paid" ? "Payment received. Thank you!" : "Payment is processing."
+        );
+      })
+      .catch((error) => showToast(error.message))
+      .finally(() => {
+        refreshMyOrders();
+        refreshFlowers();
+      });
+  }, []);
+
   useEffect(() => {
     if (!user?.email) {
       return;
@@ -901,41 +1965,63 @@ export default function App() {
     setAuthOpen(true);
   };
 
-  const adjustCart = (flower, delta) => {
+  const adjustCart = (line, delta) => {
     setCart((previous) => {
-      const currentQty = Number(previous[flower.id] || 0);
+      const currentQty = Number(previous[line.key]?.quantity || 0);
       const nextQty = currentQty + delta;
 
       if (nextQty <= 0) {
-        const { [flower.id]: _removed, ...rest } = previous;
+        const { [line.key]: _removed, ...rest } = previous;
         return rest;
       }
 
-      if (nextQty > Number(flower.stock || 0)) {
+      if (nextQty > line.stockLimit) {
         return previous;
       }
 
       return {
         ...previous,
-        [flower.id]: nextQty
+        [line.key]: {
+          flowerId: line.flowerId,
+          variantId: line.variantId,
+          addOnIds: line.addOnIds,
+          quantity: nextQty
+        }
       };
     });
   };
 
-  const addToCart = (flower) => {
-    if (Number(flower.stock || 0) <= 0) {
+  const addToCart = (flower, { variantId = null, addOnIds = [] } = {}) => {
+    const variant = variantId ? flower.variants.find((entry) => entry.id === variantId) : null;
+    if (flower.variants.length > 0 && !variant) {
+      showToast("Choose a size first.");
+      return;
+    }
+
+    const stockLimit = Math.min(
+      Number(variant ? variant.stock : flower.stock || 0),
+      ...flower.addOns
+        .filter((addOn) => addOnIds.includes(addOn.id))
+        .map((addOn) => Number(addOn.stock || 0))
+    );
+    if (stockLimit <= 0) {
       showToast("This flower is out of stock.");
       return;
     }
 
-    const currentQty = Number(cart[flower.id] || 0);
-    if (currentQty >= Number(flower.stock || 0)) {
+    const key = cartLineKey(flower.id, variantId, addOnIds);
+    const currentQty = Number(cart[key]?.quantity || 0);
+    if (currentQty >= stockLimit) {
       showToast("You reached current stock limit.");
       return;
     }
 
-    adjustCart(flower, 1);
-    showToast(`${flower.name} added to cart.`);
+    setCartFlowers((previous) => ({ ...previous, [flower.id]: flower }));
+    adjustCart(
+      { key, flowerId: flower.id, variantId, addOnIds: [...addOnIds].sort(), stockLimit },
+      1
+    );
+    showToast(`${flower.name}${variant ? ` (${variant.name})` : ""} added to cart.`);
   };
 
   const handleLogin = async (event) => {
@@ -979,6 +2065,7 @@ export default function App() {
 
     setUser(null);
     setOrders([]);
+    setMyOrders([]);
     setMenuOpen(false);
     setNotificationsOpen(false);
     showToast("Logged out.");
@@ -1002,7 +2089,8 @@ export default function App() {
       !checkoutForm.name.trim() ||
       !checkoutForm.email.trim() ||
       !checkoutForm.phone.trim() ||
-      !checkoutForm.address.trim()
+      !checkoutForm.address.trim() ||
+      !checkoutForm.city.trim()
     ) {
       showToast("Complete customer details before checkout.");
       return;
@@ -1023,18 +2111,64 @@ export default function App() {
       return;
     }
 
+    if (checkoutForm.isGift) {
+      const recipientName = checkoutForm.recipientName.trim();
+      const recipientPhone = checkoutForm.recipientPhone.trim();
+      const recipientAddress = checkoutForm.recipientAddress.trim();
+      if ((recipientPhone || recipientAddress) && recipientName.length < 2) {
+        showToast("Enter the recipient's name.");
+        return;
+      }
+      if (recipientPhone && !isValidPhone(recipientPhone)) {
+        showToast("Please enter a valid recipient phone number.");
+        return;
+      }
+      if (recipientAddress && recipientAddress.length < 6) {
+        showToast("Recipient address must be at least 6 characters.");
+        return;
+      }
+    }
+
+    if (!checkoutZone) {
+      showToast("We do not deliver to this city or postcode yet.");
+      return;
+    }
+
+    if (!deliverySlotId) {
+      showToast("Choose a delivery slot.");
+      return;
+    }
+
     setSubmittingOrder(true);
     try {
-      await createOrder({
+      const order = await createOrder({
         customer: {
           name: checkoutForm.name.trim(),
           email: checkoutForm.email.trim(),
           phone: checkoutForm.phone.trim(),
-          address: checkoutForm.address.trim()
+          address: checkoutForm.address.trim(),
+          city: checkoutForm.city.trim(),
+          postcode: checkoutForm.postcode.trim()
         },
+        ...(checkoutForm.isGift
+          ? {
+              recipient: {
+                name: checkoutForm.recipientName.trim(),
+                phone: checkoutForm.recipientPhone.trim(),
+                address: checkoutForm.recipientAddress.trim()
+              },
+              giftMessage: checkoutForm.giftMessage.trim(),
+              sendAnonymously: checkoutForm.sendAnonymously
+            }
+          : {}),
         paymentMethod,
+        deliverySlotId,
+        promoCode: appliedPromo?.code,
+        currency: currencyCode,
         items: cartItems.map((item) => ({
           flowerId: item.flowerId,
+          variantId: item.variantId,
+          addOnIds: item.addOnIds,
           quantity: item.quantity
         }))
       });
@@ -1044,19 +2178,48 @@ export default function App() {
         ...initialCheckoutForm,
         email: user?.email || ""
       }));
-      setPaymentMethod("cash");
+      setPaymentMethod(paymentMethods[0]?.id || "cash");
+      setDeliverySlotId("");
+      setAppliedPromo(null);
+      setPromoInput("");
+      refreshDeliverySlots();
+      if (getPaymentMethodOption(order?.paymentMethod)?.flow === "redirect") {
+        await redirectToPayment(order.id);
+        return;
+      }
       showToast("Order created with payment status: Pending.");
       refreshFlowers();
+      refreshMyOrders();
       if (isAdmin) {
         refreshOrders();
+        refreshAdminSlots();
       }
     } catch (error) {
       showToast(error.message);
+      if (error.status === 404 || error.status === 409) {
+        refreshDeliverySlots();
+      }
+      if (error.status === 422) {
+        refreshDeliveryZones();
+      }
+      if (appliedPromo && /promo code/.test(error.message)) {
+        setAppliedPromo(null);
+      }
     } finally {
       setSubmittingOrder(false);
     }
   };
 
+  const redirectToPayment = async (orderId) => {
+    try {
+      const payment = await initiatePayment(orderId);
+      window.location.assign(payment.redirectUrl);
+    } catch (error) {
+      showToast(`${error.message} Your order is saved; retry payment from My Orders.`);
+      refreshMyOrders();
+    }
+  };
+
   const startEditingFlower = (flower) => {
     setEditingFlowerId(flower.id);
     setFlowerForm({
@@ -1064,16 +2227,77 @@ export default function App() {
       description: flower.description || "",
       price: String(flower.price ?? ""),
       occasion: flower.occasion || "general",
-      image: flower.image || "",
-      imageFocusX: Number.isFinite(Number(flower.imageFocusX)) ? Number(flower.imageFocusX) : 50,
-      imageFocusY: Number.isFinite(Number(flower.imageFocusY)) ? Number(flower.imageFocusY) : 50,
-      stock: Number.isFinite(Number(flower.stock)) ? Number(flower.stock) : 0
+      images: flower.images.map((image) => ({
+        url: image.url,
+        alt: image.alt || "",
+        focusX: Number.isFinite(Number(image.focusX)) ? Number(image.focusX) : 50,
+        focusY: Number.isFinite(Number(image.focusY)) ? Number(image.focusY) : 50
+      })),
+      stock: Number.isFinite(Number(flower.stock)) ? Number(flower.stock) : 0,
+      variants: (flower.variants || []).map((variant) => ({ ...variant })),
+      addOns: (flower.addOns || []).map((addOn) => ({ ...addOn })),
+      tags: flower.tags.map((tag) => tag.label),
+      stockReason: "adjustment",
+      status: flower.status || "published",
+      publishAt: toDateTimeInput(flower.publishAt),
+      unpublishAt: toDateTimeInput(flower.unpublishAt)
+    });
+    setTagInput("");
+  };
+
+  const addFlowerTag = (value) => {
+    const label = String(value || "").trim().replace(/\s+/g, " ");
+    if (!label) {
+      return;
+    }
+    setFlowerForm((previous) => {
+      const exists = previous.tags.some((tag) => tag.toLowerCase() === label.toLowerCase());
+      if (exists || previous.tags.length >= MAX_FLOWER_TAGS) {
+        return previous;
+      }
+      return { ...previous, tags: [...previous.tags, label] };
+    });
+    setTagInput("");
+  };
+
+  const removeFlowerTag = (label) =>
+    setFlowerForm((previous) => ({
+      ...previous,
+      tags: previous.tags.filter((tag) => tag !== label)
+    }));
+
+  const updateFlowerImage = (index, key, value) =>
+    setFlowerForm((previous) => ({
+      ...previous,
+      images: previous.images.map((image, position) =>
+        position === index ? { ...image, [key]: value } : image
+      )
+    }));
+
+  const moveFlowerImage = (index, offset) =>
+    setFlowerForm((previous) => {
+      const target = index + offset;
+      if (target < 0 || target >= previous.images.length) {
+        return previous;
+      }
+      const images = [...previous.images];
+      [images[index], images[target]] = [images[target], images[index]];
+      return { ...previous, images };
     });
+
+  const updateFlowerOptionRow = (field, index, key, value) => {
+    setFlowerForm((previous) => ({
+      ...previous,
+      [field]: previous[field].map((option, position) =>
+        position === index ? { ...option, [key]: value } : option
+      )
+    }));
   };
 
   const cancelEditingFlower = () => {
     setEditingFlowerId("");
     setFlowerForm(initialFlowerForm);
+    setTagInput("");
   };
 
   const handleSaveFlower = async (event) => {
@@ -1084,34 +2308,82 @@ export default function App() {
       description: flowerForm.description.trim(),
       price: Number(flowerForm.price),
       occasion: flowerForm.occasion,
-      image: flowerForm.image.trim(),
-      imageFocusX: Number(flowerForm.imageFocusX),
-      imageFocusY: Number(flowerForm.imageFocusY),
-      stock: Number(flowerForm.stock)
+      images: flowerForm.images
+        .filter((image) => image.url.trim())
+        .map((image) => ({
+          url: image.url.trim(),
+          alt: image.alt.trim(),
+          focusX: Number(image.focusX),
+          focusY: Number(image.focusY)
+        })),
+      stock: Number(flowerForm.stock),
+      ...(editingFlowerId ? { stockReason: flowerForm.stockReason } : {}),
+      tags: tagInput.trim() ? [...flowerForm.tags, tagInput.trim()] : flowerForm.tags,
+      status: flowerForm.status,
+      publishAt: fromDateTimeInput(flowerForm.publishAt),
+      unpublishAt: fromDateTimeInput(flowerForm.unpublishAt),
+      ...Object.fromEntries(
+        FLOWER_OPTION_GROUPS.map(({ field }) => [
+          field,
+          flowerForm[field]
+            .filter((option) => String(option.name || "").trim())
+            .map((option) => ({
+              ...(option.id ? { id: option.id } : {}),
+              name: String(option.name).trim(),
+              price: Number(option.price),
+              stock: Number(option.stock)
+            }))
+        ])
+      )
     };
+    const hasVariants = payload.variants.length > 0;
 
     if (payload.name.length < 2) {
       showToast("Flower name must be at least 2 characters.");
       return;
     }
 
-    if (!Number.isFinite(payload.price) || payload.price <= 0) {
+    if (!hasVariants && (!Number.isFinite(payload.price) || payload.price <= 0)) {
       showToast("Price must be greater than 0.");
       return;
     }
 
-    if (!Number.isInteger(payload.stock) || payload.stock < 0) {
+    if (!hasVariants && (!Number.isInteger(payload.stock) || payload.stock < 0)) {
       showToast("Stock must be a whole number (0 or more).");
       return;
     }
 
-    if (!Number.isFinite(payload.imageFocusX) || payload.imageFocusX < 0 || payload.imageFocusX > 100) {
-      showToast("Image focus X must be between 0 and 100.");
+    const options = [...payload.variants, ...payload.addOns];
+    if (
+      options.some(
+        (option) =>
+          !Number.isFinite(option.price) ||
+          option.price < 0 ||
+          !Number.isInteger(option.stock) ||
+          option.stock < 0
+      )
+    ) {
+      showToast("Each size and add-on needs a price and a whole-number stock.");
+      return;
+    }
+
+    if (hasVariants) {
+      delete payload.price;
+      delete payload.stock;
+    }
+
+    if (
+      payload.publishAt &&
+      payload.unpublishAt &&
+      new Date(payload.unpublishAt) <= new Date(payload.publishAt)
+    ) {
+      showToast("Unpublish date must be after the publish date.");
       return;
     }
 
-    if (!Number.isFinite(payload.imageFocusY) || payload.imageFocusY < 0 || payload.imageFocusY > 100) {
-      showToast("Image focus Y must be between 0 and 100.");
+    const isFocusValid = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+    if (payload.images.some((image) => !isFocusValid(image.focusX) || !isFocusValid(image.focusY))) {
+      showToast("Image focus must be between 0 and 100.");
       return;
     }
 
@@ -1126,7 +2398,9 @@ export default function App() {
       }
       setFlowerForm(initialFlowerForm);
       setEditingFlowerId("");
+      setTagInput("");
       refreshFlowers();
+      refreshKnownTags();
     } catch (error) {
       showToast(error.message);
     } finally {
@@ -1134,43 +2408,96 @@ export default function App() {
     }
   };
 
-  const handleBulkStockUpdate = async (event) => {
-    event.preventDefault();
-    const delta = Number(bulkStockDelta);
+  const runBulkStockUpdate = async (dryRun) => {
+    const value = Number(bulkStockDelta);
 
-    if (!Number.isInteger(delta) || delta === 0) {
+    if (bulkStockMode === "delta" && (!Number.isInteger(value) || value === 0)) {
       showToast("Enter a whole number (not 0) for stock change.");
       return;
     }
-
-    const targets = flowers.filter((flower) =>
-      bulkStockOccasion === "all" ? true : flower.occasion === bulkStockOccasion
-    );
-
-    if (targets.length === 0) {
-      showToast("No flowers found for that occasion.");
+    if (bulkStockMode === "set" && (!Number.isInteger(value) || value < 0)) {
+      showToast("Enter a whole number (0 or more) for the new stock.");
       return;
     }
 
     setApplyingBulkStock(true);
     try {
-      await Promise.all(
-        targets.map((flower) =>
-          updateFlower(flower.id, {
-            stock: Math.max(0, Number(flower.stock || 0) + delta)
-          })
-        )
-      );
-      setBulkStockDelta("");
-      showToast(`Stock updated for ${targets.length} flowers.`);
-      refreshFlowers();
-    } catch (error) {
-      showToast(error.message);
+      const response = await bulkUpdateStock({
+        occasion: bulkStockOccasion,
+        mode: bulkStockMode,
+        value,
+        dryRun
+      });
+      if (response.results.length === 0) {
+        setBulkStockPreview(null);
+        showToast("No flowers found for that occasion.");
+        return;
+      }
+      if (dryRun) {
+        setBulkStockPreview(response);
+        return;
+      }
+
+      const skipped = response.results.filter((result) => result.status === "skipped").length;
+      setBulkStockPreview(null);
+      setBulkStockDelta("");
+      showToast(
+        `Stock updated for ${response.updated} flowers.${
+          skipped > 0 ? ` ${skipped} skipped; flowers with sizes keep their per-size stock.` : ""
+        }`
+      );
+      refreshFlowers();
+    } catch (error) {
+      showToast(error.message);
     } finally {
       setApplyingBulkStock(false);
     }
   };
 
+  const handleBulkStockUpdate = (event) => {
+    event.preventDefault();
+    runBulkStockUpdate(false);
+  };
+
+  const handleSaveCurrencies = async (event) => {
+    event.preventDefault();
+
+    const currencies = currencyForm
+      .map((currency) => ({
+        code: String(currency.code || "").trim().toUpperCase(),
+        label: String(currency.label || "").trim(),
+        locale: String(currency.locale || "").trim() || "en-US",
+        rate: Number(currency.rate)
+      }))
+      .filter((currency) => currency.code);
+    if (currencies.some((currency) => !Number.isFinite(currency.rate) || currency.rate <= 0)) {
+      showToast("Every currency needs a rate above 0.");
+      return;
+    }
+
+    setSavingCurrency(true);
+    try {
+      const response = await updateSiteSettings({
+        currency: { currencies }
+      });
+      setCurrencySettings(response.currency);
+      setCurrencyForm(response.currency.currencies);
+      showToast("Currency rates updated.");
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setSavingCurrency(false);
+    }
+  };
+
+  const updateCurrencyRow = (index, field, value) => {
+    setCurrencyForm((previous) =>
+      previous.map((currency, position) =>
+        position === index ? { ...currency, [field]: value } : currency
+      )
+    );
+  };
+
   const handleSaveHeroImage = async (event) => {
     event.preventDefault();
     const heroImage = String(heroImageForm || "").trim();
@@ -1188,6 +2515,7 @@ export default function App() {
         : heroImage;
       setSiteSettings({
         heroImage: normalizedImage,
+        heroImageSrcset: response?.heroImageSrcset || null,
         updatedAt: response?.updatedAt || new Date().toISOString()
       });
       setHeroImageForm(normalizedImage);
@@ -1200,6 +2528,25 @@ export default function App() {
     }
   };
 
+  const handleUploadImage = async (event, onUploaded) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+
+    setUploadingImage(true);
+    try {
+      const { url } = await uploadImage(file);
+      onUploaded(url);
+      showToast("Image uploaded.");
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUploadingImage(false);
+    }
+  };
+
   const handleUpdateOrderPaymentStatus = async (order, nextStatus) => {
     if (normalizePaymentStatus(order.paymentStatus) === normalizePaymentStatus(nextStatus)) {
       return;
@@ -1221,25 +2568,182 @@ export default function App() {
     }
   };
 
-  const handleDeleteFlower = async (flower) => {
-    const confirmed = window.confirm(`Remove "${flower.name}" from inventory?`);
+  const handleUpdateOrderFulfilment = async (order, nextStatus) => {
+    setUpdatingOrderId(order.id);
+    try {
+      const updated = await updateOrderFulfilment(order.id, nextStatus);
+      setOrders((previous) =>
+        previous.map((item) =>
+          item.id === order.id ? normalizeOrderModel(updated) : normalizeOrderModel(item)
+        )
+      );
+      showToast(`Order #${order.id} is now ${fulfilmentStatusLabel(nextStatus)}.`);
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingOrderId("");
+    }
+  };
+
+  const handleCancelOrder = async (order) => {
+    const reason = window.prompt(`Why is order #${order.id} being cancelled?`, "");
+    if (reason === null) {
+      return;
+    }
+
+    if (reason.trim().length < 3) {
+      showToast("Cancellation reason must be at least 3 characters.");
+      return;
+    }
+
+    setUpdatingOrderId(order.id);
+    try {
+      const updated = normalizeOrderModel(await cancelOrder(order.id, reason.trim()));
+      const replace = (previous) =>
+        previous.map((item) => (item.id === order.id ? updated : normalizeOrderModel(item)));
+      setOrders(replace);
+      setMyOrders(replace);
+      showToast(`Order #${order.id} cancelled and stock restored.`);
+      refreshFlowers();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingOrderId("");
+    }
+  };
+
+  const flowerFormWindow = {
+    status: flowerForm.status,
+    publishAt: fromDateTimeInput(flowerForm.publishAt),
+    unpublishAt: fromDateTimeInput(flowerForm.unpublishAt)
+  };
+  const inventoryFlowers = inventoryView === "archived" ? archivedFlowers : adminFlowers;
+  const currentPageFlower =
+    route.page === "flower"
+      ? (pageFlower?.id === route.flowerId
+          ? pageFlower
+          : [...featuredFlowers, ...shopFlowers].find((flower) => flower.id === route.flowerId)) ||
+        null
+      : null;
+  const relatedFlowers = useMemo(() => {
+    if (!currentPageFlower) {
+      return [];
+    }
+    const tagSlugs = new Set(currentPageFlower.tags.map((tag) => tag.slug));
+    return relatedCandidates
+      .filter((flower) => flower.id !== currentPageFlower.id)
+      .map((flower) => ({
+        flower,
+        score:
+          (flower.occasion === currentPageFlower.occasion ? 2 : 0) +
+          flower.tags.filter((tag) => tagSlugs.has(tag.slug)).length
+      }))
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RELATED_FLOWER_LIMIT)
+      .map((entry) => entry.flower);
+  }, [currentPageFlower, relatedCandidates]);
+
+  useEffect(() => {
+    document.title = currentPageFlower ? `${currentPageFlower.name} | flyethr` : "flyethr";
+  }, [currentPageFlower?.name]);
+
+  const shareFlower = async (flower) => {
+    const url = `${window.location.origin}${flowerPath(flower.id)}`;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: flower.name, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      showToast("Link copied.");
+    } catch (error) {
+      if (error?.name !== "AbortError") {
+        showToast("Could not share this flower.");
+      }
+    }
+  };
+  const refundTarget = orders.find((order) => order.id === refundForm.orderId) || null;
+  const refundableAmount = refundTarget
+    ? Math.max(0, float(refundTarget.total) - float(refundTarget.refundedTotal))
+    : 0;
+
+  const openRefundDialog = (order) => {
+    const refundable = Math.max(0, float(order.total) - float(order.refundedTotal));
+    setRefundForm({ orderId: order.id, amount: refundable.toFixed(2), reason: "" });
+  };
+
+  const handleRefundOrder = async (event) => {
+    event.preventDefault();
+    if (!refundTarget) {
+      return;
+    }
+
+    const amount = Number(refundForm.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > refundableAmount + 0.001) {
+      showToast(`Refund amount must be between 0.01 and ${refundableAmount.toFixed(2)}.`);
+      return;
+    }
+
+    if (refundForm.reason.trim().length < 3) {
+      showToast("Refund reason must be at least 3 characters.");
+      return;
+    }
+
+    setUpdatingOrderId(refundTarget.id);
+    try {
+      const updated = normalizeOrderModel(
+        await refundOrder(refundTarget.id, {
+          amount: Math.round(amount * 100) / 100,
+          reason: refundForm.reason.trim()
+        })
+      );
+      setOrders((previous) => previous.map((item) => (item.id === updated.id ? updated : item)));
+      setRefundForm(initialRefundForm);
+      showToast(`Refund recorded for order #${updated.id}.`);
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingOrderId("");
+    }
+  };
+
+  const handleArchiveFlower = async (flower) => {
+    const confirmed = window.confirm(
+      `Archive "${flower.name}"? It will be hidden from the shop until restored.`
+    );
     if (!confirmed) {
       return;
     }
 
-    setDeletingFlowerId(flower.id);
+    setArchivingFlowerId(flower.id);
     try {
-      await deleteFlower(flower.id);
-      setCart((previous) => {
-        const { [flower.id]: _removed, ...rest } = previous;
-        return rest;
-      });
-      showToast("Flower removed.");
+      await archiveFlower(flower.id);
+      setCart((previous) =>
+        Object.fromEntries(
+          Object.entries(previous).filter(([, line]) => line.flowerId !== flower.id)
+        )
+      );
+      showToast("Flower archived.");
+      refreshFlowers();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setArchivingFlowerId("");
+    }
+  };
+
+  const handleRestoreFlower = async (flower) => {
+    setRestoringFlowerId(flower.id);
+    try {
+      await restoreFlower(flower.id);
+      setArchivedFlowers((previous) => previous.filter((entry) => entry.id !== flower.id));
+      showToast(`${flower.name} is back in the shop.`);
       refreshFlowers();
     } catch (error) {
       showToast(error.message);
     } finally {
-      setDeletingFlowerId("");
+      setRestoringFlowerId("");
     }
   };
 
@@ -1336,131 +2840,439 @@ export default function App() {
     }
   };
 
-  const handleDeleteNotification = async (notification) => {
-    const confirmed = window.confirm(`Remove promo "${notification.title}"?`);
-    if (!confirmed) {
+  const handleCreateDeliverySlot = async (event) => {
+    event.preventDefault();
+
+    if (!slotForm.date || !slotForm.startTime || !slotForm.endTime) {
+      showToast("Slot date and window are required.");
       return;
     }
 
-    setDeletingNotificationId(notification.id);
+    if (slotForm.startTime >= slotForm.endTime) {
+      showToast("Slot must end after it starts.");
+      return;
+    }
+
+    const capacity = Number(slotForm.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      showToast("Max orders must be a whole number of at least 1.");
+      return;
+    }
+
+    setSavingSlot(true);
     try {
-      await deleteNotification(notification.id);
-      showToast("Promo notification removed.");
-      refreshNotifications();
+      await createDeliverySlot({
+        date: slotForm.date,
+        startTime: slotForm.startTime,
+        endTime: slotForm.endTime,
+        capacity
+      });
+      setSlotForm((previous) => ({ ...initialSlotForm, date: previous.date }));
+      showToast("Delivery slot added.");
+      refreshAdminSlots();
+      refreshDeliverySlots();
     } catch (error) {
       showToast(error.message);
     } finally {
-      setDeletingNotificationId("");
+      setSavingSlot(false);
     }
   };
 
-  return (
-    <div className="site-shell">
-      <nav className="top-nav">
-        <button className="logo" type="button" onClick={() => navigateToSection(homeRef)}>
-          flyethr
-        </button>
-
-        <button
-          className={`menu-toggle ${menuOpen ? "open" : ""}`}
-          type="button"
-          aria-label="Toggle menu"
-          aria-expanded={menuOpen}
-          onClick={() => setMenuOpen((previous) => !previous)}
-        >
-          <span />
-          <span />
-          <span />
-        </button>
+  const handleUpdateSlotCapacity = async (slot, value) => {
+    const capacity = Number(value);
+    if (capacity === slot.capacity) {
+      return;
+    }
 
-        <button
-          className="cart-btn cart-btn-mobile"
-          type="button"
-          aria-label={
-            cartCount > 0 ? `Open cart, ${cartCount} item${cartCount === 1 ? "" : "s"}` : "Open cart"
-          }
-          onClick={openCart}
-        >
-          <span className="cart-icon-wrap">
-            <img className="cart-icon" src="/bag.svg" alt="" aria-hidden="true" />
-            {cartCount > 0 ? <span className="cart-dot" aria-hidden="true" /> : null}
-          </span>
-        </button>
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      showToast("Max orders must be a whole number of at least 1.");
+      refreshAdminSlots();
+      return;
+    }
 
-        <button
-          className="notify-btn notify-btn-mobile"
-          type="button"
-          aria-label={
-            unreadNotificationCount > 0
-              ? `Open promotions, ${unreadNotificationCount} new`
-              : "Open promotions"
-          }
-          onClick={toggleNotifications}
-        >
-          <span className="notify-icon-wrap">
-            <img className="notify-icon" src="/bell-fill.svg" alt="" aria-hidden="true" />
-            {unreadNotificationCount > 0 ? <span className="notify-dot" aria-hidden="true" /> : null}
-          </span>
-        </button>
+    setUpdatingSlotId(slot.id);
+    try {
+      await updateDeliverySlot(slot.id, { capacity });
+      showToast("Delivery slot updated.");
+      refreshDeliverySlots();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingSlotId("");
+      refreshAdminSlots();
+    }
+  };
 
-        <div className={`nav-menu ${menuOpen ? "open" : ""}`}>
-          <div className="nav-links">
-            <button type="button" onClick={() => navigateToSection(homeRef)}>
-              Home
-            </button>
-            <button type="button" onClick={() => navigateToSection(shopRef)}>
-              Shop
-            </button>
-            <button type="button" onClick={() => navigateToSection(aboutRef)}>
-              About Us
-            </button>
-            <a
-              href={WHATSAPP_CHAT_URL}
-              target="_blank"
-              rel="noreferrer"
-              onClick={() => setMenuOpen(false)}
-            >
-              Contact
-            </a>
-            {isAdmin ? (
-              <button type="button" onClick={() => navigateToSection(adminRef)}>
-                Admin
-              </button>
-            ) : null}
-          </div>
+  const handleDeleteDeliverySlot = async (slot) => {
+    const confirmed = window.confirm(
+      `Remove the ${formatSlotWindow(`${slot.startTime}-${slot.endTime}`)} slot on ${formatSlotDate(slot.date)}?`
+    );
+    if (!confirmed) {
+      return;
+    }
 
-          <div className="nav-actions">
-            <label className="currency-switch" htmlFor="currency-select">
-              <span>Currency</span>
-              <select
-                id="currency-select"
-                value={currencyCode}
-                onChange={(event) => setCurrencyCode(event.target.value)}
-              >
-                {Object.entries(currencyOptions).map(([code, option]) => (
-                  <option key={code} value={code}>
-                    {option.label}
-                  </option>
-                ))}
-              </select>
-            </label>
+    setUpdatingSlotId(slot.id);
+    try {
+      await deleteDeliverySlot(slot.id);
+      showToast("Delivery slot removed.");
+      refreshAdminSlots();
+      refreshDeliverySlots();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingSlotId("");
+    }
+  };
 
-            <button
-              className="notify-btn"
-              type="button"
-              aria-label={
-                unreadNotificationCount > 0
-                  ? `Open promotions, ${unreadNotificationCount} new`
-                  : "Open promotions"
-              }
-              onClick={toggleNotifications}
-            >
-              <span className="notify-icon-wrap">
-                <img className="notify-icon" src="/bell-fill.svg" alt="" aria-hidden="true" />
-                {unreadNotificationCount > 0 ? <span className="notify-dot" aria-hidden="true" /> : null}
-              </span>
-              <span className="notify-label">Promo</span>
-            </button>
+  const handleCreateDeliveryZone = async (event) => {
+    event.preventDefault();
+
+    const name = zoneForm.name.trim();
+    if (!name) {
+      showToast("Zone name is required.");
+      return;
+    }
+
+    if (!zoneForm.cities.trim() && !zoneForm.postcodes.trim()) {
+      showToast("List at least one city or postcode.");
+      return;
+    }
+
+    const fee = Number(zoneForm.fee || 0);
+    if (!Number.isFinite(fee) || fee < 0) {
+      showToast("Delivery fee must be 0 or more.");
+      return;
+    }
+
+    setSavingZone(true);
+    try {
+      await createDeliveryZone({
+        name,
+        cities: zoneForm.cities,
+        postcodes: zoneForm.postcodes,
+        fee,
+        freeDeliveryThreshold: zoneForm.freeDeliveryThreshold.trim()
+          ? Number(zoneForm.freeDeliveryThreshold)
+          : null
+      });
+      setZoneForm(initialZoneForm);
+      showToast("Delivery zone added.");
+      refreshAdminZones();
+      refreshDeliveryZones();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setSavingZone(false);
+    }
+  };
+
+  const handleToggleDeliveryZone = async (zone) => {
+    setUpdatingZoneId(zone.id);
+    try {
+      await updateDeliveryZone(zone.id, { available: !zone.available });
+      showToast(zone.available ? `${zone.name} paused.` : `${zone.name} is open for delivery.`);
+      refreshAdminZones();
+      refreshDeliveryZones();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingZoneId("");
+    }
+  };
+
+  const handleDeleteDeliveryZone = async (zone) => {
+    const confirmed = window.confirm(`Remove delivery zone "${zone.name}"?`);
+    if (!confirmed) {
+      return;
+    }
+
+    setUpdatingZoneId(zone.id);
+    try {
+      await deleteDeliveryZone(zone.id);
+      showToast("Delivery zone removed.");
+      refreshAdminZones();
+      refreshDeliveryZones();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingZoneId("");
+    }
+  };
+
+  const handleCreateCategory = async (event) => {
+    event.preventDefault();
+
+    const label = categoryForm.label.trim();
+    const slug =
+      categoryForm.slug.trim() ||
+      label
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+    if (!label || !slug) {
+      showToast("Category label is required.");
+      return;
+    }
+
+    setSavingCategory(true);
+    try {
+      await createCategory({
+        slug,
+        label,
+        icon: categoryForm.icon,
+        sortOrder: categoryForm.sortOrder.trim() ? Number(categoryForm.sortOrder) : 0,
+        keywords: categoryForm.keywords
+      });
+      setCategoryForm(initialCategoryForm);
+      showToast("Category added.");
+      refreshAdminCategories();
+      refreshCategories();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setSavingCategory(false);
+    }
+  };
+
+  const handleToggleCategory = async (category) => {
+    setUpdatingCategorySlug(category.slug);
+    try {
+      await updateCategory(category.slug, { visible: !category.visible });
+      showToast(
+        category.visible
+          ? `${category.label} hidden from the shop.`
+          : `${category.label} is visible in the shop.`
+      );
+      refreshAdminCategories();
+      refreshCategories();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingCategorySlug("");
+    }
+  };
+
+  const handleDeleteCategory = async (category) => {
+    const confirmed = window.confirm(`Remove category "${category.label}"?`);
+    if (!confirmed) {
+      return;
+    }
+
+    setUpdatingCategorySlug(category.slug);
+    try {
+      await deleteCategory(category.slug);
+      showToast("Category removed.");
+      if (occasionFilter === category.slug) {
+        setOccasionFilter("all");
+      }
+      refreshAdminCategories();
+      refreshCategories();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingCategorySlug("");
+    }
+  };
+
+  const handleCreatePromo = async (event) => {
+    event.preventDefault();
+
+    const code = promoForm.code.trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      showToast("Code must be 3 to 32 letters, digits, dashes or underscores.");
+      return;
+    }
+
+    const value = Number(promoForm.value || 0);
+    if (promoForm.type !== "free_delivery" && (!Number.isFinite(value) || value <= 0)) {
+      showToast("Enter a discount value above 0.");
+      return;
+    }
+
+    setSavingPromo(true);
+    try {
+      await createPromoCode({
+        code,
+        type: promoForm.type,
+        value: promoForm.type === "free_delivery" ? 0 : value,
+        startsAt: toIsoDateTime(promoForm.startsAt),
+        endsAt: toIsoDateTime(promoForm.endsAt),
+        maxUses: promoForm.maxUses ? Number(promoForm.maxUses) : null,
+        perCustomerLimit: promoForm.perCustomerLimit ? Number(promoForm.perCustomerLimit) : null,
+        occasions: promoForm.occasions,
+        flowerIds: promoForm.flowerIds
+      });
+      setPromoForm(initialPromoForm);
+      showToast(`Promo code ${code} created.`);
+      refreshAdminPromos();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setSavingPromo(false);
+    }
+  };
+
+  const handleTogglePromo = async (promo) => {
+    setUpdatingPromoId(promo.id);
+    try {
+      await updatePromoCode(promo.id, { active: !promo.active });
+      showToast(promo.active ? `${promo.code} paused.` : `${promo.code} is active.`);
+      refreshAdminPromos();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingPromoId("");
+    }
+  };
+
+  const handleDeletePromo = async (promo) => {
+    const confirmed = window.confirm(`Remove promo code "${promo.code}"?`);
+    if (!confirmed) {
+      return;
+    }
+
+    setUpdatingPromoId(promo.id);
+    try {
+      await deletePromoCode(promo.id);
+      showToast("Promo code removed.");
+      refreshAdminPromos();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setUpdatingPromoId("");
+    }
+  };
+
+  const handleDeleteNotification = async (notification) => {
+    const confirmed = window.confirm(`Remove promo "${notification.title}"?`);
+    if (!confirmed) {
+      return;
+    }
+
+    setDeletingNotificationId(notification.id);
+    try {
+      await deleteNotification(notification.id);
+      showToast("Promo notification removed.");
+      refreshNotifications();
+    } catch (error) {
+      showToast(error.message);
+    } finally {
+      setDeletingNotificationId("");
+    }
+  };
+
+  return (
+    <div className="site-shell">
+      <nav className="top-nav">
+        <button className="logo" type="button" onClick={() => navigateToSection(homeRef)}>
+          flyethr
+        </button>
+
+        <button
+          className={`menu-toggle ${menuOpen ? "open" : ""}`}
+          type="button"
+          aria-label="Toggle menu"
+          aria-expanded={menuOpen}
+          onClick={() => setMenuOpen((previous) => !previous)}
+        >
+          <span />
+          <span />
+          <span />
+        </button>
+
+        <button
+          className="cart-btn cart-btn-mobile"
+          type="button"
+          aria-label={
+            cartCount > 0 ? `Open cart, ${cartCount} item${cartCount === 1 ? "" : "s"}` : "Open cart"
+          }
+          onClick={openCart}
+        >
+          <span className="cart-icon-wrap">
+            <img className="cart-icon" src="/bag.svg" alt="" aria-hidden="true" />
+            {cartCount > 0 ? <span className="cart-dot" aria-hidden="true" /> : null}
+          </span>
+        </button>
+
+        <button
+          className="notify-btn notify-btn-mobile"
+          type="button"
+          aria-label={
+            unreadNotificationCount > 0
+              ? `Open promotions, ${unreadNotificationCount} new`
+              : "Open promotions"
+          }
+          onClick={toggleNotifications}
+        >
+          <span className="notify-icon-wrap">
+            <img className="notify-icon" src="/bell-fill.svg" alt="" aria-hidden="true" />
+            {unreadNotificationCount > 0 ? <span className="notify-dot" aria-hidden="true" /> : null}
+          </span>
+        </button>
+
+        <div className={`nav-menu ${menuOpen ? "open" : ""}`}>
+          <div className="nav-links">
+            <button type="button" onClick={() => navigateToSection(homeRef)}>
+              Home
+            </button>
+            <button type="button" onClick={() => navigateToSection(shopRef)}>
+              Shop
+            </button>
+            <button type="button" onClick={() => navigateToSection(aboutRef)}>
+              About Us
+            </button>
+            {canCheckout ? (
+              <button type="button" onClick={() => navigateToSection(myOrdersRef)}>
+                My Orders
+              </button>
+            ) : null}
+            <a
+              href={WHATSAPP_CHAT_URL}
+              target="_blank"
+              rel="noreferrer"
+              onClick={() => setMenuOpen(false)}
+            >
+              Contact
+            </a>
+            {isAdmin ? (
+              <button type="button" onClick={() => navigateToSection(adminRef)}>
+                Admin
+              </button>
+            ) : null}
+          </div>
+
+          <div className="nav-actions">
+            <label className="currency-switch" htmlFor="currency-select">
+              <span>Currency</span>
+              <select
+                id="currency-select"
+                value={currencyCode}
+                onChange={(event) => setCurrencyCode(event.target.value)}
+              >
+                {currencySettings.currencies.map((currency) => (
+                  <option key={currency.code} value={currency.code}>
+                    {currency.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <button
+              className="notify-btn"
+              type="button"
+              aria-label={
+                unreadNotificationCount > 0
+                  ? `Open promotions, ${unreadNotificationCount} new`
+                  : "Open promotions"
+              }
+              onClick={toggleNotifications}
+            >
+              <span className="notify-icon-wrap">
+                <img className="notify-icon" src="/bell-fill.svg" alt="" aria-hidden="true" />
+                {unreadNotificationCount > 0 ? <span className="notify-dot" aria-hidden="true" /> : null}
+              </span>
+              <span className="notify-label">Promo</span>
+            </button>
 
             {sessionLoading ? (
               <span className="session-note">Checking session...</span>
@@ -1497,7 +3309,7 @@ export default function App() {
         </div>
       </nav>
 
-      <section className="hero scroll-section" ref={homeRef}>
+      <section className="hero scroll-section" ref={homeRef} hidden={route.page !== "home"}>
         <div className="hero-left" ref={heroRef}>
           <p className="hero-tag">Spring 2026 Collection</p>
           <h1 className="hero-title">
@@ -1524,7 +3336,9 @@ export default function App() {
         </div>
         <div className="hero-right">
           {heroImageSrc ? (
-            <img
+            <ResponsiveImage
+              srcset={heroImageSrc === siteSettings.heroImage ? siteSettings.heroImageSrcset : null}
+              sizes="(max-width: 980px) 100vw, 50vw"
               className="hero-image"
               src={heroImageSrc}
               alt="Fresh bouquet arrangement"
@@ -1532,7 +3346,7 @@ export default function App() {
             />
           ) : null}
           <div className="hero-badge">
-            <div className="hero-number">{flowers.length}</div>
+            <div className="hero-number">{catalogTotal}</div>
             <div className="hero-label">Flower Types Available</div>
           </div>
         </div>
@@ -1553,7 +3367,7 @@ export default function App() {
         </div>
       </div>
 
-      <main>
+      <main hidden={route.page !== "home"}>
         <section className="promo-highlight" aria-live="polite">
           <p className="promo-highlight-tag">Promotions</p>
           <div className="promo-highlight-main">
@@ -1612,7 +3426,9 @@ export default function App() {
                     <FlowerCard
                       key={flower.id}
                       flower={flower}
+                      icon={iconForOccasion(flower.occasion, categories)}
                       onAdd={addToCart}
+                      onOpen={(entry) => openFlowerPage(entry.id)}
                       formatCurrency={formatCurrency}
                     />
                   ))}
@@ -1632,7 +3448,75 @@ export default function App() {
               placeholder="Search flowers and arrangements..."
               value={search}
               onChange={(event) => setSearch(event.target.value)}
+              onFocus={() => setSearchFocused(true)}
+              onBlur={() => setSearchFocused(false)}
+              onKeyDown={(event) => {
+                if (event.key === "Escape") {
+                  setSearchFocused(false);
+                }
+              }}
             />
+            {searchFocused && searchSuggestions.length > 0 ? (
+              <ul className="search-suggestions">
+                {searchSuggestions.map((suggestion) => (
+                  <li key={suggestion.id}>
+                    <button
+                      type="button"
+                      onMouseDown={(event) => event.preventDefault()}
+                      onClick={() => openFlowerPage(suggestion.id)}
+                    >
+                      <span>{suggestion.name}</span>
+                      <small>{formatCurrency(suggestion.price)}</small>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+          </div>
+
+          <div className="shop-controls">
+            <label className="shop-control">
+              Sort
+              <select value={shopSort} onChange={(event) => setShopSort(event.target.value)}>
+                {SHOP_SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="shop-control">
+              Min ({displayCurrency.code})
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={shopPriceRange.min}
+                onChange={(event) =>
+                  setShopPriceRange((previous) => ({ ...previous, min: event.target.value }))
+                }
+              />
+            </label>
+            <label className="shop-control">
+              Max ({displayCurrency.code})
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={shopPriceRange.max}
+                onChange={(event) =>
+                  setShopPriceRange((previous) => ({ ...previous, max: event.target.value }))
+                }
+              />
+            </label>
+            <label className="shop-control shop-control-toggle">
+              <input
+                type="checkbox"
+                checked={shopInStockOnly}
+                onChange={(event) => setShopInStockOnly(event.target.checked)}
+              />
+              In stock only
+            </label>
           </div>
 
           <div className="filter-tabs">
@@ -1649,26 +3533,35 @@ export default function App() {
           </div>
 
           <div className="products-grid shop-grid" ref={shopGridRef}>
-            {loadingFlowers
+            {loadingShop
               ? Array.from({ length: 8 }).map((_, index) => (
                   <ProductCardSkeleton key={`shop-skeleton-${index}`} index={index} />
                 ))
-              : visibleFlowers.length === 0
+              : shopFlowers.length === 0
                 ? (
                     <div className="empty-state">
                       <strong>No flowers match your filters.</strong>
                       <p>Try another search or select a different occasion.</p>
                     </div>
                   )
-                : visibleFlowers.map((flower) => (
+                : shopFlowers.map((flower) => (
                     <FlowerCard
                       key={flower.id}
                       flower={flower}
+                      icon={iconForOccasion(flower.occasion, categories)}
                       onAdd={addToCart}
+                      onOpen={(entry) => openFlowerPage(entry.id)}
                       formatCurrency={formatCurrency}
                     />
                   ))}
           </div>
+          {!loadingShop && shopFlowers.length > 0 ? (
+            <p className="shop-count">
+              Showing {shopFlowers.length} of {shopTotal}
+              {loadingMoreShop ? " · loading more..." : ""}
+            </p>
+          ) : null}
+          <div ref={shopSentinelRef} className="shop-sentinel" aria-hidden="true" />
         </section>
 
         <section className="section about-section scroll-section" ref={aboutRef}>
@@ -1701,11 +3594,108 @@ export default function App() {
           </div>
         </section>
 
-        {isAdmin ? (
-          <section className="section admin-section scroll-section" ref={adminRef}>
+        {canCheckout ? (
+          <section className="section my-orders-section scroll-section" ref={myOrdersRef}>
             <div className="section-header">
               <h2 className="section-title">
-                Admin <em>Dashboard</em>
+                My <em>Orders</em>
+              </h2>
+              <button className="view-all" type="button" onClick={refreshMyOrders}>
+                Refresh
+              </button>
+            </div>
+
+            <div className="orders-list">
+              {myOrdersLoading && myOrders.length === 0 ? <p>Loading your orders...</p> : null}
+              {!myOrdersLoading && myOrders.length === 0 ? (
+                <div className="empty-state">
+                  <strong>No orders yet.</strong>
+                  <p>Orders you place will appear here with their payment status.</p>
+                </div>
+              ) : null}
+              {myOrders.map((order) => (
+                <div key={order.id} className="order-row my-order-row">
+                  <div>
+                    <strong>#{order.id}</strong>
+                    <p className="order-contact">{formatNotificationDate(order.createdAt)}</p>
+                    <ul className="order-items">
+                      {order.items.map((item, index) => (
+                        <li key={`${order.id}-${index}`}>
+                          <span>
+                            {item.quantity} x {item.name}
+                            {describeItemOptions(item) ? ` (${describeItemOptions(item)})` : ""}
+                          </span>
+                          <span>{formatOrderAmount(order, item.lineTotal * order.exchangeRate)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                    <p className="order-contact">Method: {paymentMethodLabel(order.paymentMethod)}</p>
+                    {order.deliveryDate ? (
+                      <p className="order-contact">
+                        Delivery: {formatSlotDate(order.deliveryDate)}, {formatSlotWindow(order.deliveryWindow)}
+                      </p>
+                    ) : null}
+                    {order.deliveryFee > 0 ? (
+                      <p className="order-contact">
+                        Delivery fee: {formatOrderAmount(order, order.convertedTotals.deliveryFee)}
+                      </p>
+                    ) : null}
+                    {order.promoCode ? (
+                      <p className="order-contact">
+                        Promo {order.promoCode}: -{formatOrderAmount(order, order.convertedTotals.discount)}
+                      </p>
+                    ) : null}
+                    {order.giftMessage ? (
+                      <p className="order-gift-message">&ldquo;{order.giftMessage}&rdquo;</p>
+                    ) : null}
+                    {order.sendAnonymously ? <p className="order-contact">Sent anonymously</p> : null}
+                    {order.cancellationReason ? (
+                      <p className="order-contact">Cancelled: {order.cancellationReason}</p>
+                    ) : null}
+                  </div>
+                  <div className="order-side">
+                    <div className="order-total">
+                      {formatOrderAmount(order, order.convertedTotals.total)}
+                    </div>
+                    <div className={`status-badge ${normalizePaymentStatus(order.paymentStatus)}`}>
+                      {paymentStatusLabel(order.paymentStatus)}
+                    </div>
+                    <div className={`status-badge fulfilment ${order.fulfilmentStatus}`}>
+                      {fulfilmentStatusLabel(order.fulfilmentStatus)}
+                    </div>
+                    {getPaymentMethodOption(order.paymentMethod)?.flow === "redirect" &&
+                    order.paymentStatus === "pending" &&
+                    order.fulfilmentStatus !== "cancelled" ? (
+                      <button
+                        type="button"
+                        className="btn-primary"
+                        onClick={() => redirectToPayment(order.id)}
+                      >
+                        Pay with {paymentMethodLabel(order.paymentMethod)}
+                      </button>
+                    ) : null}
+                    {order.paymentStatus === "pending" && order.fulfilmentStatus === "confirmed" ? (
+                      <button
+                        type="button"
+                        className="danger-btn"
+                        disabled={updatingOrderId === order.id}
+                        onClick={() => handleCancelOrder(order)}
+                      >
+                        {updatingOrderId === order.id ? "Cancelling..." : "Cancel Order"}
+                      </button>
+                    ) : null}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        ) : null}
+
+        {isAdmin ? (
+          <section className="section admin-section scroll-section" ref={adminRef}>
+            <div className="section-header">
+              <h2 className="section-title">
+                Admin <em>Dashboard</em>
               </h2>
             </div>
 
@@ -1720,7 +3710,7 @@ export default function App() {
                   <div className="stat-label">Orders</div>
                 </div>
                 <div className="stat-card">
-                  <div className="stat-value">{flowers.length}</div>
+                  <div className="stat-value">{adminFlowers.length}</div>
                   <div className="stat-label">Products</div>
                 </div>
                 <div className="stat-card">
@@ -1732,6 +3722,21 @@ export default function App() {
               <div className="admin-panels">
                 <div className="admin-card">
                   <h3>Inventory</h3>
+                  <div className="filter-tabs">
+                    {[
+                      { value: "active", label: "Active" },
+                      { value: "archived", label: "Archived" }
+                    ].map((tab) => (
+                      <button
+                        key={tab.value}
+                        type="button"
+                        className={`filter-tab ${inventoryView === tab.value ? "active" : ""}`}
+                        onClick={() => setInventoryView(tab.value)}
+                      >
+                        {tab.label}
+                      </button>
+                    ))}
+                  </div>
                   <div className="table-wrap">
                     <table>
                       <thead>
@@ -1740,35 +3745,59 @@ export default function App() {
                           <th>Occasion</th>
                           <th>Price</th>
                           <th>Stock</th>
+                          <th>Status</th>
                           <th>Actions</th>
                         </tr>
                       </thead>
                       <tbody>
-                        {flowers.map((flower) => (
+                        {inventoryFlowers.map((flower) => (
                           <tr key={flower.id}>
                             <td>{flower.name}</td>
                             <td>{flower.occasion}</td>
                             <td>{formatCurrency(flower.price)}</td>
                             <td>{flower.stock}</td>
+                            <td>
+                              <span className={`status-badge publish ${getPublishState(flower)}`}>
+                                {PUBLISH_STATE_LABELS[getPublishState(flower)]}
+                              </span>
+                            </td>
                             <td className="table-action-cell">
-                              <button
-                                type="button"
-                                className="btn-ghost table-btn"
-                                onClick={() => startEditingFlower(flower)}
-                              >
-                                Edit
-                              </button>
-                              <button
-                                type="button"
-                                className="danger-btn"
-                                disabled={deletingFlowerId === flower.id}
-                                onClick={() => handleDeleteFlower(flower)}
-                              >
-                                {deletingFlowerId === flower.id ? "Removing..." : "Remove"}
-                              </button>
+                              {inventoryView === "archived" ? (
+                                <button
+                                  type="button"
+                                  className="btn-ghost table-btn"
+                                  disabled={restoringFlowerId === flower.id}
+                                  onClick={() => handleRestoreFlower(flower)}
+                                >
+                                  {restoringFlowerId === flower.id ? "Restoring..." : "Restore"}
+                                </button>
+                              ) : (
+                                <>
+                                  <button
+                                    type="button"
+                                    className="btn-ghost table-btn"
+                                    onClick={() => startEditingFlower(flower)}
+                                  >
+                                    Edit
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className="danger-btn"
+                                    disabled={archivingFlowerId === flower.id}
+                                    onClick={() => handleArchiveFlower(flower)}
+                                  >
+                                    {archivingFlowerId === flower.id ? "Archiving..." : "Archive"}
+                                  </button>
+                                </>
+                              )}
                             </td>
                           </tr>
                         ))}
+                        {inventoryView === "archived" && archivedFlowers.length === 0 ? (
+                          <tr>
+                            <td colSpan={6}>No archived flowers.</td>
+                          </tr>
+                        ) : null}
                       </tbody>
                     </table>
                   </div>
@@ -1789,196 +3818,1121 @@ export default function App() {
                       required
                     />
                     <input
-                      placeholder="Price"
-                      type="number"
-                      min="1"
-                      step="0.01"
-                      value={flowerForm.price}
+                      placeholder={flowerForm.variants.length > 0 ? "Price (from sizes)" : "Price"}
+                      type="number"
+                      min="1"
+                      step="0.01"
+                      value={flowerForm.variants.length > 0 ? "" : flowerForm.price}
+                      disabled={flowerForm.variants.length > 0}
+                      onChange={(event) =>
+                        setFlowerForm((previous) => ({
+                          ...previous,
+                          price: event.target.value
+                        }))
+                      }
+                      required={flowerForm.variants.length === 0}
+                    />
+                    <input
+                      placeholder={flowerForm.variants.length > 0 ? "Stock (from sizes)" : "Stock"}
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={flowerForm.variants.length > 0 ? "" : flowerForm.stock}
+                      disabled={flowerForm.variants.length > 0}
+                      onChange={(event) =>
+                        setFlowerForm((previous) => ({
+                          ...previous,
+                          stock: event.target.value
+                        }))
+                      }
+                      required={flowerForm.variants.length === 0}
+                    />
+                    {editingFlowerId ? (
+                      <select
+                        aria-label="Reason for stock change"
+                        value={flowerForm.stockReason}
+                        onChange={(event) =>
+                          setFlowerForm((previous) => ({
+                            ...previous,
+                            stockReason: event.target.value
+                          }))
+                        }
+                      >
+                        {["adjustment", "restock", "spoilage"].map((reason) => (
+                          <option key={reason} value={reason}>
+                            Stock change: {STOCK_REASON_LABELS[reason]}
+                          </option>
+                        ))}
+                      </select>
+                    ) : null}
+                    <select
+                      value={flowerForm.occasion}
+                      onChange={(event) =>
+                        setFlowerForm((previous) => ({
+                          ...previous,
+                          occasion: event.target.value
+                        }))
+                      }
+                    >
+                      {flowerCategoryOptions.map((category) => (
+                        <option key={`form-${category.slug}`} value={category.slug}>
+                          {category.visible ? category.label : `${category.label} (hidden)`}
+                        </option>
+                      ))}
+                    </select>
+                    <div className="flower-publish-editor">
+                      <h4>
+                        Availability
+                        <span
+                          className={`status-badge publish ${getPublishState(flowerFormWindow)}`}
+                        >
+                          {PUBLISH_STATE_LABELS[getPublishState(flowerFormWindow)]}
+                        </span>
+                      </h4>
+                      <select
+                        value={flowerForm.status}
+                        onChange={(event) =>
+                          setFlowerForm((previous) => ({
+                            ...previous,
+                            status: event.target.value
+                          }))
+                        }
+                      >
+                        <option value="published">Published</option>
+                        <option value="draft">Draft</option>
+                      </select>
+                      <div className="focus-grid">
+                        {[
+                          { field: "publishAt", label: "Publish from" },
+                          { field: "unpublishAt", label: "Unpublish at" }
+                        ].map(({ field, label }) => (
+                          <label key={field}>
+                            {label}
+                            <input
+                              type="datetime-local"
+                              value={flowerForm[field]}
+                              onChange={(event) =>
+                                setFlowerForm((previous) => ({
+                                  ...previous,
+                                  [field]: event.target.value
+                                }))
+                              }
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flower-tags-editor">
+                      <h4>Tags</h4>
+                      {flowerForm.tags.length > 0 ? (
+                        <div className="tag-list">
+                          {flowerForm.tags.map((tag) => (
+                            <button
+                              key={tag}
+                              type="button"
+                              className="tag-chip removable"
+                              aria-label={`Remove tag ${tag}`}
+                              onClick={() => removeFlowerTag(tag)}
+                            >
+                              {tag} x
+                            </button>
+                          ))}
+                        </div>
+                      ) : null}
+                      <div className="flower-tag-input">
+                        <input
+                          list="known-flower-tags"
+                          placeholder="Add a tag (e.g. Anniversary)"
+                          value={tagInput}
+                          disabled={flowerForm.tags.length >= MAX_FLOWER_TAGS}
+                          onChange={(event) => setTagInput(event.target.value)}
+                          onKeyDown={(event) => {
+                            if (event.key === "Enter" || event.key === ",") {
+                              event.preventDefault();
+                              addFlowerTag(tagInput);
+                            }
+                          }}
+                        />
+                        <button
+                          type="button"
+                          className="btn-ghost"
+                          disabled={!tagInput.trim() || flowerForm.tags.length >= MAX_FLOWER_TAGS}
+                          onClick={() => addFlowerTag(tagInput)}
+                        >
+                          Add Tag
+                        </button>
+                      </div>
+                      <datalist id="known-flower-tags">
+                        {[...knownTags]
+                          .sort((a, b) => Number(b.curated) - Number(a.curated))
+                          .map((tag) => (
+                            <option key={tag.slug} value={tag.label} />
+                          ))}
+                      </datalist>
+                    </div>
+                    <div className="flower-images-editor">
+                      <h4>Photos</h4>
+                      {flowerForm.images.map((image, index) => (
+                        <div key={index} className="flower-image-row">
+                          <input
+                            placeholder="Image URL"
+                            value={image.url}
+                            onChange={(event) => updateFlowerImage(index, "url", event.target.value)}
+                          />
+                          <label className="btn-ghost image-upload-btn">
+                            {uploadingImage ? "Uploading..." : "Upload"}
+                            <input
+                              type="file"
+                              accept={IMAGE_UPLOAD_TYPES}
+                              disabled={uploadingImage}
+                              onChange={(event) =>
+                                handleUploadImage(event, (url) => updateFlowerImage(index, "url", url))
+                              }
+                            />
+                          </label>
+                          <input
+                            placeholder="Alt text"
+                            maxLength={160}
+                            value={image.alt}
+                            onChange={(event) => updateFlowerImage(index, "alt", event.target.value)}
+                          />
+                          <div className="focus-grid">
+                            <label>
+                              Focus X
+                              <input
+                                type="range"
+                                min="0"
+                                max="100"
+                                value={image.focusX}
+                                onChange={(event) =>
+                                  updateFlowerImage(index, "focusX", Number(event.target.value))
+                                }
+                              />
+                            </label>
+                            <label>
+                              Focus Y
+                              <input
+                                type="range"
+                                min="0"
+                                max="100"
+                                value={image.focusY}
+                                onChange={(event) =>
+                                  updateFlowerImage(index, "focusY", Number(event.target.value))
+                                }
+                              />
+                            </label>
+                          </div>
+                          <div className="flower-image-actions">
+                            <button
+                              type="button"
+                              className="btn-ghost"
+                              disabled={index === 0}
+                              onClick={() => moveFlowerImage(index, -1)}
+                            >
+                              Up
+                            </button>
+                            <button
+                              type="button"
+                              className="btn-ghost"
+                              disabled={index === flowerForm.images.length - 1}
+                              onClick={() => moveFlowerImage(index, 1)}
+                            >
+                              Down
+                            </button>
+                            <button
+                              type="button"
+                              className="danger-btn"
+                              onClick={() =>
+                                setFlowerForm((previous) => ({
+                                  ...previous,
+                                  images: previous.images.filter((_entry, position) => position !== index)
+                                }))
+                              }
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className="btn-ghost"
+                        disabled={flowerForm.images.length >= 8}
+                        onClick={() =>
+                          setFlowerForm((previous) => ({
+                            ...previous,
+                            images: [...previous.images, { url: "", alt: "", focusX: 50, focusY: 50 }]
+                          }))
+                        }
+                      >
+                        Add Photo
+                      </button>
+                    </div>
+                    {FLOWER_OPTION_GROUPS.map((group) => (
+                      <div key={group.field} className="flower-options-editor">
+                        <h4>{group.title}</h4>
+                        {flowerForm[group.field].map((option, index) => (
+                          <div key={index} className="flower-option-row">
+                            <input
+                              placeholder="Name"
+                              aria-label={`${group.title} name`}
+                              value={option.name}
+                              onChange={(event) =>
+                                updateFlowerOptionRow(group.field, index, "name", event.target.value)
+                              }
+                            />
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              placeholder="Price"
+                              aria-label={`${group.title} price`}
+                              value={option.price}
+                              onChange={(event) =>
+                                updateFlowerOptionRow(group.field, index, "price", event.target.value)
+                              }
+                            />
+                            <input
+                              type="number"
+                              min="0"
+                              step="1"
+                              placeholder="Stock"
+                              aria-label={`${group.title} stock`}
+                              value={option.stock}
+                              onChange={(event) =>
+                                updateFlowerOptionRow(group.field, index, "stock", event.target.value)
+                              }
+                            />
+                            <button
+                              type="button"
+                              className="danger-btn"
+                              onClick={() =>
+                                setFlowerForm((previous) => ({
+                                  ...previous,
+                                  [group.field]: previous[group.field].filter(
+                                    (_entry, position) => position !== index
+                                  )
+                                }))
+                              }
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        ))}
+                        <button
+                          type="button"
+                          className="btn-ghost"
+                          onClick={() =>
+                            setFlowerForm((previous) => ({
+                              ...previous,
+                              [group.field]: [...previous[group.field], { name: "", price: "", stock: 0 }]
+                            }))
+                          }
+                        >
+                          {group.addLabel}
+                        </button>
+                      </div>
+                    ))}
+                    <textarea
+                      placeholder="Description"
+                      value={flowerForm.description}
+                      onChange={(event) =>
+                        setFlowerForm((previous) => ({
+                          ...previous,
+                          description: event.target.value
+                        }))
+                      }
+                    />
+                    <button className="btn-primary" type="submit" disabled={savingFlower}>
+                      {savingFlower ? "Saving..." : editingFlowerId ? "Save Changes" : "Save Flower"}
+                    </button>
+                    {editingFlowerId ? (
+                      <button className="btn-ghost" type="button" onClick={cancelEditingFlower}>
+                        Cancel Edit
+                      </button>
+                    ) : null}
+                  </form>
+                  <form className="form-grid bulk-stock-form" onSubmit={handleBulkStockUpdate}>
+                    <h4>Bulk Stock Update</h4>
+                    <select
+                      value={bulkStockOccasion}
+                      onChange={(event) => {
+                        setBulkStockOccasion(event.target.value);
+                        setBulkStockPreview(null);
+                      }}
+                    >
+                      <option value="all">All</option>
+                      {flowerCategoryOptions.map((category) => (
+                        <option key={`bulk-${category.slug}`} value={category.slug}>
+                          {category.label}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      aria-label="Bulk stock mode"
+                      value={bulkStockMode}
+                      onChange={(event) => {
+                        setBulkStockMode(event.target.value);
+                        setBulkStockPreview(null);
+                      }}
+                    >
+                      <option value="delta">Change stock by</option>
+                      <option value="set">Set stock to</option>
+                    </select>
+                    <input
+                      type="number"
+                      step="1"
+                      min={bulkStockMode === "set" ? "0" : undefined}
+                      placeholder={
+                        bulkStockMode === "set"
+                          ? "New stock (e.g. 20)"
+                          : "Stock delta (e.g. 5 or -3)"
+                      }
+                      value={bulkStockDelta}
+                      onChange={(event) => {
+                        setBulkStockDelta(event.target.value);
+                        setBulkStockPreview(null);
+                      }}
+                    />
+                    {bulkStockPreview ? (
+                      <ul className="bulk-stock-preview">
+                        {bulkStockPreview.results.map((result) => (
+                          <li key={result.flowerId} className={result.status}>
+                            <span>{result.name}</span>
+                            <span>
+                              {result.status === "skipped"
+                                ? result.message
+                                : `${result.previousStock} → ${result.stock}`}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : null}
+                    <div className="checkout-row">
+                      <button
+                        className="btn-ghost"
+                        type="button"
+                        disabled={applyingBulkStock}
+                        onClick={() => runBulkStockUpdate(true)}
+                      >
+                        Preview
+                      </button>
+                      <button className="btn-primary" type="submit" disabled={applyingBulkStock}>
+                        {applyingBulkStock ? "Updating..." : "Apply Stock Change"}
+                      </button>
+                    </div>
+                  </form>
+                </div>
+
+                <div className="admin-card">
+                  <h3>Stock Ledger</h3>
+                  <div className="table-wrap">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Name</th>
+                          <th>Stock</th>
+                          <th>Ledger</th>
+                          <th>Difference</th>
+                          <th>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {stockLedger.map((entry) => (
+                          <tr
+                            key={entry.flowerId}
+                            className={entry.difference !== 0 ? "ledger-mismatch" : ""}
+                          >
+                            <td>{entry.name}</td>
+                            <td>{entry.stock}</td>
+                            <td>{entry.ledgerStock}</td>
+                            <td>
+                              {entry.difference > 0 ? `+${entry.difference}` : entry.difference}
+                            </td>
+                            <td className="table-action-cell">
+                              <button
+                                type="button"
+                                className="btn-ghost table-btn"
+                                disabled={loadingStockHistoryId === entry.flowerId}
+                                onClick={() => openStockHistory(entry.flowerId)}
+                              >
+                                {loadingStockHistoryId === entry.flowerId
+                                  ? "Loading..."
+                                  : "History"}
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {stockHistory ? (
+                    <div className="stock-history">
+                      <div className="stock-history-header">
+                        <h4>{stockHistory.name}</h4>
+                        <button
+                          type="button"
+                          className="btn-ghost table-btn"
+                          onClick={() => setStockHistory(null)}
+                        >
+                          Close
+                        </button>
+                      </div>
+                      {stockHistory.movements.length === 0 ? <p>No stock movements yet.</p> : null}
+                      <ul className="stock-history-list">
+                        {stockHistory.movements.map((movement) => (
+                          <li key={movement.id}>
+                            <strong className={movement.delta > 0 ? "stock-in" : "stock-out"}>
+                              {movement.delta > 0 ? `+${movement.delta}` : movement.delta}
+                            </strong>
+                            <span>
+                              {STOCK_REASON_LABELS[movement.reason] || movement.reason}
+                              {movement.orderId ? ` · order #${movement.orderId}` : ""}
+                              {movement.note ? ` · ${movement.note}` : ""}
+                            </span>
+                            <span className="order-contact">
+                              {formatNotificationDate(movement.createdAt)}
+                              {movement.actor ? ` · ${movement.actor}` : ""}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ) : null}
+                </div>
+
+                <div className="admin-card">
+                  <h3>Currencies</h3>
+                  <form className="form-grid" onSubmit={handleSaveCurrencies}>
+                    <p className="currency-admin-note">
+                      Prices are stored in {BASE_CURRENCY}. Rates are units per 1 {BASE_CURRENCY};
+                      orders keep the rate they were placed with.
+                    </p>
+                    {currencyForm.map((currency, index) => {
+                      const isBase = currency.code === BASE_CURRENCY;
+                      return (
+                        <div key={index} className="currency-admin-row">
+                          <input
+                            placeholder="Code"
+                            aria-label="Currency code"
+                            maxLength={3}
+                            value={currency.code}
+                            disabled={isBase}
+                            onChange={(event) => updateCurrencyRow(index, "code", event.target.value)}
+                          />
+                          <input
+                            placeholder="Label"
+                            aria-label="Currency label"
+                            value={currency.label}
+                            onChange={(event) => updateCurrencyRow(index, "label", event.target.value)}
+                          />
+                          <input
+                            placeholder="Locale"
+                            aria-label="Currency locale"
+                            value={currency.locale}
+                            onChange={(event) => updateCurrencyRow(index, "locale", event.target.value)}
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            aria-label="Rate"
+                            value={currency.rate}
+                            disabled={isBase}
+                            onChange={(event) => updateCurrencyRow(index, "rate", event.target.value)}
+                          />
+                          <button
+                            type="button"
+                            className="danger-btn"
+                            disabled={isBase}
+                            onClick={() =>
+                              setCurrencyForm((previous) =>
+                                previous.filter((_entry, position) => position !== index)
+                              )
+                            }
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      );
+                    })}
+                    <button
+                      type="button"
+                      className="btn-ghost"
+                      onClick={() =>
+                        setCurrencyForm((previous) => [
+                          ...previous,
+                          { code: "", label: "", locale: "en-US", rate: "" }
+                        ])
+                      }
+                    >
+                      Add Currency
+                    </button>
+                    <button className="btn-primary" type="submit" disabled={savingCurrency}>
+                      {savingCurrency ? "Saving..." : "Save Rates"}
+                    </button>
+                  </form>
+                </div>
+
+                <div className="admin-card">
+                  <h3>Hero Banner Image</h3>
+                  <form className="form-grid" onSubmit={handleSaveHeroImage}>
+                    <input
+                      type="url"
+                      placeholder="Hero image URL"
+                      value={heroImageForm}
+                      onChange={(event) => setHeroImageForm(event.target.value)}
+                      required
+                    />
+                    <label className="btn-ghost image-upload-btn">
+                      {uploadingImage ? "Uploading..." : "Upload Image"}
+                      <input
+                        type="file"
+                        accept={IMAGE_UPLOAD_TYPES}
+                        disabled={uploadingImage}
+                        onChange={(event) => handleUploadImage(event, setHeroImageForm)}
+                      />
+                    </label>
+                    <button className="btn-primary" type="submit" disabled={savingHeroImage}>
+                      {savingHeroImage ? "Saving..." : "Update Hero Image"}
+                    </button>
+                  </form>
+                  <div className="hero-settings-preview">
+                    <img src={heroImageForm || siteSettings.heroImage || DEFAULT_HERO_IMAGE} alt="Hero preview" />
+                  </div>
+                </div>
+
+                <div className="admin-card">
+                  <h3>Promo Notifications</h3>
+                  <form className="form-grid" onSubmit={handleCreateNotification}>
+                    <input
+                      placeholder="Promo title"
+                      value={notificationForm.title}
+                      onChange={(event) =>
+                        setNotificationForm((previous) => ({
+                          ...previous,
+                          title: event.target.value
+                        }))
+                      }
+                      required
+                    />
+                    <textarea
+                      placeholder="Promo details (optional)"
+                      value={notificationForm.message}
+                      onChange={(event) =>
+                        setNotificationForm((previous) => ({
+                          ...previous,
+                          message: event.target.value
+                        }))
+                      }
+                    />
+                    <button className="btn-primary" type="submit" disabled={submittingNotification}>
+                      {submittingNotification ? "Publishing..." : "Publish Promo"}
+                    </button>
+                  </form>
+                  <div className="promo-admin-list">
+                    {notifications.length === 0 ? <p>No promos yet.</p> : null}
+                    {notifications.slice(0, 6).map((notification) => (
+                      <div key={notification.id} className="promo-admin-row">
+                        <div>
+                          <strong>{notification.title}</strong>
+                          <p>{formatNotificationDate(notification.createdAt)}</p>
+                        </div>
+                        <button
+                          type="button"
+                          className="danger-btn"
+                          disabled={deletingNotificationId === notification.id}
+                          onClick={() => handleDeleteNotification(notification)}
+                        >
+                          {deletingNotificationId === notification.id ? "Removing..." : "Remove"}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="admin-card">
+                  <h3>Promo Codes</h3>
+                  <form className="form-grid" onSubmit={handleCreatePromo}>
+                    <div className="checkout-row">
+                      <input
+                        placeholder="Code, e.g. MOTHERSDAY"
+                        value={promoForm.code}
+                        onChange={(event) =>
+                          setPromoForm((previous) => ({
+                            ...previous,
+                            code: event.target.value
+                          }))
+                        }
+                        required
+                      />
+                      <select
+                        aria-label="Discount type"
+                        value={promoForm.type}
+                        onChange={(event) =>
+                          setPromoForm((previous) => ({
+                            ...previous,
+                            type: event.target.value
+                          }))
+                        }
+                      >
+                        <option value="percentage">Percentage off</option>
+                        <option value="fixed">Fixed amount off</option>
+                        <option value="free_delivery">Free delivery</option>
+                      </select>
+                    </div>
+                    {promoForm.type !== "free_delivery" ? (
+                      <input
+                        type="number"
+                        min="0"
+                        step={promoForm.type === "percentage" ? "1" : "0.01"}
+                        placeholder={promoForm.type === "percentage" ? "Percent off" : "Amount off (USD)"}
+                        value={promoForm.value}
+                        onChange={(event) =>
+                          setPromoForm((previous) => ({
+                            ...previous,
+                            value: event.target.value
+                          }))
+                        }
+                        required
+                      />
+                    ) : null}
+                    <div className="checkout-row">
+                      <label className="promo-date-field">
+                        <span>Starts</span>
+                        <input
+                          type="datetime-local"
+                          value={promoForm.startsAt}
+                          onChange={(event) =>
+                            setPromoForm((previous) => ({
+                              ...previous,
+                              startsAt: event.target.value
+                            }))
+                          }
+                        />
+                      </label>
+                      <label className="promo-date-field">
+                        <span>Ends</span>
+                        <input
+                          type="datetime-local"
+                          value={promoForm.endsAt}
+                          onChange={(event) =>
+                            setPromoForm((previous) => ({
+                              ...previous,
+                              endsAt: event.target.value
+                            }))
+                          }
+                        />
+                      </label>
+                    </div>
+                    <div className="checkout-row">
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        placeholder="Total uses (optional)"
+                        value={promoForm.maxUses}
+                        onChange={(event) =>
+                          setPromoForm((previous) => ({
+                            ...previous,
+                            maxUses: event.target.value
+                          }))
+                        }
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        placeholder="Uses per customer (optional)"
+                        value={promoForm.perCustomerLimit}
+                        onChange={(event) =>
+                          setPromoForm((previous) => ({
+                            ...previous,
+                            perCustomerLimit: event.target.value
+                          }))
+                        }
+                      />
+                    </div>
+                    <input
+                      placeholder="Only for occasions, comma separated (optional)"
+                      value={promoForm.occasions}
+                      onChange={(event) =>
+                        setPromoForm((previous) => ({
+                          ...previous,
+                          occasions: event.target.value
+                        }))
+                      }
+                    />
+                    <select
+                      multiple
+                      aria-label="Only for flowers"
+                      value={promoForm.flowerIds}
+                      onChange={(event) =>
+                        setPromoForm((previous) => ({
+                          ...previous,
+                          flowerIds: [...event.target.selectedOptions].map((option) => option.value)
+                        }))
+                      }
+                    >
+                      {adminFlowers.map((flower) => (
+                        <option key={flower.id} value={flower.id}>
+                          {flower.name}
+                        </option>
+                      ))}
+                    </select>
+                    <button className="btn-primary" type="submit" disabled={savingPromo}>
+                      {savingPromo ? "Adding..." : "Add Promo Code"}
+                    </button>
+                  </form>
+                  <div className="promo-admin-list">
+                    {adminPromos.length === 0 ? <p>No promo codes yet.</p> : null}
+                    {adminPromos.map((promo) => (
+                      <div
+                        key={promo.id}
+                        className={`promo-admin-row zone-admin-row ${promo.active ? "" : "closed"}`}
+                      >
+                        <div>
+                          <strong>{promo.code}</strong>
+                          <p>
+                            {promo.type === "percentage"
+                              ? `${promo.value}% off`
+                              : promo.type === "fixed"
+                                ? `${formatCurrency(promo.value)} off`
+                                : "Free delivery"}
+                            {[...promo.occasions, ...promo.flowerIds].length > 0
+                              ? ` · ${[...promo.occasions, ...promo.flowerIds].join(", ")}`
+                              : ""}
+                          </p>
+                          <p>
+                            {describePromoWindow(promo)} · used {promo.usedCount}
+                            {promo.maxUses !== null ? `/${promo.maxUses}` : ""}
+                            {promo.perCustomerLimit !== null
+                              ? ` · ${promo.perCustomerLimit} per customer`
+                              : ""}
+                          </p>
+                        </div>
+                        <div className="zone-admin-actions">
+                          <button
+                            type="button"
+                            className="btn-ghost table-btn"
+                            disabled={updatingPromoId === promo.id}
+                            onClick={() => handleTogglePromo(promo)}
+                          >
+                            {promo.active ? "Pause" : "Resume"}
+                          </button>
+                          <button
+                            type="button"
+                            className="danger-btn"
+                            disabled={updatingPromoId === promo.id}
+                            onClick={() => handleDeletePromo(promo)}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="admin-card">
+                  <h3>Categories</h3>
+                  <form className="form-grid" onSubmit={handleCreateCategory}>
+                    <input
+                      placeholder="Label (e.g. Sympathy)"
+                      value={categoryForm.label}
+                      onChange={(event) =>
+                        setCategoryForm((previous) => ({
+                          ...previous,
+                          label: event.target.value
+                        }))
+                      }
+                      required
+                    />
+                    <div className="checkout-row">
+                      <input
+                        placeholder="Slug (optional)"
+                        value={categoryForm.slug}
+                        onChange={(event) =>
+                          setCategoryForm((previous) => ({
+                            ...previous,
+                            slug: event.target.value
+                          }))
+                        }
+                      />
+                      <input
+                        placeholder="Icon (e.g. S)"
+                        maxLength={4}
+                        value={categoryForm.icon}
+                        onChange={(event) =>
+                          setCategoryForm((previous) => ({
+                            ...previous,
+                            icon: event.target.value
+                          }))
+                        }
+                      />
+                    </div>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      placeholder="Sort order (lower shows first)"
+                      value={categoryForm.sortOrder}
+                      onChange={(event) =>
+                        setCategoryForm((previous) => ({
+                          ...previous,
+                          sortOrder: event.target.value
+                        }))
+                      }
+                    />
+                    <input
+                      placeholder="Chat keywords, comma separated (optional)"
+                      value={categoryForm.keywords}
+                      onChange={(event) =>
+                        setCategoryForm((previous) => ({
+                          ...previous,
+                          keywords: event.target.value
+                        }))
+                      }
+                    />
+                    <button className="btn-primary" type="submit" disabled={savingCategory}>
+                      {savingCategory ? "Adding..." : "Add Category"}
+                    </button>
+                  </form>
+                  <div className="promo-admin-list">
+                    {adminCategories.length === 0 ? <p>No categories yet.</p> : null}
+                    {adminCategories.map((category) => (
+                      <div
+                        key={category.slug}
+                        className={`promo-admin-row zone-admin-row ${
+                          category.visible ? "" : "closed"
+                        }`}
+                      >
+                        <div>
+                          <strong>
+                            {category.icon} · {category.label}
+                          </strong>
+                          <p>
+                            {category.slug} · order {category.sortOrder}
+                          </p>
+                          {category.keywords.length > 0 ? (
+                            <p>{category.keywords.join(", ")}</p>
+                          ) : null}
+                        </div>
+                        <div className="zone-admin-actions">
+                          <button
+                            type="button"
+                            className="btn-ghost table-btn"
+                            disabled={updatingCategorySlug === category.slug}
+                            onClick={() => handleToggleCategory(category)}
+                          >
+                            {category.visible ? "Hide" : "Show"}
+                          </button>
+                          <button
+                            type="button"
+                            className="danger-btn"
+                            disabled={updatingCategorySlug === category.slug}
+                            onClick={() => handleDeleteCategory(category)}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="admin-card">
+                  <h3>Delivery Zones</h3>
+                  <form className="form-grid" onSubmit={handleCreateDeliveryZone}>
+                    <input
+                      placeholder="Zone name"
+                      value={zoneForm.name}
                       onChange={(event) =>
-                        setFlowerForm((previous) => ({
+                        setZoneForm((previous) => ({
                           ...previous,
-                          price: event.target.value
+                          name: event.target.value
                         }))
                       }
                       required
                     />
                     <input
-                      placeholder="Stock"
-                      type="number"
-                      min="0"
-                      step="1"
-                      value={flowerForm.stock}
+                      placeholder="Cities, comma separated"
+                      value={zoneForm.cities}
                       onChange={(event) =>
-                        setFlowerForm((previous) => ({
+                        setZoneForm((previous) => ({
                           ...previous,
-                          stock: event.target.value
+                          cities: event.target.value
                         }))
                       }
-                      required
                     />
-                    <select
-                      value={flowerForm.occasion}
+                    <input
+                      placeholder="Postcodes, comma separated"
+                      value={zoneForm.postcodes}
                       onChange={(event) =>
-                        setFlowerForm((previous) => ({
+                        setZoneForm((previous) => ({
                           ...previous,
-                          occasion: event.target.value
+                          postcodes: event.target.value
                         }))
                       }
-                    >
-                      <option value="general">General</option>
-                      <option value="romance">Romance</option>
-                      <option value="birthday">Birthday</option>
-                      <option value="wedding">Wedding</option>
-                      <option value="thank-you">Thank You</option>
-                    </select>
+                    />
+                    <div className="checkout-row">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="Delivery fee (USD)"
+                        value={zoneForm.fee}
+                        onChange={(event) =>
+                          setZoneForm((previous) => ({
+                            ...previous,
+                            fee: event.target.value
+                          }))
+                        }
+                        required
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="Free over (USD)"
+                        value={zoneForm.freeDeliveryThreshold}
+                        onChange={(event) =>
+                          setZoneForm((previous) => ({
+                            ...previous,
+                            freeDeliveryThreshold: event.target.value
+                          }))
+                        }
+                      />
+                    </div>
+                    <button className="btn-primary" type="submit" disabled={savingZone}>
+                      {savingZone ? "Adding..." : "Add Zone"}
+                    </button>
+                  </form>
+                  <div className="promo-admin-list">
+                    {adminZones.length === 0 ? (
+                      <p>No delivery zones yet. Checkout is closed until you add one.</p>
+                    ) : null}
+                    {adminZones.map((zone) => (
+                      <div
+                        key={zone.id}
+                        className={`promo-admin-row zone-admin-row ${zone.available ? "" : "closed"}`}
+                      >
+                        <div>
+                          <strong>{zone.name}</strong>
+                          <p>{[...zone.cities, ...zone.postcodes].join(", ")}</p>
+                          <p>
+                            Fee {formatCurrency(zone.fee)}
+                            {zone.freeDeliveryThreshold !== null
+                              ? ` · free over ${formatCurrency(zone.freeDeliveryThreshold)}`
+                              : ""}
+                          </p>
+                        </div>
+                        <div className="zone-admin-actions">
+                          <button
+                            type="button"
+                            className="btn-ghost table-btn"
+                            disabled={updatingZoneId === zone.id}
+                            onClick={() => handleToggleDeliveryZone(zone)}
+                          >
+                            {zone.available ? "Pause" : "Resume"}
+                          </button>
+                          <button
+                            type="button"
+                            className="danger-btn"
+                            disabled={updatingZoneId === zone.id}
+                            onClick={() => handleDeleteDeliveryZone(zone)}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="admin-card">
+                  <h3>Delivery Slots</h3>
+                  <form className="form-grid slot-form" onSubmit={handleCreateDeliverySlot}>
                     <input
-                      placeholder="Image URL"
-                      value={flowerForm.image}
+                      type="date"
+                      aria-label="Slot date"
+                      value={slotForm.date}
                       onChange={(event) =>
-                        setFlowerForm((previous) => ({
+                        setSlotForm((previous) => ({
                           ...previous,
-                          image: event.target.value
+                          date: event.target.value
                         }))
                       }
+                      required
                     />
-                    <div className="focus-grid">
-                      <label>
-                        Image Focus X
-                        <input
-                          type="range"
-                          min="0"
-                          max="100"
-                          value={flowerForm.imageFocusX}
-                          onChange={(event) =>
-                            setFlowerForm((previous) => ({
-                              ...previous,
-                              imageFocusX: Number(event.target.value)
-                            }))
-                          }
-                        />
-                      </label>
-                      <label>
-                        Image Focus Y
-                        <input
-                          type="range"
-                          min="0"
-                          max="100"
-                          value={flowerForm.imageFocusY}
-                          onChange={(event) =>
-                            setFlowerForm((previous) => ({
-                              ...previous,
-                              imageFocusY: Number(event.target.value)
-                            }))
-                          }
-                        />
-                      </label>
-                    </div>
-                    <textarea
-                      placeholder="Description"
-                      value={flowerForm.description}
+                    <input
+                      type="time"
+                      aria-label="Window start"
+                      value={slotForm.startTime}
                       onChange={(event) =>
-                        setFlowerForm((previous) => ({
+                        setSlotForm((previous) => ({
                           ...previous,
-                          description: event.target.value
+                          startTime: event.target.value
                         }))
                       }
-                    />
-                    <button className="btn-primary" type="submit" disabled={savingFlower}>
-                      {savingFlower ? "Saving..." : editingFlowerId ? "Save Changes" : "Save Flower"}
-                    </button>
-                    {editingFlowerId ? (
-                      <button className="btn-ghost" type="button" onClick={cancelEditingFlower}>
-                        Cancel Edit
-                      </button>
-                    ) : null}
-                  </form>
-                  <form className="form-grid bulk-stock-form" onSubmit={handleBulkStockUpdate}>
-                    <h4>Bulk Stock Update</h4>
-                    <select
-                      value={bulkStockOccasion}
-                      onChange={(event) => setBulkStockOccasion(event.target.value)}
-                    >
-                      {occasionTabs.map((tab) => (
-                        <option key={`bulk-${tab.value}`} value={tab.value}>
-                          {tab.label}
-                        </option>
-                      ))}
-                    </select>
-                    <input
-                      type="number"
-                      step="1"
-                      placeholder="Stock delta (e.g. 5 or -3)"
-                      value={bulkStockDelta}
-                      onChange={(event) => setBulkStockDelta(event.target.value)}
-                    />
-                    <button className="btn-primary" type="submit" disabled={applyingBulkStock}>
-                      {applyingBulkStock ? "Updating..." : "Apply Stock Change"}
-                    </button>
-                  </form>
-                </div>
-
-                <div className="admin-card">
-                  <h3>Hero Banner Image</h3>
-                  <form className="form-grid" onSubmit={handleSaveHeroImage}>
-                    <input
-                      type="url"
-                      placeholder="Hero image URL"
-                      value={heroImageForm}
-                      onChange={(event) => setHeroImageForm(event.target.value)}
                       required
                     />
-                    <button className="btn-primary" type="submit" disabled={savingHeroImage}>
-                      {savingHeroImage ? "Saving..." : "Update Hero Image"}
-                    </button>
-                  </form>
-                  <div className="hero-settings-preview">
-                    <img src={heroImageForm || siteSettings.heroImage || DEFAULT_HERO_IMAGE} alt="Hero preview" />
-                  </div>
-                </div>
-
-                <div className="admin-card">
-                  <h3>Promo Notifications</h3>
-                  <form className="form-grid" onSubmit={handleCreateNotification}>
                     <input
-                      placeholder="Promo title"
-                      value={notificationForm.title}
+                      type="time"
+                      aria-label="Window end"
+                      value={slotForm.endTime}
                       onChange={(event) =>
-                        setNotificationForm((previous) => ({
+                        setSlotForm((previous) => ({
                           ...previous,
-                          title: event.target.value
+                          endTime: event.target.value
                         }))
                       }
                       required
                     />
-                    <textarea
-                      placeholder="Promo details (optional)"
-                      value={notificationForm.message}
+                    <input
+                      type="number"
+                      min="1"
+                      aria-label="Max orders"
+                      placeholder="Max orders"
+                      value={slotForm.capacity}
                       onChange={(event) =>
-                        setNotificationForm((previous) => ({
+                        setSlotForm((previous) => ({
                           ...previous,
-                          message: event.target.value
+                          capacity: event.target.value
                         }))
                       }
+                      required
                     />
-                    <button className="btn-primary" type="submit" disabled={submittingNotification}>
-                      {submittingNotification ? "Publishing..." : "Publish Promo"}
+                    <button className="btn-primary" type="submit" disabled={savingSlot}>
+                      {savingSlot ? "Adding..." : "Add Slot"}
                     </button>
                   </form>
-                  <div className="promo-admin-list">
-                    {notifications.length === 0 ? <p>No promos yet.</p> : null}
-                    {notifications.slice(0, 6).map((notification) => (
-                      <div key={notification.id} className="promo-admin-row">
+                  <div className="slot-admin-list">
+                    {adminSlots.length === 0 ? <p>No upcoming delivery slots.</p> : null}
+                    {adminSlots.map((slot) => (
+                      <div key={slot.id} className={`slot-admin-row ${slot.available ? "" : "closed"}`}>
                         <div>
-                          <strong>{notification.title}</strong>
-                          <p>{formatNotificationDate(notification.createdAt)}</p>
+                          <strong>{formatSlotDate(slot.date)}</strong>
+                          <p>
+                            {formatSlotWindow(`${slot.startTime}-${slot.endTime}`)} · {slot.booked} booked
+                          </p>
                         </div>
+                        <input
+                          key={`${slot.id}-${slot.capacity}`}
+                          type="number"
+                          min={Math.max(1, slot.booked)}
+                          aria-label="Max orders"
+                          defaultValue={slot.capacity}
+                          disabled={updatingSlotId === slot.id}
+                          onBlur={(event) => handleUpdateSlotCapacity(slot, event.target.value)}
+                        />
                         <button
                           type="button"
                           className="danger-btn"
-                          disabled={deletingNotificationId === notification.id}
-                          onClick={() => handleDeleteNotification(notification)}
+                          disabled={updatingSlotId === slot.id || slot.booked > 0}
+                          onClick={() => handleDeleteDeliverySlot(slot)}
                         >
-                          {deletingNotificationId === notification.id ? "Removing..." : "Remove"}
+                          Remove
                         </button>
                       </div>
                     ))}
@@ -1986,16 +4940,110 @@ export default function App() {
                 </div>
 
                 <div className="admin-card">
-                  <h3>Recent Orders</h3>
+                  <div className="admin-card-head">
+                    <h3>Recent Orders</h3>
+                    <label className="order-day-filter">
+                      <span>Delivery day</span>
+                      <input
+                        type="date"
+                        value={orderDeliveryDate}
+                        onChange={(event) => setOrderDeliveryDate(event.target.value)}
+                      />
+                      {orderDeliveryDate ? (
+                        <button type="button" className="btn-ghost table-btn" onClick={() => setOrderDeliveryDate("")}>
+                          All days
+                        </button>
+                      ) : null}
+                    </label>
+                  </div>
                   <div className="orders-list">
-                    {orders.length === 0 ? <p>No orders yet.</p> : null}
-                    {orders.slice(0, 8).map((order) => (
+                    {orders.length === 0 ? (
+                      <p>{orderDeliveryDate ? "No orders for this delivery day." : "No orders yet."}</p>
+                    ) : null}
+                    {(orderDeliveryDate ? orders : orders.slice(0, 8)).map((order) => (
                       <div key={order.id} className="order-row">
                         <div>
                           <strong>#{order.id}</strong>
                           <p>{order.customer.name}</p>
                           {order.customer.phone ? <p className="order-contact">{order.customer.phone}</p> : null}
-                          <p className="order-contact">Method: {order.paymentMethod === "paypal" ? "PayPal" : "Cash"}</p>
+                          {order.customer.city ? (
+                            <p className="order-contact">
+                              {order.customer.city}
+                              {order.customer.postcode ? ` ${order.customer.postcode}` : ""}
+                              {order.deliveryZoneName ? ` · ${order.deliveryZoneName}` : ""}
+                              {` · fee ${formatCurrency(order.deliveryFee)}`}
+                            </p>
+                          ) : null}
+                          {order.promoCode ? (
+                            <p className="order-contact">
+                              Promo {order.promoCode}: -{formatCurrency(order.discount)}
+                            </p>
+                          ) : null}
+                          {order.currency !== BASE_CURRENCY ? (
+                            <p className="order-contact">
+                              Shown to customer: {formatOrderAmount(order, order.convertedTotals.total)} at{" "}
+                              {order.exchangeRate} {order.currency}/{BASE_CURRENCY}
+                            </p>
+                          ) : null}
+                          <ul className="order-items">
+                            {order.items.map((item, index) => (
+                              <li key={`${order.id}-${index}`}>
+                                <span>
+                                  {item.quantity} x {item.name}
+                                  {describeItemOptions(item) ? ` (${describeItemOptions(item)})` : ""}
+                                </span>
+                                <span>{formatCurrency(item.lineTotal)}</span>
+                              </li>
+                            ))}
+                          </ul>
+                          <p className="order-contact">Method: {paymentMethodLabel(order.paymentMethod)}</p>
+                          {order.deliveryDate ? (
+                            <p className="order-contact">
+                              Delivery: {formatSlotDate(order.deliveryDate)}, {formatSlotWindow(order.deliveryWindow)}
+                            </p>
+                          ) : null}
+                          {order.recipient ? (
+                            <p className="order-contact">
+                              Recipient: {order.recipient.name}
+                              {order.recipient.phone ? ` · ${order.recipient.phone}` : ""}
+                              {order.recipient.address ? ` · ${order.recipient.address}` : ""}
+                            </p>
+                          ) : null}
+                          {order.giftMessage ? (
+                            <p className="order-gift-message">&ldquo;{order.giftMessage}&rdquo;</p>
+                          ) : null}
+                          {order.sendAnonymously ? (
+                            <p className="order-contact">Anonymous sender: leave the customer name off the card</p>
+                          ) : null}
+                          {order.cancellationReason ? (
+                            <p className="order-contact">Cancelled: {order.cancellationReason}</p>
+                          ) : null}
+                          {order.refunds.length > 0 ? (
+                            <ul className="order-refunds">
+                              {order.refunds.map((refund) => (
+                                <li key={refund.id} className={refund.status}>
+                                  <strong>{formatCurrency(refund.amount)}</strong> {refund.reason}
+                                  <span>
+                                    {refund.status === "completed" ? "" : `${refund.status} · `}
+                                    {formatNotificationDate(refund.createdAt)}
+                                    {refund.issuedBy ? ` by ${refund.issuedBy}` : ""}
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          ) : null}
+                          <ol className="order-timeline">
+                            {order.fulfilmentHistory.map((entry) => (
+                              <li key={`${order.id}-${entry.status}-${entry.at}`}>
+                                <span className={`timeline-dot ${entry.status}`} aria-hidden="true" />
+                                <span>
+                                  <strong>{fulfilmentStatusLabel(entry.status)}</strong>
+                                  {formatNotificationDate(entry.at)}
+                                  {entry.by ? ` by ${entry.by}` : ""}
+                                </span>
+                              </li>
+                            ))}
+                          </ol>
                         </div>
                         <div className="order-side">
                           <div className="order-total">{formatCurrency(order.total)}</div>
@@ -2004,7 +5052,9 @@ export default function App() {
                           </div>
                           <select
                             className="order-status-select"
-                            value={normalizePaymentStatus(order.paymentStatus)}
+                            value={
+                              order.refundedTotal > 0 ? "paid" : normalizePaymentStatus(order.paymentStatus)
+                            }
                             onChange={(event) => handleUpdateOrderPaymentStatus(order, event.target.value)}
                             disabled={updatingOrderId === order.id}
                           >
@@ -2012,6 +5062,34 @@ export default function App() {
                             <option value="paid">Paid</option>
                             <option value="failed">Failed</option>
                           </select>
+                          {order.paymentStatus === "paid" || order.paymentStatus === "partially_refunded" ? (
+                            <button
+                              type="button"
+                              className="btn-ghost table-btn"
+                              disabled={updatingOrderId === order.id}
+                              onClick={() => openRefundDialog(order)}
+                            >
+                              Refund
+                            </button>
+                          ) : null}
+                          <div className={`status-badge fulfilment ${order.fulfilmentStatus}`}>
+                            {fulfilmentStatusLabel(order.fulfilmentStatus)}
+                          </div>
+                          {fulfilmentSteps[order.fulfilmentStatus].next.map((nextStatus) => (
+                            <button
+                              key={`${order.id}-${nextStatus}`}
+                              type="button"
+                              className={nextStatus === "cancelled" ? "danger-btn" : "btn-ghost table-btn"}
+                              disabled={updatingOrderId === order.id}
+                              onClick={() =>
+                                nextStatus === "cancelled"
+                                  ? handleCancelOrder(order)
+                                  : handleUpdateOrderFulfilment(order, nextStatus)
+                              }
+                            >
+                              {nextStatus === "cancelled" ? "Cancel" : `Mark ${fulfilmentStatusLabel(nextStatus)}`}
+                            </button>
+                          ))}
                         </div>
                       </div>
                     ))}
@@ -2023,6 +5101,69 @@ export default function App() {
         ) : null}
       </main>
 
+      {route.page === "flower" ? (
+        <main className="flower-page">
+          <button type="button" className="view-all" onClick={() => navigateToSection(shopRef)}>
+            Back to the shop
+          </button>
+          {currentPageFlower ? (
+            <>
+              <FlowerPage
+                key={currentPageFlower.id}
+                flower={currentPageFlower}
+                icon={iconForOccasion(currentPageFlower.occasion, categories)}
+                categoryLabel={
+                  categories.find((category) => category.slug === currentPageFlower.occasion)
+                    ?.label || ""
+                }
+                onAdd={addToCart}
+                onShare={shareFlower}
+                formatCurrency={formatCurrency}
+              />
+              {relatedFlowers.length > 0 ? (
+                <section className="section related-section">
+                  <div className="section-header">
+                    <h2 className="section-title">
+                      You may also <em>like</em>
+                    </h2>
+                  </div>
+                  <div className="products-grid">
+                    {relatedFlowers.map((flower) => (
+                      <FlowerCard
+                        key={flower.id}
+                        flower={flower}
+                        icon={iconForOccasion(flower.occasion, categories)}
+                        onAdd={addToCart}
+                        onOpen={(entry) => openFlowerPage(entry.id)}
+                        formatCurrency={formatCurrency}
+                      />
+                    ))}
+                  </div>
+                </section>
+              ) : null}
+            </>
+          ) : pageFlowerStatus === "loading" ? (
+            <div className="flower-page-detail" aria-busy="true">
+              <div className="flower-detail-gallery product-image product-image-skeleton" />
+              <div className="flower-detail-info">
+                <div className="skeleton-line skeleton-title" />
+                <div className="skeleton-line" />
+                <div className="skeleton-line short" />
+              </div>
+            </div>
+          ) : (
+            <div className="empty-state">
+              <strong>
+                {pageFlowerStatus === "missing"
+                  ? "This bouquet is no longer available."
+                  : "We could not load this bouquet."}
+              </strong>
+              <p>Browse the shop for other arrangements.</p>
+            </div>
+          )}
+        </main>
+      ) : null}
+
       <div
         className={`notify-overlay ${notificationsOpen ? "open" : ""}`}
         onClick={() => setNotificationsOpen(false)}
@@ -2080,7 +5221,7 @@ export default function App() {
                       type="button"
                       onClick={() => {
                         setCartOpen(false);
-                        scrollToSection(shopRef);
+                        navigateToSection(shopRef);
                       }}
                     >
                       Browse Flowers
@@ -2090,7 +5231,7 @@ export default function App() {
                 {cartItems.map((item) => {
                   const hasImage = Boolean(item.flower.image);
                   return (
-                    <div key={item.flowerId} className="cart-item">
+                    <div key={item.key} className="cart-item">
                       <div
                         className="cart-item-thumb"
                         style={
@@ -2103,7 +5244,9 @@ export default function App() {
                         }
                       >
                         {!hasImage ? (
-                          <span className="cart-item-letter">{iconForOccasion(item.flower.occasion)}</span>
+                          <span className="cart-item-letter">
+                            {iconForOccasion(item.flower.occasion, categories)}
+                          </span>
                         ) : null}
                       </div>
                       <div className="cart-item-content">
@@ -2111,13 +5254,16 @@ export default function App() {
                           <div className="cart-item-name">{item.flower.name}</div>
                           <div className="cart-item-price">{formatCurrency(item.lineTotal)}</div>
                         </div>
-                        <div className="cart-item-subline">{formatCurrency(item.flower.price)} each</div>
+                        {describeItemOptions(item) ? (
+                          <div className="cart-item-options">{describeItemOptions(item)}</div>
+                        ) : null}
+                        <div className="cart-item-subline">{formatCurrency(item.unitPrice)} each</div>
                         <div className="cart-qty">
-                          <button type="button" onClick={() => adjustCart(item.flower, -1)}>
+                          <button type="button" onClick={() => adjustCart(item, -1)}>
                             -
                           </button>
                           <span>{item.quantity}</span>
-                          <button type="button" onClick={() => adjustCart(item.flower, 1)}>
+                          <button type="button" onClick={() => adjustCart(item, 1)}>
                             +
                           </button>
                         </div>
@@ -2129,9 +5275,56 @@ export default function App() {
             </section>
 
             <section className="cart-checkout-panel">
+              <div className="cart-summary">
+                <div>
+                  <span>Subtotal</span>
+                  <span>{formatCurrency(cartTotal)}</span>
+                </div>
+                <div>
+                  <span>Delivery{checkoutZone ? ` · ${checkoutZone.name}` : ""}</span>
+                  <span>
+                    {!checkoutForm.city.trim() && !checkoutForm.postcode.trim()
+                      ? "Enter your city"
+                      : !checkoutZone
+                        ? "Not available"
+                        : checkoutDeliveryFee > 0
+                          ? formatCurrency(checkoutDeliveryFee)
+                          : "Free"}
+                  </span>
+                </div>
+                {freeDeliveryShortfall > 0 ? (
+                  <p className="cart-summary-hint">
+                    Add {formatCurrency(freeDeliveryShortfall)} more for free delivery.
+                  </p>
+                ) : null}
+                {appliedPromo ? (
+                  <div className="cart-discount">
+                    <span>Promo · {appliedPromo.code}</span>
+                    <span>-{formatCurrency(checkoutDiscount)}</span>
+                  </div>
+                ) : null}
+              </div>
+              <form className="promo-code-field" onSubmit={handleApplyPromo}>
+                <input
+                  placeholder="Promo code"
+                  aria-label="Promo code"
+                  value={promoInput}
+                  disabled={Boolean(appliedPromo)}
+                  onChange={(event) => setPromoInput(event.target.value)}
+                />
+                {appliedPromo ? (
+                  <button type="button" className="btn-ghost" onClick={handleRemovePromo}>
+                    Remove
+                  </button>
+                ) : (
+                  <button type="submit" className="btn-ghost" disabled={applyingPromo}>
+                    {applyingPromo ? "Checking..." : "Apply"}
+                  </button>
+                )}
+              </form>
               <div className="cart-total">
                 <span>Total</span>
-                <strong>{formatCurrency(cartTotal)}</strong>
+                <strong>{formatCurrency(checkoutTotal)}</strong>
               </div>
 
               {!canCheckout ? (
@@ -2190,53 +5383,168 @@ export default function App() {
                     }
                     required
                   />
-                  <div className="payment-method">
-                    <span className="payment-label">Payment</span>
-                    <label>
+                  <div className="checkout-row">
+                    <input
+                      placeholder="City"
+                      value={checkoutForm.city}
+                      onChange={(event) =>
+                        setCheckoutForm((previous) => ({
+                          ...previous,
+                          city: event.target.value
+                        }))
+                      }
+                      required
+                    />
+                    <input
+                      placeholder="Postcode (optional)"
+                      value={checkoutForm.postcode}
+                      onChange={(event) =>
+                        setCheckoutForm((previous) => ({
+                          ...previous,
+                          postcode: event.target.value
+                        }))
+                      }
+                    />
+                  </div>
+                  <label className="gift-toggle">
+                    <input
+                      type="checkbox"
+                      checked={checkoutForm.isGift}
+                      onChange={(event) =>
+                        setCheckoutForm((previous) => ({
+                          ...previous,
+                          isGift: event.target.checked
+                        }))
+                      }
+                    />
+                    This is a gift
+                  </label>
+                  {checkoutForm.isGift ? (
+                    <div className="gift-fields">
                       <input
-                        type="radio"
-                        name="paymentMethod"
-                        value="cash"
-                        checked={paymentMethod === "cash"}
-                        onChange={(event) => setPaymentMethod(event.target.value)}
+                        placeholder="Recipient name"
+                        value={checkoutForm.recipientName}
+                        onChange={(event) =>
+                          setCheckoutForm((previous) => ({
+                            ...previous,
+                            recipientName: event.target.value
+                          }))
+                        }
                       />
-                      Cash on Delivery
-                    </label>
-                    <label>
                       <input
-                        type="radio"
-                        name="paymentMethod"
-                        value="paypal"
-                        checked={paymentMethod === "paypal"}
-                        onChange={(event) => setPaymentMethod(event.target.value)}
+                        placeholder="Recipient phone (optional)"
+                        type="tel"
+                        inputMode="tel"
+                        value={checkoutForm.recipientPhone}
+                        onChange={(event) =>
+                          setCheckoutForm((previous) => ({
+                            ...previous,
+                            recipientPhone: event.target.value
+                          }))
+                        }
                       />
-                      PayPal
-                    </label>
+                      <input
+                        placeholder="Recipient address, if different (optional)"
+                        value={checkoutForm.recipientAddress}
+                        onChange={(event) =>
+                          setCheckoutForm((previous) => ({
+                            ...previous,
+                            recipientAddress: event.target.value
+                          }))
+                        }
+                      />
+                      <textarea
+                        placeholder="Gift card message (optional)"
+                        maxLength={GIFT_MESSAGE_MAX_LENGTH}
+                        value={checkoutForm.giftMessage}
+                        onChange={(event) =>
+                          setCheckoutForm((previous) => ({
+                            ...previous,
+                            giftMessage: event.target.value
+                          }))
+                        }
+                      />
+                      <span className="gift-counter">
+                        {checkoutForm.giftMessage.length}/{GIFT_MESSAGE_MAX_LENGTH}
+                      </span>
+                      <label className="gift-toggle">
+                        <input
+                          type="checkbox"
+                          checked={checkoutForm.sendAnonymously}
+                          onChange={(event) =>
+                            setCheckoutForm((previous) => ({
+                              ...previous,
+                              sendAnonymously: event.target.checked
+                            }))
+                          }
+                        />
+                        Send anonymously
+                      </label>
+                    </div>
+                  ) : null}
+                  <label className="delivery-slot-field">
+                    <span className="payment-label">Delivery slot</span>
+                    <select
+                      value={deliverySlotId}
+                      onChange={(event) => setDeliverySlotId(event.target.value)}
+                      required
+                    >
+                      <option value="">
+                        {deliverySlots.length === 0 ? "No delivery slots available" : "Choose a delivery slot"}
+                      </option>
+                      {groupSlotsByDate(deliverySlots).map((group) => (
+                        <optgroup key={group.date} label={formatSlotDate(group.date)}>
+                          {group.slots.map((slot) => (
+                            <option key={slot.id} value={slot.id} disabled={!slot.available}>
+                              {formatSlotWindow(`${slot.startTime}-${slot.endTime}`)}
+                              {slot.available ? ` (${slot.remaining} left)` : " (full)"}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  </label>
+                  <div className="payment-method">
+                    <span className="payment-label">Payment</span>
+                    {paymentMethods.map((method) => (
+                      <label key={method.id}>
+                        <input
+                          type="radio"
+                          name="paymentMethod"
+                          value={method.id}
+                          checked={paymentMethod === method.id}
+                          onChange={(event) => setPaymentMethod(event.target.value)}
+                        />
+                        {method.label}
+                      </label>
+                    ))}
                   </div>
                   <p className="payment-hint">
-                    New orders are created as <strong>Pending</strong>. Admin can mark them as Paid or Failed.
+                    {selectedPaymentMethod?.flow === "redirect" ? (
+                      <>
+                        You will be redirected to {selectedPaymentMethod.label}. The order is marked{" "}
+                        <strong>Paid</strong> once the payment is confirmed.
+                      </>
+                    ) : (
+                      <>
+                        New orders are created as <strong>Pending</strong>. Admin can mark them as Paid or
+                        Failed.
+                      </>
+                    )}
                   </p>
-                  {paymentMethod === "paypal" ? (
-                    <a
-                      className="btn-primary paypal-link"
-                      href={paypalCheckoutUrl}
-                      target="_blank"
-                      rel="noreferrer"
-                    >
-                      Pay with PayPal
-                    </a>
-                  ) : null}
                   <button
                     className="btn-primary"
                     type="submit"
-                    disabled={submittingOrder || cartItems.length === 0}
+                    disabled={submittingOrder || cartItems.length === 0 || !deliverySlotId}
                   >
                     {submittingOrder
                       ? "Placing..."
                       : cartItems.length === 0
                         ? "Add items to checkout"
-                      : paymentMethod === "paypal"
-                        ? "Place Order (PayPal selected)"
+                      : !deliverySlotId
+                        ? "Choose a delivery slot"
+                      : selectedPaymentMethod?.flow === "redirect"
+                        ? `Place Order & Pay with ${selectedPaymentMethod.label}`
                         : "Place Order"}
                   </button>
                 </form>
@@ -2309,6 +5617,65 @@ export default function App() {
         </>
       ) : null}
 
+      {refundTarget ? (
+        <div className="modal-overlay open" onClick={() => setRefundForm(initialRefundForm)}>
+          <div className="modal-card" onClick={(event) => event.stopPropagation()}>
+            <button
+              type="button"
+              className="icon-btn top-right"
+              onClick={() => setRefundForm(initialRefundForm)}
+            >
+              x
+            </button>
+            <h3>Refund Order</h3>
+            <p>
+              #{refundTarget.id} · {formatCurrency(refundableAmount)} of{" "}
+              {formatCurrency(refundTarget.total)} can still be refunded via{" "}
+              {paymentMethodLabel(refundTarget.paymentMethod)}.
+            </p>
+            <form className="form-grid" onSubmit={handleRefundOrder}>
+              <label className="refund-field">
+                Amount (USD)
+                <input
+                  type="number"
+                  min="0.01"
+                  max={refundableAmount.toFixed(2)}
+                  step="0.01"
+                  value={refundForm.amount}
+                  onChange={(event) =>
+                    setRefundForm((previous) => ({
+                      ...previous,
+                      amount: event.target.value
+                    }))
+                  }
+                  required
+                />
+              </label>
+              <textarea
+                placeholder="Reason for the refund"
+                rows={3}
+                maxLength={240}
+                value={refundForm.reason}
+                onChange={(event) =>
+                  setRefundForm((previous) => ({
+                    ...previous,
+                    reason: event.target.value
+                  }))
+                }
+                required
+              />
+              <button
+                className="btn-primary auth-submit-btn"
+                type="submit"
+                disabled={updatingOrderId === refundTarget.id}
+              >
+                {updatingOrderId === refundTarget.id ? "Refunding..." : "Issue Refund"}
+              </button>
+            </form>
+          </div>
+        </div>
+      ) : null}
+
       <div className={`modal-overlay ${authOpen ? "open" : ""}`} onClick={() => setAuthOpen(false)}>
         <div className="modal-card" ref={authModalRef} onClick={(event) => event.stopPropagation()}>
           <button type="button" className="icon-btn top-right" onClick={() => setAuthOpen(false)}>
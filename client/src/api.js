@@ -41,12 +41,30 @@ function getFlowers(filters = {}) {
   if (filters.occasion && filters.occasion !== "all") {
     params.set("occasion", filters.occasion);
   }
+  if (filters.minPrice) params.set("minPrice", String(filters.minPrice));
   if (filters.maxPrice) params.set("maxPrice", String(filters.maxPrice));
+  if (filters.inStock) params.set("inStock", "1");
+  if (filters.archived) params.set("archived", "1");
+  if (filters.preview) params.set("preview", "1");
+  if (filters.tags?.length) params.set("tags", filters.tags.join(","));
+  if (filters.sort && filters.sort !== "relevance") params.set("sort", filters.sort);
+  if (filters.page) params.set("page", String(filters.page));
+  if (filters.limit) params.set("limit", String(filters.limit));
 
   const query = params.toString();
   return request(`/flowers${query ? `?${query}` : ""}`);
 }
 
+function getFlower(flowerId) {
+  const params = new URLSearchParams({ id: flowerId });
+  return request(`/flowers?${params.toString()}`);
+}
+
+function getFlowerSuggestions(query) {
+  const params = new URLSearchParams({ q: query });
+  return request(`/flowers/suggest?${params.toString()}`);
+}
+
 function createFlower(payload) {
   return request("/flowers", {
     method: "POST",
@@ -62,15 +80,173 @@ function updateFlower(flowerId, payload) {
   });
 }
 
-function deleteFlower(flowerId) {
+function bulkUpdateStock(payload) {
+  return request("/flowers/bulk-stock", {
+    method: "POST",
+    body: JSON.stringify(payload)
+  });
+}
+
+function archiveFlower(flowerId) {
   const params = new URLSearchParams({ id: flowerId });
   return request(`/flowers?${params.toString()}`, {
     method: "DELETE"
   });
 }
 
-function getOrders() {
-  return request("/orders");
+function restoreFlower(flowerId) {
+  return updateFlower(flowerId, { archived: false });
+}
+
+function getStockReconciliation() {
+  return request("/stock-movements");
+}
+
+function getStockHistory(flowerId) {
+  const params = new URLSearchParams({ flowerId });
+  return request(`/stock-movements?${params.toString()}`);
+}
+
+function getOrders(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.deliveryDate) params.set("deliveryDate", filters.deliveryDate);
+
+  const query = params.toString();
+  return request(`/orders${query ? `?${query}` : ""}`);
+}
+
+function getMyOrders() {
+  const params = new URLSearchParams({ mine: "1" });
+  return request(`/orders?${params.toString()}`);
+}
+
+function getDeliverySlots(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.from) params.set("from", filters.from);
+  if (filters.to) params.set("to", filters.to);
+  if (filters.all) params.set("all", "1");
+
+  const query = params.toString();
+  return request(`/delivery-slots${query ? `?${query}` : ""}`);
+}
+
+function createDeliverySlot(payload) {
+  return request("/delivery-slots", {
+    method: "POST",
+    body: JSON.stringify(payload)
+  });
+}
+
+function updateDeliverySlot(slotId, payload) {
+  const params = new URLSearchParams({ id: slotId });
+  return request(`/delivery-slots?${params.toString()}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload)
+  });
+}
+
+function deleteDeliverySlot(slotId) {
+  const params = new URLSearchParams({ id: slotId });
+  return request(`/delivery-slots?${params.toString()}`, {
+    method: "DELETE"
+  });
+}
+
+function getDeliveryZones(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.all) params.set("all", "1");
+
+  const query = params.toString();
+  return request(`/delivery-zones${query ? `?${query}` : ""}`);
+}
+
+function createDeliveryZone(payload) {
+  return request("/delivery-zones", {
+    method: "POST",
+    body: JSON.stringify(payload)
+  });
+}
+
+function updateDeliveryZone(zoneId, payload) {
+  const params = new URLSearchParams({ id: zoneId });
+  return request(`/delivery-zones?${params.toString()}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload)
+  });
+}
+
+function deleteDeliveryZone(zoneId) {
+  const params = new URLSearchParams({ id: zoneId });
+  return request(`/delivery-zones?${params.toString()}`, {
+    method: "DELETE"
+  });
+}
+
+function getCategories(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.all) params.set("all", "1");
+
+  const query = params.toString();
+  return request(`/categories${query ? `?${query}` : ""}`);
+}
+
+function createCategory(payload) {
+  return request("/categories", {
+    method: "POST",
+    body: JSON.stringify(payload)
+  });
+}
+
+function updateCategory(slug, payload) {
+  const params = new URLSearchParams({ slug });
+  return request(`/categories?${params.toString()}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload)
+  });
+}
+
+function deleteCategory(slug) {
+  const params = new URLSearchParams({ slug });
+  return request(`/categories?${params.toString()}`, {
+    method: "DELETE"
+  });
+}
+
+function getTags() {
+  return request("/tags");
+}
+
+function getPromoCodes() {
+  return request("/promo-codes");
+}
+
+function createPromoCode(payload) {
+  return request("/promo-codes", {
+    method: "POST",
+    body: JSON.stringify(payload)
+  });
+}
+
+function updatePromoCode(promoId, payload) {
+  const params = new URLSearchParams({ id: promoId });
+  return request(`/promo-codes?${params.toString()}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload)
+  });
+}
+
+function deletePromoCode(promoId) {
+  const params = new URLSearchParams({ id: promoId });
+  return request(`/promo-codes?${params.toString()}`, {
+    method: "DELETE"
+  });
+}
+
+function previewPromoCode(payload) {
+  return request("/promo-codes?action=preview", {
+    method: "POST",
+    body: JSON.stringify(payload)
+  });
 }
 
 function getSiteSettings() {
@@ -91,6 +267,14 @@ function updateSiteSettings(payload) {
   });
 }
 
+function uploadImage(file) {
+  return request("/uploads", {
+    method: "POST",
+    headers: { "Content-Type": file.type },
+    body: file
+  });
+}
+
 function updateOrderStatus(orderId, paymentStatus) {
   const params = new URLSearchParams({ id: orderId });
   return request(`/orders?${params.toString()}`, {
@@ -99,6 +283,44 @@ function updateOrderStatus(orderId, paymentStatus) {
   });
 }
 
+function updateOrderFulfilment(orderId, fulfilmentStatus) {
+  const params = new URLSearchParams({ id: orderId });
+  return request(`/orders?${params.toString()}`, {
+    method: "PATCH",
+    body: JSON.stringify({ fulfilmentStatus })
+  });
+}
+
+function cancelOrder(orderId, reason) {
+  const params = new URLSearchParams({ id: orderId, action: "cancel" });
+  return request(`/orders?${params.toString()}`, {
+    method: "PATCH",
+    body: JSON.stringify({ reason })
+  });
+}
+
+function refundOrder(orderId, { amount, reason }) {
+  const params = new URLSearchParams({ id: orderId, action: "refund" });
+  return request(`/orders?${params.toString()}`, {
+    method: "PATCH",
+    body: JSON.stringify({ amount, reason })
+  });
+}
+
+function initiatePayment(orderId) {
+  return request("/payments/initiate", {
+    method: "POST",
+    body: JSON.stringify({ orderId })
+  });
+}
+
+function confirmPayment(orderId, reference) {
+  return request("/payments/confirm", {
+    method: "POST",
+    body: JSON.stringify({ orderId, reference })
+  });
+}
+
 function getNotifications(limit = 20) {
   const params = new URLSearchParams({ limit: String(limit) });
   const query = `?${params.toString()}`;
@@ -153,21 +375,52 @@ function logout() {
 }
 
 export {
+  archiveFlower,
+  bulkUpdateStock,
+  cancelOrder,
+  confirmPayment,
+  createCategory,
+  createDeliverySlot,
+  createDeliveryZone,
   createFlower,
-  deleteFlower,
+  createPromoCode,
+  deleteCategory,
+  deleteDeliverySlot,
+  deleteDeliveryZone,
+  deletePromoCode,
   createOrder,
   updateFlower,
   getSiteSettings,
   updateSiteSettings,
   updateOrderStatus,
+  updateOrderFulfilment,
   createChatReply,
   createNotification,
+  getCategories,
+  getDeliverySlots,
+  getDeliveryZones,
+  getFlower,
   getFlowers,
+  getFlowerSuggestions,
+  getMyOrders,
   getNotifications,
   getOrders,
+  getPromoCodes,
   getSession,
+  getStockHistory,
+  getStockReconciliation,
+  getTags,
   login,
   signup,
+  initiatePayment,
+  previewPromoCode,
+  refundOrder,
+  restoreFlower,
+  updateCategory,
+  updateDeliverySlot,
+  updateDeliveryZone,
+  updatePromoCode,
+  uploadImage,
   logout,
   deleteNotification
 };
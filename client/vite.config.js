@@ -6,7 +6,8 @@ export default defineConfig({
   server: {
     port: 5173,
     proxy: {
-      "/api": "http://localhost:4000"
+      "/api": "http://localhost:4000",
+      "/uploads": "http://localhost:4000"
     }
   }
 });
@@ -62,6 +62,59 @@ const defaultData = {
     }
   ],
   orders: [],
+  deliverySlots: [],
+  deliveryZones: [],
+  promoCodes: [],
+  tags: [],
+  flowerTags: [],
+  categories: [
+    {
+      slug: "romance",
+      label: "Romance",
+      icon: "R",
+      sortOrder: 10,
+      visible: true,
+      keywords: ["romantic", "love", "anniversary", "valentine"]
+    },
+    {
+      slug: "birthday",
+      label: "Birthday",
+      icon: "B",
+      sortOrder: 20,
+      visible: true,
+      keywords: ["bday"]
+    },
+    {
+      slug: "wedding",
+      label: "Wedding",
+      icon: "W",
+      sortOrder: 30,
+      visible: true,
+      keywords: ["bridal", "bride"]
+    },
+    {
+      slug: "thank-you",
+      label: "Thank You",
+      icon: "T",
+      sortOrder: 40,
+      visible: true,
+      keywords: ["thank", "gratitude", "appreciation"]
+    },
+    {
+      slug: "general",
+      label: "General",
+      icon: "G",
+      sortOrder: 50,
+      visible: true,
+      keywords: ["any occasion", "everyday"]
+    }
+  ],
+  currencySettings: {
+    currencies: [
+      { code: "USD", label: "USD ($)", locale: "en-US", rate: 1 },
+      { code: "MAD", label: "MAD (DH)", locale: "fr-MA", rate: 10 }
+    ]
+  },
   settings: {
     heroImage:
       "https://images.unsplash.com/photo-1490750967868-88aa4486c946?auto=format&fit=crop&w=1200&q=80",
@@ -78,10 +131,29 @@ async function ensureDataFile() {
   }
 }
 
+function openingStockMovements(flowers) {
+  return (Array.isArray(flowers) ? flowers : [])
+    .filter((flower) => Number(flower.stock || 0) > 0)
+    .map((flower) => ({
+      id: `opening-${flower.id}`,
+      flowerId: flower.id,
+      delta: Number(flower.stock),
+      reason: "restock",
+      actor: null,
+      orderId: null,
+      note: "opening balance",
+      createdAt: flower.createdAt || new Date().toISOString()
+    }));
+}
+
 async function readData() {
   await ensureDataFile();
   const content = await fs.readFile(dataPath, "utf8");
-  return JSON.parse(content);
+  const data = JSON.parse(content);
+  if (!Array.isArray(data.stockMovements)) {
+    data.stockMovements = openingStockMovements(data.flowers);
+  }
+  return data;
 }
 
 let writeQueue = Promise.resolve();
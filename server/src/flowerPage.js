@@ -0,0 +1,23 @@
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function renderFlowerPage(html, { name, description, image }) {
+  const safeDescription = escapeHtml(description || "");
+  const meta = [
+    `<title>${escapeHtml(name)} | flyethr</title>`,
+    `<meta name="description" content="${safeDescription}" />`,
+    `<meta property="og:title" content="${escapeHtml(name)}" />`,
+    `<meta property="og:description" content="${safeDescription}" />`,
+    image ? `<meta property="og:image" content="${escapeHtml(image)}" />` : ""
+  ]
+    .filter(Boolean)
+    .join("\n    ");
+
+  // A replacer function keeps `$&`, `$'` and friends in flower text from being expanded.
+  return html.replace(/<title>.*<\/title>/, () => meta);
+}
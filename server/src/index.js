@@ -1,4 +1,5 @@
 import "dotenv/config";
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
@@ -6,7 +7,17 @@ import cors from "cors";
 import express from "express";
 import morgan from "morgan";
 import { nanoid } from "nanoid";
+import sharp from "sharp";
 import { ensureDataFile, readData, writeData } from "./db.js";
+import { renderFlowerPage } from "./flowerPage.js";
+import { searchFlowers } from "./search.js";
+import {
+  localDiskDriver,
+  readDerivative,
+  readUpload,
+  uploadDir,
+  writeDerivative
+} from "./storage.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,19 +25,115 @@ const clientDistPath = path.resolve(__dirname, "../../client/dist");
 const clientIndexPath = path.join(clientDistPath, "index.html");
 const hasClientBuild = fs.existsSync(clientIndexPath);
 
-const ALLOWED_OCCASIONS = new Set([
-  "general",
-  "romance",
-  "birthday",
-  "wedding",
-  "thank-you"
-]);
-const ALLOWED_PAYMENT_METHODS = new Set(["cash", "paypal"]);
+const OCCASION_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_CATEGORY_KEYWORDS = 20;
+const MAX_FLOWER_TAGS = 12;
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 48;
+const DEFAULT_SUGGESTIONS = 6;
+const MAX_SUGGESTIONS = 10;
+const MAX_TAG_LABEL_LENGTH = 40;
+const MAX_SORT_ORDER = 10000;
+const FLOWER_STATUSES = ["draft", "published"];
+const MANUAL_STOCK_REASONS = ["restock", "adjustment", "spoilage"];
+const MAX_STOCK_NOTE_LENGTH = 200;
+const DEFAULT_MOVEMENT_LIMIT = 50;
+const BULK_STOCK_MODES = ["delta", "set"];
+const MAX_BULK_IDS = 200;
+const MAX_MOVEMENT_LIMIT = 200;
+const DEFAULT_CATEGORIES = [
+  {
+    slug: "romance",
+    label: "Romance",
+    icon: "R",
+    sortOrder: 10,
+    keywords: ["romantic", "love", "anniversary", "valentine"]
+  },
+  { slug: "birthday", label: "Birthday", icon: "B", sortOrder: 20, keywords: ["bday"] },
+  { slug: "wedding", label: "Wedding", icon: "W", sortOrder: 30, keywords: ["bridal", "bride"] },
+  {
+    slug: "thank-you",
+    label: "Thank You",
+    icon: "T",
+    sortOrder: 40,
+    keywords: ["thank", "gratitude", "appreciation"]
+  },
+  {
+    slug: "general",
+    label: "General",
+    icon: "G",
+    sortOrder: 50,
+    keywords: ["any occasion", "everyday"]
+  }
+];
+// No hosted checkout here: PayPal orders stay pending until an admin marks them paid.
+const PAYMENT_METHODS = [
+  { id: "cash", label: "Cash on Delivery", flow: "offline" },
+  { id: "paypal", label: "PayPal", flow: "offline" }
+];
 const ALLOWED_PAYMENT_STATUSES = new Set(["pending", "paid", "failed"]);
+const REFUNDED_PAYMENT_STATUSES = new Set(["refunded", "partially_refunded"]);
+const FULFILMENT_TRANSITIONS = {
+  confirmed: ["preparing", "cancelled"],
+  preparing: ["out-for-delivery", "cancelled"],
+  "out-for-delivery": ["delivered", "cancelled"],
+  delivered: [],
+  cancelled: []
+};
+const ALLOWED_FULFILMENT_STATUSES = new Set(Object.keys(FULFILMENT_TRANSITIONS));
+const CANCELLABLE_STATUSES = ["confirmed", "preparing", "out-for-delivery"];
+const REASON_MAX_LENGTH = 240;
+const GIFT_MESSAGE_MAX_LENGTH = 250;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SLOT_CAPACITY = 500;
+const MAX_DELIVERY_FEE = 1000;
+const POSTCODE_REGEX = /^[A-Z0-9-]{2,12}$/;
+const PROMO_TYPES = ["percentage", "fixed", "free_delivery"];
+const PROMO_CODE_REGEX = /^[A-Z0-9_-]{3,32}$/;
+const MAX_FIXED_DISCOUNT = 10000;
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+const BASE_CURRENCY = "USD";
+const DEFAULT_CURRENCY_SETTINGS = {
+  currencies: [
+    { code: "USD", label: "USD ($)", locale: "en-US", rate: 1 },
+    { code: "MAD", label: "MAD (DH)", locale: "fr-MA", rate: 10 }
+  ]
+};
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const PHONE_REGEX = /^[0-9+\-\s()]{7,24}$/;
 const IMAGE_PROTOCOLS = new Set(["http:", "https:"]);
 const MAX_STOCK = 10000;
+const MAX_FLOWER_OPTIONS = 10;
+const MAX_FLOWER_IMAGES = 8;
+const UPLOAD_MAX_BYTES = 4 * 1024 * 1024;
+const SOURCE_MAX_BYTES = 15 * 1024 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const IMAGE_UPLOAD_FORMATS = {
+  "image/jpeg": {
+    label: "JPEG",
+    extension: "jpg",
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  "image/png": {
+    label: "PNG",
+    extension: "png",
+    matches: (buffer) => buffer.subarray(0, 8).equals(PNG_SIGNATURE)
+  },
+  "image/webp": {
+    label: "WebP",
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP"
+  }
+};
+const IMAGE_WIDTHS = [320, 480, 768, 1080];
+const CARD_ASPECT_RATIO = 4 / 3;
+const DERIVATIVE_FORMATS = {
+  avif: { contentType: "image/avif", options: { quality: 50 } },
+  webp: { contentType: "image/webp", options: { quality: 75 } }
+};
+const VARIANT_TOTALS_MESSAGE = "price and stock are managed per variant for this flower";
 const CHAT_MAX_MESSAGE_LENGTH = 500;
 const CHAT_MAX_HISTORY_ITEMS = 10;
 const CHAT_HISTORY_ENTRY_LENGTH = 500;
@@ -45,14 +152,233 @@ function normalizeOccasion(value) {
   const normalized = String(value || "")
     .trim()
     .toLowerCase();
-  return ALLOWED_OCCASIONS.has(normalized) ? normalized : null;
+  return OCCASION_REGEX.test(normalized) ? normalized : null;
+}
+
+function getCategories(data) {
+  if (!Array.isArray(data.categories)) {
+    data.categories = DEFAULT_CATEGORIES.map((category) => ({
+      ...category,
+      visible: true,
+      createdAt: new Date().toISOString()
+    }));
+  }
+  return data.categories;
+}
+
+function sortCategories(categories) {
+  return [...categories].sort(
+    (a, b) => a.sortOrder - b.sortOrder || a.label.localeCompare(b.label)
+  );
+}
+
+function findUnknownOccasion(data, occasion) {
+  if (occasion === undefined || getCategories(data).some((entry) => entry.slug === occasion)) {
+    return null;
+  }
+  return `occasion ${occasion} is not a known category`;
+}
+
+function slugifyTag(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function normalizeTagLabel(value) {
+  const label = String(value || "").trim().replace(/\s+/g, " ");
+  const slug = slugifyTag(label);
+  if (!slug) {
+    throw new Error("tag label must contain letters or numbers");
+  }
+  if (label.length > MAX_TAG_LABEL_LENGTH || slug.length > MAX_TAG_LABEL_LENGTH) {
+    throw new Error(`tag label must be at most ${MAX_TAG_LABEL_LENGTH} characters`);
+  }
+  return { slug, label };
+}
+
+function normalizeTagInputs(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) && typeof value !== "string") {
+    throw new Error("tags must be a list");
+  }
+
+  const tags = [];
+  for (const entry of Array.isArray(value) ? value : value.split(",")) {
+    const raw = entry && typeof entry === "object" ? entry.label || entry.slug : entry;
+    if (!String(raw || "").trim()) {
+      continue;
+    }
+    const tag = normalizeTagLabel(raw);
+    if (!tags.some((existing) => existing.slug === tag.slug)) {
+      tags.push(tag);
+    }
+  }
+
+  if (tags.length > MAX_FLOWER_TAGS) {
+    throw new Error(`tags can list at most ${MAX_FLOWER_TAGS} entries`);
+  }
+  return tags;
+}
+
+function withFlowerTags(data, flowers) {
+  const labels = new Map((data.tags || []).map((tag) => [tag.slug, tag.label]));
+  const links = data.flowerTags || [];
+  return flowers.map((flower) => ({
+    ...flower,
+    tags: links
+      .filter((link) => link.flowerId === flower.id)
+      .map((link) => ({ slug: link.tagSlug, label: labels.get(link.tagSlug) || link.tagSlug }))
+  }));
+}
+
+function setFlowerTags(data, flowerId, tags) {
+  data.tags = data.tags || [];
+  for (const tag of tags) {
+    if (!data.tags.some((known) => known.slug === tag.slug)) {
+      data.tags.push({ ...tag, curated: false, createdAt: new Date().toISOString() });
+    }
+  }
+  data.flowerTags = (data.flowerTags || [])
+    .filter((link) => link.flowerId !== flowerId)
+    .concat(tags.map((tag) => ({ flowerId, tagSlug: tag.slug })));
+}
+
+function byCreatedAtDesc(a, b) {
+  return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+const FLOWER_SORTS = {
+  relevance: (a, b) => (b.searchScore || 0) - (a.searchScore || 0) || byCreatedAtDesc(a, b),
+  newest: byCreatedAtDesc,
+  "price-asc": (a, b) => a.price - b.price || byCreatedAtDesc(a, b),
+  "price-desc": (a, b) => b.price - a.price || byCreatedAtDesc(a, b),
+  name: (a, b) => a.name.localeCompare(b.name) || byCreatedAtDesc(a, b),
+  popular: (a, b) => b.soldCount - a.soldCount || byCreatedAtDesc(a, b)
+};
+
+function parsePriceParam(value) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  const price = Number(value);
+  return Number.isFinite(price) ? price : null;
+}
+
+function parseFlowerQuery(params) {
+  const search = String(params.search || "").trim();
+  const sort = String(params.sort || (search ? "relevance" : "newest")).trim();
+  if (!FLOWER_SORTS[sort]) {
+    throw new Error(`sort must be one of: ${Object.keys(FLOWER_SORTS).join(", ")}`);
+  }
+
+  const paginated = params.page !== undefined || params.limit !== undefined;
+  const page = Number(params.page || 1);
+  const limit = Number(params.limit || DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new Error("page must be a whole number from 1");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const minPrice = parsePriceParam(params.minPrice);
+  const maxPrice = parsePriceParam(params.maxPrice);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw new Error("minPrice cannot be greater than maxPrice");
+  }
+
+  return {
+    search,
+    occasion: String(params.occasion || "all").toLowerCase().trim(),
+    minPrice,
+    maxPrice,
+    inStock: params.inStock === "1",
+    archived: params.archived === "1",
+    preview: params.preview === "1",
+    tagSlugs: [...new Set(String(params.tags || "").split(",").map(slugifyTag).filter(Boolean))],
+    sort,
+    paginated,
+    page,
+    limit
+  };
+}
+
+function normalizeKeywords(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : String(value).split(",");
+  const keywords = [
+    ...new Set(entries.map((entry) => String(entry || "").trim().toLowerCase()).filter(Boolean))
+  ];
+  if (keywords.length > MAX_CATEGORY_KEYWORDS) {
+    throw new Error(`keywords can list at most ${MAX_CATEGORY_KEYWORDS} entries`);
+  }
+  if (keywords.some((keyword) => keyword.length > 40)) {
+    throw new Error("each keyword must be at most 40 characters");
+  }
+  return keywords;
+}
+
+function normalizeCategoryPayload(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial) {
+    const slug = String(body?.slug || "").trim().toLowerCase();
+    if (slug.length > 40 || !OCCASION_REGEX.test(slug)) {
+      throw new Error("slug must be lowercase letters, numbers and single dashes (max 40)");
+    }
+    payload.slug = slug;
+  } else if (body?.slug !== undefined) {
+    throw new Error("slug cannot be changed; create a new category instead");
+  }
+  if (!partial || body?.label !== undefined) {
+    const label = String(body?.label || "").trim();
+    if (label.length < 1 || label.length > 40) {
+      throw new Error("label must be between 1 and 40 characters");
+    }
+    payload.label = label;
+  }
+  if (!partial || body?.icon !== undefined) {
+    const icon = String(body?.icon || "").trim() || String(payload.label || "").charAt(0);
+    if (!icon || [...icon].length > 4) {
+      throw new Error("icon must be between 1 and 4 characters");
+    }
+    payload.icon = icon;
+  }
+  if (!partial || body?.sortOrder !== undefined) {
+    const sortOrder = Number(body?.sortOrder ?? 0);
+    if (!Number.isInteger(sortOrder) || sortOrder < 0 || sortOrder > MAX_SORT_ORDER) {
+      throw new Error(`sortOrder must be an integer between 0 and ${MAX_SORT_ORDER}`);
+    }
+    payload.sortOrder = sortOrder;
+  }
+  if (!partial || body?.visible !== undefined) {
+    if (body?.visible !== undefined && typeof body.visible !== "boolean") {
+      throw new Error("visible must be true or false");
+    }
+    payload.visible = body?.visible !== false;
+  }
+  if (!partial || body?.keywords !== undefined) {
+    payload.keywords = normalizeKeywords(body?.keywords);
+  }
+
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
+  }
+  return payload;
 }
 
 function normalizePaymentMethod(value) {
   const normalized = String(value || "cash")
     .trim()
     .toLowerCase();
-  return ALLOWED_PAYMENT_METHODS.has(normalized) ? normalized : null;
+  return PAYMENT_METHODS.some((method) => method.id === normalized) ? normalized : null;
 }
 
 function normalizePaymentStatus(value) {
@@ -62,6 +388,30 @@ function normalizePaymentStatus(value) {
   return ALLOWED_PAYMENT_STATUSES.has(normalized) ? normalized : null;
 }
 
+function normalizeFulfilmentStatus(value) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return ALLOWED_FULFILMENT_STATUSES.has(normalized) ? normalized : null;
+}
+
+function normalizeFulfilmentHistory(history, fallbackAt) {
+  const entries = Array.isArray(history)
+    ? history
+        .map((entry) => ({
+          status: normalizeFulfilmentStatus(entry?.status),
+          at: entry?.at || fallbackAt,
+          by: entry?.by || null
+        }))
+        .filter((entry) => entry.status)
+    : [];
+
+  if (entries.length === 0) {
+    return [{ status: "confirmed", at: fallbackAt, by: null }];
+  }
+  return entries;
+}
+
 function isValidImageUrl(value) {
   if (!value) {
     return true;
@@ -75,14 +425,168 @@ function isValidImageUrl(value) {
   }
 }
 
+function imageVersion(...parts) {
+  return createHash("sha1").update(parts.join("|")).digest("hex").slice(0, 10);
+}
+
+function buildSrcset(query) {
+  return Object.fromEntries(
+    Object.keys(DERIVATIVE_FORMATS).map((format) => [
+      format,
+      IMAGE_WIDTHS.map((width) => {
+        const params = new URLSearchParams({ ...query, w: String(width), format });
+        return `/api/images?${params} ${width}w`;
+      }).join(", ")
+    ])
+  );
+}
+
+function withImageSrcsets(flower) {
+  return {
+    ...flower,
+    images: flower.images.map((image, index) => ({
+      ...image,
+      srcset: buildSrcset({
+        flower: flower.id,
+        index: String(index),
+        v: imageVersion(image.url, image.focusX, image.focusY)
+      })
+    }))
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function focalCrop({ width, height }, focusX, focusY) {
+  let cropWidth = width;
+  let cropHeight = Math.round(width / CARD_ASPECT_RATIO);
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = Math.round(height * CARD_ASPECT_RATIO);
+  }
+
+  return {
+    left: clamp(Math.round((width * focusX) / 100 - cropWidth / 2), 0, width - cropWidth),
+    top: clamp(Math.round((height * focusY) / 100 - cropHeight / 2), 0, height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+async function renderDerivative(buffer, { width, format, focus }) {
+  let pipeline = sharp(buffer).autoOrient();
+
+  if (focus) {
+    const metadata = await sharp(buffer).metadata();
+    const rotated = Number(metadata.orientation || 1) >= 5;
+    const size = rotated
+      ? { width: metadata.height, height: metadata.width }
+      : { width: metadata.width, height: metadata.height };
+    pipeline = pipeline.extract(focalCrop(size, focus.x, focus.y));
+  }
+
+  return pipeline
+    .resize({ width, withoutEnlargement: true })
+    [format](DERIVATIVE_FORMATS[format].options)
+    .toBuffer();
+}
+
+async function loadSourceImage(url) {
+  const parsed = new URL(url);
+  if (parsed.pathname.startsWith("/uploads/")) {
+    const upload = await readUpload(path.basename(parsed.pathname));
+    if (upload) {
+      return upload;
+    }
+  }
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(10000) }).catch(() => null);
+  if (!response || !response.ok) {
+    return null;
+  }
+  if (Number(response.headers.get("content-length")) > SOURCE_MAX_BYTES) {
+    await response.body?.cancel().catch(() => {});
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > SOURCE_MAX_BYTES) {
+      return null;
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
 function normalizeSiteSettings(data) {
   const current = data?.settings || {};
+  const heroImage = isValidImageUrl(current.heroImage)
+    ? String(current.heroImage)
+    : DEFAULT_HERO_IMAGE;
   return {
-    heroImage: isValidImageUrl(current.heroImage) ? String(current.heroImage) : DEFAULT_HERO_IMAGE,
+    heroImage,
+    heroImageSrcset: buildSrcset({ hero: "1", v: imageVersion(heroImage) }),
     updatedAt: current.updatedAt || new Date().toISOString()
   };
 }
 
+function normalizeCurrencySettings(data) {
+  const current = data?.currencySettings;
+  if (!current || !Array.isArray(current.currencies) || current.currencies.length === 0) {
+    return { ...DEFAULT_CURRENCY_SETTINGS, updatedAt: null };
+  }
+  return current;
+}
+
+function normalizeCurrencyPayload(body) {
+  if (!Array.isArray(body?.currencies) || body.currencies.length === 0) {
+    throw new Error("currencies must list at least one currency");
+  }
+
+  const currencies = [];
+  for (const entry of body.currencies) {
+    const code = String(entry?.code || "").trim().toUpperCase();
+    if (!CURRENCY_CODE_REGEX.test(code)) {
+      throw new Error("each currency code must be 3 letters");
+    }
+    if (currencies.some((currency) => currency.code === code)) {
+      throw new Error(`${code} is listed more than once`);
+    }
+
+    const rate = Number(entry?.rate);
+    if (!Number.isFinite(rate) || rate <= 0 || rate > 1000000) {
+      throw new Error(`${code} rate must be a positive number`);
+    }
+
+    const locale = String(entry?.locale || "en-US").trim();
+    if (Intl.NumberFormat.supportedLocalesOf([locale]).length === 0) {
+      throw new Error(`${code} locale is not supported`);
+    }
+
+    currencies.push({
+      code,
+      label: String(entry?.label || code).trim().slice(0, 40),
+      locale,
+      rate: Math.round(rate * 1000000) / 1000000
+    });
+  }
+
+  const base = currencies.find((currency) => currency.code === BASE_CURRENCY);
+  if (!base) {
+    throw new Error(`currencies must include ${BASE_CURRENCY}, the currency prices are stored in`);
+  }
+  if (base.rate !== 1) {
+    throw new Error(`the ${BASE_CURRENCY} rate must be 1`);
+  }
+
+  return { currencies };
+}
+
 function normalizeFlowerFocus(value, fallback = 50) {
   const number = Number(value);
   if (!Number.isFinite(number)) {
@@ -94,6 +598,203 @@ function normalizeFlowerFocus(value, fallback = 50) {
   return Number(number.toFixed(2));
 }
 
+function normalizeFlowerImages(value) {
+  if (!Array.isArray(value)) {
+    throw new Error("images must be a list");
+  }
+  if (value.length > MAX_FLOWER_IMAGES) {
+    throw new Error(`images can list at most ${MAX_FLOWER_IMAGES} entries`);
+  }
+
+  const images = [];
+  value.forEach((entry, index) => {
+    const url = String(entry?.url || "").trim();
+    if (!url || !isValidImageUrl(url)) {
+      throw new Error(`images[${index}].url must be a valid http/https URL`);
+    }
+    if (images.some((image) => image.url === url)) {
+      throw new Error(`images[${index}].url is already in the gallery`);
+    }
+
+    const focusX = normalizeFlowerFocus(entry?.focusX);
+    const focusY = normalizeFlowerFocus(entry?.focusY);
+    if (focusX === null || focusY === null) {
+      throw new Error(`images[${index}] focus values must be between 0 and 100`);
+    }
+
+    const alt = String(entry?.alt || "").trim();
+    if (alt.length > 160) {
+      throw new Error(`images[${index}].alt must be at most 160 characters`);
+    }
+
+    images.push({ url, focusX, focusY, alt });
+  });
+
+  return images;
+}
+
+function primaryImageFields(images) {
+  const [primary] = images;
+  return {
+    image: primary ? primary.url : "",
+    imageFocusX: primary ? primary.focusX : 50,
+    imageFocusY: primary ? primary.focusY : 50
+  };
+}
+
+function withPrimaryImage(images, updates) {
+  const [primary, ...rest] = images;
+  const url = updates.image !== undefined ? updates.image : primary?.url || "";
+  if (!url) {
+    return rest;
+  }
+  return [
+    {
+      url,
+      focusX: updates.imageFocusX ?? primary?.focusX ?? 50,
+      focusY: updates.imageFocusY ?? primary?.focusY ?? 50,
+      alt: primary && primary.url === url ? primary.alt : ""
+    },
+    ...rest
+  ];
+}
+
+function withFlowerDefaults(flower) {
+  const images =
+    Array.isArray(flower.images) && flower.images.length > 0
+      ? flower.images
+      : flower.image
+        ? [
+            {
+              url: flower.image,
+              focusX: Number(flower.imageFocusX ?? 50),
+              focusY: Number(flower.imageFocusY ?? 50),
+              alt: ""
+            }
+          ]
+        : [];
+  return {
+    ...flower,
+    images,
+    variants: Array.isArray(flower.variants) ? flower.variants : [],
+    addOns: Array.isArray(flower.addOns) ? flower.addOns : [],
+    status: flower.status || "published",
+    publishAt: flower.publishAt || null,
+    unpublishAt: flower.unpublishAt || null,
+    archivedAt: flower.archivedAt || null
+  };
+}
+
+function normalizeFlowerOptions(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${field} must be a list`);
+  }
+  if (value.length > MAX_FLOWER_OPTIONS) {
+    throw new Error(`${field} can list at most ${MAX_FLOWER_OPTIONS} entries`);
+  }
+
+  const label = field === "variants" ? "variant" : "add-on";
+  const options = [];
+  for (const entry of value) {
+    const name = String(entry?.name || "").trim();
+    if (name.length < 1 || name.length > 60) {
+      throw new Error(`each ${label} name must be between 1 and 60 characters`);
+    }
+    if (options.some((option) => option.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`${label} ${name} is listed more than once`);
+    }
+
+    const id = String(entry?.id || "").trim() || nanoid(8);
+    if (!/^[A-Za-z0-9_-]{1,40}$/.test(id) || options.some((option) => option.id === id)) {
+      throw new Error(`${label} ${name} has an invalid id`);
+    }
+
+    const price = Number(entry?.price);
+    const minimum = field === "variants" ? 0.01 : 0;
+    if (!Number.isFinite(price) || price < minimum || roundMoney(price) !== price) {
+      throw new Error(`${label} ${name} price must be a valid amount with at most 2 decimals`);
+    }
+
+    const stock = Number(entry?.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0 || stock > MAX_STOCK) {
+      throw new Error(`${label} ${name} stock must be an integer between 0 and ${MAX_STOCK}`);
+    }
+
+    options.push({ id, name, price, stock });
+  }
+
+  return options;
+}
+
+function summarizeVariants(variants) {
+  return {
+    price: Math.min(...variants.map((variant) => variant.price)),
+    stock: variants.reduce((sum, variant) => sum + variant.stock, 0)
+  };
+}
+
+function parsePublishDate(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+}
+
+function normalizePublishing(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial || body.status !== undefined) {
+    const status = String(body.status ?? "published")
+      .trim()
+      .toLowerCase();
+    if (!FLOWER_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${FLOWER_STATUSES.join(", ")}`);
+    }
+    payload.status = status;
+  }
+
+  for (const field of ["publishAt", "unpublishAt"]) {
+    if (!partial || Object.prototype.hasOwnProperty.call(body, field)) {
+      payload[field] = parsePublishDate(body[field], field);
+    }
+  }
+
+  return payload;
+}
+
+function assertPublishWindow({ publishAt, unpublishAt }) {
+  if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+    throw new Error("unpublishAt must be after publishAt");
+  }
+}
+
+function getPublishState(flower, now = new Date()) {
+  if (flower.archivedAt) {
+    return "archived";
+  }
+  if ((flower.status || "published") === "draft") {
+    return "draft";
+  }
+  if (flower.publishAt && new Date(flower.publishAt) > now) {
+    return "scheduled";
+  }
+  if (flower.unpublishAt && new Date(flower.unpublishAt) <= now) {
+    return "ended";
+  }
+  return "live";
+}
+
+function isLiveFlower(flower) {
+  return getPublishState(flower) === "live";
+}
+
 function normalizeFlowerCreatePayload(body) {
   const {
     name,
@@ -103,7 +804,11 @@ function normalizeFlowerCreatePayload(body) {
     image = "",
     imageFocusX = 50,
     imageFocusY = 50,
-    stock = 0
+    stock = 0,
+    images,
+    variants,
+    addOns,
+    tags
   } = body || {};
 
   const normalizedName = String(name || "").trim();
@@ -111,17 +816,27 @@ function normalizeFlowerCreatePayload(body) {
     throw new Error("name must be at least 2 characters");
   }
 
+  const normalizedImages = images === undefined ? null : normalizeFlowerImages(images);
+
+  const normalizedVariants = normalizeFlowerOptions(variants, "variants");
+  const normalizedAddOns = normalizeFlowerOptions(addOns, "addOns");
+  const normalizedTags = normalizeTagInputs(tags);
+  const hasVariants = normalizedVariants.length > 0;
+
   const parsedPrice = Number(price);
-  if (!Number.isFinite(parsedPrice) || parsedPrice <= 0) {
+  if (!hasVariants && (!Number.isFinite(parsedPrice) || parsedPrice <= 0)) {
     throw new Error("price must be greater than 0");
   }
 
   const parsedStock = Number(stock);
-  if (!Number.isFinite(parsedStock) || parsedStock < 0 || parsedStock > MAX_STOCK) {
+  if (
+    !hasVariants &&
+    (!Number.isFinite(parsedStock) || parsedStock < 0 || parsedStock > MAX_STOCK)
+  ) {
     throw new Error(`stock must be an integer between 0 and ${MAX_STOCK}`);
   }
 
-  if (!Number.isInteger(parsedStock)) {
+  if (!hasVariants && !Number.isInteger(parsedStock)) {
     throw new Error("stock must be a whole number");
   }
 
@@ -141,6 +856,15 @@ function normalizeFlowerCreatePayload(body) {
     throw new Error("image focus values must be between 0 and 100");
   }
 
+  const publishing = normalizePublishing(body || {});
+  assertPublishWindow(publishing);
+
+  const flowerImages =
+    normalizedImages ||
+    (normalizedImage
+      ? [{ url: normalizedImage, focusX: normalizedFocusX, focusY: normalizedFocusY, alt: "" }]
+      : []);
+
   return {
     id: nanoid(10),
     name: normalizedName,
@@ -151,6 +875,13 @@ function normalizeFlowerCreatePayload(body) {
     imageFocusX: normalizedFocusX,
     imageFocusY: normalizedFocusY,
     stock: parsedStock,
+    images: flowerImages,
+    ...primaryImageFields(flowerImages),
+    ...(hasVariants ? summarizeVariants(normalizedVariants) : {}),
+    variants: normalizedVariants,
+    addOns: normalizedAddOns,
+    tags: normalizedTags,
+    ...publishing,
     createdAt: new Date().toISOString()
   };
 }
@@ -225,6 +956,35 @@ function normalizeFlowerPatchPayload(body) {
     updates.stock = parsedStock;
   }
 
+  if (Object.prototype.hasOwnProperty.call(body, "variants")) {
+    updates.variants = normalizeFlowerOptions(body.variants, "variants");
+    if (updates.variants.length > 0) {
+      Object.assign(updates, summarizeVariants(updates.variants));
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "addOns")) {
+    updates.addOns = normalizeFlowerOptions(body.addOns, "addOns");
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "images")) {
+    updates.images = normalizeFlowerImages(body.images);
+    Object.assign(updates, primaryImageFields(updates.images));
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "tags")) {
+    updates.tags = normalizeTagInputs(body.tags);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, "archived")) {
+    if (typeof body.archived !== "boolean") {
+      throw new Error("archived must be true or false");
+    }
+    updates.archivedAt = body.archived ? new Date().toISOString() : null;
+  }
+
+  Object.assign(updates, normalizePublishing(body, { partial: true }));
+
   if (Object.keys(updates).length === 0) {
     throw new Error("at least one flower field is required");
   }
@@ -241,464 +1001,2228 @@ function isValidPhone(value) {
   return digits >= 7 && digits <= 15;
 }
 
-function normalizeCartItems(items) {
-  const quantities = new Map();
-  for (const item of items) {
-    const flowerId = String(item?.flowerId || "").trim();
-    const quantity = Number(item?.quantity);
-    if (!flowerId || !Number.isInteger(quantity) || quantity <= 0 || quantity > 100) {
-      throw new Error("invalid cart item payload");
-    }
-    quantities.set(flowerId, (quantities.get(flowerId) || 0) + quantity);
+function getShopNow() {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: process.env.DELIVERY_TIME_ZONE || "UTC",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    })
+      .formatToParts(new Date())
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+function isValidDate(value) {
+  if (!DATE_REGEX.test(value)) {
+    return false;
   }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
 
-  return [...quantities.entries()].map(([flowerId, quantity]) => ({ flowerId, quantity }));
+function isSlotPast(slot, now = getShopNow()) {
+  return `${slot.date}T${slot.startTime}` <= `${now.date}T${now.time}`;
 }
 
-function normalizeOrderPayload(body) {
-  const { customer, items, paymentMethod = "cash" } = body || {};
+function withSlotAvailability(slot, now = getShopNow()) {
+  const remaining = Math.max(0, Number(slot.capacity || 0) - Number(slot.booked || 0));
+  return { ...slot, remaining, available: remaining > 0 && !isSlotPast(slot, now) };
+}
 
-  if (!customer || typeof customer !== "object") {
-    throw new Error("customer details are required");
+function normalizeSlotPayload(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial || body?.date !== undefined) {
+    const date = String(body?.date || "").trim();
+    if (!isValidDate(date)) {
+      throw new Error("date must be a YYYY-MM-DD date");
+    }
+    payload.date = date;
   }
 
-  const customerName = String(customer.name || "").trim();
-  const customerEmail = String(customer.email || "").trim().toLowerCase();
-  const customerPhone = String(customer.phone || "").trim();
-  const customerAddress = String(customer.address || "").trim();
+  for (const field of ["startTime", "endTime"]) {
+    if (!partial || body?.[field] !== undefined) {
+      const value = String(body?.[field] || "").trim();
+      if (!TIME_REGEX.test(value)) {
+        throw new Error(`${field} must be a HH:MM time`);
+      }
+      payload[field] = value;
+    }
+  }
 
-  if (customerName.length < 2 || customerName.length > 120) {
-    throw new Error("customer.name must be between 2 and 120 characters");
+  if (!partial || body?.capacity !== undefined) {
+    const capacity = Number(body?.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SLOT_CAPACITY) {
+      throw new Error(`capacity must be an integer between 1 and ${MAX_SLOT_CAPACITY}`);
+    }
+    payload.capacity = capacity;
   }
-  if (!EMAIL_REGEX.test(customerEmail)) {
-    throw new Error("customer.email is invalid");
+
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
   }
-  if (!isValidPhone(customerPhone)) {
-    throw new Error("customer.phone is invalid");
+
+  return payload;
+}
+
+function normalizeCity(value) {
+  return String(value || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+function normalizePostcode(value) {
+  return String(value || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+}
+
+function normalizeAreaList(value, normalize) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(entries.map(normalize).filter(Boolean))];
+}
+
+function normalizeZonePayload(body, { partial = false } = {}) {
+  const payload = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (name.length < 2 || name.length > 80) {
+      throw new Error("name must be between 2 and 80 characters");
+    }
+    payload.name = name;
   }
-  if (customerAddress.length < 6 || customerAddress.length > 240) {
-    throw new Error("customer.address must be between 6 and 240 characters");
+  if (!partial || body?.cities !== undefined) {
+    payload.cities = normalizeAreaList(body?.cities, normalizeCity);
+  }
+  if (!partial || body?.postcodes !== undefined) {
+    payload.postcodes = normalizeAreaList(body?.postcodes, normalizePostcode);
+    if (payload.postcodes.some((postcode) => !POSTCODE_REGEX.test(postcode))) {
+      throw new Error("postcodes may only contain letters, digits and dashes");
+    }
+  }
+  if (!partial || body?.fee !== undefined) {
+    const fee = Number(body?.fee);
+    if (!Number.isFinite(fee) || fee < 0 || fee > MAX_DELIVERY_FEE || roundMoney(fee) !== fee) {
+      throw new Error(`fee must be between 0 and ${MAX_DELIVERY_FEE} with at most 2 decimals`);
+    }
+    payload.fee = fee;
+  }
+  if (!partial || body?.freeDeliveryThreshold !== undefined) {
+    const raw = body?.freeDeliveryThreshold;
+    const threshold = raw === undefined || raw === null || raw === "" ? null : Number(raw);
+    if (threshold !== null && (!Number.isFinite(threshold) || threshold <= 0)) {
+      throw new Error("freeDeliveryThreshold must be a positive amount or empty");
+    }
+    payload.freeDeliveryThreshold = threshold;
+  }
+  if (!partial || body?.available !== undefined) {
+    payload.available = body?.available !== false;
   }
 
-  if (!Array.isArray(items) || items.length === 0) {
-    throw new Error("at least one cart item is required");
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
   }
+  return payload;
+}
 
-  const normalizedPaymentMethod = normalizePaymentMethod(paymentMethod);
-  if (!normalizedPaymentMethod) {
-    throw new Error("paymentMethod must be cash or paypal");
+function findZoneConflict(zone, zones) {
+  if (zone.cities.length === 0 && zone.postcodes.length === 0) {
+    return { status: 400, message: "a zone needs at least one city or postcode" };
+  }
+  for (const other of zones) {
+    if (other.id === zone.id) {
+      continue;
+    }
+    const area =
+      zone.cities.find((entry) => other.cities.includes(entry)) ||
+      zone.postcodes.find((entry) => other.postcodes.includes(entry));
+    if (area) {
+      return { status: 409, message: `${area} is already covered by ${other.name}` };
+    }
   }
+  return null;
+}
 
-  return {
-    customer: {
-      name: customerName,
-      email: customerEmail,
-      phone: customerPhone,
-      address: customerAddress
-    },
-    paymentMethod: normalizedPaymentMethod,
-    paymentStatus: "pending",
-    items: normalizeCartItems(items)
-  };
+function matchDeliveryZone(zones, { city, postcode }) {
+  const normalizedPostcode = normalizePostcode(postcode);
+  const byPostcode =
+    normalizedPostcode && zones.find((zone) => zone.postcodes.includes(normalizedPostcode));
+  if (byPostcode) {
+    return byPostcode;
+  }
+  const normalizedCity = normalizeCity(city);
+  return zones.find((zone) => zone.cities.includes(normalizedCity)) || null;
 }
 
-function normalizeLegacyOrder(order) {
-  return {
-    ...order,
-    customer: {
-      name: String(order?.customer?.name || "").trim(),
-      email: String(order?.customer?.email || "").trim(),
-      phone: String(order?.customer?.phone || "").trim(),
-      address: String(order?.customer?.address || "").trim()
-    },
-    paymentMethod: normalizePaymentMethod(order?.paymentMethod) || "cash",
-    paymentStatus: normalizePaymentStatus(order?.paymentStatus) || "pending"
-  };
+function calculateDeliveryFee(zone, subtotal) {
+  const threshold = zone.freeDeliveryThreshold;
+  if (threshold !== null && threshold !== undefined && subtotal >= threshold) {
+    return 0;
+  }
+  return Number(zone.fee || 0);
 }
 
-function normalizeChatPayload(body) {
-  const message = String(body?.message || "").trim();
-  if (!message) {
-    throw new Error("message is required");
+function normalizePromoCode(value) {
+  return String(value || "")
+    .trim()
+    .toUpperCase();
+}
+
+function normalizePromoTimestamp(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return null;
   }
-  if (message.length > CHAT_MAX_MESSAGE_LENGTH) {
-    throw new Error(`message must be ${CHAT_MAX_MESSAGE_LENGTH} characters or less`);
+  const parsed = new Date(String(value));
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`${field} must be a valid date and time`);
   }
+  return parsed.toISOString();
+}
 
-  const history = Array.isArray(body?.history) ? body.history : [];
-  const normalizedHistory = history
-    .slice(-CHAT_MAX_HISTORY_ITEMS)
-    .map((entry) => {
-      const role = entry?.role === "assistant" ? "assistant" : "user";
-      const content = String(entry?.content || "").trim().slice(0, CHAT_HISTORY_ENTRY_LENGTH);
-      return {
-        role,
-        content
-      };
-    })
-    .filter((entry) => Boolean(entry.content));
-
-  return {
-    message,
-    history: normalizedHistory
-  };
+function normalizePromoLimit(value, field) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`${field} must be a positive integer or empty`);
+  }
+  return limit;
 }
 
-function extractOpenAiText(payload) {
-  const directText = String(payload?.output_text || "").trim();
-  if (directText) {
-    return directText;
+function normalizePromoValue(type, value) {
+  if (type === "free_delivery") {
+    return 0;
   }
 
-  const outputBlocks = Array.isArray(payload?.output) ? payload.output : [];
-  const contentParts = outputBlocks.flatMap((block) =>
-    Array.isArray(block?.content) ? block.content : []
-  );
-  const text = contentParts
-    .map((part) => String(part?.text || part?.output_text || "").trim())
-    .filter(Boolean)
-    .join("\n")
-    .trim();
+  const amount = Number(value);
+  if (type === "percentage") {
+    if (!Number.isInteger(amount) || amount < 1 || amount > 100) {
+      throw new Error("value must be a whole percentage between 1 and 100");
+    }
+    return amount;
+  }
 
-  return text;
+  if (
+    !Number.isFinite(amount) ||
+    amount <= 0 ||
+    amount > MAX_FIXED_DISCOUNT ||
+    roundMoney(amount) !== amount
+  ) {
+    throw new Error(`value must be between 0 and ${MAX_FIXED_DISCOUNT} with at most 2 decimals`);
+  }
+  return amount;
 }
 
-function formatCatalog(flowers, limit = 4) {
-  const inStock = flowers
-    .filter((flower) => Number(flower?.stock || 0) > 0)
-    .slice(0, limit);
+function normalizePromoPayload(body, { partial = false, current = null } = {}) {
+  const payload = {};
 
-  if (inStock.length === 0) {
-    return "No flowers currently in stock.";
+  if (!partial || body?.code !== undefined) {
+    const code = normalizePromoCode(body?.code);
+    if (!PROMO_CODE_REGEX.test(code)) {
+      throw new Error("code must be 3 to 32 letters, digits, dashes or underscores");
+    }
+    payload.code = code;
   }
 
-  return inStock
-    .map(
-      (flower) =>
-        `${flower.name} ($${Number(flower.price || 0).toFixed(2)}, ${flower.occasion}, stock ${
-          flower.stock
-        })`
-    )
-    .join("; ");
-}
-
-function buildLocalChatReply(message, flowers) {
-  const normalized = String(message || "").toLowerCase();
-  const inStock = flowers.filter((flower) => Number(flower?.stock || 0) > 0);
-  const cheapestFlower = [...inStock].sort((a, b) => Number(a.price) - Number(b.price))[0];
-  const featured = inStock.slice(0, 3);
+  if (!partial || body?.type !== undefined) {
+    const type = String(body?.type || "").trim();
+    if (!PROMO_TYPES.includes(type)) {
+      throw new Error(`type must be one of: ${PROMO_TYPES.join(", ")}`);
+    }
+    payload.type = type;
+  }
 
-  if (/(hello|hi|hey|good morning|good evening)/i.test(normalized)) {
-    return "Hi! I can help with bouquets, prices, delivery, and checkout. What are you shopping for today?";
+  if (!partial || body?.value !== undefined || payload.type !== undefined) {
+    const type = payload.type || current?.type;
+    payload.value = normalizePromoValue(type, body?.value ?? current?.value);
   }
 
-  if (/(delivery|ship|shipping|same day|arrive)/i.test(normalized)) {
-    return "We provide same-day delivery based on availability and schedule. Share your area and preferred time and we can guide the best option.";
+  for (const field of ["startsAt", "endsAt"]) {
+    if (!partial || body?.[field] !== undefined) {
+      payload[field] = normalizePromoTimestamp(body?.[field], field);
+    }
   }
 
-  if (/(payment|paypal|cash|card|pay)/i.test(normalized)) {
-    return "You can checkout with Cash on Delivery or PayPal. Orders are created as Pending, then payment status can be updated by admin.";
+  const startsAt = payload.startsAt !== undefined ? payload.startsAt : current?.startsAt;
+  const endsAt = payload.endsAt !== undefined ? payload.endsAt : current?.endsAt;
+  if (startsAt && endsAt && new Date(startsAt) >= new Date(endsAt)) {
+    throw new Error("startsAt must be before endsAt");
   }
 
-  if (/(price|cost|cheap|budget|afford)/i.test(normalized)) {
-    if (cheapestFlower) {
-      return `Our current budget-friendly option is ${cheapestFlower.name} at $${Number(
-        cheapestFlower.price
-      ).toFixed(2)}. I can also suggest options by occasion.`;
+  for (const field of ["maxUses", "perCustomerLimit"]) {
+    if (!partial || body?.[field] !== undefined) {
+      payload[field] = normalizePromoLimit(body?.[field], field);
     }
-    return "I can help with pricing, but I do not see in-stock items right now.";
   }
 
-  const occasionMatch = [
-    ["romance", /(romance|romantic|love|anniversary|valentine)/i],
-    ["birthday", /(birthday|bday)/i],
-    ["wedding", /(wedding|bridal|bride)/i],
-    ["thank-you", /(thank|gratitude|appreciation)/i],
-    ["general", /(general|any occasion|everyday)/i]
-  ].find(([, pattern]) => pattern.test(normalized));
+  for (const field of ["occasions", "flowerIds"]) {
+    if (!partial || body?.[field] !== undefined) {
+      const raw = body?.[field];
+      const entries = Array.isArray(raw) ? raw : String(raw || "").split(",");
+      payload[field] = [
+        ...new Set(entries.map((entry) => String(entry || "").trim()).filter(Boolean))
+      ];
+    }
+  }
 
-  if (occasionMatch) {
-    const matching = inStock.filter((flower) => flower.occasion === occasionMatch[0]).slice(0, 3);
-    if (matching.length > 0) {
-      return `Great choice. For ${occasionMatch[0]} I recommend ${matching
-        .map((flower) => `${flower.name} ($${Number(flower.price).toFixed(2)})`)
-        .join(", ")}.`;
+  if (!partial || body?.active !== undefined) {
+    if (body?.active !== undefined && typeof body.active !== "boolean") {
+      throw new Error("active must be true or false");
     }
-    return `We currently have limited stock for ${occasionMatch[0]} bouquets. I can suggest alternatives from other categories.`;
+    payload.active = body?.active !== false;
   }
 
-  if (/(contact|phone|whatsapp|support|agent|human)/i.test(normalized)) {
-    return `You can reach our team on WhatsApp for direct help: ${WHATSAPP_CHAT_URL}`;
+  if (partial && Object.keys(payload).length === 0) {
+    throw new Error("no valid fields to update");
   }
 
-  if (featured.length > 0) {
-    return `Top picks right now: ${featured
-      .map((flower) => `${flower.name} ($${Number(flower.price).toFixed(2)})`)
-      .join(", ")}. Tell me your occasion and budget for a sharper recommendation.`;
+  return payload;
+}
+
+function createPromoError(message, status = 422) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function calculatePromoDiscount(promo, { lines, deliveryFee = 0, customerUses = 0 }) {
+  const now = Date.now();
+  if (promo.active === false) {
+    throw createPromoError("promo code is not active");
+  }
+  if (promo.startsAt && now < new Date(promo.startsAt).getTime()) {
+    throw createPromoError("promo code is not valid yet");
+  }
+  if (promo.endsAt && now >= new Date(promo.endsAt).getTime()) {
+    throw createPromoError("promo code has expired");
+  }
+  if (promo.maxUses && Number(promo.usedCount || 0) >= promo.maxUses) {
+    throw createPromoError("promo code has reached its usage limit", 409);
+  }
+  if (promo.perCustomerLimit && customerUses >= promo.perCustomerLimit) {
+    throw createPromoError("you have already used this promo code", 409);
   }
 
-  return "I can help with bouquets, delivery, pricing, and checkout. Ask me anything about your order.";
+  const flowerIds = promo.flowerIds || [];
+  const occasions = promo.occasions || [];
+  const eligibleLines = lines.filter(
+    (line) =>
+      (flowerIds.length === 0 && occasions.length === 0) ||
+      flowerIds.includes(line.flowerId) ||
+      occasions.includes(line.occasion)
+  );
+  if (eligibleLines.length === 0) {
+    throw createPromoError("promo code does not apply to the items in your cart");
+  }
+
+  if (promo.type === "free_delivery") {
+    return roundMoney(deliveryFee);
+  }
+
+  const eligibleSubtotal = roundMoney(
+    eligibleLines.reduce((sum, line) => sum + Number(line.lineTotal), 0)
+  );
+  if (promo.type === "percentage") {
+    return roundMoney((eligibleSubtotal * promo.value) / 100);
+  }
+  return roundMoney(Math.min(promo.value, eligibleSubtotal));
 }
 
-async function requestOpenAiChatReply({ message, history, flowers }) {
-  const apiKey = String(process.env.OPENAI_API_KEY || "").trim();
-  if (!apiKey) {
-    return null;
+function applyPromoCodeInData(data, code, { email, lines, deliveryFee }) {
+  const promo = (data.promoCodes || []).find((entry) => entry.code === normalizePromoCode(code));
+  if (!promo) {
+    throw createPromoError("promo code is not valid");
   }
 
-  const model = String(process.env.OPENAI_MODEL || "gpt-4o-mini").trim();
-  const systemPrompt = [
-    "You are Flyethr's flower shop assistant.",
-    "Keep responses concise and practical (under 90 words when possible).",
-    "Only answer topics related to the shop: bouquets, pricing, delivery, payment, and ordering.",
-    `Current flower catalog snapshot: ${formatCatalog(flowers, 6)}`
-  ].join(" ");
+  const customerUses = data.orders.filter(
+    (order) =>
+      order.promoCode === promo.code &&
+      order.customer?.email === email &&
+      order.fulfilmentStatus !== "cancelled"
+  ).length;
+  return { promo, discount: calculatePromoDiscount(promo, { lines, deliveryFee, customerUses }) };
+}
 
-  const input = [
-    {
-      role: "system",
-      content: [{ type: "input_text", text: systemPrompt }]
-    },
-    ...history.map((entry) => ({
-      role: entry.role === "assistant" ? "assistant" : "user",
-      content: [{ type: "input_text", text: entry.content }]
-    })),
-    {
-      role: "user",
-      content: [{ type: "input_text", text: message }]
+function normalizeCartItems(items) {
+  const lines = new Map();
+  for (const item of items) {
+    const flowerId = String(item?.flowerId || "").trim();
+    const quantity = Number(item?.quantity);
+    if (!flowerId || !Number.isInteger(quantity) || quantity <= 0 || quantity > 100) {
+      throw new Error("invalid cart item payload");
+    }
+    if (item.addOnIds !== undefined && !Array.isArray(item.addOnIds)) {
+      throw new Error("invalid cart item payload");
+    }
+    const variantId = String(item.variantId || "").trim() || null;
+    const addOnIds = [
+      ...new Set((item.addOnIds || []).map((id) => String(id || "").trim()).filter(Boolean))
+    ].sort();
+    if (addOnIds.length > 10) {
+      throw new Error("invalid cart item payload");
     }
-  ];
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 12000);
+    const key = [flowerId, variantId || "", addOnIds.join(",")].join("|");
+    const line = lines.get(key);
+    if (line) {
+      line.quantity += quantity;
+    } else {
+      lines.set(key, { flowerId, variantId, addOnIds, quantity });
+    }
+  }
 
-  try {
-    const response = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model,
-        input,
-        max_output_tokens: 220
-      }),
-      signal: controller.signal
+  return [...lines.values()];
+}
+
+function createCartError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function priceCartItems(items, flowerMap) {
+  const demand = new Map();
+  const reserve = (key, quantity) => {
+    const total = (demand.get(key) || 0) + quantity;
+    demand.set(key, total);
+    return total;
+  };
+
+  return items.map((item) => {
+    const flower = flowerMap.get(item.flowerId);
+    if (!flower) {
+      throw createCartError(`flower not found: ${item.flowerId}`, 404);
+    }
+    const publishState = getPublishState(flower);
+    if (publishState === "draft" || publishState === "scheduled") {
+      throw createCartError(`${flower.name} is not available yet`, 409);
+    }
+    if (publishState !== "live") {
+      throw createCartError(`${flower.name} is no longer available`, 409);
+    }
+
+    const variants = Array.isArray(flower.variants) ? flower.variants : [];
+    const variant = item.variantId
+      ? variants.find((entry) => entry.id === item.variantId)
+      : null;
+    if (item.variantId && !variant) {
+      throw createCartError(`variant not found: ${item.variantId}`, 404);
+    }
+    if (!variant && variants.length > 0) {
+      throw createCartError(`choose a size for ${flower.name}`, 400);
+    }
+
+    if (Number(flower.stock || 0) < reserve(flower.id, item.quantity)) {
+      throw createCartError(`insufficient stock for ${flower.name}`, 409);
+    }
+    const variantDemand = variant ? reserve(`${flower.id}:${variant.id}`, item.quantity) : 0;
+    if (variant && Number(variant.stock || 0) < variantDemand) {
+      throw createCartError(`insufficient stock for ${flower.name} (${variant.name})`, 409);
+    }
+
+    const addOns = Array.isArray(flower.addOns) ? flower.addOns : [];
+    const chosenAddOns = item.addOnIds.map((addOnId) => {
+      const addOn = addOns.find((entry) => entry.id === addOnId);
+      if (!addOn) {
+        throw createCartError(`add-on not found: ${addOnId}`, 404);
+      }
+      const addOnDemand = reserve(`${flower.id}:add-on:${addOn.id}`, item.quantity);
+      if (Number(addOn.stock || 0) < addOnDemand) {
+        throw createCartError(`insufficient stock for ${addOn.name}`, 409);
+      }
+      return { id: addOn.id, name: addOn.name, price: Number(addOn.price) };
     });
 
-    const payload = await response.json().catch(() => ({}));
-    if (!response.ok) {
-      throw new Error(payload?.error?.message || `OpenAI request failed (${response.status})`);
+    const unitPrice = roundMoney(
+      Number(variant ? variant.price : flower.price) +
+        chosenAddOns.reduce((sum, addOn) => sum + addOn.price, 0)
+    );
+    return {
+      flowerId: flower.id,
+      name: flower.name,
+      variantId: variant ? variant.id : null,
+      variantName: variant ? variant.name : null,
+      addOns: chosenAddOns,
+      unitPrice,
+      quantity: item.quantity,
+      lineTotal: roundMoney(unitPrice * item.quantity)
+    };
+  });
+}
+
+function adjustItemStock(flower, item, direction) {
+  const delta = direction * Number(item.quantity || 0);
+  const adjust = (options, optionId) => {
+    const option = (options || []).find((entry) => entry.id === optionId);
+    if (option) {
+      option.stock = Math.max(0, Number(option.stock || 0) + delta);
+    }
+  };
+
+  flower.stock = Math.max(0, Number(flower.stock || 0) + delta);
+  if (item.variantId) {
+    adjust(flower.variants, item.variantId);
+  }
+  for (const addOn of item.addOns || []) {
+    adjust(flower.addOns, addOn.id);
+  }
+}
+
+function normalizeGiftDetails(body) {
+  const { recipient, giftMessage, sendAnonymously = false } = body || {};
+  if (typeof sendAnonymously !== "boolean") {
+    throw new Error("sendAnonymously must be true or false");
+  }
+
+  const message = String(giftMessage || "").trim();
+  if (message.length > GIFT_MESSAGE_MAX_LENGTH) {
+    throw new Error(`giftMessage must be at most ${GIFT_MESSAGE_MAX_LENGTH} characters`);
+  }
+
+  if (recipient === undefined || recipient === null) {
+    return { recipient: null, giftMessage: message || null, sendAnonymously };
+  }
+
+  if (typeof recipient !== "object") {
+    throw new Error("recipient must be an object");
+  }
+
+  const name = String(recipient.name || "").trim();
+  const phone = String(recipient.phone || "").trim();
+  const address = String(recipient.address || "").trim();
+  if (!name && !phone && !address) {
+    return { recipient: null, giftMessage: message || null, sendAnonymously };
+  }
+
+  if (name.length < 2 || name.length > 120) {
+    throw new Error("recipient.name must be between 2 and 120 characters");
+  }
+  if (phone && !isValidPhone(phone)) {
+    throw new Error("recipient.phone is invalid");
+  }
+  if (address && (address.length < 6 || address.length > 240)) {
+    throw new Error("recipient.address must be between 6 and 240 characters");
+  }
+
+  return {
+    recipient: { name, phone: phone || null, address: address || null },
+    giftMessage: message || null,
+    sendAnonymously
+  };
+}
+
+function normalizeOrderPayload(body) {
+  const {
+    customer,
+    items,
+    paymentMethod = "cash",
+    deliverySlotId,
+    promoCode,
+    currency
+  } = body || {};
+
+  if (!customer || typeof customer !== "object") {
+    throw new Error("customer details are required");
+  }
+
+  const customerName = String(customer.name || "").trim();
+  const customerEmail = String(customer.email || "").trim().toLowerCase();
+  const customerPhone = String(customer.phone || "").trim();
+  const customerAddress = String(customer.address || "").trim();
+  const customerCity = String(customer.city || "").trim().replace(/\s+/g, " ");
+  const customerPostcode = normalizePostcode(customer.postcode);
+
+  if (customerName.length < 2 || customerName.length > 120) {
+    throw new Error("customer.name must be between 2 and 120 characters");
+  }
+  if (!EMAIL_REGEX.test(customerEmail)) {
+    throw new Error("customer.email is invalid");
+  }
+  if (!isValidPhone(customerPhone)) {
+    throw new Error("customer.phone is invalid");
+  }
+  if (customerAddress.length < 6 || customerAddress.length > 240) {
+    throw new Error("customer.address must be between 6 and 240 characters");
+  }
+  if (customerCity.length < 2 || customerCity.length > 80) {
+    throw new Error("customer.city must be between 2 and 80 characters");
+  }
+  if (customerPostcode.length > 12) {
+    throw new Error("customer.postcode must be at most 12 characters");
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("at least one cart item is required");
+  }
+
+  const normalizedDeliverySlotId = String(deliverySlotId || "").trim();
+  if (!normalizedDeliverySlotId) {
+    throw new Error("deliverySlotId is required");
+  }
+
+  const normalizedPaymentMethod = normalizePaymentMethod(paymentMethod);
+  if (!normalizedPaymentMethod) {
+    throw new Error(
+      `paymentMethod must be one of: ${PAYMENT_METHODS.map((method) => method.id).join(", ")}`
+    );
+  }
+
+  const normalizedPromoCode = normalizePromoCode(promoCode);
+  if (normalizedPromoCode && !PROMO_CODE_REGEX.test(normalizedPromoCode)) {
+    throw new Error("promoCode is invalid");
+  }
+
+  const normalizedCurrency = String(currency || "").trim().toUpperCase();
+  if (normalizedCurrency && !CURRENCY_CODE_REGEX.test(normalizedCurrency)) {
+    throw new Error("currency must be a 3-letter currency code");
+  }
+
+  return {
+    customer: {
+      name: customerName,
+      email: customerEmail,
+      phone: customerPhone,
+      address: customerAddress,
+      city: customerCity,
+      postcode: customerPostcode || null
+    },
+    paymentMethod: normalizedPaymentMethod,
+    paymentStatus: "pending",
+    deliverySlotId: normalizedDeliverySlotId,
+    promoCode: normalizedPromoCode || null,
+    currency: normalizedCurrency || null,
+    ...normalizeGiftDetails(body),
+    items: normalizeCartItems(items)
+  };
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function withRefundSummary(order) {
+  const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+  const refundedTotal = roundMoney(
+    refunds
+      .filter((refund) => refund.status === "completed")
+      .reduce((sum, refund) => sum + Number(refund.amount || 0), 0)
+  );
+
+  let paymentStatus = order.paymentStatus;
+  if (paymentStatus === "paid" && refundedTotal > 0) {
+    paymentStatus = refundedTotal >= roundMoney(order.total) ? "refunded" : "partially_refunded";
+  }
+
+  return { ...order, paymentStatus, refunds, refundedTotal };
+}
+
+function normalizeLegacyOrder(order) {
+  const storedPaymentStatus = REFUNDED_PAYMENT_STATUSES.has(order?.paymentStatus)
+    ? "paid"
+    : normalizePaymentStatus(order?.paymentStatus);
+  return withRefundSummary({
+    ...order,
+    customer: {
+      name: String(order?.customer?.name || "").trim(),
+      email: String(order?.customer?.email || "").trim(),
+      phone: String(order?.customer?.phone || "").trim(),
+      address: String(order?.customer?.address || "").trim(),
+      city: String(order?.customer?.city || "").trim(),
+      postcode: order?.customer?.postcode || null
+    },
+    recipient: order?.recipient?.name ? order.recipient : null,
+    giftMessage: order?.giftMessage || null,
+    sendAnonymously: Boolean(order?.sendAnonymously),
+    paymentMethod: String(order?.paymentMethod || "cash"),
+    paymentStatus: storedPaymentStatus || "pending",
+    deliverySlotId: order?.deliverySlotId || null,
+    deliveryDate: order?.deliveryDate || null,
+    deliveryWindow: order?.deliveryWindow || null,
+    deliveryZoneId: order?.deliveryZoneId || null,
+    deliveryZoneName: order?.deliveryZoneName || null,
+    subtotal: Number(order?.subtotal ?? order?.total ?? 0),
+    deliveryFee: Number(order?.deliveryFee || 0),
+    promoCode: order?.promoCode || null,
+    discount: Number(order?.discount || 0),
+    currency: order?.currency || "USD",
+    exchangeRate: Number(order?.exchangeRate || 1),
+    convertedTotals: order?.convertedTotals || {
+      subtotal: Number(order?.subtotal ?? order?.total ?? 0),
+      deliveryFee: Number(order?.deliveryFee || 0),
+      discount: Number(order?.discount || 0),
+      total: Number(order?.total || 0)
+    },
+    fulfilmentStatus: normalizeFulfilmentStatus(order?.fulfilmentStatus) || "confirmed",
+    fulfilmentHistory: normalizeFulfilmentHistory(order?.fulfilmentHistory, order?.createdAt),
+    cancellationReason: order?.cancellationReason || null,
+    cancelledAt: order?.cancelledAt || null,
+    items: (Array.isArray(order?.items) ? order.items : []).map((item) => ({
+      ...item,
+      variantId: item.variantId || null,
+      variantName: item.variantName || null,
+      addOns: Array.isArray(item.addOns) ? item.addOns : []
+    }))
+  });
+}
+
+function refundOrderInData(data, index, { amount, reason }) {
+  const normalized = normalizeLegacyOrder(data.orders[index]);
+  const isPaid =
+    normalized.paymentStatus === "paid" || REFUNDED_PAYMENT_STATUSES.has(normalized.paymentStatus);
+  if (!isPaid) {
+    const error = new Error("only paid orders can be refunded");
+    error.status = 409;
+    throw error;
+  }
+
+  const refundable = roundMoney(normalized.total - normalized.refundedTotal);
+  const refundAmount =
+    amount === undefined || amount === null || amount === "" ? refundable : Number(amount);
+  if (refundable <= 0) {
+    const error = new Error("order is already fully refunded");
+    error.status = 409;
+    throw error;
+  }
+  if (
+    !Number.isFinite(refundAmount) ||
+    refundAmount <= 0 ||
+    roundMoney(refundAmount) !== refundAmount
+  ) {
+    const error = new Error("amount must be a positive number with at most 2 decimals");
+    error.status = 400;
+    throw error;
+  }
+  if (refundAmount > refundable) {
+    const error = new Error(`refund exceeds the refundable amount of ${refundable.toFixed(2)}`);
+    error.status = 409;
+    throw error;
+  }
+
+  data.orders[index] = normalizeLegacyOrder({
+    ...normalized,
+    refunds: [
+      ...normalized.refunds,
+      {
+        id: nanoid(12),
+        amount: refundAmount,
+        reason,
+        issuedBy: null,
+        provider: normalized.paymentMethod,
+        providerReference: null,
+        status: "completed",
+        createdAt: new Date().toISOString()
+      }
+    ]
+  });
+  return data.orders[index];
+}
+
+function normalizeStockChange(body) {
+  const reason = String(body?.stockReason ?? "adjustment")
+    .trim()
+    .toLowerCase();
+  if (!MANUAL_STOCK_REASONS.includes(reason)) {
+    throw new Error(`stockReason must be one of: ${MANUAL_STOCK_REASONS.join(", ")}`);
+  }
+
+  const note = String(body?.stockNote ?? "").trim();
+  if (note.length > MAX_STOCK_NOTE_LENGTH) {
+    throw new Error(`stockNote must be at most ${MAX_STOCK_NOTE_LENGTH} characters`);
+  }
+
+  return { reason, note };
+}
+
+function assertStockChangeDirection(reason, delta) {
+  if (reason === "restock" && delta < 0) {
+    throw new Error("a restock cannot lower stock");
+  }
+  if (reason === "spoilage" && delta > 0) {
+    throw new Error("spoilage can only lower stock");
+  }
+}
+
+function recordStockMovement(data, { flowerId, delta, reason, orderId = null, note = "" }) {
+  if (delta === 0) {
+    return;
+  }
+  if (!Array.isArray(data.stockMovements)) {
+    data.stockMovements = [];
+  }
+  data.stockMovements.push({
+    id: nanoid(12),
+    flowerId,
+    delta,
+    reason,
+    actor: null,
+    orderId,
+    note,
+    createdAt: new Date().toISOString()
+  });
+}
+
+function reconcileStock(data, flowers) {
+  const totals = new Map();
+  for (const movement of data.stockMovements || []) {
+    const total = totals.get(movement.flowerId) || { ledgerStock: 0, movementCount: 0 };
+    total.ledgerStock += Number(movement.delta || 0);
+    total.movementCount += 1;
+    totals.set(movement.flowerId, total);
+  }
+
+  return flowers
+    .map((flower) => {
+      const { ledgerStock, movementCount } = totals.get(flower.id) || {
+        ledgerStock: 0,
+        movementCount: 0
+      };
+      const stock = Number(flower.stock || 0);
+      return {
+        flowerId: flower.id,
+        name: flower.name,
+        stock,
+        ledgerStock,
+        movementCount,
+        difference: stock - ledgerStock
+      };
+    })
+    .sort(
+      (a, b) => Math.abs(b.difference) - Math.abs(a.difference) || a.name.localeCompare(b.name)
+    );
+}
+
+function normalizeBulkStockPayload(body) {
+  if (!body || typeof body !== "object") {
+    throw new Error("invalid request body");
+  }
+
+  const mode = String(body.mode || "delta").trim().toLowerCase();
+  if (!BULK_STOCK_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${BULK_STOCK_MODES.join(", ")}`);
+  }
+
+  const value = Number(body.value);
+  if (!Number.isInteger(value)) {
+    throw new Error("value must be a whole number");
+  }
+  if (mode === "delta" && (value === 0 || Math.abs(value) > MAX_STOCK)) {
+    throw new Error(`delta must be a non-zero whole number up to ${MAX_STOCK}`);
+  }
+  if (mode === "set" && (value < 0 || value > MAX_STOCK)) {
+    throw new Error(`stock must be an integer between 0 and ${MAX_STOCK}`);
+  }
+
+  const occasion = String(body.occasion || "").trim().toLowerCase();
+  const tag = slugifyTag(body.tag);
+  let ids = null;
+  if (body.ids !== undefined) {
+    if (!Array.isArray(body.ids) || body.ids.length === 0 || body.ids.length > MAX_BULK_IDS) {
+      throw new Error(`ids must list between 1 and ${MAX_BULK_IDS} flower ids`);
+    }
+    ids = [...new Set(body.ids.map((id) => String(id || "").trim()).filter(Boolean))];
+  }
+  if (!occasion && !tag && !ids) {
+    throw new Error("choose flowers by occasion, tag or ids");
+  }
+
+  const defaultReason = mode === "delta" && value > 0 ? "restock" : "adjustment";
+  return {
+    mode,
+    value,
+    occasion: occasion === "all" ? "" : occasion,
+    tag,
+    ids,
+    dryRun: body.dryRun === true,
+    ...normalizeStockChange({
+      stockReason: body.stockReason ?? defaultReason,
+      stockNote: body.stockNote
+    })
+  };
+}
+
+function planStockChange(flower, change) {
+  const previousStock = Number(flower.stock || 0);
+  const result = { flowerId: flower.id, name: flower.name, previousStock, stock: previousStock };
+
+  if (Array.isArray(flower.variants) && flower.variants.length > 0) {
+    return { ...result, status: "skipped", message: "stock is managed per variant" };
+  }
+
+  const stock =
+    change.mode === "set"
+      ? change.value
+      : Math.min(MAX_STOCK, Math.max(0, previousStock + change.value));
+  try {
+    assertStockChangeDirection(change.reason, stock - previousStock);
+  } catch (error) {
+    return { ...result, status: "skipped", message: error.message };
+  }
+
+  return { ...result, stock, status: stock === previousStock ? "unchanged" : "updated" };
+}
+
+function cancelOrderInData(data, index, reason) {
+  const normalized = normalizeLegacyOrder(data.orders[index]);
+  if (normalized.fulfilmentStatus === "cancelled") {
+    return normalized;
+  }
+
+  if (!CANCELLABLE_STATUSES.includes(normalized.fulfilmentStatus)) {
+    const error = new Error(`order can no longer be cancelled (${normalized.fulfilmentStatus})`);
+    error.status = 409;
+    throw error;
+  }
+
+  for (const item of normalized.items || []) {
+    const flower = data.flowers.find((entry) => entry.id === item.flowerId);
+    if (flower) {
+      const before = Number(flower.stock || 0);
+      adjustItemStock(flower, item, 1);
+      recordStockMovement(data, {
+        flowerId: flower.id,
+        delta: flower.stock - before,
+        reason: "cancellation",
+        orderId: normalized.id
+      });
+    }
+  }
+
+  const slot = (data.deliverySlots || []).find((entry) => entry.id === normalized.deliverySlotId);
+  if (slot) {
+    slot.booked = Math.max(0, Number(slot.booked || 0) - 1);
+  }
+
+  const promo = (data.promoCodes || []).find((entry) => entry.code === normalized.promoCode);
+  if (promo) {
+    promo.usedCount = Math.max(0, Number(promo.usedCount || 0) - 1);
+  }
+
+  const cancelledAt = new Date().toISOString();
+  data.orders[index] = {
+    ...normalized,
+    fulfilmentStatus: "cancelled",
+    fulfilmentHistory: [
+      ...normalized.fulfilmentHistory,
+      { status: "cancelled", at: cancelledAt, by: null }
+    ],
+    cancellationReason: reason,
+    cancelledAt
+  };
+  return data.orders[index];
+}
+
+function normalizeChatPayload(body) {
+  const message = String(body?.message || "").trim();
+  if (!message) {
+    throw new Error("message is required");
+  }
+  if (message.length > CHAT_MAX_MESSAGE_LENGTH) {
+    throw new Error(`message must be ${CHAT_MAX_MESSAGE_LENGTH} characters or less`);
+  }
+
+  const history = Array.isArray(body?.history) ? body.history : [];
+  const normalizedHistory = history
+    .slice(-CHAT_MAX_HISTORY_ITEMS)
+    .map((entry) => {
+      const role = entry?.role === "assistant" ? "assistant" : "user";
+      const content = String(entry?.content || "").trim().slice(0, CHAT_HISTORY_ENTRY_LENGTH);
+      return {
+        role,
+        content
+      };
+    })
+    .filter((entry) => Boolean(entry.content));
+
+  return {
+    message,
+    history: normalizedHistory
+  };
+}
+
+function extractOpenAiText(payload) {
+  const directText = String(payload?.output_text || "").trim();
+  if (directText) {
+    return directText;
+  }
+
+  const outputBlocks = Array.isArray(payload?.output) ? payload.output : [];
+  const contentParts = outputBlocks.flatMap((block) =>
+    Array.isArray(block?.content) ? block.content : []
+  );
+  const text = contentParts
+    .map((part) => String(part?.text || part?.output_text || "").trim())
+    .filter(Boolean)
+    .join("\n")
+    .trim();
+
+  return text;
+}
+
+function formatCatalog(flowers, limit = 4) {
+  const inStock = flowers
+    .filter((flower) => Number(flower?.stock || 0) > 0)
+    .slice(0, limit);
+
+  if (inStock.length === 0) {
+    return "No flowers currently in stock.";
+  }
+
+  return inStock
+    .map(
+      (flower) =>
+        `${flower.name} ($${Number(flower.price || 0).toFixed(2)}, ${flower.occasion}${
+          flower.tags?.length ? `, tags ${flower.tags.map((tag) => tag.label).join("/")}` : ""
+        }, stock ${flower.stock})`
+    )
+    .join("; ");
+}
+
+function categoryTerms(category) {
+  return [category.label, category.slug.replace(/-/g, " "), ...(category.keywords || [])]
+    .map((term) => String(term || "").trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function buildLocalChatReply(message, flowers, categories) {
+  const normalized = String(message || "").toLowerCase();
+  const inStock = flowers.filter((flower) => Number(flower?.stock || 0) > 0);
+  const cheapestFlower = [...inStock].sort((a, b) => Number(a.price) - Number(b.price))[0];
+  const featured = inStock.slice(0, 3);
+
+  if (/(hello|hi|hey|good morning|good evening)/i.test(normalized)) {
+    return "Hi! I can help with bouquets, prices, delivery, and checkout. What are you shopping for today?";
+  }
+
+  if (/(delivery|ship|shipping|same day|arrive)/i.test(normalized)) {
+    return "We provide same-day delivery based on availability and schedule. Share your area and preferred time and we can guide the best option.";
+  }
+
+  if (/(payment|paypal|cash|card|pay)/i.test(normalized)) {
+    return "You can checkout with Cash on Delivery or PayPal. Orders are created as Pending, then payment status can be updated by admin.";
+  }
+
+  if (/(price|cost|cheap|budget|afford)/i.test(normalized)) {
+    if (cheapestFlower) {
+      return `Our current budget-friendly option is ${cheapestFlower.name} at $${Number(
+        cheapestFlower.price
+      ).toFixed(2)}. I can also suggest options by occasion.`;
+    }
+    return "I can help with pricing, but I do not see in-stock items right now.";
+  }
+
+  const occasionMatch = categories.find((category) =>
+    categoryTerms(category).some((term) => normalized.includes(term))
+  );
+
+  if (occasionMatch) {
+    const label = occasionMatch.label.toLowerCase();
+    const matching = inStock
+      .filter(
+        (flower) =>
+          flower.occasion === occasionMatch.slug ||
+          (flower.tags || []).some((tag) => tag.slug === occasionMatch.slug)
+      )
+      .slice(0, 3);
+    if (matching.length > 0) {
+      return `Great choice. For ${label} I recommend ${matching
+        .map((flower) => `${flower.name} ($${Number(flower.price).toFixed(2)})`)
+        .join(", ")}.`;
+    }
+    return `We currently have limited stock for ${label} bouquets. I can suggest alternatives from other categories.`;
+  }
+
+  const taggedMatch = inStock.flatMap((flower) =>
+    (flower.tags || [])
+      .filter((tag) => normalized.includes(tag.label.toLowerCase()))
+      .map((tag) => ({ flower, tag }))
+  );
+  if (taggedMatch.length > 0) {
+    const label = taggedMatch[0].tag.label;
+    const matching = taggedMatch
+      .filter((entry) => entry.tag.slug === taggedMatch[0].tag.slug)
+      .slice(0, 3)
+      .map((entry) => entry.flower);
+    return `For ${label} I recommend ${matching
+      .map((flower) => `${flower.name} ($${Number(flower.price).toFixed(2)})`)
+      .join(", ")}.`;
+  }
+
+  if (/(contact|phone|whatsapp|support|agent|human)/i.test(normalized)) {
+    return `You can reach our team on WhatsApp for direct help: ${WHATSAPP_CHAT_URL}`;
+  }
+
+  if (featured.length > 0) {
+    return `Top picks right now: ${featured
+      .map((flower) => `${flower.name} ($${Number(flower.price).toFixed(2)})`)
+      .join(", ")}. Tell me your occasion and budget for a sharper recommendation.`;
+  }
+
+  return "I can help with bouquets, delivery, pricing, and checkout. Ask me anything about your order.";
+}
+
+async function requestOpenAiChatReply({ message, history, flowers }) {
+  const apiKey = String(process.env.OPENAI_API_KEY || "").trim();
+  if (!apiKey) {
+    return null;
+  }
+
+  const model = String(process.env.OPENAI_MODEL || "gpt-4o-mini").trim();
+  const systemPrompt = [
+    "You are Flyethr's flower shop assistant.",
+    "Keep responses concise and practical (under 90 words when possible).",
+    "Only answer topics related to the shop: bouquets, pricing, delivery, payment, and ordering.",
+    `Current flower catalog snapshot: ${formatCatalog(flowers, 6)}`
+  ].join(" ");
+
+  const input = [
+    {
+      role: "system",
+      content: [{ type: "input_text", text: systemPrompt }]
+    },
+    ...history.map((entry) => ({
+      role: entry.role === "assistant" ? "assistant" : "user",
+      content: [{ type: "input_text", text: entry.content }]
+    })),
+    {
+      role: "user",
+      content: [{ type: "input_text", text: message }]
+    }
+  ];
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 12000);
+
+  try {
+    const response = await fetch("https://api.openai.com/v1/responses", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        input,
+        max_output_tokens: 220
+      }),
+      signal: controller.signal
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload?.error?.message || `OpenAI request failed (${response.status})`);
+    }
+
+    const reply = extractOpenAiText(payload);
+    if (!reply) {
+      throw new Error("empty OpenAI response");
+    }
+
+    return reply;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function generateChatReply({ message, history, flowers, categories }) {
+  try {
+    const openAiReply = await requestOpenAiChatReply({
+      message,
+      history,
+      flowers
+    });
+    if (openAiReply) {
+      return {
+        reply: openAiReply,
+        source: "openai"
+      };
+    }
+  } catch (error) {
+    console.error("OpenAI chat fallback:", error.message);
+  }
+
+  return {
+    reply: buildLocalChatReply(message, flowers, categories),
+    source: "local"
+  };
+}
+
+app.get("/api/health", (_req, res) => {
+  res.json({
+    status: "ok",
+    service: "flower-shop-api",
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post("/api/chat", async (req, res, next) => {
+  try {
+    let payload;
+    try {
+      payload = normalizeChatPayload(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await readData();
+    const flowers = withFlowerTags(
+      data,
+      (Array.isArray(data?.flowers) ? data.flowers : []).filter(isLiveFlower)
+    );
+    const categories = sortCategories(getCategories(data)).filter(
+      (category) => category.visible !== false
+    );
+    const result = await generateChatReply({
+      message: payload.message,
+      history: payload.history,
+      flowers,
+      categories
+    });
+
+    return res.status(200).json({
+      reply: result.reply,
+      source: result.source,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/settings", async (_req, res, next) => {
+  try {
+    const data = await readData();
+    const settings = normalizeSiteSettings(data);
+    res.json({
+      ...settings,
+      paymentMethods: PAYMENT_METHODS,
+      currency: normalizeCurrencySettings(data)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch("/api/settings", async (req, res, next) => {
+  try {
+    if (req.body?.currency !== undefined) {
+      let currency;
+      try {
+        currency = normalizeCurrencyPayload(req.body.currency);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      const data = await readData();
+      data.currencySettings = { ...currency, updatedAt: new Date().toISOString() };
+      await writeData(data);
+      return res.json({ currency: data.currencySettings });
+    }
+
+    const heroImage = String(req.body?.heroImage || "").trim();
+    if (!heroImage || !isValidImageUrl(heroImage)) {
+      return res.status(400).json({ message: "heroImage must be a valid http/https URL" });
+    }
+
+    const data = await readData();
+    data.settings = {
+      heroImage,
+      updatedAt: new Date().toISOString()
+    };
+    await writeData(data);
+    return res.json(normalizeSiteSettings(data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use("/uploads", express.static(uploadDir, { maxAge: "1y", immutable: true }));
+
+app.post(
+  "/api/uploads",
+  express.raw({ type: () => true, limit: UPLOAD_MAX_BYTES }),
+  async (req, res, next) => {
+    try {
+      const contentType = String(req.get("content-type") || "").split(";")[0].trim().toLowerCase();
+      const format = IMAGE_UPLOAD_FORMATS[contentType];
+      if (!format) {
+        return res.status(415).json({ message: "images must be JPEG, PNG or WebP" });
+      }
+
+      const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (buffer.length === 0) {
+        return res.status(400).json({ message: "image file is empty" });
+      }
+      if (!format.matches(buffer)) {
+        return res
+          .status(415)
+          .json({ message: `file content is not a valid ${format.label} image` });
+      }
+
+      const origin =
+        String(process.env.SITE_URL || "").trim().replace(/\/$/, "") ||
+        `${req.protocol}://${req.get("host")}`;
+      const url = await localDiskDriver.put({
+        name: `${nanoid(16).toLowerCase()}.${format.extension}`,
+        buffer,
+        contentType,
+        origin
+      });
+      res.status(201).json({ url, contentType, size: buffer.length });
+    } catch (error) {
+      next(error);
+    }
+  },
+  (error, _req, res, next) => {
+    if (error?.type === "entity.too.large") {
+      return res
+        .status(413)
+        .json({ message: `images must be at most ${UPLOAD_MAX_BYTES / 1024 / 1024} MB` });
+    }
+    next(error);
+  }
+);
+
+app.get("/api/images", async (req, res, next) => {
+  try {
+    const width = Number(req.query.w);
+    if (!IMAGE_WIDTHS.includes(width)) {
+      return res.status(400).json({ message: `w must be one of: ${IMAGE_WIDTHS.join(", ")}` });
+    }
+
+    const format = String(req.query.format || "webp");
+    if (!DERIVATIVE_FORMATS[format]) {
+      return res.status(400).json({
+        message: `format must be one of: ${Object.keys(DERIVATIVE_FORMATS).join(", ")}`
+      });
+    }
+
+    const data = await readData();
+    let source;
+    if (req.query.hero === "1") {
+      const { heroImage } = normalizeSiteSettings(data);
+      source = { url: heroImage, focus: null, version: imageVersion(heroImage) };
+    } else {
+      const flower = data.flowers.find((entry) => entry.id === String(req.query.flower || ""));
+      const image = flower ? withFlowerDefaults(flower).images[Number(req.query.index || 0)] : null;
+      if (!image) {
+        return res.status(404).json({ message: "image not found" });
+      }
+      source = {
+        url: image.url,
+        focus: { x: image.focusX, y: image.focusY },
+        version: imageVersion(image.url, image.focusX, image.focusY)
+      };
+    }
+
+    const cacheKey = `${imageVersion(source.version, width)}.${format}`;
+    let output = await readDerivative(cacheKey);
+    if (!output) {
+      const buffer = await loadSourceImage(source.url);
+      if (!buffer) {
+        return res.status(502).json({ message: "source image could not be loaded" });
+      }
+      try {
+        output = await renderDerivative(buffer, { width, format, focus: source.focus });
+      } catch {
+        return res.status(422).json({ message: "source image could not be processed" });
+      }
+      await writeDerivative(cacheKey, output);
+    }
+
+    res.set(
+      "Cache-Control",
+      req.query.v === source.version ? "public, max-age=31536000, immutable" : "public, max-age=300"
+    );
+    res.type(DERIVATIVE_FORMATS[format].contentType).send(output);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/flowers", async (req, res, next) => {
+  try {
+    const flowerId = String(req.query.id || "").trim();
+    if (flowerId) {
+      const data = await readData();
+      const flower = data.flowers.find((entry) => entry.id === flowerId);
+      if (!flower || !isLiveFlower(flower)) {
+        return res.status(404).json({ message: "flower not found" });
+      }
+      const [found] = withFlowerTags(data, [withFlowerDefaults(flower)]);
+      return res.json(withImageSrcsets(found));
+    }
+
+    let query;
+    try {
+      query = parseFlowerQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await readData();
+    const soldCounts = new Map();
+    for (const order of data.orders || []) {
+      if (order.fulfilmentStatus === "cancelled") {
+        continue;
+      }
+      for (const item of order.items || []) {
+        soldCounts.set(item.flowerId, (soldCounts.get(item.flowerId) || 0) + Number(item.quantity));
+      }
+    }
+
+    const catalog = withFlowerTags(data, data.flowers.map(withFlowerDefaults));
+    const searchScores = query.search ? searchFlowers(catalog, query.search) : null;
+    const now = new Date();
+    const flowers = catalog
+      .filter((flower) => {
+        const publishState = getPublishState(flower, now);
+        const publishMatch = query.archived
+          ? publishState === "archived"
+          : query.preview
+            ? publishState !== "archived"
+            : publishState === "live";
+        const searchMatch = !searchScores || searchScores.has(flower.id);
+        const occasionMatch =
+          query.occasion === "all" ||
+          flower.occasion.toLowerCase() === query.occasion ||
+          flower.tags.some((tag) => tag.slug === query.occasion);
+        const priceMatch =
+          (query.minPrice === null || flower.price >= query.minPrice) &&
+          (query.maxPrice === null || flower.price <= query.maxPrice);
+        const stockMatch = !query.inStock || flower.stock > 0;
+        const tagMatch = query.tagSlugs.every((slug) =>
+          flower.tags.some((tag) => tag.slug === slug)
+        );
+        return publishMatch && searchMatch && occasionMatch && priceMatch && stockMatch && tagMatch;
+      })
+      .map((flower) => ({
+        ...flower,
+        soldCount: soldCounts.get(flower.id) || 0,
+        searchScore: searchScores?.get(flower.id) || 0
+      }))
+      .sort(FLOWER_SORTS[query.sort])
+      .map(({ soldCount, searchScore, ...flower }) => withImageSrcsets(flower));
+
+    if (!query.paginated) {
+      return res.json(flowers);
+    }
+
+    const offset = (query.page - 1) * query.limit;
+    res.json({
+      items: flowers.slice(offset, offset + query.limit),
+      total: flowers.length,
+      page: query.page,
+      limit: query.limit,
+      hasMore: offset + query.limit < flowers.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/flowers/bulk-stock", async (req, res, next) => {
+  try {
+    let change;
+    try {
+      change = normalizeBulkStockPayload(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await readData();
+    const taggedIds = change.tag
+      ? new Set(
+          (data.flowerTags || [])
+            .filter((link) => link.tagSlug === change.tag)
+            .map((link) => link.flowerId)
+        )
+      : null;
+    const flowers = data.flowers
+      .filter(
+        (flower) =>
+          !flower.archivedAt &&
+          (!change.occasion || flower.occasion === change.occasion) &&
+          (!taggedIds || taggedIds.has(flower.id)) &&
+          (!change.ids || change.ids.includes(flower.id))
+      )
+      .sort((a, b) => a.name.localeCompare(b.name));
+    if (change.ids && !change.occasion && !change.tag) {
+      const missing = change.ids.find((id) => !flowers.some((flower) => flower.id === id));
+      if (missing) {
+        return res.status(404).json({ message: `flower not found: ${missing}` });
+      }
+    }
+
+    const results = flowers.map((flower) => planStockChange(flower, change));
+    const updates = results.filter((result) => result.status === "updated");
+    if (!change.dryRun && updates.length > 0) {
+      for (const result of updates) {
+        data.flowers.find((flower) => flower.id === result.flowerId).stock = result.stock;
+        recordStockMovement(data, {
+          flowerId: result.flowerId,
+          delta: result.stock - result.previousStock,
+          reason: change.reason,
+          note: change.note
+        });
+      }
+      await writeData(data);
+    }
+
+    res.json({ dryRun: change.dryRun, updated: updates.length, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/flowers/suggest", async (req, res, next) => {
+  try {
+    const query = String(req.query.q || "").trim();
+    const limit = Number(req.query.limit || DEFAULT_SUGGESTIONS);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+      return res.status(400).json({ message: `limit must be between 1 and ${MAX_SUGGESTIONS}` });
+    }
+    if (query.length < 2) {
+      return res.json([]);
+    }
+
+    const data = await readData();
+    const flowers = withFlowerTags(data, data.flowers.filter(isLiveFlower));
+    const scores = searchFlowers(flowers, query);
+    res.json(
+      flowers
+        .filter((flower) => scores.has(flower.id))
+        .sort((a, b) => scores.get(b.id) - scores.get(a.id) || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map((flower) => ({
+          id: flower.id,
+          name: flower.name,
+          occasion: flower.occasion,
+          price: Number(flower.price)
+        }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/flowers", async (req, res, next) => {
+  try {
+    let flower;
+    let tags;
+    try {
+      ({ tags, ...flower } = normalizeFlowerCreatePayload(req.body));
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await readData();
+    const unknownOccasion = findUnknownOccasion(data, flower.occasion);
+    if (unknownOccasion) {
+      return res.status(400).json({ message: unknownOccasion });
+    }
+
+    data.flowers.push(flower);
+    recordStockMovement(data, {
+      flowerId: flower.id,
+      delta: Number(flower.stock || 0),
+      reason: "restock",
+      note: "initial stock"
+    });
+    setFlowerTags(data, flower.id, tags);
+    await writeData(data);
+
+    res.status(201).json(withImageSrcsets(withFlowerTags(data, [flower])[0]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch("/api/flowers", async (req, res, next) => {
+  try {
+    const flowerId = String(req.query.id || "").trim();
+    if (!flowerId) {
+      return res.status(400).json({ message: "id query param is required" });
+    }
+
+    let updates;
+    let tags;
+    let stockChange;
+    try {
+      ({ tags, ...updates } = normalizeFlowerPatchPayload(req.body));
+      stockChange = normalizeStockChange(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await readData();
+    const index = data.flowers.findIndex((flower) => flower.id === flowerId);
+    if (index === -1) {
+      return res.status(404).json({ message: "flower not found" });
+    }
+
+    const restoresWithCurrentOccasion = updates.archivedAt === null && !updates.occasion;
+    const unknownOccasion = findUnknownOccasion(
+      data,
+      restoresWithCurrentOccasion ? data.flowers[index].occasion : updates.occasion
+    );
+    if (unknownOccasion) {
+      return res.status(400).json({ message: unknownOccasion });
+    }
+
+    const current = withFlowerDefaults(data.flowers[index]);
+    try {
+      assertPublishWindow({ ...current, ...updates });
+      if (updates.stock !== undefined) {
+        assertStockChangeDirection(stockChange.reason, updates.stock - Number(current.stock || 0));
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    const setsVariantTotals =
+      !updates.variants && (updates.price !== undefined || updates.stock !== undefined);
+    if (setsVariantTotals && current.variants.length > 0) {
+      return res.status(409).json({ message: VARIANT_TOTALS_MESSAGE });
+    }
+    const setsPrimaryImage =
+      !updates.images &&
+      ["image", "imageFocusX", "imageFocusY"].some((field) => updates[field] !== undefined);
+    if (setsPrimaryImage) {
+      updates.images = withPrimaryImage(current.images, updates);
+      Object.assign(updates, primaryImageFields(updates.images));
+    }
+
+    data.flowers[index] = {
+      ...current,
+      ...updates
+    };
+    if (updates.stock !== undefined) {
+      recordStockMovement(data, {
+        flowerId,
+        delta: updates.stock - Number(current.stock || 0),
+        ...stockChange
+      });
+    }
+    if (tags) {
+      setFlowerTags(data, flowerId, tags);
+    }
+    await writeData(data);
+
+    return res.json(withImageSrcsets(withFlowerTags(data, [data.flowers[index]])[0]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/api/flowers", async (req, res, next) => {
+  try {
+    const flowerId = String(req.query.id || "").trim();
+    if (!flowerId) {
+      return res.status(400).json({ message: "id query param is required" });
+    }
+
+    const data = await readData();
+    const flowerIndex = data.flowers.findIndex((flower) => flower.id === flowerId);
+    if (flowerIndex === -1) {
+      return res.status(404).json({ message: "flower not found" });
+    }
+
+    data.flowers[flowerIndex].archivedAt = new Date().toISOString();
+    await writeData(data);
+    return res.status(200).json({
+      ok: true,
+      archived: withFlowerDefaults(data.flowers[flowerIndex])
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/delivery-slots", async (req, res, next) => {
+  try {
+    const today = getShopNow().date;
+    const from = String(req.query.from || today).trim();
+    const to = String(req.query.to || "").trim();
+    if (!isValidDate(from) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: "from and to must be YYYY-MM-DD dates" });
+    }
+
+    const data = await readData();
+    const now = getShopNow();
+    const includePast = req.query.all === "1";
+    const slots = (data.deliverySlots || [])
+      .filter((slot) => slot.date >= from && (!to || slot.date <= to))
+      .filter((slot) => includePast || !isSlotPast(slot, now))
+      .map((slot) => withSlotAvailability(slot, now))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+    res.json(slots);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/delivery-slots", async (req, res, next) => {
+  try {
+    let payload;
+    try {
+      payload = normalizeSlotPayload(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (payload.startTime >= payload.endTime) {
+      return res.status(400).json({ message: "startTime must be before endTime" });
+    }
+
+    const data = await readData();
+    data.deliverySlots = data.deliverySlots || [];
+    const exists = data.deliverySlots.some(
+      (slot) => slot.date === payload.date && slot.startTime === payload.startTime
+    );
+    if (exists) {
+      return res
+        .status(409)
+        .json({ message: "a slot with this date and start time already exists" });
+    }
+
+    const slot = { id: nanoid(10), ...payload, booked: 0 };
+    data.deliverySlots.push(slot);
+    await writeData(data);
+    res.status(201).json(withSlotAvailability(slot));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch("/api/delivery-slots", async (req, res, next) => {
+  try {
+    const slotId = String(req.query.id || "").trim();
+    if (!slotId) {
+      return res.status(400).json({ message: "id query param is required" });
+    }
+
+    let updates;
+    try {
+      updates = normalizeSlotPayload(req.body, { partial: true });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await readData();
+    const slots = data.deliverySlots || [];
+    const index = slots.findIndex((slot) => slot.id === slotId);
+    if (index === -1) {
+      return res.status(404).json({ message: "delivery slot not found" });
+    }
+
+    const updated = { ...slots[index], ...updates };
+    if (updated.startTime >= updated.endTime) {
+      return res.status(400).json({ message: "startTime must be before endTime" });
+    }
+    if (updated.capacity < Number(updated.booked || 0)) {
+      return res.status(409).json({
+        message: `capacity cannot be lower than the ${updated.booked} orders already booked`
+      });
+    }
+    const clash = slots.some(
+      (slot) => slot.id !== slotId && slot.date === updated.date && slot.startTime === updated.startTime
+    );
+    if (clash) {
+      return res
+        .status(409)
+        .json({ message: "a slot with this date and start time already exists" });
+    }
+
+    slots[index] = updated;
+    await writeData(data);
+    res.json(withSlotAvailability(updated));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/api/delivery-slots", async (req, res, next) => {
+  try {
+    const slotId = String(req.query.id || "").trim();
+    if (!slotId) {
+      return res.status(400).json({ message: "id query param is required" });
+    }
+
+    const data = await readData();
+    const slots = data.deliverySlots || [];
+    const index = slots.findIndex((slot) => slot.id === slotId);
+    if (index === -1) {
+      return res.status(404).json({ message: "delivery slot not found" });
+    }
+    if (Number(slots[index].booked || 0) > 0) {
+      return res.status(409).json({ message: "slot has booked orders and cannot be removed" });
+    }
+
+    const [removed] = slots.splice(index, 1);
+    await writeData(data);
+    res.json({ ok: true, removed: withSlotAvailability(removed) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/stock-movements", async (req, res, next) => {
+  try {
+    const data = await readData();
+    const flowerId = String(req.query.flowerId || "").trim();
+    if (!flowerId) {
+      const reconciliation = reconcileStock(data, data.flowers);
+      return res.json(
+        req.query.mismatched === "1"
+          ? reconciliation.filter((entry) => entry.difference !== 0)
+          : reconciliation
+      );
+    }
+
+    const limit = Number(req.query.limit || DEFAULT_MOVEMENT_LIMIT);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MOVEMENT_LIMIT) {
+      return res.status(400).json({ message: `limit must be between 1 and ${MAX_MOVEMENT_LIMIT}` });
+    }
+
+    const flower = data.flowers.find((entry) => entry.id === flowerId);
+    if (!flower) {
+      return res.status(404).json({ message: "flower not found" });
+    }
+
+    const [reconciliation] = reconcileStock(data, [flower]);
+    const movements = (data.stockMovements || [])
+      .filter((movement) => movement.flowerId === flowerId)
+      .reverse()
+      .slice(0, limit);
+    res.json({ ...reconciliation, movements });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/api/tags", async (req, res, next) => {
+  try {
+    const data = await readData();
+    const tags = [...(data.tags || [])].sort((a, b) => a.label.localeCompare(b.label));
+    res.json(req.query.curated === "1" ? tags.filter((tag) => tag.curated) : tags);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/tags", async (req, res, next) => {
+  try {
+    let tag;
+    try {
+      tag = normalizeTagLabel(req.body?.label);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await readData();
+    data.tags = data.tags || [];
+    let saved = data.tags.find((entry) => entry.slug === tag.slug);
+    if (saved) {
+      Object.assign(saved, { label: tag.label, curated: true });
+    } else {
+      saved = { ...tag, curated: true, createdAt: new Date().toISOString() };
+      data.tags.push(saved);
+    }
+    await writeData(data);
+    res.status(201).json(saved);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch("/api/tags", async (req, res, next) => {
+  try {
+    const slug = slugifyTag(req.query.slug);
+    if (!slug) {
+      return res.status(400).json({ message: "slug query param is required" });
     }
 
-    const reply = extractOpenAiText(payload);
-    if (!reply) {
-      throw new Error("empty OpenAI response");
+    const updates = {};
+    try {
+      if (req.body?.label !== undefined) {
+        updates.label = normalizeTagLabel(req.body.label).label;
+      }
+      if (req.body?.curated !== undefined) {
+        if (typeof req.body.curated !== "boolean") {
+          throw new Error("curated must be true or false");
+        }
+        updates.curated = req.body.curated;
+      }
+      if (Object.keys(updates).length === 0) {
+        throw new Error("no valid fields to update");
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
     }
 
-    return reply;
-  } finally {
-    clearTimeout(timeout);
+    const data = await readData();
+    const tag = (data.tags || []).find((entry) => entry.slug === slug);
+    if (!tag) {
+      return res.status(404).json({ message: "tag not found" });
+    }
+
+    Object.assign(tag, updates);
+    await writeData(data);
+    res.json(tag);
+  } catch (error) {
+    next(error);
   }
-}
+});
 
-async function generateChatReply({ message, history, flowers }) {
+app.delete("/api/tags", async (req, res, next) => {
   try {
-    const openAiReply = await requestOpenAiChatReply({
-      message,
-      history,
-      flowers
-    });
-    if (openAiReply) {
-      return {
-        reply: openAiReply,
-        source: "openai"
-      };
+    const slug = slugifyTag(req.query.slug);
+    const data = await readData();
+    const tags = data.tags || [];
+    const index = tags.findIndex((entry) => entry.slug === slug);
+    if (index === -1) {
+      return res.status(404).json({ message: "tag not found" });
     }
+
+    const [removed] = tags.splice(index, 1);
+    data.flowerTags = (data.flowerTags || []).filter((link) => link.tagSlug !== slug);
+    await writeData(data);
+    res.json({ ok: true, removed });
   } catch (error) {
-    console.error("OpenAI chat fallback:", error.message);
+    next(error);
   }
+});
 
-  return {
-    reply: buildLocalChatReply(message, flowers),
-    source: "local"
-  };
-}
-
-app.get("/api/health", (_req, res) => {
-  res.json({
-    status: "ok",
-    service: "flower-shop-api",
-    timestamp: new Date().toISOString()
-  });
+app.get("/api/categories", async (req, res, next) => {
+  try {
+    const data = await readData();
+    const categories = sortCategories(getCategories(data));
+    res.json(
+      req.query.all === "1"
+        ? categories
+        : categories.filter((category) => category.visible !== false)
+    );
+  } catch (error) {
+    next(error);
+  }
 });
 
-app.post("/api/chat", async (req, res, next) => {
+app.post("/api/categories", async (req, res, next) => {
   try {
     let payload;
     try {
-      payload = normalizeChatPayload(req.body);
+      payload = normalizeCategoryPayload(req.body);
     } catch (error) {
       return res.status(400).json({ message: error.message });
     }
 
     const data = await readData();
-    const flowers = Array.isArray(data?.flowers) ? data.flowers : [];
-    const result = await generateChatReply({
-      message: payload.message,
-      history: payload.history,
-      flowers
-    });
+    const categories = getCategories(data);
+    if (categories.some((category) => category.slug === payload.slug)) {
+      return res.status(409).json({ message: `category ${payload.slug} already exists` });
+    }
 
-    return res.status(200).json({
-      reply: result.reply,
-      source: result.source,
-      timestamp: new Date().toISOString()
-    });
+    const category = { ...payload, createdAt: new Date().toISOString() };
+    categories.push(category);
+    await writeData(data);
+    res.status(201).json(category);
   } catch (error) {
     next(error);
   }
 });
 
-app.get("/api/settings", async (_req, res, next) => {
+app.patch("/api/categories", async (req, res, next) => {
   try {
+    const slug = String(req.query.slug || "").trim().toLowerCase();
+    if (!slug) {
+      return res.status(400).json({ message: "slug query param is required" });
+    }
+
+    let updates;
+    try {
+      updates = normalizeCategoryPayload(req.body, { partial: true });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
     const data = await readData();
-    const settings = normalizeSiteSettings(data);
-    res.json(settings);
+    const categories = getCategories(data);
+    const index = categories.findIndex((category) => category.slug === slug);
+    if (index === -1) {
+      return res.status(404).json({ message: "category not found" });
+    }
+
+    categories[index] = { ...categories[index], ...updates };
+    await writeData(data);
+    res.json(categories[index]);
   } catch (error) {
     next(error);
   }
 });
 
-app.patch("/api/settings", async (req, res, next) => {
+app.delete("/api/categories", async (req, res, next) => {
   try {
-    const heroImage = String(req.body?.heroImage || "").trim();
-    if (!heroImage || !isValidImageUrl(heroImage)) {
-      return res.status(400).json({ message: "heroImage must be a valid http/https URL" });
+    const slug = String(req.query.slug || "").trim().toLowerCase();
+    const data = await readData();
+    const flowerCount = data.flowers.filter(
+      (flower) => flower.occasion === slug && !flower.archivedAt
+    ).length;
+    if (flowerCount > 0) {
+      return res.status(409).json({
+        message: `category ${slug} is used by ${flowerCount} flower(s); move them first or hide it`
+      });
     }
 
-    const data = await readData();
-    data.settings = {
-      heroImage,
-      updatedAt: new Date().toISOString()
-    };
+    const categories = getCategories(data);
+    const index = categories.findIndex((category) => category.slug === slug);
+    if (index === -1) {
+      return res.status(404).json({ message: "category not found" });
+    }
+
+    const [removed] = categories.splice(index, 1);
     await writeData(data);
-    return res.json(data.settings);
+    res.json({ ok: true, removed });
   } catch (error) {
     next(error);
   }
 });
 
-app.get("/api/flowers", async (req, res, next) => {
+app.get("/api/delivery-zones", async (req, res, next) => {
   try {
-    const { search = "", occasion = "all", maxPrice } = req.query;
-    const normalizedSearch = String(search).toLowerCase().trim();
-    const normalizedOccasion = String(occasion).toLowerCase().trim();
-    const parsedMaxPrice = maxPrice !== undefined ? Number(maxPrice) : null;
-
     const data = await readData();
-
-    const flowers = data.flowers
-      .filter((flower) => {
-        const searchMatch =
-          !normalizedSearch ||
-          flower.name.toLowerCase().includes(normalizedSearch) ||
-          flower.description.toLowerCase().includes(normalizedSearch);
-        const occasionMatch =
-          normalizedOccasion === "all" ||
-          flower.occasion.toLowerCase() === normalizedOccasion;
-        const priceMatch =
-          parsedMaxPrice === null ||
-          Number.isNaN(parsedMaxPrice) ||
-          flower.price <= parsedMaxPrice;
-        return searchMatch && occasionMatch && priceMatch;
-      })
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    res.json(flowers);
+    const zones = data.deliveryZones || [];
+    res.json(req.query.all === "1" ? zones : zones.filter((zone) => zone.available !== false));
   } catch (error) {
     next(error);
   }
 });
 
-app.post("/api/flowers", async (req, res, next) => {
+app.post("/api/delivery-zones", async (req, res, next) => {
   try {
-    let flower;
+    let payload;
     try {
-      flower = normalizeFlowerCreatePayload(req.body);
+      payload = normalizeZonePayload(req.body);
     } catch (error) {
       return res.status(400).json({ message: error.message });
     }
 
     const data = await readData();
-    data.flowers.push(flower);
-    await writeData(data);
+    data.deliveryZones = data.deliveryZones || [];
+    const zone = { id: nanoid(10), ...payload };
+    const conflict = findZoneConflict(zone, data.deliveryZones);
+    if (conflict) {
+      return res.status(conflict.status).json({ message: conflict.message });
+    }
 
-    res.status(201).json(flower);
+    data.deliveryZones.push(zone);
+    await writeData(data);
+    res.status(201).json(zone);
   } catch (error) {
     next(error);
   }
 });
 
-app.patch("/api/flowers", async (req, res, next) => {
+app.patch("/api/delivery-zones", async (req, res, next) => {
   try {
-    const flowerId = String(req.query.id || "").trim();
-    if (!flowerId) {
+    const zoneId = String(req.query.id || "").trim();
+    if (!zoneId) {
       return res.status(400).json({ message: "id query param is required" });
     }
 
     let updates;
     try {
-      updates = normalizeFlowerPatchPayload(req.body);
+      updates = normalizeZonePayload(req.body, { partial: true });
     } catch (error) {
       return res.status(400).json({ message: error.message });
     }
 
     const data = await readData();
-    const index = data.flowers.findIndex((flower) => flower.id === flowerId);
+    const zones = data.deliveryZones || [];
+    const index = zones.findIndex((zone) => zone.id === zoneId);
     if (index === -1) {
-      return res.status(404).json({ message: "flower not found" });
+      return res.status(404).json({ message: "delivery zone not found" });
     }
 
-    data.flowers[index] = {
-      ...data.flowers[index],
-      ...updates
-    };
+    const updated = { ...zones[index], ...updates };
+    const conflict = findZoneConflict(updated, zones);
+    if (conflict) {
+      return res.status(conflict.status).json({ message: conflict.message });
+    }
+
+    zones[index] = updated;
+    await writeData(data);
+    res.json(updated);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/api/delivery-zones", async (req, res, next) => {
+  try {
+    const zoneId = String(req.query.id || "").trim();
+    const data = await readData();
+    const zones = data.deliveryZones || [];
+    const index = zones.findIndex((zone) => zone.id === zoneId);
+    if (index === -1) {
+      return res.status(404).json({ message: "delivery zone not found" });
+    }
+
+    const [removed] = zones.splice(index, 1);
     await writeData(data);
+    res.json({ ok: true, removed });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    return res.json(data.flowers[index]);
+app.get("/api/promo-codes", async (_req, res, next) => {
+  try {
+    const data = await readData();
+    const promos = [...(data.promoCodes || [])].sort((a, b) =>
+      String(b.createdAt).localeCompare(String(a.createdAt))
+    );
+    res.json(promos);
   } catch (error) {
     next(error);
   }
 });
 
-app.delete("/api/flowers", async (req, res, next) => {
+app.post("/api/promo-codes", async (req, res, next) => {
   try {
-    const flowerId = String(req.query.id || "").trim();
-    if (!flowerId) {
+    const data = await readData();
+    data.promoCodes = data.promoCodes || [];
+
+    if (req.query.action === "preview") {
+      let items;
+      try {
+        items = normalizeCartItems(Array.isArray(req.body?.items) ? req.body.items : []);
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      if (!String(req.body?.code || "").trim() || items.length === 0) {
+        return res.status(400).json({ message: "code and at least one cart item are required" });
+      }
+
+      const flowerMap = new Map(data.flowers.map((flower) => [flower.id, flower]));
+      try {
+        const { promo, discount } = applyPromoCodeInData(data, req.body.code, {
+          email: String(req.body?.email || "").trim().toLowerCase(),
+          lines: priceCartItems(items, flowerMap).map((item) => ({
+            flowerId: item.flowerId,
+            occasion: flowerMap.get(item.flowerId).occasion,
+            lineTotal: item.lineTotal
+          })),
+          deliveryFee: 0
+        });
+        return res.json({
+          code: promo.code,
+          type: promo.type,
+          discount,
+          freeDelivery: promo.type === "free_delivery"
+        });
+      } catch (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+      }
+    }
+
+    let payload;
+    try {
+      payload = normalizePromoPayload(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (data.promoCodes.some((entry) => entry.code === payload.code)) {
+      return res.status(409).json({ message: `promo code ${payload.code} already exists` });
+    }
+
+    const promo = {
+      id: nanoid(10),
+      ...payload,
+      usedCount: 0,
+      createdAt: new Date().toISOString()
+    };
+    data.promoCodes.push(promo);
+    await writeData(data);
+    res.status(201).json(promo);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.patch("/api/promo-codes", async (req, res, next) => {
+  try {
+    const promoId = String(req.query.id || "").trim();
+    if (!promoId) {
       return res.status(400).json({ message: "id query param is required" });
     }
 
     const data = await readData();
-    const flowerIndex = data.flowers.findIndex((flower) => flower.id === flowerId);
-    if (flowerIndex === -1) {
-      return res.status(404).json({ message: "flower not found" });
+    const promos = data.promoCodes || [];
+    const index = promos.findIndex((entry) => entry.id === promoId);
+    if (index === -1) {
+      return res.status(404).json({ message: "promo code not found" });
+    }
+
+    let updates;
+    try {
+      updates = normalizePromoPayload(req.body, { partial: true, current: promos[index] });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const clash = promos.some((entry) => entry.id !== promoId && entry.code === updates.code);
+    if (updates.code && clash) {
+      return res.status(409).json({ message: `promo code ${updates.code} already exists` });
+    }
+
+    promos[index] = { ...promos[index], ...updates };
+    await writeData(data);
+    res.json(promos[index]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/api/promo-codes", async (req, res, next) => {
+  try {
+    const promoId = String(req.query.id || "").trim();
+    const data = await readData();
+    const promos = data.promoCodes || [];
+    const index = promos.findIndex((entry) => entry.id === promoId);
+    if (index === -1) {
+      return res.status(404).json({ message: "promo code not found" });
     }
 
-    const [removedFlower] = data.flowers.splice(flowerIndex, 1);
+    const [removed] = promos.splice(index, 1);
     await writeData(data);
-    return res.status(200).json({ ok: true, removed: removedFlower });
+    res.json({ ok: true, removed });
   } catch (error) {
     next(error);
   }
 });
 
-app.get("/api/orders", async (_req, res, next) => {
+app.get("/api/orders", async (req, res, next) => {
   try {
+    const deliveryDate = String(req.query.deliveryDate || "").trim();
+    if (deliveryDate && !isValidDate(deliveryDate)) {
+      return res.status(400).json({ message: "deliveryDate must be a YYYY-MM-DD date" });
+    }
+
     const data = await readData();
     const orders = [...data.orders]
       .map((order) => normalizeLegacyOrder(order))
+      .filter((order) => !deliveryDate || order.deliveryDate === deliveryDate)
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     res.json(orders);
   } catch (error) {
@@ -716,54 +3240,125 @@ app.post("/api/orders", async (req, res, next) => {
     }
 
     const data = await readData();
-    const flowerMap = new Map(data.flowers.map((flower) => [flower.id, flower]));
+    const currencySettings = normalizeCurrencySettings(data);
+    const orderCurrency = currencySettings.currencies.find(
+      (entry) => entry.code === (payload.currency || BASE_CURRENCY)
+    );
+    if (!orderCurrency) {
+      const codes = currencySettings.currencies.map((entry) => entry.code).join(", ");
+      return res.status(400).json({ message: `currency must be one of: ${codes}` });
+    }
+    const exchangeRate = orderCurrency.code === BASE_CURRENCY ? 1 : Number(orderCurrency.rate);
 
-    const normalizedItems = [];
+    const zone = matchDeliveryZone(data.deliveryZones || [], payload.customer);
+    if (!zone) {
+      return res.status(422).json({ message: "we do not deliver to this address yet" });
+    }
+    if (zone.available === false) {
+      return res
+        .status(422)
+        .json({ message: `delivery to ${zone.name} is currently unavailable` });
+    }
 
-    for (const item of payload.items) {
-      const flower = flowerMap.get(item.flowerId);
-      if (!flower) {
-        return res.status(404).json({ message: `flower not found: ${item.flowerId}` });
-      }
+    const slot = (data.deliverySlots || []).find((entry) => entry.id === payload.deliverySlotId);
+    if (!slot) {
+      return res.status(404).json({ message: "delivery slot not found" });
+    }
+    if (isSlotPast(slot)) {
+      return res
+        .status(409)
+        .json({ message: "delivery slot has already started, choose a later slot" });
+    }
+    if (Number(slot.booked || 0) >= Number(slot.capacity || 0)) {
+      return res.status(409).json({ message: "delivery slot is full, choose another slot" });
+    }
 
-      if (flower.stock < item.quantity) {
-        return res.status(409).json({
-          message: `insufficient stock for ${flower.name}`,
-          available: flower.stock
+    const flowerMap = new Map(data.flowers.map((flower) => [flower.id, flower]));
+
+    let normalizedItems;
+    try {
+      normalizedItems = priceCartItems(payload.items, flowerMap);
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+
+    const subtotal = Number(
+      normalizedItems.reduce((sum, item) => sum + item.lineTotal, 0).toFixed(2)
+    );
+    const deliveryFee = calculateDeliveryFee(zone, subtotal);
+
+    let promotion = null;
+    if (payload.promoCode) {
+      try {
+        promotion = applyPromoCodeInData(data, payload.promoCode, {
+          email: payload.customer.email,
+          lines: normalizedItems.map((item) => ({
+            ...item,
+            occasion: flowerMap.get(item.flowerId).occasion
+          })),
+          deliveryFee
         });
+      } catch (error) {
+        return res.status(error.status || 400).json({ message: error.message });
       }
-
-      normalizedItems.push({
-        flowerId: flower.id,
-        name: flower.name,
-        unitPrice: flower.price,
-        quantity: item.quantity,
-        lineTotal: Number((flower.price * item.quantity).toFixed(2))
-      });
     }
+    const discount = promotion ? promotion.discount : 0;
+    const total = roundMoney(subtotal + deliveryFee - discount);
 
+    const orderId = nanoid(12);
     for (const item of normalizedItems) {
       const flower = flowerMap.get(item.flowerId);
-      flower.stock -= item.quantity;
+      const before = Number(flower.stock || 0);
+      adjustItemStock(flower, item, -1);
+      recordStockMovement(data, {
+        flowerId: flower.id,
+        delta: flower.stock - before,
+        reason: "sale",
+        orderId
+      });
+    }
+    slot.booked = Number(slot.booked || 0) + 1;
+    if (promotion) {
+      promotion.promo.usedCount = Number(promotion.promo.usedCount || 0) + 1;
     }
 
-    const total = Number(
-      normalizedItems.reduce((sum, item) => sum + item.lineTotal, 0).toFixed(2)
-    );
-
+    const createdAt = new Date().toISOString();
     const order = {
-      id: nanoid(12),
+      id: orderId,
       customer: payload.customer,
+      recipient: payload.recipient,
+      giftMessage: payload.giftMessage,
+      sendAnonymously: payload.sendAnonymously,
       paymentMethod: payload.paymentMethod,
       paymentStatus: payload.paymentStatus,
+      deliverySlotId: slot.id,
+      deliveryDate: slot.date,
+      deliveryWindow: `${slot.startTime}-${slot.endTime}`,
+      deliveryZoneId: zone.id,
+      deliveryZoneName: zone.name,
+      fulfilmentStatus: "confirmed",
+      fulfilmentHistory: [{ status: "confirmed", at: createdAt, by: null }],
       items: normalizedItems,
+      subtotal,
+      deliveryFee,
+      promoCode: promotion ? promotion.promo.code : null,
+      discount,
       total,
-      createdAt: new Date().toISOString()
+      currency: orderCurrency.code,
+      exchangeRate,
+      convertedTotals: {
+        subtotal: roundMoney(subtotal * exchangeRate),
+        deliveryFee: roundMoney(deliveryFee * exchangeRate),
+        discount: roundMoney(discount * exchangeRate),
+        total: roundMoney(total * exchangeRate)
+      },
+      createdAt
     };
 
     data.orders.push(order);
     await writeData(data);
-    res.status(201).json(order);
+    const { recipient, ...visibleOrder } = order;
+    res.status(201).json(visibleOrder);
   } catch (error) {
     next(error);
   }
@@ -776,8 +3371,27 @@ app.patch("/api/orders", async (req, res, next) => {
       return res.status(400).json({ message: "id query param is required" });
     }
 
+    const hasFulfilmentStatus = Object.prototype.hasOwnProperty.call(
+      req.body || {},
+      "fulfilmentStatus"
+    );
+    const fulfilmentStatus = normalizeFulfilmentStatus(req.body?.fulfilmentStatus);
     const paymentStatus = normalizePaymentStatus(req.body?.paymentStatus);
-    if (!paymentStatus) {
+    const isRefund = req.query.action === "refund";
+    const isCancel = req.query.action === "cancel" || fulfilmentStatus === "cancelled";
+    const reason = String(req.body?.reason || "").trim();
+    const needsReason = isCancel || isRefund;
+    if (needsReason && (reason.length < 3 || reason.length > REASON_MAX_LENGTH)) {
+      return res.status(400).json({
+        message: `reason must be between 3 and ${REASON_MAX_LENGTH} characters`
+      });
+    }
+    if (!isCancel && !isRefund && hasFulfilmentStatus && !fulfilmentStatus) {
+      return res.status(400).json({
+        message: `fulfilmentStatus must be one of: ${[...ALLOWED_FULFILMENT_STATUSES].join(", ")}`
+      });
+    }
+    if (!isCancel && !isRefund && !hasFulfilmentStatus && !paymentStatus) {
       return res.status(400).json({ message: "paymentStatus must be pending, paid, or failed" });
     }
 
@@ -787,11 +3401,51 @@ app.patch("/api/orders", async (req, res, next) => {
       return res.status(404).json({ message: "order not found" });
     }
 
+    if (isRefund) {
+      try {
+        const refunded = refundOrderInData(data, index, { amount: req.body?.amount, reason });
+        await writeData(data);
+        return res.status(201).json(refunded);
+      } catch (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+      }
+    }
+
+    if (isCancel) {
+      try {
+        const cancelled = cancelOrderInData(data, index, reason);
+        await writeData(data);
+        return res.json(cancelled);
+      } catch (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+      }
+    }
+
     const normalized = normalizeLegacyOrder(data.orders[index]);
-    data.orders[index] = {
-      ...normalized,
-      paymentStatus
-    };
+    if (hasFulfilmentStatus) {
+      if (normalized.fulfilmentStatus === fulfilmentStatus) {
+        return res.status(409).json({ message: `order is already ${fulfilmentStatus}` });
+      }
+      if (!FULFILMENT_TRANSITIONS[normalized.fulfilmentStatus].includes(fulfilmentStatus)) {
+        return res.status(409).json({
+          message: `cannot move order from ${normalized.fulfilmentStatus} to ${fulfilmentStatus}`
+        });
+      }
+
+      data.orders[index] = {
+        ...normalized,
+        fulfilmentStatus,
+        fulfilmentHistory: [
+          ...normalized.fulfilmentHistory,
+          { status: fulfilmentStatus, at: new Date().toISOString(), by: null }
+        ]
+      };
+    } else {
+      data.orders[index] = normalizeLegacyOrder({
+        ...normalized,
+        paymentStatus
+      });
+    }
 
     await writeData(data);
     return res.json(data.orders[index]);
@@ -802,6 +3456,21 @@ app.patch("/api/orders", async (req, res, next) => {
 
 if (hasClientBuild) {
   app.use(express.static(clientDistPath));
+  app.get("/flowers/:id", async (req, res, next) => {
+    try {
+      const html = await fs.promises.readFile(clientIndexPath, "utf8");
+      const data = await readData();
+      const flower = data.flowers.find((entry) => entry.id === req.params.id);
+      if (!flower || !isLiveFlower(flower)) {
+        return res.status(404).type("html").send(html);
+      }
+
+      const image = withFlowerDefaults(flower).images[0]?.url;
+      res.type("html").send(renderFlowerPage(html, { ...flower, image }));
+    } catch (error) {
+      next(error);
+    }
+  });
   app.get("*", (req, res, next) => {
     if (req.path.startsWith("/api")) {
       return next();
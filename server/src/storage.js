@@ -0,0 +1,41 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const uploadDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "../uploads"));
+const derivativeDir = path.join(uploadDir, "derivatives");
+
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export const localDiskDriver = {
+  async put({ name, buffer, origin }) {
+    await fs.mkdir(uploadDir, { recursive: true });
+    await fs.writeFile(path.join(uploadDir, name), buffer, { flag: "wx" });
+    return `${origin}/uploads/${name}`;
+  }
+};
+
+export function readUpload(name) {
+  return readOptionalFile(path.join(uploadDir, path.basename(name)));
+}
+
+export function readDerivative(key) {
+  return readOptionalFile(path.join(derivativeDir, key));
+}
+
+export async function writeDerivative(key, buffer) {
+  await fs.mkdir(derivativeDir, { recursive: true });
+  await fs.writeFile(path.join(derivativeDir, key), buffer);
+}
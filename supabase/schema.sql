@@ -8,18 +8,91 @@ create table if not exists flowers (
   image_focus_x numeric(5, 2) not null default 50 check (image_focus_x >= 0 and image_focus_x <= 100),
   image_focus_y numeric(5, 2) not null default 50 check (image_focus_y >= 0 and image_focus_y <= 100),
   stock integer not null default 0 check (stock >= 0),
+  images jsonb not null default '[]'::jsonb,
+  variants jsonb not null default '[]'::jsonb,
+  add_ons jsonb not null default '[]'::jsonb,
   created_at timestamptz not null default now()
 );
 
+create table if not exists delivery_slots (
+  id text primary key,
+  delivery_date date not null,
+  start_time time not null,
+  end_time time not null,
+  capacity integer not null check (capacity > 0),
+  booked integer not null default 0 check (booked >= 0 and booked <= capacity),
+  created_at timestamptz not null default now(),
+  unique (delivery_date, start_time),
+  check (start_time < end_time)
+);
+
+create table if not exists delivery_zones (
+  id text primary key,
+  name text not null,
+  cities text[] not null default '{}',
+  postcodes text[] not null default '{}',
+  fee numeric(10, 2) not null default 0 check (fee >= 0),
+  free_delivery_threshold numeric(10, 2) check (free_delivery_threshold > 0),
+  available boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists promo_codes (
+  id text primary key,
+  code text not null unique,
+  type text not null check (type in ('percentage', 'fixed', 'free_delivery')),
+  value numeric(10, 2) not null default 0 check (value >= 0),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  max_uses integer check (max_uses > 0),
+  per_customer_limit integer check (per_customer_limit > 0),
+  occasions text[] not null default '{}',
+  flower_ids text[] not null default '{}',
+  used_count integer not null default 0 check (used_count >= 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (starts_at is null or ends_at is null or starts_at < ends_at)
+);
+
 create table if not exists orders (
   id text primary key,
+  user_id text,
   customer_name text not null,
   customer_email text not null,
   customer_phone text not null default '',
   customer_address text not null,
-  payment_method text not null default 'cash' check (payment_method in ('cash', 'paypal')),
+  customer_city text not null default '',
+  customer_postcode text,
+  recipient_name text,
+  recipient_phone text,
+  recipient_address text,
+  gift_message text check (char_length(gift_message) <= 250),
+  send_anonymously boolean not null default false,
+  payment_method text not null default 'cash',
   payment_status text not null default 'pending' check (payment_status in ('pending', 'paid', 'failed')),
+  payment_reference text,
+  delivery_slot_id text,
+  delivery_date date,
+  delivery_window text,
+  delivery_zone_id text,
+  delivery_zone_name text,
+  fulfilment_status text not null default 'confirmed' check (
+    fulfilment_status in ('confirmed', 'preparing', 'out-for-delivery', 'delivered', 'cancelled')
+  ),
+  fulfilment_history jsonb not null default '[]'::jsonb,
+  cancellation_reason text,
+  cancelled_at timestamptz,
+  subtotal numeric(10, 2) check (subtotal >= 0),
+  delivery_fee numeric(10, 2) not null default 0 check (delivery_fee >= 0),
+  promo_code text,
+  discount numeric(10, 2) not null default 0 check (discount >= 0),
   total numeric(10, 2) not null check (total >= 0),
+  currency text not null default 'USD',
+  exchange_rate numeric(16, 6) not null default 1 check (exchange_rate > 0),
+  converted_subtotal numeric(14, 2),
+  converted_delivery_fee numeric(14, 2),
+  converted_discount numeric(14, 2),
+  converted_total numeric(14, 2),
   created_at timestamptz not null default now()
 );
 
@@ -29,21 +102,127 @@ alter table if exists orders
   add column if not exists payment_method text not null default 'cash';
 alter table if exists orders
   add column if not exists payment_status text not null default 'pending';
+alter table if exists orders
+  add column if not exists user_id text;
+alter table if exists orders
+  add column if not exists fulfilment_status text not null default 'confirmed';
+alter table if exists orders
+  add column if not exists fulfilment_history jsonb not null default '[]'::jsonb;
+alter table if exists orders
+  add column if not exists cancellation_reason text;
+alter table if exists orders
+  add column if not exists cancelled_at timestamptz;
+alter table if exists orders
+  add column if not exists payment_reference text;
+alter table if exists orders
+  add column if not exists delivery_slot_id text;
+alter table if exists orders
+  add column if not exists delivery_date date;
+alter table if exists orders
+  add column if not exists delivery_window text;
+alter table if exists orders
+  add column if not exists customer_city text not null default '';
+alter table if exists orders
+  add column if not exists customer_postcode text;
+alter table if exists orders
+  add column if not exists recipient_name text;
+alter table if exists orders
+  add column if not exists recipient_phone text;
+alter table if exists orders
+  add column if not exists recipient_address text;
+alter table if exists orders
+  add column if not exists gift_message text;
+alter table if exists orders
+  add column if not exists send_anonymously boolean not null default false;
+alter table if exists orders
+  add column if not exists delivery_zone_id text;
+alter table if exists orders
+  add column if not exists delivery_zone_name text;
+alter table if exists orders
+  add column if not exists subtotal numeric(10, 2);
+alter table if exists orders
+  add column if not exists delivery_fee numeric(10, 2) not null default 0;
+alter table if exists orders
+  add column if not exists promo_code text;
+alter table if exists orders
+  add column if not exists discount numeric(10, 2) not null default 0;
+alter table if exists orders
+  add column if not exists currency text not null default 'USD';
+alter table if exists orders
+  add column if not exists exchange_rate numeric(16, 6) not null default 1;
+alter table if exists orders
+  add column if not exists converted_subtotal numeric(14, 2);
+alter table if exists orders
+  add column if not exists converted_delivery_fee numeric(14, 2);
+alter table if exists orders
+  add column if not exists converted_discount numeric(14, 2);
+alter table if exists orders
+  add column if not exists converted_total numeric(14, 2);
+alter table if exists orders
+  drop constraint if exists orders_payment_method_check;
 alter table if exists flowers
   add column if not exists image_focus_x numeric(5, 2) not null default 50;
 alter table if exists flowers
   add column if not exists image_focus_y numeric(5, 2) not null default 50;
+alter table if exists flowers
+  add column if not exists images jsonb not null default '[]'::jsonb;
+alter table if exists flowers
+  add column if not exists variants jsonb not null default '[]'::jsonb;
+alter table if exists flowers
+  add column if not exists add_ons jsonb not null default '[]'::jsonb;
+alter table if exists flowers
+  add column if not exists sold_count integer not null default 0;
+alter table if exists flowers
+  add column if not exists archived_at timestamptz;
+alter table if exists flowers
+  add column if not exists status text not null default 'published'
+    check (status in ('draft', 'published'));
+alter table if exists flowers
+  add column if not exists publish_at timestamptz;
+alter table if exists flowers
+  add column if not exists unpublish_at timestamptz;
+
+create extension if not exists pg_trgm;
+
+alter table if exists flowers
+  add column if not exists search_vector tsvector generated always as (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', replace(coalesce(occasion, ''), '-', ' ')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) stored;
 
 create table if not exists order_items (
   id bigint generated by default as identity primary key,
   order_id text not null references orders(id) on delete cascade,
   flower_id text not null,
   name text not null,
+  variant_id text,
+  variant_name text,
+  add_ons jsonb not null default '[]'::jsonb,
   unit_price numeric(10, 2) not null check (unit_price >= 0),
   quantity integer not null check (quantity > 0),
   line_total numeric(10, 2) not null check (line_total >= 0)
 );
 
+alter table if exists order_items
+  add column if not exists variant_id text;
+alter table if exists order_items
+  add column if not exists variant_name text;
+alter table if exists order_items
+  add column if not exists add_ons jsonb not null default '[]'::jsonb;
+
+create table if not exists order_refunds (
+  id text primary key,
+  order_id text not null references orders(id) on delete cascade,
+  amount numeric(10, 2) not null check (amount > 0),
+  reason text not null,
+  issued_by text,
+  provider text not null,
+  provider_reference text,
+  status text not null default 'pending' check (status in ('pending', 'completed', 'failed')),
+  created_at timestamptz not null default now()
+);
+
 create table if not exists users (
   id text primary key,
   name text not null,
@@ -66,9 +245,522 @@ create table if not exists site_settings (
   updated_at timestamptz not null default now()
 );
 
+create table if not exists currency_settings (
+  id text primary key,
+  currencies jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+insert into currency_settings (id, currencies)
+values (
+  'main',
+  '[
+    {"code": "USD", "label": "USD ($)", "locale": "en-US", "rate": 1},
+    {"code": "MAD", "label": "MAD (DH)", "locale": "fr-MA", "rate": 10}
+  ]'::jsonb
+)
+on conflict (id) do nothing;
+
+create table if not exists categories (
+  slug text primary key check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  label text not null,
+  icon text not null default '',
+  sort_order integer not null default 0 check (sort_order >= 0),
+  visible boolean not null default true,
+  keywords text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+insert into categories (slug, label, icon, sort_order, keywords)
+values
+  ('romance', 'Romance', 'R', 10, '{romantic,love,anniversary,valentine}'),
+  ('birthday', 'Birthday', 'B', 20, '{bday}'),
+  ('wedding', 'Wedding', 'W', 30, '{bridal,bride}'),
+  ('thank-you', 'Thank You', 'T', 40, '{thank,gratitude,appreciation}'),
+  ('general', 'General', 'G', 50, '{"any occasion",everyday}')
+on conflict (slug) do nothing;
+
+create table if not exists tags (
+  slug text primary key check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  label text not null,
+  curated boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists flower_tags (
+  flower_id text not null references flowers (id) on delete cascade,
+  tag_slug text not null references tags (slug) on delete cascade,
+  position integer not null default 0,
+  primary key (flower_id, tag_slug)
+);
+
+create table if not exists stock_movements (
+  id bigint generated by default as identity primary key,
+  flower_id text not null references flowers (id) on delete cascade,
+  delta integer not null check (delta <> 0),
+  reason text not null check (
+    reason in ('sale', 'restock', 'adjustment', 'cancellation', 'spoilage')
+  ),
+  actor text,
+  order_id text references orders (id) on delete set null,
+  note text not null default '',
+  created_at timestamptz not null default now()
+);
+
+insert into stock_movements (flower_id, delta, reason, note, created_at)
+  select flowers.id, flowers.stock, 'restock', 'opening balance', flowers.created_at
+  from flowers
+  where flowers.stock > 0
+    and not exists (
+      select 1 from stock_movements where stock_movements.flower_id = flowers.id
+    );
+
+create or replace view stock_reconciliation as
+  select
+    flowers.id as flower_id,
+    flowers.name,
+    flowers.stock,
+    coalesce(sum(stock_movements.delta), 0)::integer as ledger_stock,
+    count(stock_movements.id)::integer as movement_count
+  from flowers
+  left join stock_movements on stock_movements.flower_id = flowers.id
+  group by flowers.id;
+
+update flowers
+  set sold_count = coalesce((
+    select sum(order_items.quantity)
+    from order_items
+    join orders on orders.id = order_items.order_id
+    where order_items.flower_id = flowers.id
+      and orders.fulfilment_status <> 'cancelled'
+  ), 0);
+
 create index if not exists idx_flowers_created_at on flowers (created_at desc);
+create index if not exists idx_flowers_occasion on flowers (occasion);
+create index if not exists idx_flowers_price on flowers (price);
+create index if not exists idx_flowers_sold_count on flowers (sold_count desc);
+create index if not exists idx_flowers_archived_at on flowers (archived_at);
+create index if not exists idx_flowers_publish_window on flowers (status, publish_at, unpublish_at);
+create index if not exists idx_flowers_search_vector on flowers using gin (search_vector);
+create index if not exists idx_flowers_name_trgm on flowers using gin (name gin_trgm_ops);
+create index if not exists idx_flower_tags_tag_slug on flower_tags (tag_slug);
+create index if not exists idx_stock_movements_flower_id
+  on stock_movements (flower_id, created_at desc);
 create index if not exists idx_orders_created_at on orders (created_at desc);
+create index if not exists idx_orders_fulfilment_status on orders (fulfilment_status);
+create index if not exists idx_orders_user_id on orders (user_id, created_at desc);
+create index if not exists idx_orders_delivery_date on orders (delivery_date, created_at desc);
+create index if not exists idx_orders_promo_code on orders (promo_code, user_id);
+create index if not exists idx_delivery_slots_date on delivery_slots (delivery_date, start_time);
 create index if not exists idx_order_items_order_id on order_items (order_id);
+create index if not exists idx_order_refunds_order_id on order_refunds (order_id, created_at);
 create index if not exists idx_users_email on users (email);
 create index if not exists idx_notifications_created_at on notifications (created_at desc);
 create index if not exists idx_site_settings_updated_at on site_settings (updated_at desc);
+
+create or replace function adjust_flower_options(p_options jsonb, p_ids text[], p_delta integer)
+returns jsonb
+language sql
+immutable
+as $$
+  select coalesce(
+    jsonb_agg(
+      case
+        when option.value->>'id' = any(p_ids) then jsonb_set(
+          option.value,
+          '{stock}',
+          to_jsonb(greatest(coalesce((option.value->>'stock')::integer, 0) + p_delta, 0))
+        )
+        else option.value
+      end
+      order by option.position
+    ),
+    '[]'::jsonb
+  )
+  from jsonb_array_elements(coalesce(p_options, '[]'::jsonb))
+    with ordinality as option(value, position);
+$$;
+
+create or replace function create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_item jsonb;
+  v_flower flowers%rowtype;
+  v_order orders%rowtype;
+  v_slot delivery_slots%rowtype;
+  v_promo promo_codes%rowtype;
+  v_option jsonb;
+  v_add_on_ids text[];
+begin
+  select * into v_slot from delivery_slots where id = p_order->>'delivery_slot_id' for update;
+  if not found then
+    raise exception using errcode = 'PT404', message = 'delivery slot not found';
+  end if;
+
+  if v_slot.booked >= v_slot.capacity then
+    raise exception using errcode = 'PT409', message = 'delivery slot is full, choose another slot';
+  end if;
+
+  update delivery_slots set booked = booked + 1 where id = v_slot.id;
+
+  if p_order->>'promo_code' is not null then
+    select * into v_promo from promo_codes where code = p_order->>'promo_code' for update;
+    if not found then
+      raise exception using errcode = 'PT404', message = 'promo code is not valid';
+    end if;
+
+    if v_promo.max_uses is not null and v_promo.used_count >= v_promo.max_uses then
+      raise exception using errcode = 'PT409', message = 'promo code has reached its usage limit';
+    end if;
+
+    if v_promo.per_customer_limit is not null and p_order->>'user_id' is not null and (
+      select count(*) from orders
+      where promo_code = v_promo.code
+        and user_id = p_order->>'user_id'
+        and fulfilment_status <> 'cancelled'
+    ) >= v_promo.per_customer_limit then
+      raise exception using errcode = 'PT409', message = 'you have already used this promo code';
+    end if;
+
+    update promo_codes set used_count = used_count + 1 where id = v_promo.id;
+  end if;
+
+  for v_item in
+    select value from jsonb_array_elements(p_items) order by value->>'flower_id'
+  loop
+    select * into v_flower from flowers where id = v_item->>'flower_id' for update;
+    if not found then
+      raise exception using
+        errcode = 'PT404',
+        message = format('flower not found: %s', v_item->>'flower_id');
+    end if;
+
+    if v_flower.status = 'draft' or v_flower.publish_at > now() then
+      raise exception using
+        errcode = 'PT409',
+        message = format('%s is not available yet', v_flower.name);
+    end if;
+
+    if v_flower.archived_at is not null or v_flower.unpublish_at <= now() then
+      raise exception using
+        errcode = 'PT409',
+        message = format('%s is no longer available', v_flower.name);
+    end if;
+
+    if v_flower.stock < (v_item->>'quantity')::integer then
+      raise exception using
+        errcode = 'PT409',
+        message = format('insufficient stock for %s', v_flower.name);
+    end if;
+
+    if v_item->>'variant_id' is not null then
+      select value into v_option
+        from jsonb_array_elements(v_flower.variants)
+        where value->>'id' = v_item->>'variant_id';
+      if v_option is null then
+        raise exception using
+          errcode = 'PT404',
+          message = format('variant not found: %s', v_item->>'variant_id');
+      end if;
+
+      if (v_option->>'stock')::integer < (v_item->>'quantity')::integer then
+        raise exception using
+          errcode = 'PT409',
+          message = format('insufficient stock for %s (%s)', v_flower.name, v_option->>'name');
+      end if;
+    end if;
+
+    select coalesce(array_agg(add_on->>'id'), '{}') into v_add_on_ids
+      from jsonb_array_elements(coalesce(v_item->'add_ons', '[]'::jsonb)) add_on;
+
+    for v_option in
+      select value from jsonb_array_elements(v_flower.add_ons)
+      where value->>'id' = any(v_add_on_ids)
+    loop
+      if (v_option->>'stock')::integer < (v_item->>'quantity')::integer then
+        raise exception using
+          errcode = 'PT409',
+          message = format('insufficient stock for %s', v_option->>'name');
+      end if;
+    end loop;
+
+    if (
+      select count(*) from jsonb_array_elements(v_flower.add_ons)
+      where value->>'id' = any(v_add_on_ids)
+    ) < cardinality(v_add_on_ids) then
+      raise exception using errcode = 'PT404', message = 'add-on not found';
+    end if;
+
+    update flowers
+      set stock = stock - (v_item->>'quantity')::integer,
+        sold_count = sold_count + (v_item->>'quantity')::integer,
+        variants = adjust_flower_options(
+          variants,
+          array[v_item->>'variant_id'],
+          -(v_item->>'quantity')::integer
+        ),
+        add_ons = adjust_flower_options(
+          add_ons,
+          v_add_on_ids,
+          -(v_item->>'quantity')::integer
+        )
+      where id = v_flower.id;
+  end loop;
+
+  insert into orders
+    select * from jsonb_populate_record(null::orders, p_order)
+    returning * into v_order;
+
+  insert into order_items (
+    order_id, flower_id, name, variant_id, variant_name, add_ons, unit_price, quantity, line_total
+  )
+    select
+      v_order.id,
+      item.flower_id,
+      item.name,
+      item.variant_id,
+      item.variant_name,
+      coalesce(item.add_ons, '[]'::jsonb),
+      item.unit_price,
+      item.quantity,
+      item.line_total
+    from jsonb_to_recordset(p_items)
+      as item(
+        flower_id text,
+        name text,
+        variant_id text,
+        variant_name text,
+        add_ons jsonb,
+        unit_price numeric,
+        quantity integer,
+        line_total numeric
+      );
+
+  insert into stock_movements (flower_id, delta, reason, actor, order_id, created_at)
+    select
+      item.flower_id,
+      -item.quantity,
+      'sale',
+      v_order.fulfilment_history->0->>'by',
+      v_order.id,
+      v_order.created_at
+    from jsonb_to_recordset(p_items) as item(flower_id text, quantity integer);
+
+  return jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'items', (
+      select coalesce(jsonb_agg(to_jsonb(order_item) order by order_item.id), '[]'::jsonb)
+      from order_items order_item
+      where order_item.order_id = v_order.id
+    )
+  );
+end;
+$$;
+
+create or replace function cancel_order(
+  p_order_id text,
+  p_reason text,
+  p_actor text,
+  p_from_statuses text[]
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order orders%rowtype;
+  v_item order_items%rowtype;
+  v_now timestamptz := now();
+begin
+  select * into v_order from orders where id = p_order_id for update;
+  if not found then
+    raise exception using errcode = 'PT404', message = 'order not found';
+  end if;
+
+  if v_order.fulfilment_status <> 'cancelled' then
+    if not (v_order.fulfilment_status = any(p_from_statuses)) then
+      raise exception using
+        errcode = 'PT409',
+        message = format('order can no longer be cancelled (%s)', v_order.fulfilment_status);
+    end if;
+
+    for v_item in
+      select * from order_items where order_id = p_order_id order by flower_id, id
+    loop
+      update flowers
+        set stock = stock + v_item.quantity,
+          sold_count = greatest(sold_count - v_item.quantity, 0),
+          variants = adjust_flower_options(variants, array[v_item.variant_id], v_item.quantity),
+          add_ons = adjust_flower_options(
+            add_ons,
+            array(select add_on->>'id' from jsonb_array_elements(v_item.add_ons) add_on),
+            v_item.quantity
+          )
+        where id = v_item.flower_id;
+
+      if found then
+        insert into stock_movements (flower_id, delta, reason, actor, order_id, created_at)
+          values (v_item.flower_id, v_item.quantity, 'cancellation', p_actor, p_order_id, v_now);
+      end if;
+    end loop;
+
+    update delivery_slots
+      set booked = greatest(booked - 1, 0)
+      where id = v_order.delivery_slot_id;
+
+    update promo_codes
+      set used_count = greatest(used_count - 1, 0)
+      where code = v_order.promo_code;
+
+    update orders
+      set fulfilment_status = 'cancelled',
+        fulfilment_history = fulfilment_history || jsonb_build_array(
+          jsonb_build_object('status', 'cancelled', 'at', v_now, 'by', p_actor)
+        ),
+        cancellation_reason = p_reason,
+        cancelled_at = v_now
+      where id = p_order_id
+      returning * into v_order;
+  end if;
+
+  return jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'items', (
+      select coalesce(jsonb_agg(to_jsonb(order_item) order by order_item.id), '[]'::jsonb)
+      from order_items order_item
+      where order_item.order_id = v_order.id
+    ),
+    'refunds', (
+      select coalesce(jsonb_agg(to_jsonb(refund) order by refund.created_at), '[]'::jsonb)
+      from order_refunds refund
+      where refund.order_id = v_order.id
+    )
+  );
+end;
+$$;
+
+create or replace function apply_stock_levels(
+  p_changes jsonb,
+  p_reason text,
+  p_note text,
+  p_actor text
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_change record;
+  v_flower flowers%rowtype;
+begin
+  for v_change in
+    select * from jsonb_to_recordset(p_changes)
+      as change(flower_id text, previous_stock integer, stock integer)
+    order by change.flower_id
+  loop
+    select * into v_flower from flowers where id = v_change.flower_id for update;
+    if not found then
+      raise exception using
+        errcode = 'PT404',
+        message = format('flower not found: %s', v_change.flower_id);
+    end if;
+
+    if v_flower.stock <> v_change.previous_stock then
+      raise exception using
+        errcode = 'PT409',
+        message = format('stock for %s changed, reload and try again', v_flower.name);
+    end if;
+
+    update flowers set stock = v_change.stock where id = v_flower.id;
+
+    insert into stock_movements (flower_id, delta, reason, actor, note)
+      values (
+        v_flower.id,
+        v_change.stock - v_change.previous_stock,
+        p_reason,
+        p_actor,
+        coalesce(p_note, '')
+      );
+  end loop;
+end;
+$$;
+
+create or replace function reserve_order_refund(p_refund jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order orders%rowtype;
+  v_reserved numeric(10, 2);
+  v_refund order_refunds%rowtype;
+begin
+  select * into v_order from orders where id = p_refund->>'order_id' for update;
+  if not found then
+    raise exception using errcode = 'PT404', message = 'order not found';
+  end if;
+
+  if v_order.payment_status <> 'paid' then
+    raise exception using errcode = 'PT409', message = 'only paid orders can be refunded';
+  end if;
+
+  select coalesce(sum(amount), 0) into v_reserved
+    from order_refunds
+    where order_id = v_order.id and status <> 'failed';
+
+  if v_reserved + (p_refund->>'amount')::numeric > v_order.total then
+    raise exception using
+      errcode = 'PT409',
+      message = format('refund exceeds the refundable amount of %s', v_order.total - v_reserved);
+  end if;
+
+  insert into order_refunds
+    select * from jsonb_populate_record(null::order_refunds, p_refund)
+    returning * into v_refund;
+
+  return to_jsonb(v_refund);
+end;
+$$;
+
+create or replace function search_flowers(p_query text, p_prefix boolean default false)
+returns table (flower_id text, rank real)
+language sql
+stable
+as $$
+  with search_query as (
+    select case
+      when p_prefix then (
+        select to_tsquery('english', string_agg(quote_literal(word) || ':*', ' & '))
+        from regexp_split_to_table(lower(trim(p_query)), '[^[:alnum:]]+') as word
+        where word <> ''
+      )
+      else websearch_to_tsquery('english', p_query)
+    end as ts
+  ),
+  documents as (
+    select
+      flowers.id,
+      flowers.name,
+      flowers.search_vector || setweight(
+        to_tsvector('english', coalesce(string_agg(tags.label, ' '), '')),
+        'B'
+      ) as vector
+    from flowers
+    left join flower_tags on flower_tags.flower_id = flowers.id
+    left join tags on tags.slug = flower_tags.tag_slug
+    group by flowers.id
+  )
+  select
+    documents.id,
+    (
+      coalesce(ts_rank(documents.vector, search_query.ts), 0) +
+      word_similarity(p_query, documents.name)
+    )::real
+  from documents, search_query
+  where documents.vector @@ search_query.ts or word_similarity(p_query, documents.name) >= 0.4
+  order by 2 desc
+  limit 200;
+$$;
+
+insert into storage.buckets (id, name, public)
+values ('flower-images', 'flower-images', true)
+on conflict (id) do nothing;
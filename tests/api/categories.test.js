@@ -0,0 +1,218 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const categoriesHandler = require("../../api/categories");
+const chatHandler = require("../../api/chat");
+const flowersHandler = require("../../api/flowers");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function createCategory(body) {
+  return invoke(categoriesHandler, {
+    method: "POST",
+    url: "/api/categories",
+    role: "admin",
+    body
+  });
+}
+
+function createFlower(body) {
+  return invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { price: 30, stock: 5, ...body }
+  });
+}
+
+test("admins manage categories and flowers are validated against them", async () => {
+  resetStore();
+
+  const seeded = await invoke(categoriesHandler, { url: "/api/categories", role: null });
+  assert.deepEqual(
+    seeded.body.map((category) => category.slug),
+    ["romance", "birthday", "wedding", "thank-you", "general"]
+  );
+
+  const unknown = await createFlower({ name: "Lily Tribute", occasion: "sympathy" });
+  assert.equal(unknown.statusCode, 400);
+  assert.match(unknown.body.message, /not a known category/);
+
+  const forbidden = await invoke(categoriesHandler, {
+    method: "POST",
+    url: "/api/categories",
+    role: "customer",
+    body: { slug: "sympathy", label: "Sympathy" }
+  });
+  assert.equal(forbidden.statusCode, 403);
+
+  const badSlug = await createCategory({ slug: "Mother's Day", label: "Mother's Day" });
+  assert.equal(badSlug.statusCode, 400);
+
+  const sympathy = await createCategory({
+    slug: "sympathy",
+    label: "Sympathy",
+    sortOrder: 15,
+    keywords: "condolence, funeral"
+  });
+  assert.equal(sympathy.statusCode, 201);
+  assert.equal(sympathy.body.icon, "S");
+  assert.deepEqual(sympathy.body.keywords, ["condolence", "funeral"]);
+
+  const duplicate = await createCategory({ slug: "sympathy", label: "Again" });
+  assert.equal(duplicate.statusCode, 409);
+
+  const mothersDay = await createCategory({
+    slug: "mothers-day",
+    label: "Mother's Day",
+    icon: "M",
+    sortOrder: 5,
+    visible: false
+  });
+  assert.equal(mothersDay.statusCode, 201);
+
+  const listed = await invoke(categoriesHandler, { url: "/api/categories", role: null });
+  assert.deepEqual(
+    listed.body.map((category) => category.slug).slice(0, 3),
+    ["romance", "sympathy", "birthday"]
+  );
+  assert.equal(listed.body.some((category) => category.slug === "mothers-day"), false);
+
+  const adminList = await invoke(categoriesHandler, {
+    url: "/api/categories?all=1",
+    role: "admin"
+  });
+  assert.equal(adminList.body[0].slug, "mothers-day");
+
+  const tribute = await createFlower({ name: "Lily Tribute", occasion: "sympathy" });
+  assert.equal(tribute.statusCode, 201);
+
+  const hiddenFlower = await createFlower({ name: "Mum Roses", occasion: "mothers-day" });
+  assert.equal(hiddenFlower.statusCode, 201);
+
+  const moved = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${tribute.body.id}`,
+    role: "admin",
+    body: { occasion: "graduation" }
+  });
+  assert.equal(moved.statusCode, 400);
+
+  const renamed = await invoke(categoriesHandler, {
+    method: "PATCH",
+    url: "/api/categories?slug=mothers-day",
+    role: "admin",
+    body: { label: "Mothers Day", visible: true }
+  });
+  assert.equal(renamed.statusCode, 200);
+  assert.equal(renamed.body.visible, true);
+
+  const slugChange = await invoke(categoriesHandler, {
+    method: "PATCH",
+    url: "/api/categories?slug=mothers-day",
+    role: "admin",
+    body: { slug: "mums" }
+  });
+  assert.equal(slugChange.statusCode, 400);
+
+  const inUse = await invoke(categoriesHandler, {
+    method: "DELETE",
+    url: "/api/categories?slug=sympathy",
+    role: "admin"
+  });
+  assert.equal(inUse.statusCode, 409);
+
+  await invoke(flowersHandler, {
+    method: "DELETE",
+    url: `/api/flowers?id=${tribute.body.id}`,
+    role: "admin"
+  });
+  const removed = await invoke(categoriesHandler, {
+    method: "DELETE",
+    url: "/api/categories?slug=sympathy",
+    role: "admin"
+  });
+  assert.equal(removed.statusCode, 200);
+  assert.equal(removed.body.removed.slug, "sympathy");
+});
+
+test("the local chat assistant recommends flowers from admin categories", async () => {
+  resetStore();
+
+  await createCategory({ slug: "sympathy", label: "Sympathy", keywords: ["condolence"] });
+  await createFlower({ name: "Peace Lily Tribute", occasion: "sympathy" });
+
+  const reply = await invoke(chatHandler, {
+    method: "POST",
+    url: "/api/chat",
+    role: null,
+    body: { message: "Any bouquet for condolences?" }
+  });
+  assert.equal(reply.statusCode, 200);
+  assert.match(reply.body.reply, /For sympathy I recommend Peace Lily Tribute/);
+});
@@ -0,0 +1,258 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+process.env.DELIVERY_TIME_ZONE = "UTC";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const slotsHandler = require("../../api/delivery-slots");
+const ordersHandler = require("../../api/orders");
+const { addDays, getShopNow } = require("../../api/_delivery");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 0,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
+}
+
+function placeOrder(deliverySlotId) {
+  return invoke(ordersHandler, {
+    method: "POST",
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId,
+      items: [{ flowerId: "rose-red", quantity: 1 }]
+    }
+  });
+}
+
+test("admins manage delivery slots and customers only see upcoming ones", async () => {
+  const store = resetStore();
+  const tomorrow = addDays(getShopNow().date, 1);
+  const url = "/api/delivery-slots";
+
+  const forbidden = await invoke(slotsHandler, {
+    method: "POST",
+    url,
+    body: { date: tomorrow, startTime: "09:00", endTime: "12:00", capacity: 2 }
+  });
+  assert.equal(forbidden.statusCode, 403);
+
+  const invalid = await invoke(slotsHandler, {
+    method: "POST",
+    url,
+    role: "admin",
+    body: { date: tomorrow, startTime: "12:00", endTime: "09:00", capacity: 2 }
+  });
+  assert.equal(invalid.statusCode, 400);
+
+  const created = await invoke(slotsHandler, {
+    method: "POST",
+    url,
+    role: "admin",
+    body: { date: tomorrow, startTime: "09:00", endTime: "12:00", capacity: 2 }
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.remaining, 2);
+  assert.equal(created.body.available, true);
+
+  const duplicate = await invoke(slotsHandler, {
+    method: "POST",
+    url,
+    role: "admin",
+    body: { date: tomorrow, startTime: "09:00", endTime: "11:00", capacity: 1 }
+  });
+  assert.equal(duplicate.statusCode, 409);
+
+  store.deliverySlots.push({
+    id: "slot-past",
+    date: addDays(getShopNow().date, -1),
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 5,
+    booked: 0
+  });
+
+  const from = addDays(getShopNow().date, -1);
+  const publicList = await invoke(slotsHandler, { url: `${url}?from=${from}`, role: null });
+  assert.equal(publicList.statusCode, 200);
+  assert.deepEqual(
+    publicList.body.map((slot) => slot.id),
+    [created.body.id]
+  );
+
+  const adminList = await invoke(slotsHandler, { url: `${url}?from=${from}&all=1`, role: "admin" });
+  assert.equal(adminList.body.length, 2);
+
+  const updated = await invoke(slotsHandler, {
+    method: "PATCH",
+    url: `${url}?id=${created.body.id}`,
+    role: "admin",
+    body: { capacity: 3 }
+  });
+  assert.equal(updated.statusCode, 200);
+  assert.equal(updated.body.capacity, 3);
+
+  const removed = await invoke(slotsHandler, {
+    method: "DELETE",
+    url: `${url}?id=${created.body.id}`,
+    role: "admin"
+  });
+  assert.equal(removed.statusCode, 200);
+  assert.equal(store.deliverySlots.length, 1);
+});
+
+test("POST /api/orders requires an open delivery slot and books it", async () => {
+  const store = resetStore();
+  const tomorrow = addDays(getShopNow().date, 1);
+  store.deliverySlots.push(
+    { id: "slot-open", date: tomorrow, startTime: "09:00", endTime: "12:00", capacity: 1, booked: 0 },
+    {
+      id: "slot-past",
+      date: addDays(getShopNow().date, -1),
+      startTime: "09:00",
+      endTime: "12:00",
+      capacity: 5,
+      booked: 0
+    }
+  );
+
+  const missing = await placeOrder(undefined);
+  assert.equal(missing.statusCode, 400);
+  assert.match(missing.body.message, /deliverySlotId/);
+
+  const unknown = await placeOrder("slot-unknown");
+  assert.equal(unknown.statusCode, 404);
+
+  const past = await placeOrder("slot-past");
+  assert.equal(past.statusCode, 409);
+  assert.match(past.body.message, /already started/);
+
+  const booked = await placeOrder("slot-open");
+  assert.equal(booked.statusCode, 201);
+  assert.equal(booked.body.deliveryDate, tomorrow);
+  assert.equal(booked.body.deliveryWindow, "09:00-12:00");
+
+  const full = await placeOrder("slot-open");
+  assert.equal(full.statusCode, 409);
+  assert.match(full.body.message, /full/);
+  assert.equal(store.orders.length, 1);
+
+  const lowered = await invoke(slotsHandler, {
+    method: "PATCH",
+    url: "/api/delivery-slots?id=slot-open",
+    role: "admin",
+    body: { capacity: 1, startTime: "08:00" }
+  });
+  assert.equal(lowered.statusCode, 200);
+
+  const locked = await invoke(slotsHandler, {
+    method: "DELETE",
+    url: "/api/delivery-slots?id=slot-open",
+    role: "admin"
+  });
+  assert.equal(locked.statusCode, 409);
+});
+
+test("GET /api/orders filters by delivery day for admins", async () => {
+  const store = resetStore();
+  const first = addDays(getShopNow().date, 1);
+  const second = addDays(getShopNow().date, 2);
+  store.deliverySlots.push(
+    { id: "slot-a", date: first, startTime: "09:00", endTime: "12:00", capacity: 5, booked: 0 },
+    { id: "slot-b", date: second, startTime: "09:00", endTime: "12:00", capacity: 5, booked: 0 }
+  );
+
+  await placeOrder("slot-a");
+  await placeOrder("slot-b");
+  await placeOrder("slot-b");
+
+  const filtered = await invoke(ordersHandler, {
+    url: `/api/orders?deliveryDate=${second}`,
+    role: "admin"
+  });
+  assert.equal(filtered.statusCode, 200);
+  assert.equal(filtered.body.length, 2);
+  assert.ok(filtered.body.every((order) => order.deliveryDate === second));
+
+  const invalid = await invoke(ordersHandler, {
+    url: "/api/orders?deliveryDate=tomorrow",
+    role: "admin"
+  });
+  assert.equal(invalid.statusCode, 400);
+});
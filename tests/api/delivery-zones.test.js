@@ -0,0 +1,199 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const zonesHandler = require("../../api/delivery-zones");
+const ordersHandler = require("../../api/orders");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  return store;
+}
+
+function placeOrder(address, quantity = 1) {
+  return invoke(ordersHandler, {
+    method: "POST",
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        ...address
+      },
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity }]
+    }
+  });
+}
+
+function createZone(body) {
+  return invoke(zonesHandler, { method: "POST", url: "/api/delivery-zones", role: "admin", body });
+}
+
+test("admins manage delivery zones without overlapping areas", async () => {
+  resetStore();
+
+  const forbidden = await invoke(zonesHandler, {
+    method: "POST",
+    url: "/api/delivery-zones",
+    body: { name: "Downtown", cities: ["Denver"], fee: 5 }
+  });
+  assert.equal(forbidden.statusCode, 403);
+
+  const empty = await createZone({ name: "Nowhere", cities: [], postcodes: [], fee: 5 });
+  assert.equal(empty.statusCode, 400);
+
+  const created = await createZone({
+    name: "Downtown",
+    cities: "Denver, Aurora ",
+    postcodes: ["80 202"],
+    fee: 7.5,
+    freeDeliveryThreshold: 80
+  });
+  assert.equal(created.statusCode, 201);
+  assert.deepEqual(created.body.cities, ["denver", "aurora"]);
+  assert.deepEqual(created.body.postcodes, ["80202"]);
+  assert.equal(created.body.available, true);
+
+  const overlap = await createZone({ name: "Metro", cities: ["aurora", "Boulder"], fee: 9 });
+  assert.equal(overlap.statusCode, 409);
+
+  const paused = await createZone({ name: "Mountains", cities: ["Boulder"], fee: 12, available: false });
+  assert.equal(paused.statusCode, 201);
+
+  const publicList = await invoke(zonesHandler, { url: "/api/delivery-zones", role: null });
+  assert.deepEqual(
+    publicList.body.map((zone) => zone.name),
+    ["Downtown"]
+  );
+
+  const adminList = await invoke(zonesHandler, { url: "/api/delivery-zones?all=1", role: "admin" });
+  assert.equal(adminList.body.length, 2);
+
+  const updated = await invoke(zonesHandler, {
+    method: "PATCH",
+    url: `/api/delivery-zones?id=${paused.body.id}`,
+    role: "admin",
+    body: { available: true, freeDeliveryThreshold: "" }
+  });
+  assert.equal(updated.statusCode, 200);
+  assert.equal(updated.body.available, true);
+  assert.equal(updated.body.freeDeliveryThreshold, null);
+
+  const removed = await invoke(zonesHandler, {
+    method: "DELETE",
+    url: `/api/delivery-zones?id=${paused.body.id}`,
+    role: "admin"
+  });
+  assert.equal(removed.statusCode, 200);
+});
+
+test("POST /api/orders charges the zone fee and rejects undeliverable addresses", async () => {
+  const store = resetStore();
+  const price = store.flowers.find((flower) => flower.id === "rose-red").price;
+  await createZone({
+    name: "Downtown",
+    cities: ["Denver"],
+    postcodes: ["80202"],
+    fee: 7.5,
+    freeDeliveryThreshold: 60
+  });
+  await createZone({ name: "Boulder", cities: ["Boulder"], fee: 12, available: false });
+
+  const missingCity = await placeOrder({});
+  assert.equal(missingCity.statusCode, 400);
+  assert.match(missingCity.body.message, /customer\.city/);
+
+  const outside = await placeOrder({ city: "Pueblo" });
+  assert.equal(outside.statusCode, 422);
+
+  const unavailable = await placeOrder({ city: "Boulder" });
+  assert.equal(unavailable.statusCode, 422);
+  assert.match(unavailable.body.message, /Boulder is currently unavailable/);
+
+  const charged = await placeOrder({ city: " denver " });
+  assert.equal(charged.statusCode, 201);
+  assert.equal(charged.body.subtotal, price);
+  assert.equal(charged.body.deliveryFee, 7.5);
+  assert.equal(charged.body.total, Number((price + 7.5).toFixed(2)));
+  assert.equal(charged.body.deliveryZoneName, "Downtown");
+
+  const byPostcode = await placeOrder({ city: "Elsewhere", postcode: "80 202" }, 2);
+  assert.equal(byPostcode.statusCode, 201);
+  assert.equal(byPostcode.body.deliveryFee, 0);
+  assert.equal(byPostcode.body.total, byPostcode.body.subtotal);
+  assert.equal(byPostcode.body.customer.postcode, "80202");
+  assert.equal(store.orders.length, 2);
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const { priceCartItems } = require("../../api/_variants");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function createFlower(body) {
+  return invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { stock: 5, occasion: "general", ...body }
+  });
+}
+
+function listFlowers(query) {
+  return invoke(flowersHandler, { url: `/api/flowers?${query}`, role: null });
+}
+
+test("DELETE /api/flowers archives the flower instead of removing it", async () => {
+  const store = resetStore();
+  const created = await createFlower({ name: "Ranunculus Cloud", price: 42, tags: ["Spring"] });
+  const flowerId = created.body.id;
+
+  const archived = await invoke(flowersHandler, {
+    method: "DELETE",
+    url: `/api/flowers?id=${flowerId}`,
+    role: "admin"
+  });
+  assert.equal(archived.statusCode, 200);
+  assert.equal(typeof archived.body.archived.archivedAt, "string");
+  assert.equal(store.flowers.some((flower) => flower.id === flowerId), true);
+  assert.equal(store.flowerTags.some((link) => link.flowerId === flowerId), true);
+
+  const guestList = await listFlowers("");
+  assert.equal(guestList.body.some((flower) => flower.id === flowerId), false);
+  assert.equal((await listFlowers(`id=${flowerId}`)).statusCode, 404);
+  assert.equal((await listFlowers("archived=1")).statusCode, 401);
+
+  const adminArchived = await invoke(flowersHandler, {
+    url: "/api/flowers?archived=1",
+    role: "admin"
+  });
+  assert.deepEqual(
+    adminArchived.body.map((flower) => flower.name),
+    ["Ranunculus Cloud"]
+  );
+  const adminLookup = await invoke(flowersHandler, {
+    url: `/api/flowers?id=${flowerId}`,
+    role: "admin"
+  });
+  assert.equal(adminLookup.statusCode, 200);
+
+  const restored = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${flowerId}`,
+    role: "admin",
+    body: { archived: false }
+  });
+  assert.equal(restored.statusCode, 200);
+  assert.equal(restored.body.archivedAt, null);
+  assert.deepEqual(restored.body.tags, [{ slug: "spring", label: "Spring" }]);
+  assert.equal((await listFlowers(`id=${flowerId}`)).statusCode, 200);
+});
+
+test("archived flowers cannot be ordered", () => {
+  const flowerMap = new Map([
+    [
+      "retired",
+      { id: "retired", name: "Retired Posy", price: 20, stock: 5, archivedAt: "2026-01-01" }
+    ]
+  ]);
+
+  assert.throws(
+    () => priceCartItems([{ flowerId: "retired", quantity: 1, addOnIds: [] }], flowerMap),
+    (error) => error.status === 409 && error.message === "Retired Posy is no longer available"
+  );
+});
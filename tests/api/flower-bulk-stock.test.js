@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const bulkStockHandler = require("../../api/flowers/bulk-stock");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "POST", url, body, role = "admin" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: { cookie: createSessionHeader(role) }
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function bulkStock(body, role) {
+  return invoke(bulkStockHandler, { url: "/api/flowers/bulk-stock", body, role });
+}
+
+test("POST /api/flowers/bulk-stock previews and then applies a delta in one request", async () => {
+  const store = resetStore();
+  const sized = await invoke(flowersHandler, {
+    url: "/api/flowers",
+    body: {
+      name: "Romance Trio",
+      occasion: "romance",
+      variants: [{ name: "Small", price: 20, stock: 4 }]
+    }
+  });
+  assert.equal(sized.statusCode, 201);
+
+  const preview = await bulkStock({ occasion: "romance", value: 5, dryRun: true });
+  assert.equal(preview.statusCode, 200);
+  assert.equal(preview.body.dryRun, true);
+  assert.equal(preview.body.updated, 1);
+  assert.deepEqual(
+    preview.body.results.map(({ flowerId, previousStock, stock, status }) => ({
+      flowerId,
+      previousStock,
+      stock,
+      status
+    })),
+    [
+      { flowerId: "rose-red", previousStock: 15, stock: 20, status: "updated" },
+      { flowerId: sized.body.id, previousStock: 4, stock: 4, status: "skipped" }
+    ]
+  );
+  assert.equal(store.flowers.find((flower) => flower.id === "rose-red").stock, 15);
+
+  const applied = await bulkStock({ occasion: "romance", value: 5, stockNote: "Monday delivery" });
+  assert.equal(applied.statusCode, 200);
+  assert.equal(applied.body.dryRun, false);
+  assert.equal(store.flowers.find((flower) => flower.id === "rose-red").stock, 20);
+  assert.deepEqual(
+    store.stockMovements
+      .filter((movement) => movement.flowerId === "rose-red")
+      .map(({ delta, reason, actor, note }) => ({ delta, reason, actor, note }))
+      .at(-1),
+    { delta: 5, reason: "restock", actor: "admin@example.com", note: "Monday delivery" }
+  );
+});
+
+test("POST /api/flowers/bulk-stock sets stock for chosen ids and validates input", async () => {
+  const store = resetStore();
+
+  assert.equal((await bulkStock({ occasion: "all", value: 1 }, "customer")).statusCode, 403);
+  assert.equal((await bulkStock({ value: 3 })).statusCode, 400);
+  assert.equal((await bulkStock({ occasion: "all", value: 0 })).statusCode, 400);
+  assert.equal((await bulkStock({ ids: ["nope"], mode: "set", value: 3 })).statusCode, 404);
+
+  const restock = await bulkStock({
+    ids: ["rose-red", "pure-lily"],
+    mode: "set",
+    value: 10,
+    stockReason: "restock"
+  });
+  assert.equal(restock.statusCode, 200);
+  assert.deepEqual(
+    restock.body.results.map(({ flowerId, stock, status }) => ({ flowerId, stock, status })),
+    [
+      { flowerId: "rose-red", stock: 15, status: "skipped" },
+      { flowerId: "pure-lily", stock: 10, status: "updated" }
+    ]
+  );
+  assert.match(restock.body.results[0].message, /restock cannot lower stock/);
+  assert.equal(store.flowers.find((flower) => flower.id === "rose-red").stock, 15);
+  assert.equal(store.flowers.find((flower) => flower.id === "pure-lily").stock, 10);
+});
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function patchFlower(flowerId, body) {
+  return invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${flowerId}`,
+    role: "admin",
+    body
+  });
+}
+
+const FRONT = "https://images.example.com/front.jpg";
+const DETAIL = "https://images.example.com/detail.jpg";
+const VASE = "https://images.example.com/vase.jpg";
+
+test("flowers keep an ordered gallery and mirror the first image", async () => {
+  resetStore();
+
+  const invalid = await invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { name: "Gallery Bouquet", price: 30, images: [{ url: "ftp://example.com/a.jpg" }] }
+  });
+  assert.equal(invalid.statusCode, 400);
+
+  const created = await invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: {
+      name: "Gallery Bouquet",
+      price: 30,
+      images: [
+        { url: FRONT, focusX: 40, focusY: 30, alt: "Bouquet from the front" },
+        { url: DETAIL, alt: "Close-up of the petals" }
+      ]
+    }
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.image, FRONT);
+  assert.equal(created.body.imageFocusX, 40);
+  assert.equal(created.body.images[1].focusX, 50);
+
+  const reordered = await patchFlower(created.body.id, {
+    images: [
+      { url: VASE, alt: "In a vase" },
+      created.body.images[1],
+      created.body.images[0]
+    ]
+  });
+  assert.equal(reordered.statusCode, 200);
+  assert.equal(reordered.body.image, VASE);
+  assert.deepEqual(
+    reordered.body.images.map((image) => image.url),
+    [VASE, DETAIL, FRONT]
+  );
+
+  const refocused = await patchFlower(created.body.id, { imageFocusY: 70 });
+  assert.equal(refocused.statusCode, 200);
+  assert.equal(refocused.body.images[0].focusY, 70);
+  assert.equal(refocused.body.images[0].alt, "In a vase");
+
+  const removed = await patchFlower(created.body.id, { images: [created.body.images[1]] });
+  assert.equal(removed.statusCode, 200);
+  assert.equal(removed.body.image, DETAIL);
+  assert.equal(removed.body.images.length, 1);
+
+  const duplicate = await patchFlower(created.body.id, {
+    images: [{ url: FRONT }, { url: FRONT }]
+  });
+  assert.equal(duplicate.statusCode, 400);
+});
+
+test("legacy flowers expose their single image as the gallery", async () => {
+  resetStore();
+
+  const listed = await invoke(flowersHandler, { url: "/api/flowers", role: null });
+  const rose = listed.body.find((flower) => flower.id === "rose-red");
+  assert.equal(rose.images.length, 1);
+  assert.equal(rose.images[0].url, rose.image);
+  assert.equal(rose.images[0].focusY, rose.imageFocusY);
+
+  const replaced = await patchFlower("rose-red", { image: FRONT });
+  assert.equal(replaced.statusCode, 200);
+  assert.deepEqual(
+    replaced.body.images.map((image) => image.url),
+    [FRONT]
+  );
+
+  const cleared = await patchFlower("rose-red", { image: "" });
+  assert.equal(cleared.statusCode, 200);
+  assert.equal(cleared.body.image, "");
+  assert.deepEqual(cleared.body.images, []);
+});
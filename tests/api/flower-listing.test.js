@@ -0,0 +1,286 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function createFlower(body) {
+  return invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { stock: 5, occasion: "general", ...body }
+  });
+}
+
+function listFlowers(query) {
+  return invoke(flowersHandler, { url: `/api/flowers?${query}`, role: null });
+}
+
+test("GET /api/flowers filters, sorts and paginates the catalog", async () => {
+  const store = resetStore();
+  store.flowers = [];
+
+  const aster = await createFlower({ name: "Aster Posy", price: 12 });
+  const bluebell = await createFlower({ name: "Bluebell Jar", price: 45, stock: 0 });
+  const camellia = await createFlower({ name: "Camellia Box", price: 28, occasion: "romance" });
+  const dahlia = await createFlower({ name: "Dahlia Armful", price: 60 });
+  store.orders.push(
+    { fulfilmentStatus: "delivered", items: [{ flowerId: camellia.body.id, quantity: 4 }] },
+    { fulfilmentStatus: "confirmed", items: [{ flowerId: aster.body.id, quantity: 2 }] },
+    { fulfilmentStatus: "cancelled", items: [{ flowerId: dahlia.body.id, quantity: 9 }] }
+  );
+
+  const names = (response) => response.body.items.map((flower) => flower.name);
+
+  const firstPage = await listFlowers("page=1&limit=3&sort=price-asc");
+  assert.equal(firstPage.statusCode, 200);
+  assert.deepEqual(names(firstPage), ["Aster Posy", "Camellia Box", "Bluebell Jar"]);
+  assert.deepEqual(
+    { total: firstPage.body.total, page: firstPage.body.page, hasMore: firstPage.body.hasMore },
+    { total: 4, page: 1, hasMore: true }
+  );
+
+  const lastPage = await listFlowers("page=2&limit=3&sort=price-asc");
+  assert.deepEqual(names(lastPage), ["Dahlia Armful"]);
+  assert.equal(lastPage.body.hasMore, false);
+
+  const popular = await listFlowers("limit=2&sort=popular");
+  assert.deepEqual(names(popular), ["Camellia Box", "Aster Posy"]);
+
+  const byName = await listFlowers("limit=10&sort=name&inStock=1");
+  assert.deepEqual(names(byName), ["Aster Posy", "Camellia Box", "Dahlia Armful"]);
+
+  const priceRange = await listFlowers("limit=10&sort=price-desc&minPrice=20&maxPrice=50");
+  assert.deepEqual(names(priceRange), ["Bluebell Jar", "Camellia Box"]);
+  assert.equal(priceRange.body.total, 2);
+
+  const romance = await listFlowers("limit=10&occasion=romance&search=box");
+  assert.deepEqual(names(romance), ["Camellia Box"]);
+
+  const unpaginated = await listFlowers("sort=price-desc");
+  assert.equal(Array.isArray(unpaginated.body), true);
+  assert.deepEqual(
+    unpaginated.body.map((flower) => flower.id),
+    [dahlia.body.id, bluebell.body.id, camellia.body.id, aster.body.id]
+  );
+
+  assert.equal((await listFlowers("sort=random")).statusCode, 400);
+  assert.equal((await listFlowers("page=0")).statusCode, 400);
+  assert.equal((await listFlowers("limit=500")).statusCode, 400);
+  assert.equal((await listFlowers("minPrice=50&maxPrice=10")).statusCode, 400);
+});
+
+test("GET /api/flowers?id= returns a single flower with its tags", async () => {
+  const store = resetStore();
+  const created = await createFlower({ name: "Anemone Wreath", price: 38, tags: ["Winter"] });
+
+  const found = await listFlowers(`id=${created.body.id}`);
+  assert.equal(found.statusCode, 200);
+  assert.equal(found.body.name, "Anemone Wreath");
+  assert.deepEqual(found.body.tags, [{ slug: "winter", label: "Winter" }]);
+  assert.equal(found.body.images.length, 0);
+
+  const seeded = await listFlowers("id=rose-red");
+  assert.equal(seeded.body.images[0].url, store.flowers[0].image);
+
+  const missing = await listFlowers("id=does-not-exist");
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.message, "flower not found");
+});
+
+test("GET /api/flowers pushes filters, sorting and paging into PostgREST", async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    requests.push({ path: url.pathname, params: url.searchParams, prefer: req.headers.prefer });
+    res.setHeader("Content-Type", "application/json");
+
+    if (url.pathname === "/rest/v1/rpc/search_flowers") {
+      return res.end(
+        JSON.stringify([
+          { flower_id: "rose-red", rank: 0.8 },
+          { flower_id: "rose-white", rank: 0.5 }
+        ])
+      );
+    }
+    if (url.pathname === "/rest/v1/flower_tags") {
+      return res.end(JSON.stringify([{ flower_id: "tagged-rose", tag_slug: "romance" }]));
+    }
+    if (url.searchParams.get("select") === "id") {
+      return res.end(JSON.stringify([{ id: "rose-red" }]));
+    }
+    res.setHeader("Content-Range", "12-12/13");
+    return res.end(
+      JSON.stringify([
+        {
+          id: "rose-red",
+          name: "Crimson Rose Bouquet",
+          price: 34.99,
+          occasion: "romance",
+          stock: 15,
+          created_at: "2026-01-05T09:00:00.000Z"
+        }
+      ])
+    );
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = "test-service-role-key";
+  t.after(() => {
+    server.close();
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+  });
+
+  const response = await listFlowers(
+    "page=3&limit=6&sort=price-desc&minPrice=20&maxPrice=80&inStock=1&occasion=romance&search=rose"
+  );
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.total, 13);
+  assert.equal(response.body.hasMore, false);
+  assert.equal(response.body.items[0].id, "rose-red");
+
+  const listRequest = requests.find(
+    (entry) => entry.path === "/rest/v1/flowers" && entry.params.get("select") === "*"
+  );
+  assert.equal(listRequest.prefer, "count=exact");
+  assert.equal(listRequest.params.get("order"), "price.desc,created_at.desc");
+  assert.equal(listRequest.params.get("limit"), "6");
+  assert.equal(listRequest.params.get("offset"), "12");
+  const andFilter = listRequest.params.get("and");
+  assert.equal(andFilter.startsWith("(archived_at.is.null,status.eq.published,"), true);
+  assert.match(andFilter, /,or\(publish_at\.is\.null,publish_at\.lte\.".+?"\),/);
+  assert.match(andFilter, /or\(unpublish_at\.is\.null,unpublish_at\.gt\.".+?"\),id\.in\./);
+  assert.equal(
+    andFilter.slice(andFilter.indexOf("id.in.")),
+    "id.in.(\"rose-red\",\"rose-white\")," +
+      "or(occasion.eq.\"romance\",id.in.(\"tagged-rose\"))," +
+      "price.gte.20,price.lte.80,stock.gt.0)"
+  );
+});
+
+test("admin preview and archived searches find hidden flowers in PostgREST", async (t) => {
+  const rows = [
+    { id: "rose-live", name: "Live Rose", status: "published", archived_at: null },
+    { id: "rose-draft", name: "Draft Rose", status: "draft", archived_at: null },
+    { id: "rose-retired", name: "Retired Rose", status: "published", archived_at: "2026-01-01" }
+  ].map((row) => ({ price: 30, occasion: "general", stock: 5, ...row }));
+
+  // Mirrors search_flowers, which ranks every flower and leaves visibility to the caller.
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    res.setHeader("Content-Type", "application/json");
+
+    if (url.pathname === "/rest/v1/rpc/search_flowers") {
+      return res.end(JSON.stringify(rows.map((row) => ({ flower_id: row.id, rank: 0.5 }))));
+    }
+    if (url.pathname !== "/rest/v1/flowers") {
+      return res.end(JSON.stringify([]));
+    }
+    if (url.searchParams.get("select") === "id") {
+      return res.end(JSON.stringify([{ id: "rose-live" }]));
+    }
+
+    const filter = String(url.searchParams.get("and") || "");
+    const ids = /id\.in\.\(([^)]*)\)/.exec(filter)[1].split(",").map((id) => JSON.parse(id));
+    const visible = rows.filter((row) => {
+      if (filter.includes("archived_at.not.is.null")) {
+        return row.archived_at !== null;
+      }
+      if (filter.includes("status.eq.published")) {
+        return row.archived_at === null && row.status === "published";
+      }
+      return row.archived_at === null;
+    });
+    return res.end(JSON.stringify(visible.filter((row) => ids.includes(row.id))));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = "test-service-role-key";
+  t.after(() => {
+    server.close();
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+  });
+
+  const search = async (query) => {
+    const response = await invoke(flowersHandler, {
+      url: `/api/flowers?search=rose&sort=name${query}`,
+      role: "admin"
+    });
+    assert.equal(response.statusCode, 200);
+    return response.body.map((flower) => flower.id);
+  };
+
+  assert.deepEqual(await search(""), ["rose-live"]);
+  assert.deepEqual((await search("&preview=1")).sort(), ["rose-draft", "rose-live"]);
+  assert.deepEqual(await search("&archived=1"), ["rose-retired"]);
+});
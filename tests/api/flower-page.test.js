@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const INDEX_HTML = [
+  "<!doctype html>",
+  "<html>",
+  "  <head>",
+  "    <title>flyethr</title>",
+  "  </head>",
+  '  <body><div id="root"></div></body>',
+  "</html>"
+].join("\n");
+
+test("flower pages put names containing $ patterns into the meta tags verbatim", async () => {
+  const { renderFlowerPage } = await import("../../server/src/flowerPage.js");
+
+  const html = renderFlowerPage(INDEX_HTML, {
+    name: "Roses $' Deal $& $`",
+    description: 'Fresh "red" roses <b>$1</b>',
+    image: "https://images.example.com/rose.jpg"
+  });
+
+  assert.match(html, /<title>Roses \$' Deal \$&amp; \$` \| flyethr<\/title>/);
+  assert.match(html, /content="Fresh &quot;red&quot; roses &lt;b&gt;\$1&lt;\/b&gt;"/);
+  assert.match(html, /property="og:image" content="https:\/\/images\.example\.com\/rose\.jpg"/);
+  assert.equal(html.match(/<\/html>/g).length, 1);
+  assert.equal(html.match(/<div id="root">/g).length, 1);
+});
@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const { priceCartItems } = require("../../api/_variants");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function createFlower(body) {
+  return invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { stock: 5, occasion: "general", ...body }
+  });
+}
+
+function listFlowers(query) {
+  return invoke(flowersHandler, { url: `/api/flowers?${query}`, role: null });
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+test("listFlowers only shows flowers inside their publish window", async () => {
+  resetStore();
+  const draft = await createFlower({ name: "Draft Dahlias", price: 30, status: "draft" });
+  const upcoming = await createFlower({
+    name: "Winter Hellebores",
+    price: 36,
+    publishAt: daysFromNow(10)
+  });
+  const ended = await createFlower({
+    name: "Summer Sunflowers",
+    price: 22,
+    publishAt: daysFromNow(-30),
+    unpublishAt: daysFromNow(-1)
+  });
+  const seasonal = await createFlower({
+    name: "Autumn Asters",
+    price: 26,
+    publishAt: daysFromNow(-1),
+    unpublishAt: daysFromNow(30)
+  });
+  assert.equal(draft.body.status, "draft");
+
+  const guestNames = (await listFlowers("")).body.map((flower) => flower.name);
+  assert.equal(guestNames.includes("Autumn Asters"), true);
+  for (const hidden of ["Draft Dahlias", "Winter Hellebores", "Summer Sunflowers"]) {
+    assert.equal(guestNames.includes(hidden), false);
+  }
+  assert.equal((await listFlowers(`id=${upcoming.body.id}`)).statusCode, 404);
+  assert.equal((await listFlowers(`id=${seasonal.body.id}`)).statusCode, 200);
+  assert.equal((await listFlowers("preview=1")).statusCode, 401);
+
+  const preview = await invoke(flowersHandler, { url: "/api/flowers?preview=1", role: "admin" });
+  const previewIds = preview.body.map((flower) => flower.id);
+  for (const flower of [draft, upcoming, ended, seasonal]) {
+    assert.equal(previewIds.includes(flower.body.id), true);
+  }
+  const adminLookup = await invoke(flowersHandler, {
+    url: `/api/flowers?id=${draft.body.id}`,
+    role: "admin"
+  });
+  assert.equal(adminLookup.statusCode, 200);
+
+  const published = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${draft.body.id}`,
+    role: "admin",
+    body: { status: "published" }
+  });
+  assert.equal(published.statusCode, 200);
+  assert.equal((await listFlowers(`id=${draft.body.id}`)).statusCode, 200);
+});
+
+test("publish windows are validated and enforced at checkout", async () => {
+  resetStore();
+  const invalidWindow = await createFlower({
+    name: "Backwards Bouquet",
+    price: 20,
+    publishAt: daysFromNow(5),
+    unpublishAt: daysFromNow(1)
+  });
+  assert.equal(invalidWindow.statusCode, 400);
+  assert.equal(invalidWindow.body.message, "unpublishAt must be after publishAt");
+
+  assert.equal((await createFlower({ name: "Odd", price: 20, status: "hidden" })).statusCode, 400);
+  assert.equal((await createFlower({ name: "Odd", price: 20, publishAt: "soon" })).statusCode, 400);
+
+  const upcoming = await createFlower({
+    name: "Spring Tulips",
+    price: 24,
+    publishAt: daysFromNow(3)
+  });
+  const shortened = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${upcoming.body.id}`,
+    role: "admin",
+    body: { unpublishAt: daysFromNow(2) }
+  });
+  assert.equal(shortened.statusCode, 400);
+
+  const flowerMap = new Map([[upcoming.body.id, upcoming.body]]);
+  assert.throws(
+    () => priceCartItems([{ flowerId: upcoming.body.id, quantity: 1, addOnIds: [] }], flowerMap),
+    (error) => error.status === 409 && error.message === "Spring Tulips is not available yet"
+  );
+});
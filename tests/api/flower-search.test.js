@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const suggestHandler = require("../../api/flowers/suggest");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function createFlower(body) {
+  return invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { stock: 5, occasion: "general", ...body }
+  });
+}
+
+function listFlowers(query) {
+  return invoke(flowersHandler, { url: `/api/flowers?${query}`, role: null });
+}
+
+function searchNames(query) {
+  return listFlowers(`search=${encodeURIComponent(query)}`).then((response) =>
+    response.body.map((flower) => flower.name)
+  );
+}
+
+test("GET /api/flowers?search= stems, tolerates typos and ranks by relevance", async () => {
+  resetStore();
+
+  assert.deepEqual(await searchNames("tulips"), ["Sunshine Tulip Mix"]);
+  assert.deepEqual(await searchNames("lilies"), ["Pure White Lily Vase"]);
+  assert.deepEqual(await searchNames("tulpi"), ["Sunshine Tulip Mix"]);
+  assert.deepEqual(await searchNames("peomy"), ["Pastel Peony Bundle"]);
+  assert.deepEqual(await searchNames("yellow tulips for a birthday"), ["Sunshine Tulip Mix"]);
+  assert.deepEqual(await searchNames("white roses"), []);
+
+  await createFlower({
+    name: "Blush Posy",
+    description: "Finished with a single rose.",
+    price: 18,
+    tags: ["Spring"]
+  });
+  assert.deepEqual(await searchNames("rose"), ["Crimson Rose Bouquet", "Blush Posy"]);
+  assert.deepEqual(await searchNames("spring"), ["Blush Posy"]);
+
+  const byPrice = await listFlowers("search=rose&sort=price-asc");
+  assert.deepEqual(
+    byPrice.body.map((flower) => flower.name),
+    ["Blush Posy", "Crimson Rose Bouquet"]
+  );
+});
+
+test("GET /api/flowers/suggest completes partial words", async () => {
+  resetStore();
+
+  const suggest = (query) =>
+    invoke(suggestHandler, { url: `/api/flowers/suggest?${query}`, role: null });
+
+  const tulip = await suggest("q=tul");
+  assert.equal(tulip.statusCode, 200);
+  assert.deepEqual(tulip.body, [
+    { id: "sunshine-tulip", name: "Sunshine Tulip Mix", occasion: "birthday", price: 24.5 }
+  ]);
+
+  assert.deepEqual((await suggest("q=p")).body, []);
+  assert.equal((await suggest("q=rose&limit=50")).statusCode, 400);
+  assert.equal(
+    (await invoke(suggestHandler, { method: "POST", url: "/api/flowers/suggest" })).statusCode,
+    405
+  );
+});
@@ -0,0 +1,244 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const ordersHandler = require("../../api/orders");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 7.5,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
+}
+
+function createBouquet(overrides = {}) {
+  return invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: {
+      name: "Garden Bouquet",
+      occasion: "birthday",
+      variants: [
+        { id: "small", name: "Small", price: 20, stock: 2 },
+        { id: "large", name: "Large", price: 35, stock: 5 }
+      ],
+      addOns: [
+        { id: "vase", name: "Glass vase", price: 12, stock: 1 },
+        { id: "card", name: "Greeting card", price: 0, stock: 50 }
+      ],
+      ...overrides
+    }
+  });
+}
+
+function placeOrder(items) {
+  return invoke(ordersHandler, {
+    method: "POST",
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      items
+    }
+  });
+}
+
+test("flowers validate variants and add-ons and derive price and stock", async () => {
+  const store = resetStore();
+
+  const duplicate = await createBouquet({
+    variants: [
+      { name: "Small", price: 20, stock: 1 },
+      { name: "small", price: 25, stock: 1 }
+    ]
+  });
+  assert.equal(duplicate.statusCode, 400);
+  assert.match(duplicate.body.message, /more than once/);
+
+  const badPrice = await createBouquet({ variants: [{ name: "Small", price: 0, stock: 1 }] });
+  assert.equal(badPrice.statusCode, 400);
+
+  const badStock = await createBouquet({ addOns: [{ name: "Vase", price: 5, stock: -1 }] });
+  assert.equal(badStock.statusCode, 400);
+
+  const created = await createBouquet();
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.price, 20);
+  assert.equal(created.body.stock, 7);
+  assert.equal(created.body.variants.length, 2);
+  assert.equal(created.body.addOns[1].price, 0);
+
+  const lockedStock = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${created.body.id}`,
+    role: "admin",
+    body: { stock: 40 }
+  });
+  assert.equal(lockedStock.statusCode, 409);
+
+  const resized = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${created.body.id}`,
+    role: "admin",
+    body: { variants: [{ id: "large", name: "Large", price: 32, stock: 4 }] }
+  });
+  assert.equal(resized.statusCode, 200);
+  assert.equal(resized.body.price, 32);
+  assert.equal(resized.body.stock, 4);
+
+  const listed = await invoke(flowersHandler, { url: "/api/flowers", role: null });
+  const rose = listed.body.find((flower) => flower.id === "rose-red");
+  assert.deepEqual(rose.variants, []);
+  assert.deepEqual(rose.addOns, []);
+  assert.equal(store.flowers.length, 5);
+});
+
+test("orders price the chosen variant and add-ons and snapshot them", async () => {
+  const store = resetStore();
+  const created = await createBouquet();
+  const flowerId = created.body.id;
+
+  const missingVariant = await placeOrder([{ flowerId, quantity: 1 }]);
+  assert.equal(missingVariant.statusCode, 400);
+  assert.match(missingVariant.body.message, /choose a size/);
+
+  const unknownAddOn = await placeOrder([
+    { flowerId, variantId: "small", addOnIds: ["balloon"], quantity: 1 }
+  ]);
+  assert.equal(unknownAddOn.statusCode, 404);
+
+  const tooManyVases = await placeOrder([
+    { flowerId, variantId: "small", addOnIds: ["vase"], quantity: 1 },
+    { flowerId, variantId: "large", addOnIds: ["vase"], quantity: 1 }
+  ]);
+  assert.equal(tooManyVases.statusCode, 409);
+  assert.match(tooManyVases.body.message, /Glass vase/);
+
+  const tooManySmall = await placeOrder([{ flowerId, variantId: "small", quantity: 3 }]);
+  assert.equal(tooManySmall.statusCode, 409);
+  assert.match(tooManySmall.body.message, /Small/);
+
+  const order = await placeOrder([
+    { flowerId, variantId: "large", addOnIds: ["vase", "card"], quantity: 1 },
+    { flowerId, variantId: "small", quantity: 2 },
+    { flowerId: "rose-red", quantity: 1 }
+  ]);
+  assert.equal(order.statusCode, 201);
+  const [large, small, rose] = order.body.items;
+  assert.equal(large.variantName, "Large");
+  assert.deepEqual(
+    large.addOns.map((addOn) => addOn.name),
+    ["Greeting card", "Glass vase"]
+  );
+  assert.equal(large.unitPrice, 47);
+  assert.equal(small.lineTotal, 40);
+  assert.equal(rose.variantId, null);
+  assert.equal(order.body.subtotal, 121.99);
+
+  const flower = store.flowers.find((entry) => entry.id === flowerId);
+  assert.equal(flower.stock, 4);
+  assert.deepEqual(
+    flower.variants.map((variant) => variant.stock),
+    [0, 4]
+  );
+  assert.equal(flower.addOns[0].stock, 0);
+
+  const cancelled = await invoke(ordersHandler, {
+    method: "PATCH",
+    url: `/api/orders?id=${order.body.id}&action=cancel`,
+    role: "admin",
+    body: { reason: "Customer changed their mind" }
+  });
+  assert.equal(cancelled.statusCode, 200);
+  assert.equal(flower.stock, 7);
+  assert.deepEqual(
+    flower.variants.map((variant) => variant.stock),
+    [2, 5]
+  );
+  assert.equal(flower.addOns[0].stock, 1);
+});
@@ -0,0 +1,238 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { EventEmitter } = require("node:events");
+const sharp = require("sharp");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+process.env.SITE_URL = "https://shop.example.com";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const imagesHandler = require("../../api/images");
+const uploadsHandler = require("../../api/uploads");
+const flowersHandler = require("../../api/flowers");
+const settingsHandler = require("../../api/settings");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = payload || "";
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, headers = {}, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { ...headers, cookie: createSessionHeader(role) } : headers
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  const isJson = String(res.headers["content-type"] || "").includes("application/json");
+  return {
+    statusCode: res.statusCode,
+    headers: res.headers,
+    body: isJson && res.body ? JSON.parse(res.body) : res.body
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function createSplitImage() {
+  const red = { r: 220, g: 20, b: 20 };
+  const blue = { r: 20, g: 20, b: 220 };
+  return sharp({ create: { width: 800, height: 400, channels: 3, background: red } })
+    .composite([
+      {
+        input: { create: { width: 400, height: 400, channels: 3, background: blue } },
+        left: 400,
+        top: 0
+      }
+    ])
+    .png()
+    .toBuffer();
+}
+
+async function createUploadedFlower(focusX) {
+  const uploaded = await invoke(uploadsHandler, {
+    method: "POST",
+    url: "/api/uploads",
+    role: "admin",
+    body: await createSplitImage(),
+    headers: { "content-type": "image/png" }
+  });
+  const created = await invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { name: "Split Bouquet", price: 25, images: [{ url: uploaded.body.url, focusX }] }
+  });
+  return created.body;
+}
+
+function srcsetUrl(srcset, width) {
+  const entry = srcset.split(", ").find((candidate) => candidate.endsWith(` ${width}w`));
+  return entry.split(" ")[0];
+}
+
+async function averageColor(buffer) {
+  const { channels } = await sharp(buffer).stats();
+  return { red: channels[0].mean, blue: channels[2].mean };
+}
+
+test("flower and settings payloads expose avif and webp srcsets", async () => {
+  resetStore();
+
+  const listed = await invoke(flowersHandler, { url: "/api/flowers", role: null });
+  const rose = listed.body.find((flower) => flower.id === "rose-red");
+  assert.match(rose.images[0].srcset.webp, /^\/api\/images\?flower=rose-red&index=0&v=\w+&w=320/);
+  assert.equal(rose.images[0].srcset.avif.split(", ").length, 4);
+  assert.match(rose.images[0].srcset.avif, /format=avif 1080w$/);
+
+  const settings = await invoke(settingsHandler, { url: "/api/settings", role: null });
+  assert.match(settings.body.heroImageSrcset.webp, /^\/api\/images\?hero=1&v=\w+&w=320/);
+});
+
+test("derivatives are resized, cropped around the focal point and cached", async () => {
+  resetStore();
+
+  const leftFocused = await createUploadedFlower(0);
+  assert.equal(getStore().flowers.at(-1).images[0].srcset, undefined);
+  const url = srcsetUrl(leftFocused.images[0].srcset.webp, 320);
+  const left = await invoke(imagesHandler, { url, role: null });
+  assert.equal(left.statusCode, 200);
+  assert.equal(left.headers["content-type"], "image/webp");
+  assert.equal(left.headers["cache-control"], "public, max-age=31536000, immutable");
+
+  const metadata = await sharp(left.body).metadata();
+  assert.equal(metadata.format, "webp");
+  assert.equal(metadata.width, 320);
+  assert.equal(metadata.height, 240);
+  const leftColor = await averageColor(left.body);
+  assert.ok(leftColor.red > leftColor.blue);
+
+  const rightFocused = await createUploadedFlower(100);
+  const right = await invoke(imagesHandler, {
+    url: srcsetUrl(rightFocused.images[0].srcset.avif, 480),
+    role: null
+  });
+  assert.equal(right.headers["content-type"], "image/avif");
+  const rightColor = await averageColor(right.body);
+  assert.ok(rightColor.blue > rightColor.red);
+
+  const stale = await invoke(imagesHandler, {
+    url: url.replace(/v=\w+/, "v=outdated"),
+    role: null
+  });
+  assert.equal(stale.statusCode, 200);
+  assert.equal(stale.headers["cache-control"], "public, max-age=300");
+
+  const badWidth = await invoke(imagesHandler, {
+    url: url.replace("w=320", "w=333"),
+    role: null
+  });
+  assert.equal(badWidth.statusCode, 400);
+
+  const missing = await invoke(imagesHandler, {
+    url: `/api/images?flower=${leftFocused.id}&index=3&w=320&format=webp`,
+    role: null
+  });
+  assert.equal(missing.statusCode, 404);
+});
+
+test("oversized source images are rejected without downloading them in full", async (t) => {
+  resetStore();
+  const chunk = Buffer.alloc(256 * 1024);
+  let streamedBytes = 0;
+  const server = http.createServer((req, res) => {
+    if (req.url === "/declared.png") {
+      res.writeHead(200, {
+        "Content-Type": "image/png",
+        "Content-Length": String(64 * 1024 * 1024)
+      });
+      res.write(chunk);
+      return;
+    }
+
+    res.writeHead(200, { "Content-Type": "image/png" });
+    const pump = () => {
+      while (!res.destroyed && streamedBytes < 64 * 1024 * 1024) {
+        streamedBytes += chunk.length;
+        if (!res.write(chunk)) {
+          return;
+        }
+      }
+      res.end();
+    };
+    res.on("drain", pump);
+    pump();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const created = await invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: {
+      name: "Heavy Bouquet",
+      price: 25,
+      images: [{ url: `${origin}/declared.png` }, { url: `${origin}/streamed.png` }]
+    }
+  });
+  assert.equal(created.statusCode, 201);
+
+  for (const index of [0, 1]) {
+    const response = await invoke(imagesHandler, {
+      url: `/api/images?flower=${created.body.id}&index=${index}&w=320&format=webp`,
+      role: null
+    });
+    assert.equal(response.statusCode, 502);
+    assert.match(response.body.message, /too large/);
+  }
+  assert.ok(streamedBytes < 32 * 1024 * 1024);
+});
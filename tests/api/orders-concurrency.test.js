@@ -0,0 +1,265 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test-service-role-key";
+
+const ordersHandler = require("../../api/orders");
+const { setSessionCookie } = require("../../api/_auth");
+const { seedFlowers } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invokeOrders({ method = "POST", url = "/api/orders", body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: {
+      cookie: createSessionHeader(role)
+    }
+  });
+  const res = createMockResponse();
+  await ordersHandler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function parseInFilter(value) {
+  const match = /^in\.\((.*)\)$/.exec(String(value || ""));
+  if (!match) {
+    return null;
+  }
+  return match[1].split(",").map((entry) => entry.replace(/^"|"$/g, ""));
+}
+
+// Local PostgREST stand-in; create_order applies all-or-nothing like the SQL function.
+function createDatabaseStandIn() {
+  const state = {
+    flowers: seedFlowers.map((flower) => ({
+      id: flower.id,
+      name: flower.name,
+      price: flower.price,
+      stock: flower.stock,
+      created_at: flower.createdAt
+    })),
+    deliverySlots: [
+      {
+        id: "slot-busy",
+        delivery_date: "2099-01-01",
+        start_time: "09:00:00",
+        end_time: "12:00:00",
+        capacity: 1000,
+        booked: 0
+      }
+    ],
+    deliveryZones: [
+      {
+        id: "zone-denver",
+        name: "Denver",
+        cities: ["denver"],
+        postcodes: [],
+        fee: 0,
+        free_delivery_threshold: null,
+        available: true
+      }
+    ],
+    orders: [],
+    orderItems: []
+  };
+
+  function send(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(payload));
+  }
+
+  function createOrder(params) {
+    const slot = state.deliverySlots.find((row) => row.id === params.p_order.delivery_slot_id);
+    if (!slot) {
+      return [404, { code: "PT404", message: "delivery slot not found" }];
+    }
+    if (slot.booked >= slot.capacity) {
+      return [409, { code: "PT409", message: "delivery slot is full, choose another slot" }];
+    }
+
+    const items = [...params.p_items].sort((a, b) => a.flower_id.localeCompare(b.flower_id));
+    for (const item of items) {
+      const flower = state.flowers.find((row) => row.id === item.flower_id);
+      if (!flower) {
+        return [404, { code: "PT404", message: `flower not found: ${item.flower_id}` }];
+      }
+      if (flower.stock < item.quantity) {
+        return [409, { code: "PT409", message: `insufficient stock for ${flower.name}` }];
+      }
+    }
+
+    for (const item of items) {
+      state.flowers.find((row) => row.id === item.flower_id).stock -= item.quantity;
+    }
+    slot.booked += 1;
+
+    const order = { ...params.p_order };
+    const orderItems = params.p_items.map((item) => ({
+      id: state.orderItems.length + 1,
+      order_id: order.id,
+      ...item
+    }));
+    state.orders.push(order);
+    state.orderItems.push(...orderItems);
+    return [200, { order, items: orderItems }];
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+
+      if (req.method === "GET" && url.pathname === "/rest/v1/flowers") {
+        const ids = parseInFilter(url.searchParams.get("id"));
+        const rows = ids ? state.flowers.filter((row) => ids.includes(row.id)) : state.flowers;
+        return send(res, 200, rows.map((row) => ({ ...row })));
+      }
+
+      if (req.method === "GET" && url.pathname === "/rest/v1/currency_settings") {
+        return send(res, 200, []);
+      }
+
+      if (req.method === "GET" && url.pathname === "/rest/v1/delivery_zones") {
+        return send(res, 200, state.deliveryZones.map((row) => ({ ...row })));
+      }
+
+      if (req.method === "GET" && url.pathname === "/rest/v1/delivery_slots") {
+        const id = String(url.searchParams.get("id") || "").replace(/^eq\./, "");
+        const rows = state.deliverySlots.filter((row) => row.id === id);
+        return send(res, 200, rows.map((row) => ({ ...row })));
+      }
+
+      if (req.method === "POST" && url.pathname === "/rest/v1/rpc/create_order") {
+        return setImmediate(() => {
+          const [status, payload] = createOrder(JSON.parse(raw));
+          send(res, status, payload);
+        });
+      }
+
+      return send(res, 405, { message: `unexpected ${req.method} ${url.pathname}` });
+    });
+  });
+
+  return { server, state };
+}
+
+test("POST /api/orders never oversells under concurrent checkouts", async (t) => {
+  const { server, state } = createDatabaseStandIn();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  const flower = state.flowers.find((row) => row.id === "pure-lily");
+  const initialStock = flower.stock;
+  const attempts = initialStock * 5;
+
+  const responses = await Promise.all(
+    Array.from({ length: attempts }, (_, index) =>
+      invokeOrders({
+        body: {
+          customer: {
+            name: `Buyer ${index}`,
+            email: `buyer${index}@example.com`,
+            phone: "+1 303 555 1212",
+            address: "123 Main Street",
+            city: "Denver"
+          },
+          deliverySlotId: "slot-busy",
+          items: [{ flowerId: "pure-lily", quantity: 1 }]
+        }
+      })
+    )
+  );
+
+  const created = responses.filter((response) => response.statusCode === 201);
+  const rejected = responses.filter((response) => response.statusCode === 409);
+
+  assert.equal(created.length, initialStock);
+  assert.equal(rejected.length, attempts - initialStock);
+  rejected.forEach((response) => assert.match(response.body.message, /insufficient stock/i));
+  assert.equal(flower.stock, 0);
+  assert.equal(state.orders.length, initialStock);
+  assert.equal(state.orderItems.length, initialStock);
+  assert.equal(state.deliverySlots[0].booked, initialStock);
+  assert.equal(created[0].body.items[0].flowerId, "pure-lily");
+  assert.equal(created[0].body.total, flower.price);
+});
+
+test("POST /api/orders hides database permission errors behind a generic 500", async (t) => {
+  const server = http.createServer((req, res) => {
+    res.statusCode = 401;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ code: "42501", message: "permission denied for table flowers" }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  const response = await invokeOrders({
+    body: {
+      customer: {
+        name: "Buyer",
+        email: "buyer@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-busy",
+      items: [{ flowerId: "pure-lily", quantity: 1 }]
+    }
+  });
+
+  assert.equal(response.statusCode, 500);
+  assert.equal(response.body.message, "database request failed");
+});
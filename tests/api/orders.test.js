@@ -8,6 +8,9 @@ process.env.ADMIN_EMAIL = "admin@example.com";
 process.env.ADMIN_PASSWORD = "Admin1234!";
 process.env.CUSTOMER_EMAIL = "customer@example.com";
 process.env.CUSTOMER_PASSWORD = "Customer1234!";
+process.env.PAYPAL_CLIENT_ID = "paypal-client";
+process.env.PAYPAL_CLIENT_SECRET = "paypal-secret";
+delete process.env.STRIPE_SECRET_KEY;
 delete process.env.SUPABASE_URL;
 delete process.env.SUPABASE_SERVICE_ROLE_KEY;
 
@@ -71,7 +74,25 @@ async function invokeOrders({ method = "POST", url = "/api/orders", body, role =
 
 function resetStore() {
   delete globalThis.__FLOWER_STORE__;
-  return getStore();
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 0,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
 }
 
 test("POST /api/orders rejects invalid customer payload", async () => {
@@ -83,8 +104,10 @@ test("POST /api/orders rejects invalid customer payload", async () => {
         name: "Ana",
         email: "ana@example.com",
         phone: "abc",
-        address: "123 Main Street"
+        address: "123 Main Street",
+        city: "Denver"
       },
+      deliverySlotId: "slot-test",
       items: [{ flowerId: "rose-red", quantity: 1 }]
     }
   });
@@ -102,8 +125,10 @@ test("POST /api/orders rejects stock conflicts", async () => {
         name: "Ana",
         email: "ana@example.com",
         phone: "+1 303 555 1212",
-        address: "123 Main Street"
+        address: "123 Main Street",
+        city: "Denver"
       },
+      deliverySlotId: "slot-test",
       items: [{ flowerId: "rose-red", quantity: 16 }]
     }
   });
@@ -112,6 +137,29 @@ test("POST /api/orders rejects stock conflicts", async () => {
   assert.match(response.body.message, /insufficient stock/i);
 });
 
+test("POST /api/orders rejects payment methods that are not enabled", async () => {
+  const store = resetStore();
+
+  const response = await invokeOrders({
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      paymentMethod: "card",
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 1 }]
+    }
+  });
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.body.message, /paymentMethod must be one of: cash, paypal/);
+  assert.equal(store.orders.length, 0);
+});
+
 test("POST /api/orders creates order and decrements stock", async () => {
   const store = resetStore();
   const initialStock = store.flowers.find((flower) => flower.id === "rose-red").stock;
@@ -122,9 +170,11 @@ test("POST /api/orders creates order and decrements stock", async () => {
         name: "Ana",
         email: "ana@example.com",
         phone: "+1 303 555 1212",
-        address: "123 Main Street"
+        address: "123 Main Street",
+        city: "Denver"
       },
       paymentMethod: "paypal",
+      deliverySlotId: "slot-test",
       items: [{ flowerId: "rose-red", quantity: 2 }]
     }
   });
@@ -134,8 +184,316 @@ test("POST /api/orders creates order and decrements stock", async () => {
   assert.equal(response.body.paymentStatus, "pending");
   assert.equal(response.body.items[0].flowerId, "rose-red");
   assert.equal(response.body.items[0].quantity, 2);
+  assert.equal(response.body.deliveryDate, "2099-01-01");
+  assert.equal(response.body.deliveryWindow, "09:00-12:00");
+  assert.equal(store.deliverySlots[0].booked, 1);
 
   const nextStock = store.flowers.find((flower) => flower.id === "rose-red").stock;
   assert.equal(nextStock, initialStock - 2);
   assert.equal(store.orders.length, 1);
 });
+
+test("POST /api/orders stores gift details and shows the recipient only to admins", async () => {
+  const store = resetStore();
+  const order = {
+    customer: {
+      name: "Ana",
+      email: "ana@example.com",
+      phone: "+1 303 555 1212",
+      address: "123 Main Street",
+      city: "Denver"
+    },
+    deliverySlotId: "slot-test",
+    items: [{ flowerId: "rose-red", quantity: 1 }]
+  };
+
+  const tooLong = await invokeOrders({ body: { ...order, giftMessage: "x".repeat(251) } });
+  assert.equal(tooLong.statusCode, 400);
+  assert.match(tooLong.body.message, /giftMessage/);
+
+  const missingName = await invokeOrders({
+    body: { ...order, recipient: { address: "9 Garden Lane" } }
+  });
+  assert.equal(missingName.statusCode, 400);
+  assert.match(missingName.body.message, /recipient\.name/);
+
+  const created = await invokeOrders({
+    body: {
+      ...order,
+      recipient: { name: "Grandma Rose", phone: "+1 303 555 9876", address: "9 Garden Lane" },
+      giftMessage: "  Happy birthday!  ",
+      sendAnonymously: true
+    }
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.giftMessage, "Happy birthday!");
+  assert.equal(created.body.sendAnonymously, true);
+  assert.equal(created.body.recipient, undefined);
+  assert.equal(store.orders[0].recipient.name, "Grandma Rose");
+
+  const mine = await invokeOrders({ method: "GET", url: "/api/orders?mine=1" });
+  assert.equal(mine.body[0].recipient, undefined);
+
+  const admin = await invokeOrders({ method: "GET", url: "/api/orders", role: "admin" });
+  assert.deepEqual(admin.body[0].recipient, {
+    name: "Grandma Rose",
+    phone: "+1 303 555 9876",
+    address: "9 Garden Lane"
+  });
+  assert.equal(admin.body[0].giftMessage, "Happy birthday!");
+});
+
+test("GET /api/orders?mine=1 returns only the signed-in customer's orders", async () => {
+  const store = resetStore();
+  store.orders.push({
+    id: "other-order",
+    userId: "someone-else",
+    customer: {
+      name: "Other",
+      email: "other@example.com",
+      phone: "+1 303 555 0000",
+      address: "456 Side Street"
+    },
+    items: [],
+    total: 10,
+    createdAt: new Date().toISOString()
+  });
+
+  const created = await invokeOrders({
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 1 }]
+    }
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.userId, "customer-test");
+
+  const mine = await invokeOrders({ method: "GET", url: "/api/orders?mine=1" });
+  assert.equal(mine.statusCode, 200);
+  assert.deepEqual(mine.body.map((order) => order.id), [created.body.id]);
+  assert.equal(mine.body[0].items[0].flowerId, "rose-red");
+
+  const all = await invokeOrders({ method: "GET", url: "/api/orders" });
+  assert.equal(all.statusCode, 403);
+});
+
+test("PATCH /api/orders moves fulfilment forward and rejects invalid transitions", async () => {
+  resetStore();
+
+  const created = await invokeOrders({
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 1 }]
+    }
+  });
+  assert.equal(created.body.fulfilmentStatus, "confirmed");
+
+  const url = `/api/orders?id=${created.body.id}`;
+  const skipped = await invokeOrders({
+    method: "PATCH",
+    url,
+    role: "admin",
+    body: { fulfilmentStatus: "delivered" }
+  });
+  assert.equal(skipped.statusCode, 409);
+  assert.match(skipped.body.message, /cannot move order from confirmed to delivered/i);
+
+  const preparing = await invokeOrders({
+    method: "PATCH",
+    url,
+    role: "admin",
+    body: { fulfilmentStatus: "preparing" }
+  });
+  assert.equal(preparing.statusCode, 200);
+  assert.equal(preparing.body.fulfilmentStatus, "preparing");
+  assert.deepEqual(
+    preparing.body.fulfilmentHistory.map((entry) => [entry.status, entry.by]),
+    [
+      ["confirmed", "customer@example.com"],
+      ["preparing", "admin@example.com"]
+    ]
+  );
+
+  const forbidden = await invokeOrders({
+    method: "PATCH",
+    url,
+    body: { fulfilmentStatus: "out-for-delivery" }
+  });
+  assert.equal(forbidden.statusCode, 403);
+});
+
+test("PATCH /api/orders?action=cancel restocks flowers exactly once", async () => {
+  const store = resetStore();
+  const initialStock = store.flowers.find((flower) => flower.id === "rose-red").stock;
+
+  const created = await invokeOrders({
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 3 }]
+    }
+  });
+  assert.equal(store.flowers.find((flower) => flower.id === "rose-red").stock, initialStock - 3);
+
+  const url = `/api/orders?id=${created.body.id}&action=cancel`;
+  const missingReason = await invokeOrders({ method: "PATCH", url, body: {} });
+  assert.equal(missingReason.statusCode, 400);
+
+  const first = await invokeOrders({ method: "PATCH", url, body: { reason: "Changed my mind" } });
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.fulfilmentStatus, "cancelled");
+  assert.equal(first.body.cancellationReason, "Changed my mind");
+
+  const second = await invokeOrders({ method: "PATCH", url, body: { reason: "Again" } });
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.cancellationReason, "Changed my mind");
+  assert.equal(store.deliverySlots[0].booked, 0);
+  assert.equal(store.flowers.find((flower) => flower.id === "rose-red").stock, initialStock);
+});
+
+test("PATCH /api/orders?action=cancel limits customers to their own pending orders", async () => {
+  resetStore();
+
+  const created = await invokeOrders({
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 1 }]
+    }
+  });
+
+  await invokeOrders({
+    method: "PATCH",
+    url: `/api/orders?id=${created.body.id}`,
+    role: "admin",
+    body: { paymentStatus: "paid" }
+  });
+
+  const paid = await invokeOrders({
+    method: "PATCH",
+    url: `/api/orders?id=${created.body.id}&action=cancel`,
+    body: { reason: "Too late" }
+  });
+  assert.equal(paid.statusCode, 409);
+
+  const byAdmin = await invokeOrders({
+    method: "PATCH",
+    url: `/api/orders?id=${created.body.id}`,
+    role: "admin",
+    body: { fulfilmentStatus: "cancelled", reason: "Out of delivery range" }
+  });
+  assert.equal(byAdmin.statusCode, 200);
+  assert.equal(byAdmin.body.fulfilmentStatus, "cancelled");
+});
+
+test("PATCH /api/orders?action=refund records partial and full refunds", async () => {
+  const store = resetStore();
+
+  const created = await invokeOrders({
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 2 }]
+    }
+  });
+  const refundUrl = `/api/orders?id=${created.body.id}&action=refund`;
+
+  const unpaid = await invokeOrders({
+    method: "PATCH",
+    url: refundUrl,
+    role: "admin",
+    body: { amount: 5, reason: "Wilted stems" }
+  });
+  assert.equal(unpaid.statusCode, 409);
+
+  await invokeOrders({
+    method: "PATCH",
+    url: `/api/orders?id=${created.body.id}`,
+    role: "admin",
+    body: { paymentStatus: "paid" }
+  });
+
+  const byCustomer = await invokeOrders({
+    method: "PATCH",
+    url: refundUrl,
+    body: { amount: 5, reason: "Wilted stems" }
+  });
+  assert.equal(byCustomer.statusCode, 403);
+
+  const partial = await invokeOrders({
+    method: "PATCH",
+    url: refundUrl,
+    role: "admin",
+    body: { amount: 5, reason: "Wilted stems" }
+  });
+  assert.equal(partial.statusCode, 201);
+  assert.equal(partial.body.paymentStatus, "partially_refunded");
+  assert.equal(partial.body.refundedTotal, 5);
+  assert.equal(partial.body.refunds[0].issuedBy, "admin@example.com");
+  assert.equal(partial.body.refunds[0].provider, "cash");
+  assert.equal(partial.body.refunds[0].status, "completed");
+
+  const tooMuch = await invokeOrders({
+    method: "PATCH",
+    url: refundUrl,
+    role: "admin",
+    body: { amount: created.body.total, reason: "Whole order" }
+  });
+  assert.equal(tooMuch.statusCode, 409);
+  assert.match(tooMuch.body.message, /refundable amount/);
+
+  const rest = await invokeOrders({
+    method: "PATCH",
+    url: refundUrl,
+    role: "admin",
+    body: { reason: "Customer complaint" }
+  });
+  assert.equal(rest.statusCode, 201);
+  assert.equal(rest.body.paymentStatus, "refunded");
+  assert.equal(rest.body.refundedTotal, created.body.total);
+  assert.equal(rest.body.refunds[1].amount, created.body.total - 5);
+
+  const again = await invokeOrders({
+    method: "PATCH",
+    url: refundUrl,
+    role: "admin",
+    body: { amount: 1, reason: "Once more" }
+  });
+  assert.equal(again.statusCode, 409);
+
+  const listed = await invokeOrders({ method: "GET", role: "admin" });
+  assert.equal(listed.body[0].paymentStatus, "refunded");
+  assert.equal(store.orders[0].refunds.length, 2);
+});
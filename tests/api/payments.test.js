@@ -0,0 +1,396 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const http = require("node:http");
+const { EventEmitter } = require("node:events");
+const { Readable } = require("node:stream");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_local";
+process.env.SITE_URL = "https://shop.example.com";
+delete process.env.PAYPAL_CLIENT_ID;
+delete process.env.PAYPAL_CLIENT_SECRET;
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const ordersHandler = require("../../api/orders");
+const settingsHandler = require("../../api/settings");
+const initiateHandler = require("../../api/payments/initiate");
+const confirmHandler = require("../../api/payments/confirm");
+const webhookHandler = require("../../api/payments/webhook");
+const { getPaymentProvider } = require("../../api/_payments");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "POST", url = "/api", body, role = "customer", headers = {} }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: {
+      ...(role ? { cookie: createSessionHeader(role) } : {}),
+      ...headers
+    }
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 0,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
+}
+
+async function placeCardOrder() {
+  const response = await invoke(ordersHandler, {
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Jane Doe",
+        email: "jane@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      paymentMethod: "card",
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 2 }]
+    }
+  });
+  assert.equal(response.statusCode, 201);
+  return response.body;
+}
+
+function signPayload(payload, secret = "whsec_local", timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Local stand-in for the card provider's checkout session and refund endpoints.
+function createCardStandIn() {
+  const state = {
+    sessions: new Map(),
+    refunds: [],
+    refundStatus: "succeeded",
+    requests: []
+  };
+
+  function send(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(payload));
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      const form = new URLSearchParams(raw);
+      state.requests.push({ method: req.method, path: url.pathname, form });
+
+      if (req.headers.authorization !== "Bearer sk_test_local") {
+        return send(res, 401, { error: { message: "invalid api key" } });
+      }
+
+      if (req.method === "POST" && url.pathname === "/v1/checkout/sessions") {
+        const id = `cs_test_${state.sessions.size + 1}`;
+        const session = {
+          id,
+          status: "open",
+          payment_status: "unpaid",
+          client_reference_id: form.get("client_reference_id"),
+          amount_total: Number(form.get("line_items[0][price_data][unit_amount]")),
+          currency: form.get("line_items[0][price_data][currency]"),
+          payment_intent: `pi_${id}`,
+          success_url: form.get("success_url"),
+          url: `https://checkout.test/pay/${id}`
+        };
+        state.sessions.set(id, session);
+        return send(res, 200, session);
+      }
+
+      const sessionMatch = /^\/v1\/checkout\/sessions\/([^/]+)$/.exec(url.pathname);
+      if (req.method === "GET" && sessionMatch) {
+        const session = state.sessions.get(sessionMatch[1]);
+        return session ? send(res, 200, session) : send(res, 404, { error: { message: "no session" } });
+      }
+
+      if (req.method === "POST" && url.pathname === "/v1/refunds") {
+        const refund = {
+          id: `re_${state.refunds.length + 1}`,
+          status: state.refundStatus,
+          payment_intent: form.get("payment_intent"),
+          amount: Number(form.get("amount"))
+        };
+        state.refunds.push(refund);
+        return send(res, 200, refund);
+      }
+
+      return send(res, 404, { error: { message: `unexpected ${req.method} ${url.pathname}` } });
+    });
+  });
+
+  return { server, state };
+}
+
+async function startCardStandIn(t) {
+  const standIn = createCardStandIn();
+  await new Promise((resolve) => standIn.server.listen(0, "127.0.0.1", resolve));
+  t.after(() => standIn.server.close());
+  process.env.STRIPE_API_BASE_URL = `http://127.0.0.1:${standIn.server.address().port}`;
+  return standIn;
+}
+
+test("GET /api/settings lists only the enabled payment methods", async () => {
+  resetStore();
+
+  const response = await invoke(settingsHandler, { method: "GET", url: "/api/settings", role: null });
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.body.paymentMethods, [
+    { id: "cash", label: "Cash on Delivery", flow: "offline" },
+    { id: "card", label: "Card", flow: "redirect" }
+  ]);
+});
+
+test("card checkout redirects to a hosted session and confirm marks the order paid", async (t) => {
+  const { state } = await startCardStandIn(t);
+  const store = resetStore();
+  const order = await placeCardOrder();
+
+  const started = await invoke(initiateHandler, { body: { orderId: order.id } });
+  assert.equal(started.statusCode, 201);
+  assert.equal(started.body.method, "card");
+  assert.equal(started.body.reference, "cs_test_1");
+  assert.equal(started.body.redirectUrl, "https://checkout.test/pay/cs_test_1");
+
+  const session = state.sessions.get("cs_test_1");
+  assert.equal(session.client_reference_id, order.id);
+  assert.equal(session.amount_total, Math.round(order.total * 100));
+  assert.equal(
+    session.success_url,
+    `https://shop.example.com/?payment=return&method=card&orderId=${encodeURIComponent(order.id)}&reference={CHECKOUT_SESSION_ID}`
+  );
+
+  const unpaid = await invoke(confirmHandler, { body: { orderId: order.id, reference: "cs_test_1" } });
+  assert.equal(unpaid.statusCode, 202);
+  assert.equal(unpaid.body.paymentStatus, "pending");
+
+  session.payment_status = "paid";
+  session.status = "complete";
+  const paid = await invoke(confirmHandler, { body: { orderId: order.id, reference: "cs_test_1" } });
+  assert.equal(paid.statusCode, 200);
+  assert.equal(paid.body.paymentStatus, "paid");
+  assert.equal(store.orders[0].paymentReference, "cs_test_1");
+
+  const refund = await getPaymentProvider("card").refund({
+    order: paid.body,
+    amount: 5.5,
+    reason: "damaged stems"
+  });
+  assert.equal(refund.reference, "re_1");
+  assert.equal(state.refunds[0].payment_intent, "pi_cs_test_1");
+  assert.equal(state.refunds[0].amount, 550);
+});
+
+test("pending card refunds hold the amount until the refund webhook settles them", async (t) => {
+  const { state } = await startCardStandIn(t);
+  const store = resetStore();
+  const order = await placeCardOrder();
+  await invoke(initiateHandler, { body: { orderId: order.id } });
+  state.sessions.get("cs_test_1").payment_status = "paid";
+  await invoke(confirmHandler, { body: { orderId: order.id, reference: "cs_test_1" } });
+
+  state.refundStatus = "pending";
+  const refundUrl = `/api/orders?id=${order.id}&action=refund`;
+  const pending = await invoke(ordersHandler, {
+    method: "PATCH",
+    url: refundUrl,
+    role: "admin",
+    body: { amount: 5, reason: "late delivery" }
+  });
+  assert.equal(pending.statusCode, 201);
+  assert.equal(pending.body.refunds[0].status, "pending");
+  assert.equal(pending.body.paymentStatus, "paid");
+  assert.equal(pending.body.refundedTotal, 0);
+
+  const overRefund = await invoke(ordersHandler, {
+    method: "PATCH",
+    url: refundUrl,
+    role: "admin",
+    body: { amount: order.total, reason: "late delivery" }
+  });
+  assert.equal(overRefund.statusCode, 409);
+
+  const payload = JSON.stringify({
+    id: "evt_refund_1",
+    type: "charge.refund.updated",
+    data: { object: { id: "re_1", status: "succeeded" } }
+  });
+  const settled = await invoke(webhookHandler, {
+    url: "/api/payments/webhook?provider=card",
+    body: payload,
+    role: null,
+    headers: { "stripe-signature": signPayload(payload) }
+  });
+  assert.equal(settled.statusCode, 200);
+
+  const listed = await invoke(ordersHandler, { method: "GET", url: "/api/orders", role: "admin" });
+  assert.equal(store.orders[0].refunds[0].status, "completed");
+  assert.equal(listed.body[0].paymentStatus, "partially_refunded");
+  assert.equal(listed.body[0].refundedTotal, 5);
+});
+
+test("card webhook requires a valid signature and applies completed sessions", async (t) => {
+  await startCardStandIn(t);
+  const store = resetStore();
+  const order = await placeCardOrder();
+
+  const payload = JSON.stringify({
+    id: "evt_1",
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id: "cs_test_1",
+        client_reference_id: order.id,
+        payment_status: "paid",
+        amount_total: Math.round(order.total * 100),
+        currency: "usd"
+      }
+    }
+  });
+  const url = "/api/payments/webhook?provider=card";
+
+  const forged = await invoke(webhookHandler, {
+    url,
+    body: payload,
+    role: null,
+    headers: { "stripe-signature": signPayload(payload, "whsec_wrong") }
+  });
+  assert.equal(forged.statusCode, 400);
+
+  const stale = await invoke(webhookHandler, {
+    url,
+    body: payload,
+    role: null,
+    headers: { "stripe-signature": signPayload(payload, "whsec_local", 1000) }
+  });
+  assert.equal(stale.statusCode, 400);
+  assert.equal(store.orders[0].paymentStatus, "pending");
+
+  const accepted = await invoke(webhookHandler, {
+    url,
+    body: payload,
+    role: null,
+    headers: { "stripe-signature": signPayload(payload) }
+  });
+  assert.equal(accepted.statusCode, 200);
+  assert.equal(store.orders[0].paymentStatus, "paid");
+
+  const disabled = await invoke(webhookHandler, {
+    url: "/api/payments/webhook?provider=paypal",
+    body: payload,
+    role: null
+  });
+  assert.equal(disabled.statusCode, 503);
+});
+
+test("card webhook verifies the raw bytes even when the body was already parsed", async (t) => {
+  await startCardStandIn(t);
+  const store = resetStore();
+  const order = await placeCardOrder();
+
+  const payload = JSON.stringify(
+    {
+      id: "evt_2",
+      type: "checkout.session.completed",
+      data: {
+        object: {
+          id: "cs_test_1",
+          client_reference_id: order.id,
+          payment_status: "paid",
+          amount_total: Math.round(order.total * 100),
+          currency: "usd"
+        }
+      }
+    },
+    null,
+    2
+  );
+  const req = Readable.from([Buffer.from(payload)]);
+  req.method = "POST";
+  req.url = "/api/payments/webhook?provider=card";
+  req.headers = { "stripe-signature": signPayload(payload) };
+  req.body = JSON.parse(payload);
+  const res = createMockResponse();
+  await webhookHandler(req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(store.orders[0].paymentStatus, "paid");
+});
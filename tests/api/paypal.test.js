@@ -0,0 +1,420 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+process.env.PAYPAL_CLIENT_ID = "paypal-client";
+process.env.PAYPAL_CLIENT_SECRET = "paypal-secret";
+process.env.PAYPAL_WEBHOOK_ID = "paypal-webhook";
+process.env.SITE_URL = "https://shop.example.com";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const ordersHandler = require("../../api/orders");
+const initiateHandler = require("../../api/payments/initiate");
+const confirmHandler = require("../../api/payments/confirm");
+const webhookHandler = require("../../api/payments/webhook");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer", userId = `${role}-test`) {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: userId,
+    email: `${userId}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(
+  handler,
+  { method = "POST", url = "/api", body, role = "customer", userId, headers = {} }
+) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: {
+      ...(role ? { cookie: createSessionHeader(role, userId) } : {}),
+      ...headers
+    }
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 0,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
+}
+
+async function placePaypalOrder() {
+  const response = await invoke(ordersHandler, {
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Jane Doe",
+        email: "jane@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      paymentMethod: "paypal",
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 2 }]
+    }
+  });
+  assert.equal(response.statusCode, 201);
+  return response.body;
+}
+
+// Local stand-in for the PayPal REST API; captureStatus and verificationStatus drive the replies.
+function createPaypalStandIn() {
+  const state = {
+    orders: new Map(),
+    captures: new Map(),
+    captureStatus: "COMPLETED",
+    verificationStatus: "SUCCESS",
+    refunds: [],
+    requests: []
+  };
+
+  function send(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(payload));
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+      state.requests.push({ method: req.method, path: url.pathname, headers: req.headers, raw });
+
+      if (url.pathname === "/v1/oauth2/token") {
+        const expected = Buffer.from("paypal-client:paypal-secret").toString("base64");
+        if (req.headers.authorization !== `Basic ${expected}`) {
+          return send(res, 401, { error: "invalid_client", error_description: "bad credentials" });
+        }
+        return send(res, 200, { access_token: "paypal-token", token_type: "Bearer" });
+      }
+
+      if (req.headers.authorization !== "Bearer paypal-token") {
+        return send(res, 401, { name: "AUTHENTICATION_FAILURE", message: "missing token" });
+      }
+
+      if (url.pathname === "/v2/checkout/orders") {
+        const body = JSON.parse(raw);
+        const id = `PAYPAL-${state.orders.size + 1}`;
+        state.orders.set(id, body.purchase_units[0]);
+        return send(res, 201, {
+          id,
+          status: "CREATED",
+          links: [{ rel: "approve", href: `https://paypal.test/checkoutnow?token=${id}` }]
+        });
+      }
+
+      const captureMatch = /^\/v2\/checkout\/orders\/([^/]+)\/capture$/.exec(url.pathname);
+      if (captureMatch) {
+        const unit = state.orders.get(captureMatch[1]);
+        if (!unit) {
+          return send(res, 404, { name: "RESOURCE_NOT_FOUND", message: "order not found" });
+        }
+        if (state.captures.get(captureMatch[1])?.status === "COMPLETED") {
+          return send(res, 422, {
+            name: "UNPROCESSABLE_ENTITY",
+            details: [{ issue: "ORDER_ALREADY_CAPTURED", description: "Order already captured." }]
+          });
+        }
+        const capture = {
+          id: `CAPTURE-${captureMatch[1]}`,
+          status: state.captureStatus,
+          amount: unit.amount,
+          custom_id: unit.custom_id
+        };
+        state.captures.set(captureMatch[1], capture);
+        return send(res, 201, {
+          id: captureMatch[1],
+          status: state.captureStatus === "COMPLETED" ? "COMPLETED" : "APPROVED",
+          purchase_units: [{ reference_id: unit.reference_id, payments: { captures: [capture] } }]
+        });
+      }
+
+      const orderMatch = /^\/v2\/checkout\/orders\/([^/]+)$/.exec(url.pathname);
+      if (req.method === "GET" && orderMatch) {
+        const capture = state.captures.get(orderMatch[1]);
+        return send(res, 200, {
+          id: orderMatch[1],
+          status: capture?.status === "COMPLETED" ? "COMPLETED" : "APPROVED",
+          purchase_units: [{ payments: { captures: capture ? [capture] : [] } }]
+        });
+      }
+
+      const refundMatch = /^\/v2\/payments\/captures\/([^/]+)\/refund$/.exec(url.pathname);
+      if (refundMatch) {
+        const refund = { id: `REFUND-${state.refunds.length + 1}`, status: "COMPLETED" };
+        state.refunds.push({ ...refund, captureId: refundMatch[1], body: JSON.parse(raw) });
+        return send(res, 201, refund);
+      }
+
+      if (url.pathname === "/v1/notifications/verify-webhook-signature") {
+        return send(res, 200, { verification_status: state.verificationStatus });
+      }
+
+      return send(res, 404, { message: `unexpected ${req.method} ${url.pathname}` });
+    });
+  });
+
+  return { server, state };
+}
+
+async function startPaypalStandIn(t) {
+  const standIn = createPaypalStandIn();
+  await new Promise((resolve) => standIn.server.listen(0, "127.0.0.1", resolve));
+  t.after(() => standIn.server.close());
+  process.env.PAYPAL_API_BASE_URL = `http://127.0.0.1:${standIn.server.address().port}`;
+  return standIn;
+}
+
+test("PayPal checkout creates a PayPal order and capture marks the order paid", async (t) => {
+  const { state } = await startPaypalStandIn(t);
+  const store = resetStore();
+  const order = await placePaypalOrder();
+
+  const started = await invoke(initiateHandler, { body: { orderId: order.id } });
+  assert.equal(started.statusCode, 201);
+  assert.equal(started.body.reference, "PAYPAL-1");
+  assert.equal(started.body.redirectUrl, "https://paypal.test/checkoutnow?token=PAYPAL-1");
+
+  const unit = state.orders.get("PAYPAL-1");
+  assert.equal(unit.custom_id, order.id);
+  assert.equal(unit.amount.value, order.total.toFixed(2));
+  assert.equal(unit.amount.currency_code, "USD");
+  const createRequest = JSON.parse(
+    state.requests.find((entry) => entry.path === "/v2/checkout/orders").raw
+  );
+  assert.equal(
+    createRequest.application_context.return_url,
+    `https://shop.example.com/?payment=return&method=paypal&orderId=${encodeURIComponent(order.id)}`
+  );
+
+  const mismatched = await invoke(confirmHandler, {
+    body: { orderId: order.id, reference: "PAYPAL-999" }
+  });
+  assert.equal(mismatched.statusCode, 409);
+
+  const captured = await invoke(confirmHandler, {
+    body: { orderId: order.id, reference: "PAYPAL-1" }
+  });
+  assert.equal(captured.statusCode, 200);
+  assert.equal(captured.body.paymentStatus, "paid");
+  assert.equal(captured.body.paymentReference, "PAYPAL-1");
+  assert.equal(store.orders[0].paymentStatus, "paid");
+
+  const captureCalls = state.requests.filter((entry) => entry.path.endsWith("/capture")).length;
+  const again = await invoke(confirmHandler, { body: { orderId: order.id } });
+  assert.equal(again.statusCode, 200);
+  assert.equal(state.requests.filter((entry) => entry.path.endsWith("/capture")).length, captureCalls);
+
+  const restart = await invoke(initiateHandler, { body: { orderId: order.id } });
+  assert.equal(restart.statusCode, 409);
+});
+
+test("confirming an order PayPal already captured reads the capture back", async (t) => {
+  const { state } = await startPaypalStandIn(t);
+  const store = resetStore();
+  const order = await placePaypalOrder();
+  await invoke(initiateHandler, { body: { orderId: order.id } });
+
+  const first = await invoke(confirmHandler, { body: { orderId: order.id } });
+  assert.equal(first.statusCode, 200);
+  // The shop missed the capture reply, so the order is still pending on its side.
+  store.orders[0].paymentStatus = "pending";
+
+  const retried = await invoke(confirmHandler, { body: { orderId: order.id } });
+  assert.equal(retried.statusCode, 200);
+  assert.equal(retried.body.paymentStatus, "paid");
+  assert.equal(store.orders[0].paymentStatus, "paid");
+  const orderReads = state.requests.filter(
+    (entry) => entry.method === "GET" && entry.path === "/v2/checkout/orders/PAYPAL-1"
+  );
+  assert.equal(orderReads.length, 1);
+});
+
+test("payment checkout is limited to the order owner and only redirects online methods", async (t) => {
+  await startPaypalStandIn(t);
+  resetStore();
+  const order = await placePaypalOrder();
+
+  const otherCustomer = await invoke(initiateHandler, {
+    body: { orderId: order.id },
+    userId: "customer-other"
+  });
+  assert.equal(otherCustomer.statusCode, 404);
+
+  const cashOrder = await invoke(ordersHandler, {
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Jane Doe",
+        email: "jane@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      paymentMethod: "cash",
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 1 }]
+    }
+  });
+  const cashCheckout = await invoke(initiateHandler, { body: { orderId: cashOrder.body.id } });
+  assert.equal(cashCheckout.statusCode, 201);
+  assert.equal(cashCheckout.body.method, "cash");
+  assert.equal(cashCheckout.body.redirectUrl, "");
+
+  const missing = await invoke(initiateHandler, { body: { orderId: "ord_missing" } });
+  assert.equal(missing.statusCode, 404);
+});
+
+test("declined PayPal capture marks the order failed", async (t) => {
+  const { state } = await startPaypalStandIn(t);
+  resetStore();
+  const order = await placePaypalOrder();
+  await invoke(initiateHandler, { body: { orderId: order.id } });
+
+  state.captureStatus = "DECLINED";
+  const captured = await invoke(confirmHandler, { body: { orderId: order.id } });
+  assert.equal(captured.statusCode, 402);
+  assert.equal(captured.body.order.paymentStatus, "failed");
+});
+
+test("PayPal webhook updates payment only for verified events", async (t) => {
+  const { state } = await startPaypalStandIn(t);
+  const store = resetStore();
+  const order = await placePaypalOrder();
+  await invoke(initiateHandler, { body: { orderId: order.id } });
+
+  const event = {
+    id: "WH-1",
+    event_type: "PAYMENT.CAPTURE.COMPLETED",
+    resource: {
+      id: "CAPTURE-PAYPAL-1",
+      status: "COMPLETED",
+      custom_id: order.id,
+      amount: { currency_code: "USD", value: order.total.toFixed(2) }
+    }
+  };
+  const headers = {
+    "paypal-auth-algo": "SHA256withRSA",
+    "paypal-cert-url": "https://api.paypal.com/cert.pem",
+    "paypal-transmission-id": "transmission-1",
+    "paypal-transmission-sig": "signature",
+    "paypal-transmission-time": "2026-01-01T00:00:00Z"
+  };
+
+  state.verificationStatus = "FAILURE";
+  const rejected = await invoke(webhookHandler, {
+    url: "/api/payments/webhook?provider=paypal",
+    body: event,
+    headers,
+    role: null
+  });
+  assert.equal(rejected.statusCode, 400);
+  assert.equal(store.orders[0].paymentStatus, "pending");
+
+  state.verificationStatus = "SUCCESS";
+  const accepted = await invoke(webhookHandler, {
+    url: "/api/payments/webhook?provider=paypal",
+    body: event,
+    headers,
+    role: null
+  });
+  assert.equal(accepted.statusCode, 200);
+  assert.equal(store.orders[0].paymentStatus, "paid");
+
+  const verification = JSON.parse(
+    state.requests.filter((entry) => entry.path === "/v1/notifications/verify-webhook-signature").pop().raw
+  );
+  assert.equal(verification.webhook_id, "paypal-webhook");
+  assert.equal(verification.transmission_id, "transmission-1");
+  assert.equal(verification.webhook_event.id, "WH-1");
+});
+
+test("refunding a PayPal order refunds the capture and records the PayPal reference", async (t) => {
+  const { state } = await startPaypalStandIn(t);
+  resetStore();
+  const order = await placePaypalOrder();
+  await invoke(initiateHandler, { body: { orderId: order.id } });
+  await invoke(confirmHandler, { body: { orderId: order.id } });
+
+  const refunded = await invoke(ordersHandler, {
+    method: "PATCH",
+    url: `/api/orders?id=${order.id}&action=refund`,
+    role: "admin",
+    body: { amount: 10, reason: "Late delivery" }
+  });
+
+  assert.equal(refunded.statusCode, 201);
+  assert.equal(refunded.body.paymentStatus, "partially_refunded");
+  assert.equal(refunded.body.refunds[0].provider, "paypal");
+  assert.equal(refunded.body.refunds[0].providerReference, "REFUND-1");
+  assert.equal(state.refunds[0].captureId, "CAPTURE-PAYPAL-1");
+  assert.deepEqual(state.refunds[0].body.amount, { currency_code: "USD", value: "10.00" });
+});
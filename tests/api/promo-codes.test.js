@@ -0,0 +1,287 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const promoHandler = require("../../api/promo-codes");
+const ordersHandler = require("../../api/orders");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 7.5,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
+}
+
+function createPromo(body) {
+  return invoke(promoHandler, { method: "POST", url: "/api/promo-codes", role: "admin", body });
+}
+
+function placeOrder(promoCode, items = [{ flowerId: "rose-red", quantity: 2 }]) {
+  return invoke(ordersHandler, {
+    method: "POST",
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      promoCode,
+      items
+    }
+  });
+}
+
+test("admins manage promo codes and customers cannot", async () => {
+  resetStore();
+
+  const forbidden = await invoke(promoHandler, { url: "/api/promo-codes" });
+  assert.equal(forbidden.statusCode, 403);
+
+  const invalid = await createPromo({ code: "LOVE", type: "percentage", value: 120 });
+  assert.equal(invalid.statusCode, 400);
+
+  const badWindow = await createPromo({
+    code: "LOVE",
+    type: "fixed",
+    value: 5,
+    startsAt: "2026-02-15T00:00:00Z",
+    endsAt: "2026-02-10T00:00:00Z"
+  });
+  assert.equal(badWindow.statusCode, 400);
+
+  const created = await createPromo({
+    code: " love20 ",
+    type: "percentage",
+    value: 20,
+    occasions: ["romance"],
+    maxUses: 10
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.code, "LOVE20");
+  assert.equal(created.body.usedCount, 0);
+  assert.equal(created.body.perCustomerLimit, null);
+
+  const duplicate = await createPromo({ code: "LOVE20", type: "fixed", value: 5 });
+  assert.equal(duplicate.statusCode, 409);
+
+  const updated = await invoke(promoHandler, {
+    method: "PATCH",
+    url: `/api/promo-codes?id=${created.body.id}`,
+    role: "admin",
+    body: { active: false }
+  });
+  assert.equal(updated.statusCode, 200);
+  assert.equal(updated.body.active, false);
+  assert.equal(updated.body.value, 20);
+
+  const list = await invoke(promoHandler, { url: "/api/promo-codes", role: "admin" });
+  assert.equal(list.body.length, 1);
+
+  const removed = await invoke(promoHandler, {
+    method: "DELETE",
+    url: `/api/promo-codes?id=${created.body.id}`,
+    role: "admin"
+  });
+  assert.equal(removed.statusCode, 200);
+});
+
+test("POST /api/orders applies promo discounts and records them on the order", async () => {
+  const store = resetStore();
+  await createPromo({ code: "LOVE20", type: "percentage", value: 20, occasions: ["romance"] });
+  await createPromo({ code: "FIVEOFF", type: "fixed", value: 5 });
+  await createPromo({ code: "SHIPFREE", type: "free_delivery" });
+
+  const percentage = await placeOrder("love20", [
+    { flowerId: "rose-red", quantity: 2 },
+    { flowerId: "sunshine-tulip", quantity: 1 }
+  ]);
+  assert.equal(percentage.statusCode, 201);
+  assert.equal(percentage.body.promoCode, "LOVE20");
+  assert.equal(percentage.body.subtotal, 94.48);
+  assert.equal(percentage.body.discount, 14);
+  assert.equal(percentage.body.deliveryFee, 7.5);
+  assert.equal(percentage.body.total, 87.98);
+
+  const fixed = await placeOrder("FIVEOFF");
+  assert.equal(fixed.body.discount, 5);
+  assert.equal(fixed.body.total, 72.48);
+
+  const freeDelivery = await placeOrder("SHIPFREE");
+  assert.equal(freeDelivery.body.discount, 7.5);
+  assert.equal(freeDelivery.body.total, 69.98);
+
+  const notEligible = await placeOrder("LOVE20", [{ flowerId: "pure-lily", quantity: 1 }]);
+  assert.equal(notEligible.statusCode, 422);
+  assert.match(notEligible.body.message, /does not apply/);
+
+  const unknown = await placeOrder("NOPE123");
+  assert.equal(unknown.statusCode, 422);
+  assert.equal(store.orders.length, 3);
+});
+
+test("POST /api/orders enforces promo windows and usage limits", async () => {
+  const store = resetStore();
+  await createPromo({
+    code: "EXPIRED",
+    type: "fixed",
+    value: 5,
+    startsAt: "2020-01-01T00:00:00Z",
+    endsAt: "2020-02-01T00:00:00Z"
+  });
+  await createPromo({ code: "LATER", type: "fixed", value: 5, startsAt: "2099-01-01T00:00:00Z" });
+  const once = await createPromo({ code: "ONCE", type: "fixed", value: 5, perCustomerLimit: 1 });
+  await createPromo({ code: "TWICE", type: "fixed", value: 5, maxUses: 1 });
+
+  const expired = await placeOrder("EXPIRED");
+  assert.equal(expired.statusCode, 422);
+  assert.match(expired.body.message, /expired/);
+
+  const notYet = await placeOrder("LATER");
+  assert.equal(notYet.statusCode, 422);
+  assert.match(notYet.body.message, /not valid yet/);
+
+  const first = await placeOrder("ONCE");
+  assert.equal(first.statusCode, 201);
+
+  const second = await placeOrder("ONCE");
+  assert.equal(second.statusCode, 409);
+  assert.match(second.body.message, /already used/);
+
+  const cancelled = await invoke(ordersHandler, {
+    method: "PATCH",
+    url: `/api/orders?id=${first.body.id}&action=cancel`,
+    body: { reason: "Changed my mind" }
+  });
+  assert.equal(cancelled.statusCode, 200);
+  assert.equal(store.promoCodes.find((promo) => promo.id === once.body.id).usedCount, 0);
+
+  const again = await placeOrder("ONCE");
+  assert.equal(again.statusCode, 201);
+
+  assert.equal((await placeOrder("TWICE")).statusCode, 201);
+  const exhausted = await placeOrder("TWICE");
+  assert.equal(exhausted.statusCode, 409);
+  assert.match(exhausted.body.message, /usage limit/);
+});
+
+test("POST /api/promo-codes?action=preview prices a cart without placing an order", async () => {
+  const store = resetStore();
+  await createPromo({ code: "LOVE20", type: "percentage", value: 20, flowerIds: ["rose-red"] });
+  await createPromo({ code: "SHIPFREE", type: "free_delivery" });
+
+  const anonymous = await invoke(promoHandler, {
+    method: "POST",
+    url: "/api/promo-codes?action=preview",
+    role: null,
+    body: { code: "LOVE20", items: [{ flowerId: "rose-red", quantity: 1 }] }
+  });
+  assert.equal(anonymous.statusCode, 401);
+
+  const preview = await invoke(promoHandler, {
+    method: "POST",
+    url: "/api/promo-codes?action=preview",
+    body: {
+      code: "love20",
+      items: [
+        { flowerId: "rose-red", quantity: 1 },
+        { flowerId: "pure-lily", quantity: 1 }
+      ]
+    }
+  });
+  assert.equal(preview.statusCode, 200);
+  assert.deepEqual(preview.body, {
+    code: "LOVE20",
+    type: "percentage",
+    discount: 7,
+    freeDelivery: false
+  });
+
+  const shipping = await invoke(promoHandler, {
+    method: "POST",
+    url: "/api/promo-codes?action=preview",
+    body: { code: "SHIPFREE", items: [{ flowerId: "pure-lily", quantity: 1 }] }
+  });
+  assert.equal(shipping.body.freeDelivery, true);
+  assert.equal(store.promoCodes.every((promo) => promo.usedCount === 0), true);
+});
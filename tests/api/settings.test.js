@@ -0,0 +1,227 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const settingsHandler = require("../../api/settings");
+const ordersHandler = require("../../api/orders");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 5,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
+}
+
+function placeOrder(currency) {
+  return invoke(ordersHandler, {
+    method: "POST",
+    url: "/api/orders",
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      currency,
+      items: [{ flowerId: "rose-red", quantity: 1 }]
+    }
+  });
+}
+
+test("GET /api/settings exposes the currency settings", async () => {
+  resetStore();
+
+  const response = await invoke(settingsHandler, { url: "/api/settings", role: null });
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(
+    response.body.currency.currencies.map((currency) => [currency.code, currency.rate]),
+    [
+      ["USD", 1],
+      ["MAD", 10]
+    ]
+  );
+});
+
+test("PATCH /api/settings lets admins edit currencies and rates", async () => {
+  resetStore();
+  const currency = {
+    currencies: [
+      { code: "USD", label: "USD ($)", locale: "en-US", rate: 1 },
+      { code: "mad", label: "MAD (DH)", locale: "fr-MA", rate: 9.85 },
+      { code: "EUR", label: "EUR", locale: "fr-FR", rate: 0.92 }
+    ]
+  };
+
+  const forbidden = await invoke(settingsHandler, {
+    method: "PATCH",
+    url: "/api/settings",
+    body: { currency }
+  });
+  assert.equal(forbidden.statusCode, 403);
+
+  const withoutUsd = await invoke(settingsHandler, {
+    method: "PATCH",
+    url: "/api/settings",
+    role: "admin",
+    body: { currency: { currencies: [{ code: "MAD", label: "MAD (DH)", rate: 1 }] } }
+  });
+  assert.equal(withoutUsd.statusCode, 400);
+  assert.match(withoutUsd.body.message, /must include USD/);
+
+  const rebasedUsd = await invoke(settingsHandler, {
+    method: "PATCH",
+    url: "/api/settings",
+    role: "admin",
+    body: {
+      currency: {
+        currencies: [
+          { code: "MAD", label: "MAD (DH)", locale: "fr-MA", rate: 1 },
+          { code: "USD", label: "USD ($)", locale: "en-US", rate: 0.1 }
+        ]
+      }
+    }
+  });
+  assert.equal(rebasedUsd.statusCode, 400);
+  assert.match(rebasedUsd.body.message, /USD rate must be 1/);
+
+  const badRate = await invoke(settingsHandler, {
+    method: "PATCH",
+    url: "/api/settings",
+    role: "admin",
+    body: {
+      currency: {
+        ...currency,
+        currencies: [
+          { code: "USD", rate: 1 },
+          { code: "MAD", rate: 0 }
+        ]
+      }
+    }
+  });
+  assert.equal(badRate.statusCode, 400);
+
+  const updated = await invoke(settingsHandler, {
+    method: "PATCH",
+    url: "/api/settings",
+    role: "admin",
+    body: { currency }
+  });
+  assert.equal(updated.statusCode, 200);
+  assert.deepEqual(
+    updated.body.currency.currencies.map((entry) => entry.code),
+    ["USD", "MAD", "EUR"]
+  );
+
+  const settings = await invoke(settingsHandler, { url: "/api/settings", role: null });
+  assert.equal(settings.body.currency.currencies[1].rate, 9.85);
+  assert.ok(settings.body.heroImage);
+});
+
+test("POST /api/orders snapshots the currency rate and converted totals", async () => {
+  const store = resetStore();
+
+  const mad = await placeOrder("mad");
+  assert.equal(mad.statusCode, 201);
+  assert.equal(mad.body.currency, "MAD");
+  assert.equal(mad.body.exchangeRate, 10);
+  assert.equal(mad.body.total, 39.99);
+  assert.deepEqual(mad.body.convertedTotals, {
+    subtotal: 349.9,
+    deliveryFee: 50,
+    discount: 0,
+    total: 399.9
+  });
+
+  store.currencySettings.currencies[1].rate = 11;
+  const [stored] = store.orders;
+  assert.equal(stored.exchangeRate, 10);
+  assert.equal(stored.convertedTotals.total, 399.9);
+
+  const base = await placeOrder(undefined);
+  assert.equal(base.body.currency, "USD");
+  assert.equal(base.body.convertedTotals.total, 39.99);
+
+  const unknown = await placeOrder("JPY");
+  assert.equal(unknown.statusCode, 400);
+  assert.match(unknown.body.message, /currency must be one of/);
+});
@@ -0,0 +1,295 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.STRIPE_SECRET_KEY;
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const flowersHandler = require("../../api/flowers");
+const ordersHandler = require("../../api/orders");
+const stockMovementsHandler = require("../../api/stock-movements");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "admin" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: { cookie: createSessionHeader(role) }
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  const store = getStore();
+  store.deliverySlots.push({
+    id: "slot-test",
+    date: "2099-01-01",
+    startTime: "09:00",
+    endTime: "12:00",
+    capacity: 50,
+    booked: 0
+  });
+  store.deliveryZones.push({
+    id: "zone-test",
+    name: "Denver",
+    cities: ["denver"],
+    postcodes: [],
+    fee: 0,
+    freeDeliveryThreshold: null,
+    available: true
+  });
+  return store;
+}
+
+test("stock changes from admins and orders are recorded in the ledger", async () => {
+  resetStore();
+
+  const spoiled = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: "/api/flowers?id=rose-red",
+    body: { stock: 12, stockReason: "spoilage", stockNote: "wilted in transit" }
+  });
+  assert.equal(spoiled.statusCode, 200);
+
+  const wrongDirection = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: "/api/flowers?id=rose-red",
+    body: { stock: 10, stockReason: "restock" }
+  });
+  assert.equal(wrongDirection.statusCode, 400);
+  assert.match(wrongDirection.body.message, /restock cannot lower stock/);
+
+  const created = await invoke(ordersHandler, {
+    method: "POST",
+    url: "/api/orders",
+    role: "customer",
+    body: {
+      customer: {
+        name: "Ana",
+        email: "ana@example.com",
+        phone: "+1 303 555 1212",
+        address: "123 Main Street",
+        city: "Denver"
+      },
+      deliverySlotId: "slot-test",
+      items: [{ flowerId: "rose-red", quantity: 2 }]
+    }
+  });
+  assert.equal(created.statusCode, 201);
+
+  const cancelled = await invoke(ordersHandler, {
+    method: "PATCH",
+    url: `/api/orders?id=${created.body.id}&action=cancel`,
+    body: { reason: "Duplicate order" }
+  });
+  assert.equal(cancelled.statusCode, 200);
+
+  const history = await invoke(stockMovementsHandler, {
+    url: "/api/stock-movements?flowerId=rose-red"
+  });
+  assert.equal(history.statusCode, 200);
+  assert.equal(history.body.stock, 12);
+  assert.equal(history.body.ledgerStock, 12);
+  assert.equal(history.body.difference, 0);
+  assert.deepEqual(
+    history.body.movements.map(({ delta, reason, actor, orderId }) => ({
+      delta,
+      reason,
+      actor,
+      orderId
+    })),
+    [
+      { delta: 2, reason: "cancellation", actor: "admin@example.com", orderId: created.body.id },
+      { delta: -2, reason: "sale", actor: "customer@example.com", orderId: created.body.id },
+      { delta: -3, reason: "spoilage", actor: "admin@example.com", orderId: null },
+      { delta: 15, reason: "restock", actor: null, orderId: null }
+    ]
+  );
+  assert.equal(history.body.movements[2].note, "wilted in transit");
+});
+
+test("GET /api/stock-movements reports flowers whose stock drifted from the ledger", async () => {
+  const store = resetStore();
+  store.flowers.find((flower) => flower.id === "pure-lily").stock = 5;
+
+  const forbidden = await invoke(stockMovementsHandler, {
+    url: "/api/stock-movements",
+    role: "customer"
+  });
+  assert.equal(forbidden.statusCode, 403);
+
+  const all = await invoke(stockMovementsHandler, { url: "/api/stock-movements" });
+  assert.equal(all.statusCode, 200);
+  assert.equal(all.body.length, store.flowers.length);
+
+  const mismatched = await invoke(stockMovementsHandler, {
+    url: "/api/stock-movements?mismatched=1"
+  });
+  assert.deepEqual(mismatched.body, [
+    {
+      flowerId: "pure-lily",
+      name: "Pure White Lily Vase",
+      stock: 5,
+      ledgerStock: 8,
+      movementCount: 1,
+      difference: -3
+    }
+  ]);
+
+  const missing = await invoke(stockMovementsHandler, {
+    url: "/api/stock-movements?flowerId=nope"
+  });
+  assert.equal(missing.statusCode, 404);
+});
+
+// Local PostgREST stand-in; a sale lands between the admin's read and the stock write.
+function createDatabaseStandIn() {
+  const state = {
+    flower: { id: "rose-red", name: "Red Rose Bouquet", price: 49, stock: 15, variants: [] },
+    movements: [],
+    saleBeforeWrite: true
+  };
+
+  function send(res, status, payload) {
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(payload));
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://127.0.0.1");
+
+      if (req.method === "GET" && url.pathname === "/rest/v1/flowers") {
+        const row = { ...state.flower };
+        if (state.saleBeforeWrite) {
+          state.saleBeforeWrite = false;
+          state.flower.stock -= 2;
+        }
+        return send(res, 200, [row]);
+      }
+
+      if (req.method === "GET" && url.pathname === "/rest/v1/flower_tags") {
+        return send(res, 200, []);
+      }
+
+      if (req.method === "POST" && url.pathname === "/rest/v1/rpc/apply_stock_levels") {
+        const params = JSON.parse(raw);
+        const [change] = params.p_changes;
+        if (state.flower.stock !== change.previous_stock) {
+          return send(res, 409, {
+            code: "PT409",
+            message: `stock for ${state.flower.name} changed, reload and try again`
+          });
+        }
+        state.flower.stock = change.stock;
+        state.movements.push({
+          flower_id: change.flower_id,
+          delta: change.stock - change.previous_stock,
+          reason: params.p_reason,
+          actor: params.p_actor,
+          note: params.p_note
+        });
+        return send(res, 200, null);
+      }
+
+      return send(res, 405, { message: `unexpected ${req.method} ${url.pathname}` });
+    });
+  });
+
+  return { server, state };
+}
+
+test("PATCH /api/flowers stock rejects a database write over a concurrent sale", async (t) => {
+  const { server, state } = createDatabaseStandIn();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_SERVICE_ROLE_KEY = "test-service-role-key";
+  t.after(() => {
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    server.close();
+  });
+
+  const stale = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: "/api/flowers?id=rose-red",
+    body: { stock: 20, stockReason: "restock" }
+  });
+  assert.equal(stale.statusCode, 409);
+  assert.match(stale.body.message, /changed, reload and try again/);
+  assert.equal(state.flower.stock, 13);
+  assert.equal(state.movements.length, 0);
+
+  const restocked = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: "/api/flowers?id=rose-red",
+    body: { stock: 20, stockReason: "restock", stockNote: "late delivery" }
+  });
+  assert.equal(restocked.statusCode, 200);
+  assert.equal(restocked.body.stock, 20);
+  assert.deepEqual(state.movements, [
+    {
+      flower_id: "rose-red",
+      delta: 7,
+      reason: "restock",
+      actor: "admin@example.com",
+      note: "late delivery"
+    }
+  ]);
+});
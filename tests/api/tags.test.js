@@ -0,0 +1,210 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const chatHandler = require("../../api/chat");
+const flowersHandler = require("../../api/flowers");
+const tagsHandler = require("../../api/tags");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = String(payload || "");
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { cookie: createSessionHeader(role) } : {}
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  return {
+    statusCode: res.statusCode,
+    body: res.body ? JSON.parse(res.body) : null
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function createFlower(body) {
+  return invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { price: 30, stock: 5, occasion: "general", ...body }
+  });
+}
+
+function listFlowerNames(query) {
+  return invoke(flowersHandler, { url: `/api/flowers?${query}`, role: null }).then((response) =>
+    response.body.map((flower) => flower.name).sort()
+  );
+}
+
+test("flowers carry curated and free-form tags and can be filtered by them", async () => {
+  resetStore();
+
+  const forbidden = await invoke(tagsHandler, {
+    method: "POST",
+    url: "/api/tags",
+    role: "customer",
+    body: { label: "Anniversary" }
+  });
+  assert.equal(forbidden.statusCode, 403);
+
+  const curated = await invoke(tagsHandler, {
+    method: "POST",
+    url: "/api/tags",
+    role: "admin",
+    body: { label: "Anniversary" }
+  });
+  assert.equal(curated.statusCode, 201);
+  assert.deepEqual(
+    { slug: curated.body.slug, curated: curated.body.curated },
+    { slug: "anniversary", curated: true }
+  );
+
+  const roses = await createFlower({
+    name: "Red Roses",
+    occasion: "romance",
+    tags: ["anniversary", "Valentine's Day", "Red"]
+  });
+  assert.equal(roses.statusCode, 201);
+  assert.deepEqual(
+    roses.body.tags,
+    [
+      { slug: "anniversary", label: "Anniversary" },
+      { slug: "valentines-day", label: "Valentine's Day" },
+      { slug: "red", label: "Red" }
+    ]
+  );
+  assert.equal(getStore().flowers.some((flower) => "tags" in flower), false);
+
+  await createFlower({ name: "Red Tulips", tags: "red, wedding" });
+  await createFlower({ name: "White Lilies" });
+
+  assert.deepEqual(await listFlowerNames("tags=red"), ["Red Roses", "Red Tulips"]);
+  assert.deepEqual(await listFlowerNames("tags=red,anniversary"), ["Red Roses"]);
+  assert.deepEqual(await listFlowerNames("tags=blue"), []);
+  assert.deepEqual(await listFlowerNames("occasion=wedding"), [
+    "Pure White Lily Vase",
+    "Red Tulips"
+  ]);
+
+  const tooMany = await createFlower({
+    name: "Everything Bouquet",
+    tags: Array.from({ length: 13 }, (_, index) => `tag ${index}`)
+  });
+  assert.equal(tooMany.statusCode, 400);
+
+  const retagged = await invoke(flowersHandler, {
+    method: "PATCH",
+    url: `/api/flowers?id=${roses.body.id}`,
+    role: "admin",
+    body: { tags: ["Anniversary"] }
+  });
+  assert.equal(retagged.statusCode, 200);
+  assert.deepEqual(retagged.body.tags, [{ slug: "anniversary", label: "Anniversary" }]);
+  assert.equal(retagged.body.name, "Red Roses");
+
+  const tags = await invoke(tagsHandler, { url: "/api/tags", role: null });
+  assert.deepEqual(
+    tags.body.map((tag) => [tag.slug, tag.curated]),
+    [
+      ["anniversary", true],
+      ["red", false],
+      ["valentines-day", false],
+      ["wedding", false]
+    ]
+  );
+
+  const promoted = await invoke(tagsHandler, {
+    method: "PATCH",
+    url: "/api/tags?slug=red",
+    role: "admin",
+    body: { label: "Red Blooms", curated: true }
+  });
+  assert.equal(promoted.statusCode, 200);
+  const curatedOnly = await invoke(tagsHandler, { url: "/api/tags?curated=1", role: null });
+  assert.deepEqual(
+    curatedOnly.body.map((tag) => tag.slug),
+    ["anniversary", "red"]
+  );
+
+  const removed = await invoke(tagsHandler, {
+    method: "DELETE",
+    url: "/api/tags?slug=red",
+    role: "admin"
+  });
+  assert.equal(removed.statusCode, 200);
+  assert.deepEqual(await listFlowerNames("tags=red"), []);
+});
+
+test("the local chat assistant recommends tagged flowers", async () => {
+  resetStore();
+
+  await createFlower({ name: "Sunny Get Well Mix", tags: ["Get Well"] });
+  await createFlower({ name: "Blush Bridal Posy", occasion: "general", tags: ["wedding"] });
+
+  const tagged = await invoke(chatHandler, {
+    method: "POST",
+    url: "/api/chat",
+    role: null,
+    body: { message: "Flowers to get well soon?" }
+  });
+  assert.match(tagged.body.reply, /For Get Well I recommend Sunny Get Well Mix/);
+
+  const category = await invoke(chatHandler, {
+    method: "POST",
+    url: "/api/chat",
+    role: null,
+    body: { message: "Flowers for a wedding?" }
+  });
+  assert.match(category.body.reply, /Blush Bridal Posy/);
+});
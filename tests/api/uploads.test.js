@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+process.env.NODE_ENV = "test";
+process.env.AUTH_SECRET = "test-secret-for-orders-handler-123456789";
+process.env.ADMIN_EMAIL = "admin@example.com";
+process.env.ADMIN_PASSWORD = "Admin1234!";
+process.env.SITE_URL = "https://shop.example.com";
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const uploadsHandler = require("../../api/uploads");
+const flowersHandler = require("../../api/flowers");
+const settingsHandler = require("../../api/settings");
+const { setSessionCookie } = require("../../api/_auth");
+const { getStore } = require("../../api/_store");
+
+function createMockRequest({ method, url, body, headers }) {
+  const req = new EventEmitter();
+  req.method = method;
+  req.url = url;
+  req.body = body;
+  req.headers = headers || {};
+  return req;
+}
+
+function createMockResponse() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    headers,
+    body: "",
+    setHeader(name, value) {
+      headers[String(name).toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = payload || "";
+    }
+  };
+}
+
+function createSessionHeader(role = "customer") {
+  const res = createMockResponse();
+  setSessionCookie(res, {
+    id: `${role}-test`,
+    email: `${role}@example.com`,
+    role
+  });
+
+  const rawSetCookie = res.headers["set-cookie"];
+  return String(rawSetCookie || "").split(";")[0];
+}
+
+async function invoke(handler, { method = "GET", url, body, headers = {}, role = "customer" }) {
+  const req = createMockRequest({
+    method,
+    url,
+    body,
+    headers: role ? { ...headers, cookie: createSessionHeader(role) } : headers
+  });
+  const res = createMockResponse();
+  await handler(req, res);
+
+  const isJson = String(res.headers["content-type"] || "").includes("application/json");
+  return {
+    statusCode: res.statusCode,
+    headers: res.headers,
+    body: isJson && res.body ? JSON.parse(res.body) : res.body
+  };
+}
+
+function resetStore() {
+  delete globalThis.__FLOWER_STORE__;
+  return getStore();
+}
+
+function upload(body, contentType, role = "admin") {
+  return invoke(uploadsHandler, {
+    method: "POST",
+    url: "/api/uploads",
+    role,
+    body,
+    headers: { "content-type": contentType }
+  });
+}
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from("fake-png-body")
+]);
+const WEBP = Buffer.concat([
+  Buffer.from("RIFF"),
+  Buffer.from([0x10, 0x00, 0x00, 0x00]),
+  Buffer.from("WEBPVP8 fake-webp-body")
+]);
+
+test("admins upload images that can be used for flowers and the hero banner", async () => {
+  resetStore();
+
+  const forbidden = await upload(PNG, "image/png", "customer");
+  assert.equal(forbidden.statusCode, 403);
+
+  const uploaded = await upload(PNG, "image/png");
+  assert.equal(uploaded.statusCode, 201);
+  assert.match(uploaded.body.url, /^https:\/\/shop\.example\.com\/api\/uploads\?name=\w+\.png$/);
+  assert.equal(uploaded.body.size, PNG.length);
+
+  const served = await invoke(uploadsHandler, {
+    url: new URL(uploaded.body.url).pathname + new URL(uploaded.body.url).search,
+    role: null
+  });
+  assert.equal(served.statusCode, 200);
+  assert.equal(served.headers["content-type"], "image/png");
+  assert.match(served.headers["cache-control"], /immutable/);
+  assert.ok(PNG.equals(served.body));
+
+  const flower = await invoke(flowersHandler, {
+    method: "POST",
+    url: "/api/flowers",
+    role: "admin",
+    body: { name: "Uploaded Bouquet", price: 20, images: [{ url: uploaded.body.url }] }
+  });
+  assert.equal(flower.statusCode, 201);
+  assert.equal(flower.body.image, uploaded.body.url);
+
+  const webp = await upload(WEBP, "image/webp; charset=binary");
+  assert.equal(webp.statusCode, 201);
+  assert.match(webp.body.url, /\.webp$/);
+
+  const hero = await invoke(settingsHandler, {
+    method: "PATCH",
+    url: "/api/settings",
+    role: "admin",
+    body: { heroImage: webp.body.url }
+  });
+  assert.equal(hero.statusCode, 200);
+  assert.equal(hero.body.heroImage, webp.body.url);
+
+  const missing = await invoke(uploadsHandler, {
+    url: "/api/uploads?name=../secrets.png",
+    role: null
+  });
+  assert.equal(missing.statusCode, 404);
+});
+
+test("uploads are checked for type, content and size", async () => {
+  resetStore();
+
+  const gif = await upload(Buffer.from("GIF89a"), "image/gif");
+  assert.equal(gif.statusCode, 415);
+
+  const disguised = await upload(Buffer.from("<svg></svg>"), "image/png");
+  assert.equal(disguised.statusCode, 415);
+  assert.match(disguised.body.message, /not a valid PNG/);
+
+  const empty = await upload(Buffer.alloc(0), "image/jpeg");
+  assert.equal(empty.statusCode, 400);
+
+  const oversized = Buffer.alloc(4 * 1024 * 1024 + 1);
+  oversized.set([0xff, 0xd8, 0xff]);
+  const tooLarge = await upload(oversized, "image/jpeg");
+  assert.equal(tooLarge.statusCode, 413);
+
+  assert.equal(Object.keys(getStore().uploads || {}).length, 0);
+});